@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**
+ * Build Orchestrator
+ *
+ * Usage: node build/build.js [--clean] [--dry-run]
+ * This script builds the deployable site in dist/ without modifying the source tree.
+ * It copies every published file into dist/ and then runs each step in BUILD_STEPS
+ * against dist/: industry and project generation, translated pages, self-hosted fonts
+ * and icons, image optimization, responsive picture markup, component inlining, head
+ * injection, structured data, sitemap, CSS bundling and critical CSS, the fallback
+ * script bundle for browsers without ES modules, link check, asset fingerprinting,
+ * Content-Security-Policy and the service worker. Images are always optimized from a
+ * fresh copy of the originals in assets/, so repeated builds never recompress a photo
+ * twice; the compressed images and variants of unchanged originals are reused from
+ * .cache/images/, so only new or edited images are processed.
+ *
+ * Without --clean, dist/ is updated in place: every published file is copied again
+ * and the previous build's fingerprinted files are removed first, but files that no
+ * longer exist in the source (deleted pages, old image variants) stay behind.
+ *
+ * The individual scripts in build/ still work on their own (including --dry-run)
+ * and then update the source tree, which is how the committed pages are kept in sync.
+ *
+ * Options:
+ *   --clean      Delete dist/ before building
+ *   --dry-run    List the files that would be copied and the steps that would run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { generateIndustries } = require('./generate-industries');
+const { renderProjects } = require('./render-projects');
+const { localizePages } = require('./localize-pages');
+const { vendorFonts } = require('./vendor-fonts');
+const { updateResponsiveImages } = require('./responsive-images');
+const { inlineComponents } = require('./inline-components');
+const { injectHeadCommon } = require('./inject-head-common');
+const { generateStructuredData } = require('./generate-structured-data');
+const { updateSitemap } = require('./update-sitemap');
+const { optimizeCSS } = require('./optimize-css');
+const { bundleScripts } = require('./bundle-scripts');
+const { checkLinks } = require('./check-links');
+const { fingerprintAssets, removeFingerprintedFiles } = require('./fingerprint-assets');
+const { generateCSP } = require('./generate-csp');
+const { generateServiceWorker } = require('./generate-service-worker');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DIST_DIR = path.join(PROJECT_ROOT, 'dist');
+
+// Source-only files and directories that are not part of the published site
+const SOURCE_ONLY = new Set([
+    'build', 'data', 'dist', 'node_modules',
+    'README.md', 'package.json', 'package-lock.json',
+    'assets/image-manifest.json',
+    // Generated in dist/ for the fingerprinted file names and inline content hashes
+    'sw.js', '_headers'
+]);
+
+// Dot files that must be published (GitHub Pages would otherwise run Jekyll)
+const PUBLISHED_DOTFILES = ['.nojekyll'];
+
+// Files the image steps leave in dist/ that are only needed during the build
+const BUILD_ONLY_FILES = ['assets/image-manifest.json'];
+
+// Files generated in dist/ that have no source copy to overwrite them on the next build
+const GENERATED_FILES = ['sw.js', '_headers'];
+
+/**
+ * Build steps, run in order against the output directory.
+ * Each run() returns (or resolves to) true on success; the build stops at the first failure.
+ * @type {{name: string, run: function(string): (boolean|Promise<boolean>)}[]}
+ */
+const BUILD_STEPS = [
+    { name: 'generate-industries', run: rootDir => generateIndustries(false, rootDir) },
+    { name: 'render-projects', run: rootDir => renderProjects(false, rootDir) },
+    { name: 'localize-pages', run: rootDir => localizePages(false, rootDir) },
+    { name: 'vendor-fonts', run: rootDir => vendorFonts(false, rootDir) },
+    {
+        name: 'optimize-images',
+        // Required here so the other scripts can be loaded without sharp installed
+        run: rootDir => require('./optimize-images').optimizeImages(false, false, false, {}, rootDir)
+    },
+    { name: 'responsive-images', run: rootDir => updateResponsiveImages(false, rootDir) },
+    { name: 'inline-components', run: rootDir => inlineComponents(false, rootDir) },
+    { name: 'inject-head-common', run: rootDir => injectHeadCommon(false, rootDir) },
+    { name: 'generate-structured-data', run: rootDir => generateStructuredData(false, rootDir) },
+    { name: 'update-sitemap', run: rootDir => updateSitemap(false, rootDir) },
+    { name: 'optimize-css', run: rootDir => optimizeCSS(false, rootDir) },
+    { name: 'bundle-scripts', run: rootDir => bundleScripts(false, rootDir) },
+    { name: 'check-links', run: rootDir => checkLinks(rootDir) },
+    {
+        name: 'fingerprint-assets',
+        run: rootDir => {
+            BUILD_ONLY_FILES.forEach(file => fs.rmSync(path.join(rootDir, file), { force: true }));
+            return fingerprintAssets(false, rootDir);
+        }
+    },
+    { name: 'generate-csp', run: rootDir => generateCSP(false, rootDir) },
+    { name: 'generate-service-worker', run: rootDir => generateServiceWorker(false, rootDir) }
+];
+
+/**
+ * Lists every file that is published from the source tree.
+ * @param {string} [dir] - Directory to list, relative to the project root.
+ * @returns {string[]} File paths relative to the project root, sorted.
+ */
+function getPublishedFiles(dir = '') {
+    const files = [];
+
+    fs.readdirSync(path.join(PROJECT_ROOT, dir)).forEach(item => {
+        const relativePath = dir ? `${dir}/${item}` : item;
+        if (SOURCE_ONLY.has(relativePath)) {
+            return;
+        }
+        if (item.startsWith('.') && !PUBLISHED_DOTFILES.includes(relativePath)) {
+            return;
+        }
+
+        if (fs.statSync(path.join(PROJECT_ROOT, relativePath)).isDirectory()) {
+            files.push(...getPublishedFiles(relativePath));
+        } else {
+            files.push(relativePath);
+        }
+    });
+
+    return files.sort();
+}
+
+/**
+ * Copies the published source files into the output directory.
+ * @param {string[]} files - File paths relative to the project root.
+ * @param {string} outputDir - Output directory.
+ * @returns {void}
+ */
+function copySource(files, outputDir) {
+    files.forEach(file => {
+        const target = path.join(outputDir, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.copyFileSync(path.join(PROJECT_ROOT, file), target);
+    });
+}
+
+/**
+ * Builds the site into dist/.
+ * @param {Object} [options] - Build options.
+ * @param {boolean} [options.clean] - Delete dist/ before building.
+ * @param {boolean} [options.dryRun] - List what would happen without writing anything.
+ * @returns {Promise<boolean>} True if every step succeeded.
+ */
+async function build({ clean = false, dryRun = false } = {}) {
+    const startTime = Date.now();
+    const files = getPublishedFiles();
+
+    if (dryRun) {
+        console.log('🔍 DRY RUN MODE - dist/ will not be modified\n');
+        if (clean) {
+            console.log('Would delete dist/');
+        }
+        console.log(`Would copy ${files.length} file(s) to dist/:`);
+        files.forEach(file => console.log(`  ${file}`));
+        console.log('\nWould run:');
+        BUILD_STEPS.forEach((step, index) => console.log(`  ${index + 1}. ${step.name}`));
+        return true;
+    }
+
+    try {
+        if (clean && fs.existsSync(DIST_DIR)) {
+            fs.rmSync(DIST_DIR, { recursive: true, force: true });
+            console.log('🧹 Deleted dist/');
+        } else if (fs.existsSync(DIST_DIR)) {
+            const removed = removeFingerprintedFiles(DIST_DIR);
+            GENERATED_FILES.forEach(file => fs.rmSync(path.join(DIST_DIR, file), { force: true }));
+            if (removed > 0) {
+                console.log(`🧹 Removed ${removed} fingerprinted file(s) from the previous build`);
+            }
+        }
+
+        copySource(files, DIST_DIR);
+        console.log(`✅ Copied ${files.length} file(s) to dist/`);
+    } catch (error) {
+        console.error('❌ Error preparing dist/:', error.message);
+        return false;
+    }
+
+    for (const [index, step] of BUILD_STEPS.entries()) {
+        console.log(`\n${'='.repeat(50)}\n▶️  [${index + 1}/${BUILD_STEPS.length}] ${step.name}\n${'='.repeat(50)}`);
+        const success = await step.run(DIST_DIR);
+        if (!success) {
+            console.error(`\n❌ Build failed at ${step.name}. dist/ is incomplete and must not be deployed.`);
+            return false;
+        }
+    }
+
+    const seconds = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`\n✅ Build complete in ${seconds}s - deploy the contents of dist/`);
+    return true;
+}
+
+// Run the build if this script is executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const clean = args.includes('--clean');
+    const dryRun = args.includes('--dry-run');
+
+    build({ clean, dryRun }).then(success => {
+        process.exit(success ? 0 : 1);
+    }).catch(error => {
+        console.error('❌ Fatal error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { build, getPublishedFiles, BUILD_STEPS };
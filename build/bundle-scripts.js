@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Fallback Script Bundle
+ *
+ * Usage: node build/bundle-scripts.js [--dry-run]
+ * Pages load js/main.js as an ES module, which imports the features in js/features/
+ * with import() on the pages that use them. Browsers without module support skip it,
+ * so this script bundles js/main.js and everything it imports (features and locale
+ * strings included) with esbuild into one minified classic script, dist/js/bundle.js,
+ * with syntax lowered to ES2015 (APIs such as fetch are not polyfilled). Every page
+ * that loads js/main.js gets a <script nomodule> tag for it right after, which
+ * browsers with module support ignore.
+ *
+ * A size report (raw and gzipped) is printed.
+ *
+ * The source tree has no bundle, so this step only runs as part of `npm run build`,
+ * before the link check and asset fingerprinting.
+ *
+ * Requires esbuild (a devDependency).
+ *
+ * Options:
+ *   --dry-run    Build the bundle in memory and print its size without writing any file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { getHTMLFiles } = require('./inject-head-common');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DIST_DIR = path.join(PROJECT_ROOT, 'dist');
+const ENTRY_FILE = 'js/main.js';
+const BUNDLE_FILE = 'js/bundle.js';
+
+// Lowest syntax level of the bundle: browsers without modules that still run ES2015
+const BUNDLE_TARGET = 'es2015';
+
+/**
+ * Loads esbuild, with a hint when it is missing.
+ * Required here rather than at the top so the other build scripts can load this one
+ * without it installed.
+ * @returns {Object} The esbuild module.
+ * @throws {Error} Throws if esbuild is not installed.
+ */
+function loadEsbuild() {
+    try {
+        return require('esbuild');
+    } catch (error) {
+        throw new Error(`Cannot find esbuild (run npm install): ${error.message}`);
+    }
+}
+
+/**
+ * Adds the fallback bundle after a page's module entry script.
+ * A page that already has the fallback tag keeps a single one.
+ * @param {string} htmlContent - Page HTML.
+ * @returns {string|null} The updated page, or null if it doesn't load js/main.js.
+ */
+function addFallbackScript(htmlContent) {
+    const entryPattern = /^([ \t]*)<script type="module" src="((?:\.\.\/)*)js\/main\.js"><\/script>(?:\n[ \t]*<script nomodule src="[^"]*" defer><\/script>)?$/m;
+    if (!entryPattern.test(htmlContent)) {
+        return null;
+    }
+    return htmlContent.replace(entryPattern, (match, indent, prefix) => [
+        `${indent}<script type="module" src="${prefix}${ENTRY_FILE}"></script>`,
+        `${indent}<script nomodule src="${prefix}${BUNDLE_FILE}" defer></script>`
+    ].join('\n'));
+}
+
+/**
+ * Formats a byte count with its gzipped size.
+ * @param {string} code - Script source.
+ * @returns {string} e.g. '45.6 KB (9.8 KB gzipped)'.
+ */
+function formatSize(code) {
+    const kb = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+    return `${kb(Buffer.byteLength(code))} (${kb(zlib.gzipSync(code).length)} gzipped)`;
+}
+
+/**
+ * Builds the nomodule fallback bundle of a built site and links it from every page.
+ * @param {boolean} [dryRun] - If true, print the size report without changing any file.
+ * @param {string} [rootDir] - Site root to bundle (defaults to dist/).
+ * @returns {boolean} True on success, false on errors.
+ */
+function bundleScripts(dryRun = false, rootDir = DIST_DIR) {
+    const label = path.relative(PROJECT_ROOT, rootDir) || '.';
+    if (!fs.existsSync(path.join(rootDir, ENTRY_FILE))) {
+        console.error(`❌ ${label}/${ENTRY_FILE} not found. Run \`npm run build\` first.`);
+        return false;
+    }
+
+    try {
+        if (dryRun) {
+            console.log(`🔍 DRY RUN MODE - ${label}/ will not be modified\n`);
+        }
+
+        const result = loadEsbuild().buildSync({
+            entryPoints: [path.join(rootDir, ENTRY_FILE)],
+            bundle: true,
+            format: 'iife',
+            target: BUNDLE_TARGET,
+            minify: true,
+            legalComments: 'none',
+            write: false,
+            logLevel: 'silent'
+        });
+        result.warnings.forEach(warning => console.warn(`⚠️  ${warning.text}`));
+        const bundle = result.outputFiles[0].text;
+
+        const modules = [];
+        const listModules = dir => fs.readdirSync(path.join(rootDir, dir), { withFileTypes: true }).forEach(entry => {
+            const relativePath = `${dir}/${entry.name}`;
+            if (entry.isDirectory()) {
+                listModules(relativePath);
+            } else if (entry.name.endsWith('.js') && relativePath !== BUNDLE_FILE) {
+                modules.push(fs.readFileSync(path.join(rootDir, relativePath), 'utf8'));
+            }
+        });
+        listModules(path.posix.dirname(ENTRY_FILE));
+
+        console.log(`📦 ${ENTRY_FILE} -> ${BUNDLE_FILE} (${BUNDLE_TARGET})`);
+        console.log(`   Modules: ${formatSize(modules.join('\n'))} in ${modules.length} file(s)`);
+        console.log(`   Bundle:  ${formatSize(bundle)}`);
+
+        const updatedPages = getHTMLFiles(rootDir)
+            .map(page => ({ page, htmlContent: addFallbackScript(fs.readFileSync(path.join(rootDir, page), 'utf8')) }))
+            .filter(({ htmlContent }) => htmlContent !== null);
+        if (updatedPages.length === 0) {
+            console.warn(`⚠️  No page loads ${ENTRY_FILE}, so the bundle is not linked anywhere`);
+        }
+
+        if (!dryRun) {
+            fs.writeFileSync(path.join(rootDir, BUNDLE_FILE), bundle, 'utf8');
+            updatedPages.forEach(({ page, htmlContent }) => fs.writeFileSync(path.join(rootDir, page), htmlContent, 'utf8'));
+            console.log(`\n✅ Wrote ${label}/${BUNDLE_FILE} and linked it from ${updatedPages.length} page(s)`);
+        }
+        return true;
+    } catch (error) {
+        // esbuild lists every problem it found in the message
+        console.error('❌ Error bundling scripts:', error.message);
+        return false;
+    }
+}
+
+// Run the bundling if this script is executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+
+    const success = bundleScripts(dryRun);
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = { bundleScripts, addFallbackScript };
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+/**
+ * Link Checker and Asset Reference Validator
+ *
+ * Usage: node build/check-links.js
+ * This script parses every page and every partial in components/ and checks that:
+ * - href/src/srcset paths resolve to files in the repository
+ * - fragment links (#id, page.html#id) point at an element id that exists
+ * - every referenced .webp/.avif image (including responsive -480w variants) has a
+ *   .jpg/.png fallback on disk, and every <img> .jpg/.png has a .webp version
+ *
+ * Relative paths in pages resolve against the page's directory. Relative paths in
+ * partials resolve against the project root, since partials are inlined into (or
+ * fetched by) pages and adjusted for depth by the build.
+ *
+ * External links are listed but never fetched (the build has no network access).
+ * Exits with a non-zero status if any problem is found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getHTMLFiles } = require('./inject-head-common');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const COMPONENTS_DIR = 'components';
+
+// Attributes that reference other files
+const URL_ATTRIBUTES = ['href', 'src', 'srcset'];
+
+// Schemes that are never resolved on disk
+const IGNORED_SCHEMES = /^(mailto|tel|javascript|data):/i;
+const EXTERNAL_URL = /^(https?:)?\/\//i;
+
+const RASTER_FALLBACK_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+/**
+ * Gets the partials in components/.
+ * @param {string} rootDir - Site root directory.
+ * @returns {string[]} Partial paths relative to rootDir.
+ */
+function getPartialFiles(rootDir) {
+    return fs.readdirSync(path.join(rootDir, COMPONENTS_DIR))
+        .filter(file => file.endsWith('.html'))
+        .map(file => path.join(COMPONENTS_DIR, file))
+        .sort();
+}
+
+/**
+ * Parses the tags of an HTML document into tag names and attribute maps.
+ * Comments are stripped first so commented-out markup is not checked.
+ * @param {string} htmlContent - The HTML to parse.
+ * @returns {{name: string, attributes: Object.<string, string>}[]} Parsed tags.
+ */
+function parseTags(htmlContent) {
+    const withoutComments = htmlContent.replace(/<!--[\s\S]*?-->/g, '');
+    const tags = [];
+    const tagPattern = /<([a-zA-Z][\w-]*)\b([^>]*)>/g;
+    const attributePattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let tagMatch;
+
+    while ((tagMatch = tagPattern.exec(withoutComments)) !== null) {
+        const attributes = {};
+        let attributeMatch;
+        while ((attributeMatch = attributePattern.exec(tagMatch[2])) !== null) {
+            const value = attributeMatch[2] !== undefined ? attributeMatch[2] : attributeMatch[3];
+            attributes[attributeMatch[1].toLowerCase()] = value;
+        }
+        tags.push({ name: tagMatch[1].toLowerCase(), attributes });
+    }
+
+    return tags;
+}
+
+/**
+ * Collects the element ids defined in a file.
+ * @param {string} filePath - Absolute path to the HTML file.
+ * @param {Map<string, Set<string>>} cache - Cache of ids per file.
+ * @returns {Set<string>} The ids in the file.
+ */
+function getIds(filePath, cache) {
+    if (!cache.has(filePath)) {
+        const tags = parseTags(fs.readFileSync(filePath, 'utf8'));
+        cache.set(filePath, new Set(tags.map(tag => tag.attributes.id).filter(Boolean)));
+    }
+    return cache.get(filePath);
+}
+
+/**
+ * Splits a srcset attribute into its URLs.
+ * @param {string} srcset - The srcset value.
+ * @returns {string[]} The candidate URLs.
+ */
+function parseSrcset(srcset) {
+    return srcset
+        .split(',')
+        .map(candidate => candidate.trim().split(/\s+/)[0])
+        .filter(Boolean);
+}
+
+/**
+ * Resolves a local URL to a file on disk.
+ * Directory URLs resolve to their index.html.
+ * @param {string} urlPath - URL path without query or fragment.
+ * @param {string} baseDir - Absolute directory relative paths resolve against.
+ * @param {string} rootDir - Site root root-absolute paths resolve against.
+ * @returns {string} Absolute file path.
+ */
+function resolveLocalPath(urlPath, baseDir, rootDir) {
+    const decoded = decodeURI(urlPath);
+    let resolved = decoded.startsWith('/')
+        ? path.join(rootDir, decoded)
+        : path.resolve(baseDir, decoded);
+
+    if (decoded.endsWith('/') || (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory())) {
+        resolved = path.join(resolved, 'index.html');
+    }
+    return resolved;
+}
+
+/**
+ * Checks that a referenced image has its WebP or raster counterpart on disk.
+ * @param {string} resolved - Absolute path of the referenced image.
+ * @param {string} tagName - Tag the reference came from.
+ * @returns {string|null} Problem description, or null if the image is fine.
+ */
+function checkImageFallback(resolved, tagName) {
+    const ext = path.extname(resolved).toLowerCase();
+    const base = resolved.slice(0, -ext.length);
+
+    if (ext === '.webp' || ext === '.avif') {
+        // Responsive variants (van-480w.webp) fall back to the source image (van.jpg)
+        const sourceBase = base.replace(/-\d+w$/, '');
+        const hasFallback = RASTER_FALLBACK_EXTENSIONS.some(fallbackExt => fs.existsSync(sourceBase + fallbackExt));
+        return hasFallback ? null : `${ext.slice(1).toUpperCase()} image has no .jpg/.png fallback`;
+    }
+    if (tagName === 'img' && RASTER_FALLBACK_EXTENSIONS.includes(ext)) {
+        return fs.existsSync(base + '.webp') ? null : 'image has no .webp version';
+    }
+    return null;
+}
+
+/**
+ * Checks all references in a single file.
+ * @param {string} relativeFile - File path relative to rootDir.
+ * @param {boolean} isPartial - Whether the file is a partial in components/.
+ * @param {Map<string, Set<string>>} idCache - Cache of ids per file.
+ * @param {Map<string, Set<string>>} externalLinks - Collected external URLs mapped to referencing files.
+ * @param {string} rootDir - Site root directory.
+ * @returns {string[]} Problems found in the file.
+ */
+function checkFile(relativeFile, isPartial, idCache, externalLinks, rootDir) {
+    const filePath = path.join(rootDir, relativeFile);
+    const baseDir = isPartial ? rootDir : path.dirname(filePath);
+    const tags = parseTags(fs.readFileSync(filePath, 'utf8'));
+    const problems = [];
+
+    tags.forEach(tag => {
+        URL_ATTRIBUTES.forEach(attribute => {
+            const value = tag.attributes[attribute];
+            if (value === undefined) {
+                return;
+            }
+
+            const urls = attribute === 'srcset' ? parseSrcset(value) : [value.trim()];
+            urls.forEach(url => {
+                if (!url || IGNORED_SCHEMES.test(url)) {
+                    return;
+                }
+                if (EXTERNAL_URL.test(url)) {
+                    if (!externalLinks.has(url)) {
+                        externalLinks.set(url, new Set());
+                    }
+                    externalLinks.get(url).add(relativeFile);
+                    return;
+                }
+
+                const [withoutFragment, fragment] = url.split('#');
+                const urlPath = withoutFragment.split('?')[0];
+                const target = urlPath ? resolveLocalPath(urlPath, baseDir, rootDir) : filePath;
+                const label = `<${tag.name} ${attribute}="${url}">`;
+
+                if (!fs.existsSync(target)) {
+                    problems.push(`${label}: file not found (${path.relative(rootDir, target)})`);
+                    return;
+                }
+
+                if (fragment && target.endsWith('.html') && !getIds(target, idCache).has(decodeURIComponent(fragment))) {
+                    problems.push(`${label}: no element with id "${fragment}"`);
+                }
+
+                const fallbackProblem = checkImageFallback(target, tag.name);
+                if (fallbackProblem) {
+                    problems.push(`${label}: ${fallbackProblem}`);
+                }
+            });
+        });
+    });
+
+    return problems;
+}
+
+/**
+ * Checks every page and partial and prints a per-file report.
+ * @param {string} [rootDir] - Site root to check (defaults to the project root).
+ * @returns {boolean} True if no problems were found.
+ */
+function checkLinks(rootDir = PROJECT_ROOT) {
+    const files = [
+        ...getHTMLFiles(rootDir).map(file => ({ file, isPartial: false })),
+        ...getPartialFiles(rootDir).map(file => ({ file, isPartial: true }))
+    ];
+    const idCache = new Map();
+    const externalLinks = new Map();
+    let problemCount = 0;
+
+    files.forEach(({ file, isPartial }) => {
+        const problems = checkFile(file, isPartial, idCache, externalLinks, rootDir);
+        if (problems.length === 0) {
+            console.log(`✅ ${file}`);
+            return;
+        }
+
+        problemCount += problems.length;
+        console.log(`❌ ${file}`);
+        problems.forEach(problem => console.log(`    - ${problem}`));
+    });
+
+    if (externalLinks.size > 0) {
+        console.log('\n🌐 External links (not fetched):');
+        [...externalLinks.keys()].sort().forEach(url => {
+            console.log(`  - ${url} (${[...externalLinks.get(url)].join(', ')})`);
+        });
+    }
+
+    // Summary
+    console.log('\n' + '='.repeat(50));
+    console.log('🔗 LINK CHECK SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Checked: ${files.length} files`);
+    console.log(`Problems: ${problemCount}`);
+    console.log(`External links: ${externalLinks.size}`);
+
+    return problemCount === 0;
+}
+
+// Run the checker if this script is executed directly
+if (require.main === module) {
+    const success = checkLinks();
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = { checkLinks, parseTags };
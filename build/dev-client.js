@@ -0,0 +1,82 @@
+// ============================================================================
+// Copper Tech Dev Server Client
+// ============================================================================
+// Added to every page by build/dev-server.js as a module (never deployed). Listens
+// for file changes over Server-Sent Events:
+// - A component listed in AppConfig.components is re-rendered in place through
+//   loadComponent(): the features inside it are destroyed first and initialized
+//   again afterwards (translated pages reload instead, since the partial files are
+//   in English)
+// - Anything else (pages, CSS, JS, config, head-common.html, project cards)
+//   reloads the page
+//
+// The imports are the same module instances the page's js/main.js uses, so the
+// registry knows which features are active.
+
+import AppConfig from '/js/config.js';
+import Constants from '/js/lib/constants.js';
+import { clearComponentCache, loadComponent } from '/js/lib/components.js';
+import { destroyFeatures, initializeFeatures } from '/js/lib/features.js';
+
+const EVENTS_URL = '/__dev/events';
+
+/**
+ * Normalizes a component path from AppConfig to a root-absolute URL path.
+ * @param {string} componentPath - Path as written in AppConfig (e.g. 'components/nav.html').
+ * @returns {string} The root-absolute path (e.g. '/components/nav.html').
+ */
+function toRootPath(componentPath) {
+    return componentPath.startsWith('/') ? componentPath : `/${componentPath}`;
+}
+
+/**
+ * Re-renders every placeholder on the page that uses a changed component.
+ * @param {string} changedPath - Root-absolute path of the changed file.
+ * @returns {Promise<boolean>} True if the change was applied without a reload.
+ */
+async function swapComponent(changedPath) {
+    if (document.documentElement.lang !== AppConfig.locales[0].lang) {
+        return false;
+    }
+
+    const placeholders = Object.entries(AppConfig.components)
+        .filter(([, componentPath]) => toRootPath(componentPath) === changedPath);
+    if (placeholders.length === 0) {
+        return false;
+    }
+
+    for (const [elementId, componentPath] of placeholders) {
+        const element = document.getElementById(elementId);
+        if (!element) {
+            continue;
+        }
+
+        destroyFeatures(element);
+
+        // The dev server inlines components, so let loadComponent() fetch again,
+        // past the copies it cached
+        element.removeAttribute(Constants.INLINED_ATTRIBUTE);
+        clearComponentCache();
+        if (!await loadComponent(elementId, componentPath)) {
+            return false;
+        }
+
+        await initializeFeatures(element);
+        console.info(`[dev] Re-rendered #${elementId} from ${changedPath}`);
+    }
+    return true;
+}
+
+const events = new EventSource(EVENTS_URL);
+
+events.addEventListener('component', async (event) => {
+    const { path } = JSON.parse(event.data);
+    if (!await swapComponent(path)) {
+        window.location.reload();
+    }
+});
+
+events.addEventListener('reload', (event) => {
+    console.info(`[dev] ${JSON.parse(event.data).path} changed, reloading`);
+    window.location.reload();
+});
@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+/**
+ * Development Server
+ *
+ * Usage: node build/dev-server.js [--port=8080] [--host=127.0.0.1]
+ * This script serves the source tree over HTTP, so root-absolute component paths
+ * (/components/nav.html) resolve the way they do on GitHub Pages, which they don't
+ * over file://. It has no dependencies beyond Node itself.
+ *
+ * Pages are built on the fly when they are requested: components are inlined, and
+ * head-common.html and the page's data/pages/ metadata are injected exactly as
+ * inline-components.js and inject-head-common.js would, and each page gets its own
+ * Content-Security-Policy from generate-csp.js, but nothing is written to disk. Every response is sent with Cache-Control: no-store, and /sw.js is replaced
+ * by a worker that unregisters itself, so a cached build never hides an edit.
+ *
+ * Changed files are pushed to the page over Server-Sent Events (build/dev-client.js).
+ * A changed component re-renders only its placeholder; any other change reloads the
+ * page. Stop the server with Ctrl+C.
+ *
+ * The server only listens on the loopback interface unless --host says otherwise,
+ * and refuses paths under dotfiles (.git/, .env, .cache/), since it serves the whole
+ * repository root.
+ *
+ * Options:
+ *   --port=N       Port to listen on (default: 8080)
+ *   --host=ADDR    Address to listen on (default: 127.0.0.1; 0.0.0.0 for every interface)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+const CLIENT_PATH = path.join(__dirname, 'dev-client.js');
+const CLIENT_URL = '/__dev/client.js';
+const EVENTS_URL = '/__dev/events';
+const HEAD_COMMON_FILE = 'components/head-common.html';
+// Editors write a file in several steps; changes within this window are sent once
+const CHANGE_DEBOUNCE_MS = 100;
+
+// Changes to these files alter how pages are built, so the build modules are reloaded
+const BUILD_MODULES = ['./localize-pages', './inject-head-common', './inline-components', './generate-csp'];
+// Browser modules the build modules read when they load (see load-browser-module.js)
+const BUILD_INPUTS = ['js/config.js'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf'
+};
+
+// Replaces the generated service worker, and removes one left over from a build
+const DEV_SERVICE_WORKER = `// Dev server stand-in for sw.js: removes any installed worker so caches never serve stale files
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names.map(name => caches.delete(name))))
+        .then(() => self.registration.unregister()));
+});
+`;
+
+/**
+ * Loads the build modules used to render pages, discarding cached copies first.
+ * @returns {Object} The page rendering functions of inline-components.js, inject-head-common.js
+ *   and generate-csp.js.
+ */
+function loadBuildModules() {
+    BUILD_MODULES.forEach(modulePath => delete require.cache[require.resolve(modulePath)]);
+    const { injectIntoPage, loadPageMetadata, applyPageMetadata } = require('./inject-head-common');
+    const { inlinePageComponents } = require('./inline-components');
+    const { applyContentSecurityPolicy, collectSiteSources, findInlineHandlers } = require('./generate-csp');
+    return {
+        inlinePageComponents, injectIntoPage, loadPageMetadata, applyPageMetadata,
+        applyContentSecurityPolicy, collectSiteSources, findInlineHandlers
+    };
+}
+
+let buildModules = loadBuildModules();
+
+/**
+ * Builds a page the way the build would, plus the live-reload client.
+ * @param {string} relativeFile - Page path relative to the project root.
+ * @returns {string} The page HTML.
+ * @throws {Error} Throws if a component, head-common.html or the page metadata cannot be read,
+ *   or if the metadata is invalid.
+ */
+function renderPage(relativeFile) {
+    const {
+        inlinePageComponents, injectIntoPage, loadPageMetadata, applyPageMetadata,
+        applyContentSecurityPolicy, collectSiteSources, findInlineHandlers
+    } = buildModules;
+    const headCommon = fs.readFileSync(path.join(PROJECT_ROOT, HEAD_COMMON_FILE), 'utf8').trim();
+
+    let content = fs.readFileSync(path.join(PROJECT_ROOT, relativeFile), 'utf8');
+    content = inlinePageComponents(content, relativeFile).content;
+    content = injectIntoPage(content, headCommon, relativeFile) || content;
+
+    const { metadata, errors, warnings } = loadPageMetadata(relativeFile);
+    warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+    content = applyPageMetadata(content, relativeFile, metadata) || content;
+
+    // The page's own CSP, so anything the build would reject is blocked here too
+    findInlineHandlers(content).forEach(({ line, problem }) => console.warn(`⚠️  ${relativeFile}:${line}: ${problem}`));
+    content = applyContentSecurityPolicy(content, collectSiteSources()).content || content;
+
+    const clientTag = `<script type="module" src="${CLIENT_URL}"></script>`;
+    return content.includes('</body>')
+        ? content.replace('</body>', `    ${clientTag}\n</body>`)
+        : content + clientTag;
+}
+
+/**
+ * Sends a response that browsers never cache.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - HTTP status code.
+ * @param {string} contentType - Content-Type header.
+ * @param {string|Buffer} body - Response body.
+ * @param {boolean} [headOnly] - Send only the headers (HEAD request).
+ * @returns {void}
+ */
+function send(res, status, contentType, body, headOnly = false) {
+    res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    res.end(headOnly ? undefined : body);
+}
+
+/**
+ * Maps a request path to a file in the project root.
+ * @param {string} urlPath - Decoded URL path.
+ * @returns {string|null} File path relative to the project root, or null if it is outside
+ *   it or under a dotfile.
+ */
+function resolveRequestPath(urlPath) {
+    const filePath = path.join(PROJECT_ROOT, path.normalize(urlPath));
+    const relativeFile = path.relative(PROJECT_ROOT, filePath);
+    if (relativeFile.startsWith('..') || path.isAbsolute(relativeFile)) {
+        return null;
+    }
+    if (relativeFile.split(path.sep).some(segment => segment.startsWith('.'))) {
+        return null;
+    }
+    return relativeFile;
+}
+
+/**
+ * Opens a Server-Sent Events stream for a page.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {Set<http.ServerResponse>} clients - Connected event streams.
+ * @returns {void}
+ */
+function openEventStream(req, res, clients) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        'Connection': 'keep-alive'
+    });
+    res.write(': connected\n\n');
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+}
+
+/**
+ * Handles a single request.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {Set<http.ServerResponse>} clients - Connected event streams.
+ * @returns {void}
+ */
+function handleRequest(req, res, clients) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        send(res, 405, MIME_TYPES['.txt'], 'Method not allowed');
+        return;
+    }
+    const headOnly = req.method === 'HEAD';
+
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        send(res, 400, MIME_TYPES['.txt'], 'Bad request', headOnly);
+        return;
+    }
+
+    if (urlPath === EVENTS_URL) {
+        openEventStream(req, res, clients);
+        return;
+    }
+    if (urlPath === CLIENT_URL) {
+        send(res, 200, MIME_TYPES['.js'], fs.readFileSync(CLIENT_PATH), headOnly);
+        return;
+    }
+    if (urlPath === '/sw.js') {
+        send(res, 200, MIME_TYPES['.js'], DEV_SERVICE_WORKER, headOnly);
+        return;
+    }
+
+    let relativeFile = resolveRequestPath(urlPath);
+    if (relativeFile === null) {
+        send(res, 403, MIME_TYPES['.txt'], 'Forbidden', headOnly);
+        return;
+    }
+
+    const filePath = path.join(PROJECT_ROOT, relativeFile);
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        // Relative links in a directory's index.html only resolve with the trailing slash
+        if (!urlPath.endsWith('/')) {
+            res.writeHead(301, { Location: `${encodeURI(urlPath)}/` });
+            res.end();
+            return;
+        }
+        relativeFile = path.join(relativeFile, 'index.html');
+    }
+
+    if (!fs.existsSync(path.join(PROJECT_ROOT, relativeFile))) {
+        send(res, 404, MIME_TYPES['.txt'], `Not found: ${urlPath}`, headOnly);
+        return;
+    }
+
+    const extension = path.extname(relativeFile).toLowerCase();
+    const contentType = MIME_TYPES[extension] || 'application/octet-stream';
+
+    try {
+        // Partials under components/ are served as they are, like on the live site
+        const isPage = extension === '.html' && !relativeFile.startsWith(`components${path.sep}`);
+        const body = isPage ? renderPage(relativeFile) : fs.readFileSync(path.join(PROJECT_ROOT, relativeFile));
+        send(res, 200, contentType, body, headOnly);
+    } catch (error) {
+        console.error(`❌ Error serving ${urlPath}:`, error.message);
+        send(res, 500, MIME_TYPES['.txt'], `Error serving ${urlPath}: ${error.message}`, headOnly);
+    }
+}
+
+/**
+ * Lists the directories to watch (the project root and its subdirectories).
+ * @param {string} [dir] - Directory to list, relative to the project root.
+ * @returns {string[]} Directory paths relative to the project root.
+ */
+function getWatchedDirs(dir = '') {
+    const dirs = [dir];
+    fs.readdirSync(path.join(PROJECT_ROOT, dir), { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        // Skip dependencies, build output and hidden directories (.git, etc.)
+        .filter(entry => entry.name !== 'node_modules' && entry.name !== 'dist' && !entry.name.startsWith('.'))
+        .forEach(entry => dirs.push(...getWatchedDirs(path.join(dir, entry.name))));
+    return dirs;
+}
+
+/**
+ * Sends an event to every connected page.
+ * @param {Set<http.ServerResponse>} clients - Connected event streams.
+ * @param {string} event - Event name ('component' or 'reload').
+ * @param {Object} data - Event payload.
+ * @returns {void}
+ */
+function broadcast(clients, event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    clients.forEach(res => res.write(message));
+}
+
+/**
+ * Tells the connected pages about a changed file.
+ * @param {string} relativeFile - Changed file path relative to the project root.
+ * @param {Set<http.ServerResponse>} clients - Connected event streams.
+ * @returns {void}
+ */
+function notifyChange(relativeFile, clients) {
+    const urlPath = '/' + relativeFile.split(path.sep).join('/');
+
+    const changedFile = path.join(PROJECT_ROOT, relativeFile);
+    const isBuildModule = BUILD_MODULES.some(modulePath => require.resolve(modulePath) === changedFile);
+    if (isBuildModule || BUILD_INPUTS.some(file => path.join(PROJECT_ROOT, file) === changedFile)) {
+        try {
+            buildModules = loadBuildModules();
+        } catch (error) {
+            console.error(`❌ Error reloading ${relativeFile}:`, error.message);
+            return;
+        }
+    }
+
+    // head-common.html is part of every page, so it needs a full reload like any other file
+    const isComponent = urlPath.startsWith('/components/') && urlPath !== `/${HEAD_COMMON_FILE}`;
+    const event = isComponent ? 'component' : 'reload';
+    console.log(`${isComponent ? '🔁' : '🔄'} ${relativeFile} changed (${clients.size} page(s) notified)`);
+    broadcast(clients, event, { path: urlPath });
+}
+
+/**
+ * Watches the project for changes and notifies connected pages.
+ * @param {Set<http.ServerResponse>} clients - Connected event streams.
+ * @returns {void}
+ */
+function watchFiles(clients) {
+    const pending = new Map();
+
+    getWatchedDirs().forEach(dir => {
+        fs.watch(path.join(PROJECT_ROOT, dir), (eventType, fileName) => {
+            if (!fileName) {
+                return;
+            }
+            const relativeFile = path.join(dir, fileName.toString());
+            // Editor swap and backup files (.file.swp, file~)
+            if (path.basename(relativeFile).startsWith('.') || relativeFile.endsWith('~')) {
+                return;
+            }
+            if (!fs.existsSync(path.join(PROJECT_ROOT, relativeFile))) {
+                return;
+            }
+            if (fs.statSync(path.join(PROJECT_ROOT, relativeFile)).isDirectory()) {
+                return;
+            }
+
+            clearTimeout(pending.get(relativeFile));
+            pending.set(relativeFile, setTimeout(() => {
+                pending.delete(relativeFile);
+                notifyChange(relativeFile, clients);
+            }, CHANGE_DEBOUNCE_MS));
+        });
+    });
+}
+
+/**
+ * Starts the dev server.
+ * @param {number} [port] - Port to listen on.
+ * @param {string} [host] - Address to listen on.
+ * @returns {http.Server} The running server.
+ */
+function startDevServer(port = DEFAULT_PORT, host = DEFAULT_HOST) {
+    const clients = new Set();
+    const server = http.createServer((req, res) => handleRequest(req, res, clients));
+
+    watchFiles(clients);
+    server.listen(port, host, () => {
+        console.log(`🚀 Dev server running at http://${host === DEFAULT_HOST ? 'localhost' : host}:${port}/`);
+        console.log('   Pages are built on request and reload when files change');
+        console.log('   Press Ctrl+C to stop\n');
+    });
+    return server;
+}
+
+// Run the server if this script is executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const portArg = args.find(arg => arg.startsWith('--port='));
+    const port = portArg ? parseInt(portArg.split('=')[1], 10) : DEFAULT_PORT;
+    const hostArg = args.find(arg => arg.startsWith('--host='));
+    const host = hostArg ? hostArg.split('=')[1] : DEFAULT_HOST;
+
+    startDevServer(port, host);
+}
+
+module.exports = { startDevServer, renderPage };
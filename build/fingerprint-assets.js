@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+/**
+ * Asset Fingerprinting
+ *
+ * Usage: node build/fingerprint-assets.js [--dry-run]
+ * This script renames every CSS, JS, image and font file in dist/ to include a hash of its
+ * content (css/styles.css -> css/styles.1a2b3c4d.css). Every reference to those
+ * files is rewritten to the new name: pages, partials (including head-common.html
+ * preloads), manifest.json, CSS url()/@import and quoted paths in scripts, including
+ * import specifiers. The original-to-hashed mapping is written to dist/asset-manifest.json.
+ *
+ * A changed file gets a new URL, so browsers can never mix a new main.js with a
+ * stale config.js. Files that reference other assets (styles.css imports base.css,
+ * base.css uses images) are hashed after those assets are renamed, so a change
+ * anywhere below them changes their hash too.
+ *
+ * build/build.js runs this near the end of the build, after dist/ has been copied
+ * from the source and processed, and generates dist/sw.js afterwards. A dist/ that
+ * already has an asset manifest is refused, so files are never hashed twice.
+ *
+ * Options:
+ *   --dry-run    Print the asset manifest without renaming anything
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadBrowserModule } = require('./load-browser-module');
+const AppConfig = loadBrowserModule('js/config.js');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DIST_DIR = path.join(PROJECT_ROOT, 'dist');
+const ASSET_MANIFEST_FILE = 'asset-manifest.json';
+
+// Directories whose files are fingerprinted, and the extensions to fingerprint
+const FINGERPRINT_DIRS = ['css', 'js', 'assets'];
+const FINGERPRINT_EXTENSIONS = ['.css', '.js', '.jpg', '.jpeg', '.png', '.webp', '.avif', '.gif', '.svg', '.ico', '.woff2'];
+
+// Text files whose references to fingerprinted files are rewritten
+const REWRITE_EXTENSIONS = ['.html', '.css', '.js', '.json', '.svg'];
+
+// Number of hex characters of the SHA-256 content hash used in file names
+const HASH_LENGTH = 8;
+
+// Quoted strings (attribute values, JSON-LD, JS string literals, CSS url('...')).
+// A string never contains another quote character or spans lines, so apostrophes
+// in prose can't pair up with a real attribute quote.
+const QUOTED_STRING_PATTERN = /(["'`])([^"'`\n]*?)\1/g;
+// Unquoted CSS url(...) values
+const CSS_URL_PATTERN = /url\(\s*([^'"`)\s]+)\s*\)/g;
+// URL-like tokens inside a string (srcset lists several, separated by commas/widths)
+const TOKEN_PATTERN = /[^\s,]+/g;
+const EXTERNAL_URL = /^([a-z][a-z0-9+.-]*:|\/\/)/i;
+
+/**
+ * Lists every file under a directory.
+ * @param {string} rootDir - Site root directory.
+ * @param {string} [dir] - Directory to list, relative to rootDir.
+ * @returns {string[]} File paths relative to rootDir (/ separators), sorted.
+ */
+function listFiles(rootDir, dir = '') {
+    const files = [];
+
+    fs.readdirSync(path.join(rootDir, dir)).forEach(item => {
+        const relativePath = dir ? `${dir}/${item}` : item;
+        if (fs.statSync(path.join(rootDir, relativePath)).isDirectory()) {
+            files.push(...listFiles(rootDir, relativePath));
+        } else {
+            files.push(relativePath);
+        }
+    });
+
+    return files.sort();
+}
+
+/**
+ * Checks whether a file gets a content hash in its name.
+ * @param {string} file - File path relative to the site root.
+ * @returns {boolean} True if the file is fingerprinted.
+ */
+function isFingerprinted(file) {
+    const topDir = file.split('/')[0];
+    return FINGERPRINT_DIRS.includes(topDir) &&
+        FINGERPRINT_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+/**
+ * Gets the directory that a relative reference in a file resolves against.
+ * Pages and stylesheets resolve against their own directory. Partials are inlined
+ * into (or fetched by) pages at every depth and scripts build paths for the page,
+ * so both use the site root, like build/check-links.js. The exception is ES module
+ * specifiers in scripts ('./utils.js', '../config.js'), which resolve against the
+ * script itself.
+ * @param {string} file - File path relative to the site root.
+ * @param {string} reference - The referenced path.
+ * @returns {string} Base directory relative to the site root ('' for the root).
+ */
+function getBaseDir(file, reference) {
+    const ext = path.extname(file).toLowerCase();
+    const isModuleSpecifier = ext === '.js' && /^\.\.?\//.test(reference);
+    if (file.startsWith('components/') || (ext === '.js' && !isModuleSpecifier)) {
+        return '';
+    }
+    const dir = path.posix.dirname(file);
+    return dir === '.' ? '' : dir;
+}
+
+/**
+ * Resolves a reference to a file path relative to the site root.
+ * @param {string} urlPath - The referenced path, without query string or fragment.
+ * @param {string} baseDir - Directory relative paths resolve against.
+ * @returns {string|null} Site-relative file path, or null if the reference is external.
+ */
+function resolveReference(urlPath, baseDir) {
+    const siteUrl = AppConfig.siteUrl.replace(/\/$/, '');
+    let localPath = urlPath;
+
+    if (localPath.startsWith(`${siteUrl}/`)) {
+        localPath = localPath.slice(siteUrl.length);
+    } else if (EXTERNAL_URL.test(localPath)) {
+        return null;
+    }
+
+    try {
+        localPath = decodeURI(localPath);
+    } catch (error) {
+        return null;
+    }
+
+    const resolved = localPath.startsWith('/')
+        ? path.posix.normalize(localPath.slice(1))
+        : path.posix.join(baseDir, localPath);
+    return resolved.startsWith('..') ? null : resolved;
+}
+
+/**
+ * Rewrites every reference to a fingerprinted file in a text file.
+ * Only the file name changes, so the reference keeps its original form (relative,
+ * root-absolute or full site URL, URL-encoded or not, query string and fragment).
+ * @param {string} content - The file content.
+ * @param {string} file - File path relative to the site root.
+ * @param {function(string): string} getHashedPath - Returns the hashed path of a fingerprinted file.
+ * @returns {{content: string, references: number}} Rewritten content and number of references rewritten.
+ */
+function rewriteReferences(content, file, getHashedPath) {
+    let references = 0;
+
+    const rewriteToken = (token) => {
+        const suffixStart = token.search(/[?#]/);
+        const urlPath = suffixStart === -1 ? token : token.slice(0, suffixStart);
+        const suffix = suffixStart === -1 ? '' : token.slice(suffixStart);
+        const target = resolveReference(urlPath, getBaseDir(file, urlPath));
+        if (!target || !isFingerprinted(target)) {
+            return token;
+        }
+
+        const hashedPath = getHashedPath(target);
+        // Swap in the hash before the extension of the name as it was written
+        const ext = path.posix.extname(urlPath);
+        const hash = path.posix.basename(hashedPath, ext).split('.').pop();
+        references++;
+        return `${urlPath.slice(0, -ext.length)}.${hash}${ext}${suffix}`;
+    };
+
+    let rewritten = content.replace(QUOTED_STRING_PATTERN, (match, quote, value) => {
+        // The whole string first (file names may contain spaces), then each srcset-style token
+        const whole = rewriteToken(value);
+        return `${quote}${whole !== value ? whole : value.replace(TOKEN_PATTERN, rewriteToken)}${quote}`;
+    });
+
+    if (path.extname(file).toLowerCase() === '.css') {
+        rewritten = rewritten.replace(CSS_URL_PATTERN, (match, value) => `url(${rewriteToken(value)})`);
+    }
+
+    return { content: rewritten, references };
+}
+
+/**
+ * Fingerprints the site's files in memory.
+ * Text assets are rewritten before they are hashed, and the files they reference are
+ * fingerprinted first (depth first), so hashes change whenever a dependency does.
+ * @param {string[]} files - Files relative to rootDir.
+ * @param {string} rootDir - Site root directory.
+ * @returns {{outputs: Map<string, {path: string, content: (string|null)}>, assetManifest: Object.<string, string>, references: number}}
+ *   Output path and rewritten content per file (null content means the file is unchanged),
+ *   the original-to-hashed asset map and the number of references rewritten.
+ * @throws {Error} Throws if assets reference each other in a cycle, or a referenced file is missing.
+ */
+function fingerprintFiles(files, rootDir) {
+    const existing = new Set(files);
+    const outputs = new Map();
+    const assetManifest = {};
+    const inProgress = new Set();
+    let references = 0;
+
+    const readRewritten = (file) => {
+        if (!REWRITE_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+            return null;
+        }
+        const result = rewriteReferences(fs.readFileSync(path.join(rootDir, file), 'utf8'), file, fingerprint);
+        references += result.references;
+        return result.content;
+    };
+
+    // Returns the hashed path of a fingerprinted file
+    function fingerprint(file) {
+        if (outputs.has(file)) {
+            return outputs.get(file).path;
+        }
+        if (!existing.has(file)) {
+            throw new Error(`Referenced file not found: ${file}`);
+        }
+        if (inProgress.has(file)) {
+            throw new Error(`Circular asset reference involving ${file}`);
+        }
+
+        inProgress.add(file);
+        const content = readRewritten(file);
+        inProgress.delete(file);
+
+        const hash = crypto.createHash('sha256')
+            .update(content === null ? fs.readFileSync(path.join(rootDir, file)) : content)
+            .digest('hex')
+            .slice(0, HASH_LENGTH);
+        const { dir, name, ext } = path.posix.parse(file);
+        const hashedPath = path.posix.join(dir, `${name}.${hash}${ext}`);
+
+        outputs.set(file, { path: hashedPath, content });
+        assetManifest[file] = hashedPath;
+        return hashedPath;
+    }
+
+    files.filter(isFingerprinted).forEach(fingerprint);
+    files.filter(file => !isFingerprinted(file)).forEach(file => {
+        outputs.set(file, { path: file, content: readRewritten(file) });
+    });
+
+    const sortedManifest = {};
+    Object.keys(assetManifest).sort().forEach(file => {
+        sortedManifest[file] = assetManifest[file];
+    });
+
+    return { outputs, assetManifest: sortedManifest, references };
+}
+
+/**
+ * Renames the fingerprinted files, writes the rewritten text files and the asset manifest.
+ * @param {Map<string, {path: string, content: (string|null)}>} outputs - Output per file.
+ * @param {Object.<string, string>} assetManifest - Original-to-hashed asset map.
+ * @param {string} rootDir - Site root directory.
+ * @returns {void}
+ */
+function writeOutputs(outputs, assetManifest, rootDir) {
+    outputs.forEach(({ path: outputPath, content }, file) => {
+        const source = path.join(rootDir, file);
+        const target = path.join(rootDir, outputPath);
+        if (content !== null) {
+            fs.writeFileSync(target, content, 'utf8');
+            if (target !== source) {
+                fs.unlinkSync(source);
+            }
+        } else if (target !== source) {
+            fs.renameSync(source, target);
+        }
+    });
+
+    fs.writeFileSync(path.join(rootDir, ASSET_MANIFEST_FILE), JSON.stringify(assetManifest, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Deletes the fingerprinted files and asset manifest left in a site root by a previous run.
+ * @param {string} rootDir - Site root directory.
+ * @returns {number} Number of files deleted.
+ */
+function removeFingerprintedFiles(rootDir) {
+    const manifestPath = path.join(rootDir, ASSET_MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+        return 0;
+    }
+
+    const hashedFiles = Object.values(JSON.parse(fs.readFileSync(manifestPath, 'utf8')));
+    hashedFiles.forEach(file => fs.rmSync(path.join(rootDir, file), { force: true }));
+    fs.unlinkSync(manifestPath);
+    return hashedFiles.length + 1;
+}
+
+/**
+ * Fingerprints the assets of a built site in place.
+ * @param {boolean} dryRun - If true, print the asset manifest without changing any file.
+ * @param {string} [rootDir] - Site root to fingerprint (defaults to dist/).
+ * @returns {boolean} True on success, false on errors.
+ */
+function fingerprintAssets(dryRun = false, rootDir = DIST_DIR) {
+    const label = path.relative(PROJECT_ROOT, rootDir) || '.';
+    if (!fs.existsSync(rootDir)) {
+        console.error(`❌ ${label}/ not found. Run \`npm run build\` first.`);
+        return false;
+    }
+    if (fs.existsSync(path.join(rootDir, ASSET_MANIFEST_FILE))) {
+        console.error(`❌ ${label}/ is already fingerprinted (${ASSET_MANIFEST_FILE} exists). Run \`npm run build\` to rebuild it.`);
+        return false;
+    }
+
+    try {
+        const files = listFiles(rootDir);
+        const { outputs, assetManifest, references } = fingerprintFiles(files, rootDir);
+        const assetCount = Object.keys(assetManifest).length;
+
+        if (dryRun) {
+            console.log(`🔍 DRY RUN MODE - ${label}/ will not be modified\n`);
+            Object.entries(assetManifest).forEach(([file, hashedPath]) => console.log(`  ${file} → ${hashedPath}`));
+        } else {
+            writeOutputs(outputs, assetManifest, rootDir);
+            console.log(`✅ Fingerprinted ${label}/ and wrote ${label}/${ASSET_MANIFEST_FILE}`);
+        }
+
+        console.log(`\n📦 ${assetCount} asset(s) fingerprinted, ${references} reference(s) rewritten`);
+        return true;
+    } catch (error) {
+        console.error('❌ Error fingerprinting assets:', error.message);
+        return false;
+    }
+}
+
+// Run the fingerprinting if this script is executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+
+    const success = fingerprintAssets(dryRun);
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = { fingerprintAssets, removeFingerprintedFiles, rewriteReferences, ASSET_MANIFEST_FILE };
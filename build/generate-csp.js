@@ -0,0 +1,458 @@
+#!/usr/bin/env node
+/**
+ * Content-Security-Policy Generator
+ *
+ * Usage: node build/generate-csp.js [--dry-run]
+ * This script writes a strict Content-Security-Policy into every page's
+ * <meta http-equiv="Content-Security-Policy"> tag, without 'unsafe-inline':
+ * - inline <script> and <style> blocks are allowed by their SHA-256 hash, and style=""
+ *   attributes by their hash plus 'unsafe-hashes' (JSON-LD and other data blocks are
+ *   never executed, so they need no hash)
+ * - script-src, style-src, img-src and frame-src list 'self' plus the origins the page
+ *   actually references; font-src adds the origins external stylesheets load fonts from
+ * - connect-src adds the origins of AppConfig.quoteForm.endpoint and
+ *   AppConfig.analytics.endpoint, so the quote form and analytics can reach whichever
+ *   backends js/config.js points them at
+ * - url() and @import references in css/ count for every page
+ *
+ * The same policies are written to _headers (the format Netlify and Cloudflare Pages
+ * read) so hosts that support it send them as HTTP headers, with frame-ancestors
+ * added (browsers ignore it in a meta tag). components/head-common.html gets the
+ * site-wide policy without hashes, so a freshly injected head is never looser than
+ * the generated one.
+ *
+ * Inline event handlers (onclick="...") and javascript: URLs can't be allowed by a
+ * hash, so a page or partial that uses one fails the build.
+ *
+ * Hashes cover the exact bytes between the tags, so this runs after anything that
+ * changes inline content: build/build.js runs it after asset fingerprinting.
+ *
+ * Options:
+ *   --dry-run    Print each page's policy without writing files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadBrowserModule } = require('./load-browser-module');
+const AppConfig = loadBrowserModule('js/config.js');
+const { getHTMLFiles } = require('./inject-head-common');
+const { toURLPath } = require('./localize-pages');
+const { writeIfChanged } = require('./write-if-changed');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const COMPONENTS_DIR = 'components';
+const HEAD_COMMON_FILE = path.join(COMPONENTS_DIR, 'head-common.html');
+const CSS_DIR = 'css';
+const HEADERS_FILE = '_headers';
+
+// Directives in the order they are written, with the sources every page gets.
+// frame-src is only written when a page embeds a frame.
+const BASE_POLICY = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'"],
+    'style-src': ["'self'"],
+    'font-src': ["'self'"],
+    'img-src': ["'self'"],
+    'connect-src': ["'self'"],
+    'frame-src': [],
+    'form-action': ["'self'"],
+    'base-uri': ["'self'"],
+    'object-src': ["'none'"]
+};
+
+// Directives browsers ignore in a meta tag, sent only as HTTP headers
+const HEADER_ONLY_POLICY = {
+    'frame-ancestors': ["'none'"]
+};
+
+// Stylesheet origins that serve their fonts from another origin (fonts referenced by
+// any other external stylesheet are loaded from the stylesheet's own origin)
+const STYLESHEET_FONT_ORIGINS = {
+    'https://fonts.googleapis.com': ['https://fonts.gstatic.com']
+};
+
+const CSP_META_PATTERN = /(<meta http-equiv="Content-Security-Policy" content=")[^"]*(">)/;
+// <script> types browsers execute; anything else (application/ld+json) is a data block
+const EXECUTABLE_SCRIPT_TYPE = /^(module|(text|application)\/(java|ecma)script)?$/i;
+const FONT_URL = /\.(woff2?|ttf|otf|eot)([?#]|$)/i;
+
+/**
+ * Gets the origin of an external URL.
+ * @param {string} url - URL from an attribute or stylesheet.
+ * @returns {string|null} The origin (e.g. 'https://fonts.gstatic.com'), 'data:' for data
+ *   URIs, or null for same-origin and non-HTTP URLs.
+ */
+function getSource(url) {
+    const trimmed = url.trim();
+    if (/^data:/i.test(trimmed)) {
+        return 'data:';
+    }
+    if (!/^(https?:)?\/\//i.test(trimmed)) {
+        return null;
+    }
+    const origin = new URL(trimmed, AppConfig.siteUrl).origin;
+    return origin === AppConfig.siteUrl ? null : origin;
+}
+
+/**
+ * Reads the value of an attribute from a tag's attribute text.
+ * @param {string} attributes - Everything between the tag name and '>'.
+ * @param {string} name - Attribute name.
+ * @returns {string|null} The attribute value, or null if the attribute is missing.
+ */
+function getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+    if (!match) {
+        return null;
+    }
+    return match[1] !== undefined ? match[1] : match[2];
+}
+
+/**
+ * Hashes inline content the way browsers do when checking a CSP hash source.
+ * @param {string} content - Exact script, style or attribute text.
+ * @returns {string} The hash source (e.g. "'sha256-...'").
+ */
+function hashSource(content) {
+    return `'sha256-${crypto.createHash('sha256').update(content, 'utf8').digest('base64')}'`;
+}
+
+/**
+ * Gets the origins the quote form and analytics endpoints post to.
+ * Relative endpoints are same-origin and already covered by 'self'.
+ * @returns {string[]} External endpoint origins.
+ * @throws {Error} Throws if an endpoint is not a valid URL.
+ */
+function getEndpointOrigins() {
+    const origins = [];
+    const endpoints = {
+        'quoteForm.endpoint': AppConfig.quoteForm && AppConfig.quoteForm.endpoint,
+        'analytics.endpoint': AppConfig.analytics && AppConfig.analytics.enabled && AppConfig.analytics.endpoint
+    };
+
+    Object.entries(endpoints).forEach(([setting, endpoint]) => {
+        if (!endpoint || !/^https?:\/\//i.test(endpoint)) {
+            return;
+        }
+        let origin;
+        try {
+            origin = new URL(endpoint).origin;
+        } catch (error) {
+            throw new Error(`Invalid AppConfig.${setting} "${endpoint}": ${error.message}`);
+        }
+        if (origin !== AppConfig.siteUrl && !origins.includes(origin)) {
+            origins.push(origin);
+        }
+    });
+
+    return origins;
+}
+
+/**
+ * Collects the sources every page needs: external url() and @import references in
+ * css/, and the endpoint origins for connect-src.
+ * @param {string} [rootDir] - Site root directory.
+ * @returns {Object.<string, string[]>} Sources per directive.
+ */
+function collectSiteSources(rootDir = PROJECT_ROOT) {
+    const sources = { 'style-src': [], 'font-src': [], 'img-src': [], 'connect-src': getEndpointOrigins() };
+    const add = (directive, source) => {
+        if (source && !sources[directive].includes(source)) {
+            sources[directive].push(source);
+        }
+    };
+
+    const listCSS = dir => fs.readdirSync(path.join(rootDir, dir), { withFileTypes: true }).flatMap(entry => {
+        const relativePath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return listCSS(relativePath);
+        }
+        return entry.name.endsWith('.css') ? [relativePath] : [];
+    });
+    const cssFiles = fs.existsSync(path.join(rootDir, CSS_DIR)) ? listCSS(CSS_DIR) : [];
+
+    cssFiles.forEach(file => {
+        const css = fs.readFileSync(path.join(rootDir, file), 'utf8')
+            .replace(/\/\*[\s\S]*?\*\//g, '')
+            .replace(/@import\s+(?:url\(\s*)?["']?([^"')\s;]+)[^;]*;/g, (statement, url) => {
+                add('style-src', getSource(url));
+                return '';
+            });
+        const urlPattern = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^"')\s]+))\s*\)/g;
+        let match;
+        while ((match = urlPattern.exec(css)) !== null) {
+            const url = match[1] !== undefined ? match[1] : (match[2] !== undefined ? match[2] : match[3]);
+            add(FONT_URL.test(url) ? 'font-src' : 'img-src', getSource(url));
+        }
+    });
+
+    return sources;
+}
+
+/**
+ * Finds inline event handlers and javascript: URLs, which no hash can allow.
+ * Comments and the contents of <script> and <style> blocks are skipped.
+ * @param {string} htmlContent - The HTML to check.
+ * @returns {{line: number, problem: string}[]} The problems found, with 1-based line numbers.
+ */
+function findInlineHandlers(htmlContent) {
+    // Blank out skipped text but keep its newlines, so line numbers still match
+    const blank = text => text.replace(/[^\n]/g, ' ');
+    const content = htmlContent
+        .replace(/<!--[\s\S]*?-->/g, blank)
+        .replace(/(<(script|style)\b[^>]*>)([\s\S]*?)(<\/\2\s*>)/gi,
+            (match, open, name, body, close) => open + blank(body) + close);
+    const problems = [];
+    const tagPattern = /<([a-zA-Z][\w-]*)\b([^>]*)>/g;
+    let tagMatch;
+
+    while ((tagMatch = tagPattern.exec(content)) !== null) {
+        const line = content.slice(0, tagMatch.index).split('\n').length;
+        const handlerPattern = /(?:^|\s)(on[a-z]+)\s*=/gi;
+        let handlerMatch;
+        while ((handlerMatch = handlerPattern.exec(tagMatch[2])) !== null) {
+            problems.push({ line, problem: `inline event handler ${handlerMatch[1]} on <${tagMatch[1]}>` });
+        }
+        ['href', 'src', 'action', 'formaction'].forEach(name => {
+            const value = getAttribute(tagMatch[2], name);
+            if (value !== null && /^\s*javascript:/i.test(value)) {
+                problems.push({ line, problem: `javascript: URL in ${name} on <${tagMatch[1]}>` });
+            }
+        });
+    }
+
+    return problems;
+}
+
+/**
+ * Collects the sources a page needs: hashes of its inline scripts, styles and style
+ * attributes, and the origins of everything it loads.
+ * @param {string} htmlContent - The page HTML.
+ * @param {Object.<string, string[]>} siteSources - Sources from collectSiteSources().
+ * @returns {{policy: Object.<string, string[]>, hashCount: number}} Sources per directive,
+ *   and how many of them are hashes.
+ */
+function collectPageSources(htmlContent, siteSources) {
+    const policy = {};
+    Object.entries(BASE_POLICY).forEach(([directive, sources]) => {
+        policy[directive] = [...sources, ...(siteSources[directive] || [])];
+    });
+    let hashCount = 0;
+    const add = (directive, source) => {
+        if (source && !policy[directive].includes(source)) {
+            policy[directive].push(source);
+            if (source.startsWith("'sha256-")) {
+                hashCount++;
+            }
+        }
+    };
+
+    const withoutComments = htmlContent.replace(/<!--[\s\S]*?-->/g, '');
+    const scriptPattern = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+    const stylePattern = /<style\b[^>]*>([\s\S]*?)<\/style\s*>/gi;
+    let match;
+
+    while ((match = scriptPattern.exec(withoutComments)) !== null) {
+        const src = getAttribute(match[1], 'src');
+        if (src !== null) {
+            add('script-src', getSource(src));
+        } else if (EXECUTABLE_SCRIPT_TYPE.test((getAttribute(match[1], 'type') || '').trim())) {
+            add('script-src', hashSource(match[2]));
+        }
+    }
+    while ((match = stylePattern.exec(withoutComments)) !== null) {
+        add('style-src', hashSource(match[1]));
+    }
+
+    // Tags outside <script> and <style> blocks
+    const markup = withoutComments.replace(scriptPattern, '<script>').replace(stylePattern, '<style>');
+    const tagPattern = /<([a-zA-Z][\w-]*)\b([^>]*)>/g;
+    let styleAttributeCount = 0;
+    while ((match = tagPattern.exec(markup)) !== null) {
+        const name = match[1].toLowerCase();
+        const attribute = attributeName => getAttribute(match[2], attributeName);
+
+        const style = attribute('style');
+        if (style !== null) {
+            add('style-src', hashSource(style));
+            styleAttributeCount++;
+        }
+
+        if (name === 'link') {
+            const rel = (attribute('rel') || '').toLowerCase().split(/\s+/);
+            const href = attribute('href');
+            if (href === null) {
+                continue;
+            }
+            const origin = getSource(href);
+            if (rel.includes('stylesheet')) {
+                add('style-src', origin);
+                (STYLESHEET_FONT_ORIGINS[origin] || [origin]).forEach(source => add('font-src', source));
+            } else if (rel.includes('icon') || rel.includes('apple-touch-icon')) {
+                add('img-src', origin);
+            }
+        } else if (name === 'img' || name === 'source') {
+            [attribute('src'), ...(attribute('srcset') || '').split(',').map(candidate => candidate.trim().split(/\s+/)[0])]
+                .filter(Boolean)
+                .forEach(url => add('img-src', getSource(url)));
+        } else if (name === 'video' && attribute('poster')) {
+            add('img-src', getSource(attribute('poster')));
+        } else if (name === 'iframe' && attribute('src')) {
+            add('frame-src', getSource(attribute('src')) || "'self'");
+        } else if (name === 'form' && attribute('action')) {
+            const action = attribute('action');
+            add('form-action', /^mailto:/i.test(action) ? 'mailto:' : getSource(action));
+        }
+    }
+
+    if (styleAttributeCount > 0) {
+        add('style-src', "'unsafe-hashes'");
+    }
+
+    return { policy, hashCount };
+}
+
+/**
+ * Serializes a policy.
+ * @param {Object.<string, string[]>} policy - Sources per directive.
+ * @param {boolean} [forHeader] - Add the directives that only work as an HTTP header.
+ * @returns {string} The policy (e.g. "default-src 'self'; script-src 'self'").
+ */
+function formatPolicy(policy, forHeader = false) {
+    const directives = forHeader ? { ...policy, ...HEADER_ONLY_POLICY } : policy;
+    return Object.entries(directives)
+        .filter(([, sources]) => sources.length > 0)
+        .map(([directive, sources]) => `${directive} ${sources.join(' ')}`)
+        .join('; ');
+}
+
+/**
+ * Writes a page's Content-Security-Policy meta tag.
+ * @param {string} htmlContent - The page HTML.
+ * @param {Object.<string, string[]>} siteSources - Sources from collectSiteSources().
+ * @returns {{content: string|null, policy: Object.<string, string[]>, hashCount: number}} The
+ *   updated page HTML (null if the page has no CSP meta tag), its policy and how many hashes it has.
+ */
+function applyContentSecurityPolicy(htmlContent, siteSources) {
+    const { policy, hashCount } = collectPageSources(htmlContent, siteSources);
+    const content = CSP_META_PATTERN.test(htmlContent)
+        ? htmlContent.replace(CSP_META_PATTERN, (match, start, end) => `${start}${formatPolicy(policy)}${end}`)
+        : null;
+    return { content, policy, hashCount };
+}
+
+/**
+ * Builds the _headers file.
+ * @param {{page: string, policy: Object.<string, string[]>}[]} pages - Each page and its policy.
+ * @returns {string} The file content.
+ */
+function renderHeaders(pages) {
+    const blocks = pages.flatMap(({ page, policy }) => {
+        const urlPath = toURLPath(page);
+        // Index pages can be requested by their directory URL or by file name
+        const urlPaths = urlPath.endsWith('/') ? [urlPath, `${urlPath}index.html`] : [urlPath];
+        return urlPaths.map(url => `${url}\n  Content-Security-Policy: ${formatPolicy(policy, true)}\n`);
+    });
+    return [
+        '# Generated by build/generate-csp.js - do not edit.',
+        '# Content-Security-Policy headers for hosts that read _headers (Netlify, Cloudflare Pages).',
+        '',
+        blocks.join('\n')
+    ].join('\n');
+}
+
+/**
+ * Generates the Content-Security-Policy of every page and the _headers file.
+ * @param {boolean} [dryRun] - If true, print the policies without writing files.
+ * @param {string} [rootDir] - Site root to update (defaults to the project root).
+ * @returns {boolean} True if every page got a policy, false otherwise.
+ */
+function generateCSP(dryRun = false, rootDir = PROJECT_ROOT) {
+    try {
+        if (dryRun) {
+            console.log('🔍 DRY RUN MODE - No files will be modified\n');
+        }
+
+        const siteSources = collectSiteSources(rootDir);
+        const pages = getHTMLFiles(rootDir);
+        const partialsDir = path.join(rootDir, COMPONENTS_DIR);
+        const partials = fs.existsSync(partialsDir)
+            ? fs.readdirSync(partialsDir).filter(file => file.endsWith('.html')).map(file => path.join(COMPONENTS_DIR, file)).sort()
+            : [];
+        const errors = [];
+
+        // Partials are checked too, since js/lib/components.js can fetch them at runtime
+        [...pages, ...partials].forEach(file => {
+            findInlineHandlers(fs.readFileSync(path.join(rootDir, file), 'utf8'))
+                .forEach(({ line, problem }) => errors.push(`${file}:${line}: ${problem}`));
+        });
+
+        const results = pages.map(page => {
+            const htmlContent = fs.readFileSync(path.join(rootDir, page), 'utf8');
+            const result = applyContentSecurityPolicy(htmlContent, siteSources);
+            if (result.content === null) {
+                errors.push(`${page}: missing <meta http-equiv="Content-Security-Policy"> (run npm run build:inject)`);
+            }
+            return { page, ...result };
+        });
+
+        if (errors.length > 0) {
+            errors.forEach(error => console.error(`❌ ${error}`));
+            console.log('💡 Attach handlers with addEventListener in js/ instead; a strict CSP blocks inline ones');
+            return false;
+        }
+
+        results.forEach(({ page, content, policy, hashCount }) => {
+            if (dryRun) {
+                console.log(`📄 ${page}: ${formatPolicy(policy)}`);
+            }
+            if (hashCount > 0) {
+                console.log(`🔒 ${page}: ${hashCount} inline hash(es)`);
+            }
+            writeIfChanged(path.join(rootDir, page), content, dryRun);
+        });
+
+        // The site-wide policy: every page's origins, without any page's hashes
+        const sitePolicy = {};
+        results.forEach(({ policy }) => Object.entries(policy).forEach(([directive, sources]) => {
+            sitePolicy[directive] = sitePolicy[directive] || [];
+            sources
+                .filter(source => !source.startsWith("'sha256-") && source !== "'unsafe-hashes'")
+                .filter(source => !sitePolicy[directive].includes(source))
+                .forEach(source => sitePolicy[directive].push(source));
+        }));
+        const headCommonPath = path.join(rootDir, HEAD_COMMON_FILE);
+        if (fs.existsSync(headCommonPath)) {
+            const headCommon = fs.readFileSync(headCommonPath, 'utf8');
+            writeIfChanged(headCommonPath,
+                headCommon.replace(CSP_META_PATTERN, (match, start, end) => `${start}${formatPolicy(sitePolicy)}${end}`), dryRun);
+        }
+
+        writeIfChanged(path.join(rootDir, HEADERS_FILE), renderHeaders(results), dryRun);
+
+        console.log(`\n🛡️  ${results.length} page(s) have a Content-Security-Policy without 'unsafe-inline'`);
+        return true;
+    } catch (error) {
+        console.error('❌ Error generating Content-Security-Policy:', error.message);
+        return false;
+    }
+}
+
+// Run the generator if this script is executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+
+    const success = generateCSP(dryRun);
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = {
+    generateCSP,
+    applyContentSecurityPolicy,
+    collectSiteSources,
+    findInlineHandlers,
+    getEndpointOrigins,
+    formatPolicy
+};
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * Industry Registry Generator
+ *
+ * Usage: node build/generate-industries.js [--dry-run]
+ * This script uses the industry registry (AppConfig.industries in js/config.js) as the
+ * single source of truth and regenerates everything derived from it:
+ * - the menu list in components/nav.html
+ * - the industry drop-down in components/quote-form.html
+ * - the initial word of the rotating industry heading in index.html
+ * - the <link rel="prefetch"> tags for the industry pages in index.html
+ *
+ * Each industry page's BreadcrumbList is built from the registry by
+ * build/generate-structured-data.js.
+ *
+ * It fails if an industries/*.html page is not registered, or if a registered
+ * industry has no page on disk.
+ *
+ * Options:
+ *   --dry-run    Preview changes without writing files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadBrowserModule } = require('./load-browser-module');
+const AppConfig = loadBrowserModule('js/config.js');
+const { writeIfChanged } = require('./write-if-changed');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+// Files updated by the generator, relative to the site root
+const INDUSTRIES_DIR = 'industries';
+const NAV_FILE = path.join('components', 'nav.html');
+const QUOTE_FORM_FILE = path.join('components', 'quote-form.html');
+const INDEX_FILE = 'index.html';
+
+/**
+ * Converts a registry path (root-absolute) to a file path on disk.
+ * @param {string} industryPath - Registry path (e.g. '/industries/homes.html').
+ * @param {string} rootDir - Site root directory.
+ * @returns {string} Absolute file path.
+ */
+function getIndustryFilePath(industryPath, rootDir) {
+    return path.join(rootDir, industryPath.replace(/^\//, ''));
+}
+
+/**
+ * Checks that the registry and the industries/ directory agree.
+ * @param {string} [rootDir] - Site root directory (defaults to the project root).
+ * @returns {string[]} Validation errors (empty if the registry is consistent).
+ */
+function checkIndustryRegistry(rootDir = PROJECT_ROOT) {
+    const errors = [];
+    const industries = AppConfig.industries || [];
+    const registeredPaths = new Set(industries.map(industry => industry.path));
+    const seenSlugs = new Set();
+
+    industries.forEach(industry => {
+        ['slug', 'name', 'path', 'description', 'heroImage'].forEach(field => {
+            if (!industry[field]) {
+                errors.push(`Industry "${industry.slug || industry.name}" is missing "${field}"`);
+            }
+        });
+        if (seenSlugs.has(industry.slug)) {
+            errors.push(`Duplicate industry slug "${industry.slug}"`);
+        }
+        seenSlugs.add(industry.slug);
+
+        if (industry.path && !fs.existsSync(getIndustryFilePath(industry.path, rootDir))) {
+            errors.push(`Industry "${industry.slug}" page not found: ${industry.path}`);
+        }
+        if (industry.heroImage && !fs.existsSync(path.join(rootDir, industry.heroImage))) {
+            errors.push(`Industry "${industry.slug}" hero image not found: ${industry.heroImage}`);
+        }
+    });
+
+    const industriesDir = path.join(rootDir, INDUSTRIES_DIR);
+    if (fs.existsSync(industriesDir)) {
+        fs.readdirSync(industriesDir)
+            .filter(file => file.endsWith('.html'))
+            .forEach(file => {
+                if (!registeredPaths.has(`/industries/${file}`)) {
+                    errors.push(`industries/${file} is not registered in AppConfig.industries`);
+                }
+            });
+    }
+
+    return errors;
+}
+
+/**
+ * Regenerates the menu list in the nav component.
+ * @param {string} navContent - The nav.html content.
+ * @returns {string} Updated nav.html content.
+ * @throws {Error} Throws if the menu list is not found.
+ */
+function renderNavMenu(navContent) {
+    const menuPattern = /([ \t]*)(<ul class="menu-list">)[\s\S]*?(<\/ul>)/;
+    if (!menuPattern.test(navContent)) {
+        throw new Error('<ul class="menu-list"> not found in components/nav.html');
+    }
+
+    return navContent.replace(menuPattern, (match, indent, openingTag, closingTag) => {
+        const items = AppConfig.industries.map(industry =>
+            `${indent}    <li><a href="${industry.path}">${industry.name}</a></li>`
+        );
+        return [`${indent}${openingTag}`, ...items, `${indent}${closingTag}`].join('\n');
+    });
+}
+
+/**
+ * Regenerates the industry options in the quote form drop-down.
+ * Keeps the empty prompt option first and an "Other" option last.
+ * @param {string} formContent - The quote-form.html content.
+ * @returns {string} Updated quote-form.html content.
+ * @throws {Error} Throws if the industry select is not found.
+ */
+function renderQuoteFormIndustries(formContent) {
+    const selectPattern = /([ \t]*)(<select\b[^>]*\bid="quote-industry"[^>]*>)[\s\S]*?(<\/select>)/;
+    if (!selectPattern.test(formContent)) {
+        throw new Error('<select id="quote-industry"> not found in components/quote-form.html');
+    }
+
+    return formContent.replace(selectPattern, (match, indent, openingTag, closingTag) => {
+        const options = [
+            '<option value="">Select an industry</option>',
+            ...AppConfig.industries.map(industry => `<option value="${industry.slug}">${industry.name.replace(/&/g, '&amp;')}</option>`),
+            '<option value="other">Other</option>'
+        ].map(option => `${indent}    ${option}`);
+        return [`${indent}${openingTag}`, ...options, `${indent}${closingTag}`].join('\n');
+    });
+}
+
+/**
+ * Sets the initial word of the rotating industry heading to the first registered industry,
+ * so the page renders the same word the rotation starts from.
+ * @param {string} indexContent - The index.html content.
+ * @returns {string} Updated index.html content.
+ */
+function renderRotatingHeading(indexContent) {
+    return indexContent.replace(
+        /(<span class="rotating-industry-word-text">)[^<]*(<\/span>)/,
+        `$1${AppConfig.industries[0].name}$2`
+    );
+}
+
+/**
+ * Regenerates the prefetch links for the industry pages in the homepage head.
+ * The links are relative, so the translated homepages prefetch their own industry pages.
+ * @param {string} indexContent - The index.html content.
+ * @returns {string} Updated index.html content.
+ * @throws {Error} Throws if the prefetch links are not found.
+ */
+function renderIndustryPrefetchLinks(indexContent) {
+    const linksPattern = /^([ \t]*)<link rel="prefetch" href="industries\/[^"]*">(?:\n[ \t]*<link rel="prefetch" href="industries\/[^"]*">)*$/m;
+    if (!linksPattern.test(indexContent)) {
+        throw new Error('<link rel="prefetch"> industry links not found in index.html');
+    }
+
+    return indexContent.replace(linksPattern, (match, indent) =>
+        AppConfig.industries
+            .map(industry => `${indent}<link rel="prefetch" href="${industry.path.replace(/^\//, '')}">`)
+            .join('\n')
+    );
+}
+
+/**
+ * Validates the registry and regenerates everything derived from it.
+ * @param {boolean} dryRun - If true, preview changes without writing files.
+ * @param {string} [rootDir] - Site root to update (defaults to the project root).
+ * @returns {boolean} True on success, false on validation or processing errors.
+ */
+function generateIndustries(dryRun = false, rootDir = PROJECT_ROOT) {
+    const errors = checkIndustryRegistry(rootDir);
+    if (errors.length > 0) {
+        console.error('❌ Industry registry check failed:');
+        errors.forEach(error => console.error(`  - ${error}`));
+        return false;
+    }
+
+    if (dryRun) {
+        console.log('🔍 DRY RUN MODE - No files will be modified\n');
+    }
+
+    try {
+        const navPath = path.join(rootDir, NAV_FILE);
+        const navContent = fs.readFileSync(navPath, 'utf8');
+        writeIfChanged(navPath, renderNavMenu(navContent), dryRun);
+
+        const quoteFormPath = path.join(rootDir, QUOTE_FORM_FILE);
+        const formContent = fs.readFileSync(quoteFormPath, 'utf8');
+        writeIfChanged(quoteFormPath, renderQuoteFormIndustries(formContent), dryRun);
+
+        const indexPath = path.join(rootDir, INDEX_FILE);
+        const indexContent = fs.readFileSync(indexPath, 'utf8');
+        const updatedIndex = renderIndustryPrefetchLinks(renderRotatingHeading(indexContent));
+        writeIfChanged(indexPath, updatedIndex, dryRun);
+    } catch (error) {
+        console.error('❌ Error generating industry content:', error.message);
+        return false;
+    }
+
+    console.log(`\n✅ ${AppConfig.industries.length} industries registered`);
+    return true;
+}
+
+// Run the generator if this script is executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+
+    const success = generateIndustries(dryRun);
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = { generateIndustries, checkIndustryRegistry };
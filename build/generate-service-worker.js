@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+/**
+ * Service Worker Generator
+ *
+ * Usage: node build/generate-service-worker.js [--dry-run]
+ * This script builds sw.js from build/sw-template.js. It lists every file the site
+ * needs offline (pages, CSS, JS, components, the WebP images they use and fonts), records a
+ * content hash for each one, and writes that precache manifest plus a build version into sw.js.
+ *
+ * Any content change produces a different sw.js, so browsers pick up the new worker,
+ * re-download only the changed files and drop the old caches.
+ *
+ * Run it last, after every step that changes pages or assets. build/build.js runs it on
+ * dist/ after fingerprinting, so the precache lists the hashed file names.
+ *
+ * Options:
+ *   --dry-run    Print the precache manifest without writing sw.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getHTMLFiles } = require('./inject-head-common');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const TEMPLATE_PATH = path.join(__dirname, 'sw-template.js');
+
+/**
+ * Directories whose files are precached, with the files to include.
+ * With referencedOnly, a file is only precached if a page, stylesheet or partial
+ * mentions it. Responsive variants (name-480w.webp) are left out: the browser picks
+ * one per device, and the worker caches it when it is first fetched. So is the
+ * nomodule fallback bundle (js/bundle.js): browsers with service workers load the modules.
+ */
+const PRECACHE_SOURCES = [
+    { dir: 'css', pattern: /\.css$/ },
+    { dir: 'js', pattern: /^(?!bundle\.js$).*\.js$/ },
+    { dir: 'js/lib', pattern: /\.js$/ },
+    { dir: 'js/features', pattern: /\.js$/ },
+    { dir: 'js/locales', pattern: /\.js$/ },
+    { dir: 'components', pattern: /\.html$/ },
+    { dir: 'assets', pattern: /^(?!.*-\d+w\.webp$).*\.webp$/, referencedOnly: true },
+    { dir: 'assets/fonts', pattern: /\.woff2$/ }
+];
+
+// Individual files precached alongside the sources above
+const PRECACHE_FILES = ['manifest.json', 'assets/favicon.ico', 'assets/favicon.png', 'assets/CT_LOGO.png'];
+
+// Written by build/fingerprint-assets.js into dist/ (original path -> hashed path)
+const ASSET_MANIFEST_FILE = 'asset-manifest.json';
+
+/**
+ * Reads the asset manifest of a fingerprinted site root.
+ * @param {string} rootDir - Site root directory.
+ * @returns {Object.<string, string>} Original-to-hashed paths (empty if the files aren't fingerprinted).
+ */
+function readAssetManifest(rootDir) {
+    const manifestPath = path.join(rootDir, ASSET_MANIFEST_FILE);
+    return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
+}
+
+/**
+ * Hashes a file's content.
+ * @param {string} relativeFile - File path relative to rootDir.
+ * @param {string} rootDir - Site root directory.
+ * @returns {string} The first 10 hex characters of the SHA-256 hash.
+ */
+function hashFile(relativeFile, rootDir) {
+    const content = fs.readFileSync(path.join(rootDir, relativeFile));
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+}
+
+/**
+ * Converts a file path to the root-absolute URL(s) it is served from.
+ * index.html pages are also served from their directory URL.
+ * @param {string} relativeFile - File path relative to the project root.
+ * @returns {string[]} URLs for the file.
+ */
+function getURLs(relativeFile) {
+    const urlPath = encodeURI('/' + relativeFile.split(path.sep).join('/'));
+    if (urlPath.endsWith('/index.html')) {
+        return [urlPath.slice(0, -'index.html'.length), urlPath];
+    }
+    return [urlPath];
+}
+
+/**
+ * Reads the pages, stylesheets and partials that can reference an asset.
+ * @param {string} rootDir - Site root directory.
+ * @returns {string} Their contents, joined.
+ */
+function readReferencingFiles(rootDir) {
+    const listFiles = (dir, pattern) => {
+        const dirPath = path.join(rootDir, dir);
+        return fs.existsSync(dirPath) ? fs.readdirSync(dirPath).filter(file => pattern.test(file)).map(file => path.join(dir, file)) : [];
+    };
+    return [...getHTMLFiles(rootDir), ...listFiles('css', /\.css$/), ...listFiles('components', /\.html$/)]
+        .map(file => fs.readFileSync(path.join(rootDir, file), 'utf8'))
+        .join('\n');
+}
+
+/**
+ * Lists every file to precache.
+ * @param {string} rootDir - Site root directory.
+ * @returns {string[]} File paths relative to rootDir, sorted.
+ * @throws {Error} Throws if a file in PRECACHE_FILES does not exist.
+ */
+function getPrecacheFiles(rootDir) {
+    const files = new Set(getHTMLFiles(rootDir));
+    // Fingerprinted files are matched by their original name
+    const assetManifest = readAssetManifest(rootDir);
+    const originalNames = new Map(Object.entries(assetManifest).map(([original, hashed]) => [hashed, original]));
+    const referencingContent = readReferencingFiles(rootDir);
+    const isReferenced = file => [file, encodeURI(file)].some(reference => referencingContent.includes(reference));
+
+    PRECACHE_SOURCES.forEach(({ dir, pattern, referencedOnly }) => {
+        const dirPath = path.join(rootDir, dir);
+        if (!fs.existsSync(dirPath)) {
+            return;
+        }
+        fs.readdirSync(dirPath)
+            .filter(file => pattern.test(path.posix.basename(originalNames.get(`${dir}/${file}`) || file)))
+            .filter(file => !referencedOnly || isReferenced(`${dir}/${file}`))
+            .forEach(file => files.add(path.join(dir, file)));
+    });
+
+    PRECACHE_FILES.forEach(file => {
+        const hashedFile = assetManifest[file] || file;
+        if (!fs.existsSync(path.join(rootDir, hashedFile))) {
+            throw new Error(`Precache file not found: ${hashedFile}`);
+        }
+        files.add(hashedFile);
+    });
+
+    return [...files].sort();
+}
+
+/**
+ * Builds the precache manifest.
+ * @param {string} [rootDir] - Site root directory (defaults to the project root).
+ * @returns {{url: string, revision: string}[]} Manifest entries.
+ */
+function buildPrecacheManifest(rootDir = PROJECT_ROOT) {
+    return getPrecacheFiles(rootDir).flatMap(file => {
+        const revision = hashFile(file, rootDir);
+        return getURLs(file).map(url => ({ url, revision }));
+    });
+}
+
+/**
+ * Renders sw.js from the template.
+ * @param {{url: string, revision: string}[]} manifest - Precache manifest.
+ * @param {string} template - The sw-template.js content.
+ * @returns {string} The service worker source.
+ */
+function renderServiceWorker(manifest, template) {
+    // The version covers the template too, so changing the worker's logic also ships an update
+    const version = crypto.createHash('sha256')
+        .update(template)
+        .update(JSON.stringify(manifest))
+        .digest('hex')
+        .slice(0, 10);
+
+    const manifestJSON = JSON.stringify(manifest, null, 4);
+    const header = '// Generated by build/generate-service-worker.js from build/sw-template.js - do not edit\n';
+
+    return header + template
+        .replace("'__CACHE_VERSION__'", `'${version}'`)
+        .replace('[] /* __PRECACHE_MANIFEST__ */', manifestJSON);
+}
+
+/**
+ * Generates sw.js.
+ * @param {boolean} dryRun - If true, print the manifest instead of writing sw.js.
+ * @param {string} [rootDir] - Site root to precache and write sw.js into (defaults to the
+ *   project root; build/build.js passes dist/).
+ * @returns {boolean} True on success, false on errors.
+ */
+function generateServiceWorker(dryRun = false, rootDir = PROJECT_ROOT) {
+    try {
+        const outputPath = path.join(rootDir, 'sw.js');
+        const template = fs.readFileSync(TEMPLATE_PATH, 'utf8');
+        const manifest = buildPrecacheManifest(rootDir);
+        const serviceWorker = renderServiceWorker(manifest, template);
+        const totalBytes = getPrecacheFiles(rootDir)
+            .reduce((total, file) => total + fs.statSync(path.join(rootDir, file)).size, 0);
+
+        if (dryRun) {
+            console.log('🔍 DRY RUN MODE - sw.js will not be modified\n');
+            manifest.forEach(entry => console.log(`  ${entry.revision}  ${entry.url}`));
+        } else {
+            const current = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : null;
+            const label = path.relative(PROJECT_ROOT, outputPath);
+            if (current === serviceWorker) {
+                console.log(`✓  ${label} is up to date`);
+            } else {
+                fs.writeFileSync(outputPath, serviceWorker, 'utf8');
+                console.log(`✅ Updated ${label}`);
+            }
+        }
+
+        console.log(`\n📦 ${manifest.length} URL(s) precached (${(totalBytes / 1024 / 1024).toFixed(1)} MB)`);
+        return true;
+    } catch (error) {
+        console.error('❌ Error generating service worker:', error.message);
+        return false;
+    }
+}
+
+// Run the generator if this script is executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+
+    const success = generateServiceWorker(dryRun);
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = { generateServiceWorker, buildPrecacheManifest };
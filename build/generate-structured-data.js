@@ -0,0 +1,567 @@
+#!/usr/bin/env node
+/**
+ * Structured Data Generator
+ *
+ * Usage: node build/generate-structured-data.js [--dry-run]
+ * This script writes each page's JSON-LD block (the <script type="application/ld+json">
+ * after <!-- Page-Specific Structured Data -->) from the site's data:
+ * - Organization and WebSite on the home page, from data/organization.json
+ * - Service, from the "service" entry of the page's data/pages/ metadata
+ * - BreadcrumbList on industry pages, from the industry registry (AppConfig.industries)
+ * - FAQPage, from the page's accordion questions and answers
+ * - CreativeWork case studies, from data/projects/ for the project cards the page shows
+ *
+ * On translated pages (es/...) breadcrumb names and case studies are translated from
+ * the locale's components.json, and the breadcrumbs link to the translated pages.
+ *
+ * Every JSON-LD block on every page (generated or not) is then validated: it must be
+ * valid JSON, use a known schema.org type with its required properties, and its URLs
+ * must be on the site and agree with the page's canonical link. Any error fails the build.
+ *
+ * Options:
+ *   --dry-run    Validate and preview changes without writing files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadBrowserModule } = require('./load-browser-module');
+const AppConfig = loadBrowserModule('js/config.js');
+const { getHTMLFiles, loadPageMetadata } = require('./inject-head-common');
+const { loadProjects, getPartialPath, getCardId } = require('./render-projects');
+const { getCanonicalURL } = require('./update-sitemap');
+const {
+    getPageLocale, getSourcePage, getLocalizedPage, getDefaultLocale, toURLPath,
+    translateText, loadCatalogue, LOCALES_DIR, COMPONENTS_CATALOGUE
+} = require('./localize-pages');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const ORGANIZATION_FILE = path.join('data', 'organization.json');
+const SCHEMA_CONTEXT = 'https://schema.org';
+
+// The generated block: marker comment, then the JSON-LD script
+const GENERATED_BLOCK_PATTERN = /(<!-- Page-Specific Structured Data -->\s*<script type="application\/ld\+json">\s*)([\s\S]*?)(\s*<\/script>)/;
+const JSON_LD_PATTERN = /<script type="application\/ld\+json">([\s\S]*?)<\/script>/g;
+
+/**
+ * Properties every entity of a type must have. Types not listed here fail validation.
+ * @type {Object.<string, string[]>}
+ */
+const REQUIRED_PROPERTIES = {
+    Organization: ['name', 'url', 'logo'],
+    WebSite: ['name', 'url'],
+    Service: ['name', 'description', 'provider', 'url'],
+    BreadcrumbList: ['itemListElement'],
+    FAQPage: ['mainEntity', 'url'],
+    CreativeWork: ['name', 'description', 'url', 'creator']
+};
+
+// Properties holding URLs, which must point at the site itself
+const URL_PROPERTIES = ['url', 'item', 'logo', 'image'];
+
+/**
+ * Converts a path relative to the site root to an absolute site URL.
+ * @param {string} relativePath - Path such as 'assets/CT_LOGO.png'.
+ * @returns {string} The absolute URL.
+ */
+function toSiteURL(relativePath) {
+    return `${AppConfig.siteUrl}/${encodeURI(relativePath.replace(/^\//, ''))}`;
+}
+
+/**
+ * Loads the organization data shared by every page.
+ * @returns {Object} The data/organization.json content.
+ * @throws {Error} Throws if the file is missing or not valid JSON.
+ */
+function loadOrganization() {
+    const filePath = path.join(PROJECT_ROOT, ORGANIZATION_FILE);
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${ORGANIZATION_FILE}: ${error.message}`);
+    }
+}
+
+/**
+ * Builds the short Organization reference used as a provider or creator.
+ * @param {Object} organization - Organization data.
+ * @returns {Object} schema.org Organization.
+ */
+function getOrganizationReference(organization) {
+    return {
+        '@type': 'Organization',
+        name: organization.name,
+        url: `${AppConfig.siteUrl}/`,
+        logo: toSiteURL(organization.logo)
+    };
+}
+
+/**
+ * Builds the home page's Organization and WebSite entities.
+ * @param {Object} organization - Organization data.
+ * @returns {Object[]} schema.org entities.
+ */
+function buildSiteEntities(organization) {
+    return [
+        {
+            '@context': SCHEMA_CONTEXT,
+            ...getOrganizationReference(organization),
+            description: organization.description,
+            address: { '@type': 'PostalAddress', ...organization.address },
+            contactPoint: {
+                '@type': 'ContactPoint',
+                email: organization.email,
+                contactType: organization.contactType
+            },
+            serviceType: organization.serviceType,
+            areaServed: organization.areaServed,
+            foundingDate: organization.foundingDate
+        },
+        {
+            '@context': SCHEMA_CONTEXT,
+            '@type': 'WebSite',
+            name: organization.name,
+            url: `${AppConfig.siteUrl}/`
+        }
+    ];
+}
+
+/**
+ * Builds a page's Service entity.
+ * @param {Object} service - The "service" entry of the page metadata.
+ * @param {Object} organization - Organization data.
+ * @param {string} pageURL - The page's canonical URL.
+ * @returns {Object} schema.org Service.
+ */
+function buildService(service, organization, pageURL) {
+    return {
+        '@context': SCHEMA_CONTEXT,
+        '@type': 'Service',
+        name: service.name,
+        url: pageURL,
+        provider: getOrganizationReference(organization),
+        description: service.description,
+        serviceType: service.serviceType,
+        areaServed: organization.areaServed,
+        audience: { '@type': 'Audience', audienceType: service.audience }
+    };
+}
+
+/**
+ * Creates a function that translates shared text (breadcrumb names, project details)
+ * into a page's language.
+ * @param {string} htmlFile - Page path relative to the site root.
+ * @returns {function(string): string} Returns the translation, or the text itself if
+ *   the page is in the default locale or the text has no translation.
+ */
+function createTranslator(htmlFile) {
+    const locale = getPageLocale(htmlFile);
+    if (locale === getDefaultLocale()) {
+        return text => text;
+    }
+    const catalogue = loadCatalogue(path.join(LOCALES_DIR, locale.code, COMPONENTS_CATALOGUE));
+    return text => translateText(text, [catalogue]) || text;
+}
+
+/**
+ * Builds the BreadcrumbList for an industry page.
+ * @param {Object} industry - Registry entry.
+ * @param {string} htmlFile - Page path relative to the site root (for its locale).
+ * @param {function(string): string} translate - Translates text into the page's language.
+ * @returns {Object} schema.org BreadcrumbList.
+ */
+function buildBreadcrumbs(industry, htmlFile, translate) {
+    const locale = getPageLocale(htmlFile);
+    const homeURL = `${AppConfig.siteUrl}${toURLPath(getLocalizedPage('index.html', locale))}`;
+    const industryURL = `${AppConfig.siteUrl}${toURLPath(getLocalizedPage(industry.path.slice(1), locale))}`;
+    return {
+        '@context': SCHEMA_CONTEXT,
+        '@type': 'BreadcrumbList',
+        itemListElement: [
+            { '@type': 'ListItem', position: 1, name: translate('Home'), item: homeURL },
+            { '@type': 'ListItem', position: 2, name: translate(industry.name), item: industryURL }
+        ]
+    };
+}
+
+/**
+ * Converts an HTML fragment to plain text.
+ * @param {string} html - The HTML fragment.
+ * @returns {string} The text with tags removed, entities decoded and whitespace collapsed.
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Reads the questions and answers from a page's FAQ accordions.
+ * @param {string} htmlContent - The page HTML.
+ * @returns {{id: string, question: string, answer: string}[]} One entry per .accordion-item.
+ * @throws {Error} Throws if an accordion item has no id, question or answer.
+ */
+function extractFAQs(htmlContent) {
+    return htmlContent.split(/(?=<div class="accordion-item"[\s>])/).slice(1).map((item, index) => {
+        const id = (item.match(/^<div class="accordion-item"[^>]*\bid="([^"]+)"/) || [])[1];
+        const question = item.match(/<span class="accordion-question">([\s\S]*?)<\/span>/);
+        const answer = item.match(/<div class="accordion-answer">([\s\S]*?)<\/div>/);
+        if (!id) {
+            throw new Error(`FAQ accordion ${index + 1} has no id to link to (e.g. id="faq-battery-lifespan")`);
+        }
+        if (!question || !answer) {
+            throw new Error(`FAQ accordion ${id} has no .accordion-question or .accordion-answer`);
+        }
+        return { id, question: htmlToText(question[1]), answer: htmlToText(answer[1]) };
+    });
+}
+
+/**
+ * Builds a page's FAQPage entity. Each Question's url is the deep link that opens its answer.
+ * @param {{id: string, question: string, answer: string}[]} faqs - Questions and answers.
+ * @param {string} pageURL - The page's canonical URL.
+ * @returns {Object} schema.org FAQPage.
+ */
+function buildFAQPage(faqs, pageURL) {
+    return {
+        '@context': SCHEMA_CONTEXT,
+        '@type': 'FAQPage',
+        url: pageURL,
+        mainEntity: faqs.map(({ id, question, answer }) => ({
+            '@type': 'Question',
+            url: `${pageURL}#${id}`,
+            name: question,
+            acceptedAnswer: { '@type': 'Answer', text: answer }
+        }))
+    };
+}
+
+/**
+ * Lists the projects whose cards a page shows, in AppConfig.projectCards order.
+ * A cards container with a data-industry attribute only shows that industry's projects.
+ * @param {string} htmlContent - The page HTML.
+ * @param {{slug: string, data: Object}[]} projects - Projects from data/projects/.
+ * @returns {{slug: string, data: Object}[]} The page's projects.
+ */
+function getPageProjects(htmlContent, projects) {
+    const listClass = AppConfig.selectors.projectCardsList.replace(/^\./, '');
+    const container = htmlContent.match(new RegExp(`<div\\b[^>]*\\bclass="[^"]*\\b${listClass}\\b[^"]*"[^>]*>`));
+    if (!container) {
+        return [];
+    }
+
+    const industry = (container[0].match(/\bdata-industry="([^"]*)"/) || [])[1];
+    return AppConfig.projectCards
+        .map(partial => projects.find(({ slug }) => getPartialPath(slug) === partial))
+        .filter(project => project && (!industry || project.data.industries.includes(industry)));
+}
+
+/**
+ * Builds a project's CreativeWork case study entity.
+ * @param {{slug: string, data: Object}} project - Project from data/projects/.
+ * @param {Object} organization - Organization data.
+ * @param {string} pageURL - The page's canonical URL.
+ * @param {function(string): string} translate - Translates text into the page's language.
+ * @returns {Object} schema.org CreativeWork.
+ */
+function buildCaseStudy({ slug, data }, organization, pageURL, translate) {
+    const caseStudy = {
+        '@context': SCHEMA_CONTEXT,
+        '@type': 'CreativeWork',
+        name: translate(data.title),
+        url: `${pageURL}#${getCardId(slug)}`,
+        description: translate(data.description),
+        creator: getOrganizationReference(organization),
+        locationCreated: { '@type': 'Place', name: translate(data.location) }
+    };
+    if (data.images.length > 0) {
+        caseStudy.image = data.images.map(image => toSiteURL(image.src));
+    }
+    return caseStudy;
+}
+
+/**
+ * Builds every structured data entity for a page.
+ * @param {string} htmlFile - Page path relative to the site root.
+ * @param {string} htmlContent - The page HTML.
+ * @param {Object} organization - Organization data.
+ * @param {{slug: string, data: Object}[]} projects - Projects from data/projects/.
+ * @returns {Object[]} schema.org entities.
+ */
+function buildPageEntities(htmlFile, htmlContent, organization, projects) {
+    const urlPath = htmlFile.split(path.sep).join('/');
+    const sourcePage = getSourcePage(htmlFile);
+    const pageURL = getCanonicalURL(htmlContent);
+    const { metadata } = loadPageMetadata(htmlFile);
+    const translate = createTranslator(htmlFile);
+    const entities = [];
+
+    if (urlPath === 'index.html') {
+        entities.push(...buildSiteEntities(organization));
+    }
+    if (metadata.service) {
+        entities.push(buildService(metadata.service, organization, pageURL));
+    }
+
+    const industry = (AppConfig.industries || []).find(entry => entry.path === `/${sourcePage}`);
+    if (industry) {
+        entities.push(buildBreadcrumbs(industry, htmlFile, translate));
+    }
+
+    const faqs = extractFAQs(htmlContent);
+    if (faqs.length > 0) {
+        entities.push(buildFAQPage(faqs, pageURL));
+    }
+
+    getPageProjects(htmlContent, projects)
+        .forEach(project => entities.push(buildCaseStudy(project, organization, pageURL, translate)));
+
+    return entities;
+}
+
+/**
+ * Checks that every URL property in an entity (at any depth) points at the site.
+ * @param {*} value - Entity or nested value.
+ * @param {string} location - Description of where the value is, for error messages.
+ * @param {string[]} errors - Errors are appended here.
+ * @returns {void}
+ */
+function checkSiteURLs(value, location, errors) {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => checkSiteURLs(item, `${location}[${index}]`, errors));
+        return;
+    }
+    if (!value || typeof value !== 'object') {
+        return;
+    }
+
+    Object.entries(value).forEach(([key, child]) => {
+        if (URL_PROPERTIES.includes(key)) {
+            [].concat(child)
+                .filter(url => typeof url !== 'string' || !url.startsWith(`${AppConfig.siteUrl}/`))
+                .forEach(url => errors.push(`${location}.${key} "${url}" is not a ${AppConfig.siteUrl}/ URL`));
+        } else {
+            checkSiteURLs(child, `${location}.${key}`, errors);
+        }
+    });
+}
+
+/**
+ * Checks that a URL links to an element on the page, e.g. a FAQ answer or project card.
+ * @param {*} url - The URL to check.
+ * @param {string} canonical - The page's canonical URL.
+ * @param {Set<string>} pageIds - Element IDs on the page.
+ * @returns {string|null} What is wrong with the URL, or null if it is valid.
+ */
+function checkFragmentURL(url, canonical, pageIds) {
+    if (!String(url).startsWith(`${canonical}#`)) {
+        return `url ${url} is not a fragment of the canonical link ${canonical}`;
+    }
+    const id = url.slice(canonical.length + 1);
+    return pageIds.has(id) ? null : `url ${url} links to #${id}, which is not an element ID on the page`;
+}
+
+/**
+ * Validates one structured data entity.
+ * @param {Object} entity - The entity.
+ * @param {string} location - Description of the entity, for error messages.
+ * @param {string|null} canonical - The page's canonical URL.
+ * @param {Set<string>} pageIds - Element IDs on the page, for checking fragment URLs.
+ * @returns {string[]} Validation errors (empty if valid).
+ */
+function validateEntity(entity, location, canonical, pageIds) {
+    const errors = [];
+    const type = entity['@type'];
+
+    if (entity['@context'] !== SCHEMA_CONTEXT) {
+        errors.push(`${location}: "@context" must be "${SCHEMA_CONTEXT}"`);
+    }
+    if (!REQUIRED_PROPERTIES[type]) {
+        errors.push(`${location}: unsupported "@type" ${JSON.stringify(type)} (expected one of ${Object.keys(REQUIRED_PROPERTIES).join(', ')})`);
+        return errors;
+    }
+
+    REQUIRED_PROPERTIES[type]
+        .filter(property => entity[property] === undefined || entity[property] === '' || entity[property] === null)
+        .forEach(property => errors.push(`${location} (${type}): missing "${property}"`));
+    checkSiteURLs(entity, `${location} (${type})`, errors);
+
+    // URLs that must agree with the page's canonical link
+    if ((type === 'Organization' || type === 'WebSite') && entity.url !== `${AppConfig.siteUrl}/`) {
+        errors.push(`${location} (${type}): url must be ${AppConfig.siteUrl}/`);
+    }
+    if ((type === 'Service' || type === 'FAQPage') && entity.url !== canonical) {
+        errors.push(`${location} (${type}): url ${entity.url} does not match the canonical link ${canonical}`);
+    }
+    if (type === 'CreativeWork') {
+        const fragmentError = checkFragmentURL(entity.url, canonical, pageIds);
+        if (fragmentError) {
+            errors.push(`${location} (${type}): ${fragmentError}`);
+        }
+    }
+
+    if (type === 'BreadcrumbList' && Array.isArray(entity.itemListElement)) {
+        entity.itemListElement.forEach((item, index) => {
+            if (item['@type'] !== 'ListItem' || item.position !== index + 1 || !item.name || !item.item) {
+                errors.push(`${location} (BreadcrumbList): item ${index + 1} needs "@type": "ListItem", position ${index + 1}, name and item`);
+            }
+        });
+        const last = entity.itemListElement[entity.itemListElement.length - 1];
+        if (!last || last.item !== canonical) {
+            errors.push(`${location} (BreadcrumbList): last item must be the canonical link ${canonical}`);
+        }
+    }
+
+    if (type === 'FAQPage') {
+        if (!Array.isArray(entity.mainEntity) || entity.mainEntity.length === 0) {
+            errors.push(`${location} (FAQPage): "mainEntity" must list at least one Question`);
+        } else {
+            entity.mainEntity.forEach((question, index) => {
+                if (question['@type'] !== 'Question' || !question.name
+                    || !question.acceptedAnswer || question.acceptedAnswer['@type'] !== 'Answer' || !question.acceptedAnswer.text) {
+                    errors.push(`${location} (FAQPage): question ${index + 1} needs a name and an Answer with text`);
+                }
+                const fragmentError = checkFragmentURL(question.url, canonical, pageIds);
+                if (fragmentError) {
+                    errors.push(`${location} (FAQPage): question ${index + 1} ${fragmentError}`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validates every JSON-LD block on a page.
+ * @param {string} htmlContent - The page HTML.
+ * @param {string} htmlFile - Page path relative to the site root.
+ * @returns {string[]} Validation errors (empty if valid).
+ */
+function validateStructuredData(htmlContent, htmlFile) {
+    const errors = [];
+    const canonical = getCanonicalURL(htmlContent);
+    const pageIds = new Set([...htmlContent.matchAll(/\sid="([^"]+)"/g)].map(match => match[1]));
+
+    [...htmlContent.matchAll(JSON_LD_PATTERN)].forEach((match, blockIndex) => {
+        const blockLocation = `${htmlFile} JSON-LD block ${blockIndex + 1}`;
+        let data;
+        try {
+            data = JSON.parse(match[1]);
+        } catch (error) {
+            errors.push(`${blockLocation}: invalid JSON (${error.message})`);
+            return;
+        }
+        if (!canonical) {
+            errors.push(`${blockLocation}: the page has no <link rel="canonical"> to check URLs against`);
+            return;
+        }
+
+        (Array.isArray(data) ? data : [data]).forEach((entity, index) => {
+            errors.push(...validateEntity(entity, `${blockLocation} entity ${index + 1}`, canonical, pageIds));
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Renders entities as the content of the JSON-LD script tag.
+ * @param {Object[]} entities - schema.org entities.
+ * @returns {string} JSON indented one level inside the <script> tag.
+ */
+function renderJSONLD(entities) {
+    return JSON.stringify(entities, null, 4)
+        .split('\n')
+        .map((line, index) => (index === 0 ? line : '    ' + line))
+        .join('\n');
+}
+
+/**
+ * Generates and validates the structured data of every page.
+ * @param {boolean} dryRun - If true, validate and preview without writing files.
+ * @param {string} [rootDir] - Site root to update (defaults to the project root).
+ * @returns {boolean} True if every page's structured data is valid, false otherwise.
+ */
+function generateStructuredData(dryRun = false, rootDir = PROJECT_ROOT) {
+    let organization;
+    let projects;
+    try {
+        organization = loadOrganization();
+        projects = loadProjects();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return false;
+    }
+
+    if (dryRun) {
+        console.log('🔍 DRY RUN MODE - No files will be modified\n');
+    }
+
+    const errors = [];
+    let entityCount = 0;
+
+    getHTMLFiles(rootDir).forEach(htmlFile => {
+        const htmlFilePath = path.join(rootDir, htmlFile);
+
+        try {
+            const htmlContent = fs.readFileSync(htmlFilePath, 'utf8');
+            let updatedContent = htmlContent;
+
+            // Pages without the marker (offline.html) have no generated block
+            if (GENERATED_BLOCK_PATTERN.test(htmlContent)) {
+                const entities = buildPageEntities(htmlFile, htmlContent, organization, projects);
+                if (entities.length === 0) {
+                    errors.push(`${htmlFile}: has a structured data block but nothing to put in it`);
+                    return;
+                }
+                entityCount += entities.length;
+                updatedContent = htmlContent.replace(GENERATED_BLOCK_PATTERN,
+                    (match, opening, body, closing) => `${opening}${renderJSONLD(entities)}${closing}`);
+            }
+
+            const pageErrors = validateStructuredData(updatedContent, htmlFile);
+            if (pageErrors.length > 0) {
+                errors.push(...pageErrors);
+                return;
+            }
+
+            if (updatedContent === htmlContent) {
+                console.log(`✓  ${htmlFile} is up to date`);
+            } else if (dryRun) {
+                console.log(`🔍 Would update ${htmlFile}`);
+            } else {
+                fs.writeFileSync(htmlFilePath, updatedContent, 'utf8');
+                console.log(`✅ Updated ${htmlFile}`);
+            }
+        } catch (error) {
+            errors.push(`${htmlFile}: ${error.message}`);
+        }
+    });
+
+    if (errors.length > 0) {
+        console.error('\n❌ Structured data validation failed:');
+        errors.forEach(error => console.error(`  - ${error}`));
+        return false;
+    }
+
+    console.log(`\n✅ ${entityCount} structured data entities generated and validated`);
+    return true;
+}
+
+// Run the generator if this script is executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+
+    const success = generateStructuredData(dryRun);
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = { generateStructuredData, validateStructuredData };
@@ -6,19 +6,52 @@
  * This script injects content from components/head-common.html into HTML files,
  * replacing duplicated common head content with a single source of truth.
  *
+ * Each page's title, description, canonical URL and Open Graph / Twitter tags are
+ * generated from its metadata file in data/pages/ (data/pages/industries/homes.json
+ * for industries/homes.html). The canonical URL and og:url come from the page's
+ * path. Titles and descriptions are length-checked: past the recommended length a
+ * warning is printed, past the maximum the page fails. Pages with "index": false get
+ * a noindex robots tag instead of the one in head-common.html.
+ *
+ * Pages with translations (see build/localize-pages.js) also get <html lang>,
+ * hreflang alternate links (plus x-default) and og:locale tags. Translated pages link
+ * their locale's manifest; js/lib/locale.js loads their js/locales/<code>.js strings
+ * from <html lang>.
+ *
+ * The Content-Security-Policy meta tag is copied as it is in head-common.html; run
+ * build/generate-csp.js afterwards to write each page's own policy.
+ *
  * Options:
  *   --dry-run    Preview changes without writing files
  */
 
 const fs = require('fs');
 const path = require('path');
+const { loadBrowserModule } = require('./load-browser-module');
+const AppConfig = loadBrowserModule('js/config.js');
+const { escapeHTML } = require('./render-projects');
+const { getPageLocale, getPageAlternates, getDefaultLocale } = require('./localize-pages');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const PAGE_METADATA_DIR = path.join(PROJECT_ROOT, 'data', 'pages');
+
+// Search results cut titles at about 60 characters and descriptions at about 160
+const METADATA_LENGTHS = {
+    title: { min: 10, recommended: 60, max: 70 },
+    description: { min: 50, recommended: 160, max: 200 },
+    socialDescription: { min: 50, recommended: 160, max: 200 }
+};
+
+const SITE_NAME = 'Copper Tech LLC';
+// Shared preview image for Open Graph and Twitter cards
+const SOCIAL_IMAGE = { path: '/assets/CT_LOGO.png', width: 1200, height: 630 };
 
 /**
  * Recursively discovers all HTML files in the project directory.
- * @returns {string[]} Array of HTML file paths relative to project root.
+ * @param {string} [projectRoot] - Directory to search (defaults to the project root).
+ * @returns {string[]} Array of HTML file paths relative to projectRoot.
  */
-function getHTMLFiles() {
-    const projectRoot = path.join(__dirname, '..');
+function getHTMLFiles(projectRoot = path.join(__dirname, '..')) {
     const htmlFiles = [];
     
     function traverseDir(dir, relativePath = '') {
@@ -27,7 +60,9 @@ function getHTMLFiles() {
         for (const item of items) {
             // Skip components directory (those are partials, not full pages)
             if (relativePath === '' && item === 'components') continue;
-            
+            // Skip dependencies, build output and hidden directories (.git, etc.)
+            if (item === 'node_modules' || item === 'dist' || item.startsWith('.')) continue;
+
             const fullPath = path.join(dir, item);
             const itemRelativePath = relativePath ? path.join(relativePath, item) : item;
             const stat = fs.statSync(fullPath);
@@ -44,9 +79,6 @@ function getHTMLFiles() {
     return htmlFiles.sort();
 }
 
-// HTML files to process (auto-discovered)
-const HTML_FILES = getHTMLFiles();
-
 /**
  * Validates that a file exists and is readable.
  * @param {string} filePath - Path to the file to validate.
@@ -105,17 +137,237 @@ function adjustPathsForDepth(content, depth) {
     // Adjust src paths for js and assets
     content = content.replace(/src="js\//g, `src="${prefix}js/`);
     content = content.replace(/src="assets\//g, `src="${prefix}assets/`);
+    // Every candidate in a srcset list, not just the first
+    content = content.replace(/srcset="([^"]*)"/g, (match, srcset) =>
+        `srcset="${srcset.replace(/(^|,\s*)assets\//g, `$1${prefix}assets/`)}"`);
     
     return content;
 }
 
+/**
+ * Converts a page path to its public URL.
+ * index.html files map to their directory URL (e.g. "/" for the home page).
+ * @param {string} htmlFile - Page path relative to the site root.
+ * @returns {string} The absolute URL the page is served from.
+ */
+function getExpectedURL(htmlFile) {
+    const urlPath = htmlFile.split(path.sep).join('/');
+    if (urlPath === 'index.html') {
+        return `${AppConfig.siteUrl}/`;
+    }
+    if (urlPath.endsWith('/index.html')) {
+        return `${AppConfig.siteUrl}/${urlPath.slice(0, -'index.html'.length)}`;
+    }
+    return `${AppConfig.siteUrl}/${urlPath}`;
+}
+
+/**
+ * Gets the metadata file for a page.
+ * @param {string} htmlFile - Page path relative to the site root.
+ * @returns {string} Metadata file path relative to the project root (e.g. 'data/pages/industries/homes.json').
+ */
+function getPageMetadataFile(htmlFile) {
+    const urlPath = htmlFile.split(path.sep).join('/');
+    return `data/pages/${urlPath.replace(/\.html$/, '.json')}`;
+}
+
+/**
+ * Lists every page metadata file.
+ * @param {string} [dir] - Directory to list, relative to data/pages/.
+ * @returns {string[]} Metadata file paths relative to the project root.
+ */
+function listPageMetadataFiles(dir = '') {
+    const dirPath = path.join(PAGE_METADATA_DIR, dir);
+    if (!fs.existsSync(dirPath)) {
+        return [];
+    }
+    return fs.readdirSync(dirPath, { withFileTypes: true }).flatMap(entry => {
+        const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            return listPageMetadataFiles(relativePath);
+        }
+        return entry.name.endsWith('.json') ? [`data/pages/${relativePath}`] : [];
+    });
+}
+
+/**
+ * Loads and validates a page's metadata.
+ * @param {string} htmlFile - Page path relative to the site root.
+ * @returns {{metadata: Object, errors: string[], warnings: string[]}} The metadata and any problems found.
+ * @throws {Error} Throws if the metadata file is missing or not valid JSON.
+ */
+function loadPageMetadata(htmlFile) {
+    const metadataFile = getPageMetadataFile(htmlFile);
+    const metadataPath = path.join(PROJECT_ROOT, metadataFile);
+    if (!fs.existsSync(metadataPath)) {
+        throw new Error(`Missing page metadata ${metadataFile}`);
+    }
+
+    let metadata;
+    try {
+        metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${metadataFile}: invalid JSON (${error.message})`);
+    }
+
+    const errors = [];
+    const warnings = [];
+    Object.entries(METADATA_LENGTHS).forEach(([field, limits]) => {
+        const value = metadata[field];
+        // socialDescription is optional and falls back to description
+        if (value === undefined && field === 'socialDescription') {
+            return;
+        }
+        if (typeof value !== 'string' || value.trim() === '') {
+            errors.push(`${metadataFile}: missing "${field}"`);
+        } else if (value.length < limits.min || value.length > limits.max) {
+            errors.push(`${metadataFile}: "${field}" is ${value.length} characters (must be ${limits.min}-${limits.max})`);
+        } else if (value.length > limits.recommended) {
+            warnings.push(`${metadataFile}: "${field}" is ${value.length} characters (recommended at most ${limits.recommended})`);
+        }
+    });
+    ['social', 'index'].forEach(field => {
+        if (metadata[field] !== undefined && typeof metadata[field] !== 'boolean') {
+            errors.push(`${metadataFile}: "${field}" must be true or false`);
+        }
+    });
+
+    return { metadata, errors, warnings };
+}
+
+/**
+ * Writes a page's title, description, canonical link, hreflang alternates and social tags
+ * from its metadata, sets <html lang> to the page's locale, and marks pages with
+ * "index": false as noindex.
+ * Replaces the generated lines right after <!-- Page-Specific Meta Tags --> (other
+ * page-specific tags such as preloads stay) and everything from
+ * <!-- Page-Specific Open Graph / Facebook --> up to the structured data or </head>.
+ * @param {string} htmlContent - The page HTML.
+ * @param {string} htmlFile - Page path relative to the site root.
+ * @param {Object} metadata - The page metadata from loadPageMetadata().
+ * @returns {string|null} The updated page HTML, or null if either marker comment is missing.
+ */
+function applyPageMetadata(htmlContent, htmlFile, metadata) {
+    const metaPattern = /(<!-- Page-Specific Meta Tags -->\n)((?:[ \t]*<(?:title>.*<\/title|meta name="description"[^>]*|link rel="(?:canonical|alternate" hreflang=)[^>]*)>\n)*)/;
+    const socialPattern = /(<!-- Page-Specific Open Graph \/ Facebook -->)[\s\S]*?(?=\s*\n[ \t]*(?:<!-- Page-Specific Structured Data|<\/head>))/;
+    if (!metaPattern.test(htmlContent) || !socialPattern.test(htmlContent)) {
+        return null;
+    }
+
+    const url = escapeHTML(getExpectedURL(htmlFile));
+    const title = escapeHTML(metadata.title);
+    const description = escapeHTML(metadata.description);
+    const socialDescription = escapeHTML(metadata.socialDescription || metadata.description);
+    const image = escapeHTML(`${AppConfig.siteUrl}${SOCIAL_IMAGE.path}`);
+    const indent = '    ';
+    const locale = getPageLocale(htmlFile);
+    const alternates = getPageAlternates(htmlFile);
+    const toOGLocale = lang => lang.replace('-', '_');
+
+    const alternateTags = alternates.length === 0 ? [] : [
+        ...alternates.map(alternate =>
+            `<link rel="alternate" hreflang="${alternate.locale.lang}" href="${escapeHTML(getExpectedURL(alternate.page))}">`),
+        `<link rel="alternate" hreflang="x-default" href="${escapeHTML(getExpectedURL(alternates[0].page))}">`
+    ];
+    const metaTags = [
+        `<title>${title}</title>`,
+        `<meta name="description" content="${description}">`,
+        `<link rel="canonical" href="${url}">`,
+        ...alternateTags
+    ];
+    const socialTags = metadata.social === false
+        ? [`<!-- (none - turned off in ${getPageMetadataFile(htmlFile)}) -->`]
+        : [
+            '<meta property="og:type" content="website">',
+            `<meta property="og:url" content="${url}">`,
+            `<meta property="og:title" content="${title}">`,
+            `<meta property="og:description" content="${socialDescription}">`,
+            `<meta property="og:image" content="${image}">`,
+            `<meta property="og:image:width" content="${SOCIAL_IMAGE.width}">`,
+            `<meta property="og:image:height" content="${SOCIAL_IMAGE.height}">`,
+            `<meta property="og:site_name" content="${SITE_NAME}">`,
+            `<meta property="og:locale" content="${toOGLocale(locale.lang)}">`,
+            ...alternates
+                .filter(alternate => alternate.locale !== locale)
+                .map(alternate => `<meta property="og:locale:alternate" content="${toOGLocale(alternate.locale.lang)}">`),
+            '',
+            '<!-- Page-Specific Twitter -->',
+            '<meta name="twitter:card" content="summary_large_image">',
+            `<meta name="twitter:url" content="${url}">`,
+            `<meta name="twitter:title" content="${title}">`,
+            `<meta name="twitter:description" content="${socialDescription}">`,
+            `<meta name="twitter:image" content="${image}">`
+        ];
+
+    const indentTag = tag => (tag ? indent + tag : '');
+    const robots = metadata.index === false ? 'noindex, follow' : null;
+    return htmlContent
+        .replace(/<html\b[^>]*>/, `<html lang="${locale.lang}">`)
+        .replace(/<meta name="robots" content="[^"]*">/, match => (robots ? `<meta name="robots" content="${robots}">` : match))
+        .replace(metaPattern, (match, comment) => `${comment}${metaTags.map(indentTag).join('\n')}\n`)
+        .replace(socialPattern, (match, comment) => `${comment}\n${socialTags.map(indentTag).join('\n')}`);
+}
+
+/**
+ * Points head content at a translated page's locale manifest.
+ * @param {string} headContent - The head content, with paths already adjusted for the page's depth.
+ * @param {string} htmlFile - Page path relative to the site root.
+ * @returns {string} The content for the page's locale (unchanged for the default locale).
+ */
+function applyPageLocale(headContent, htmlFile) {
+    const locale = getPageLocale(htmlFile);
+    if (locale === getDefaultLocale()) {
+        return headContent;
+    }
+
+    return headContent
+        .replace(/href="((?:\.\.\/)*)manifest\.json"/, `href="$1${locale.code}/manifest.json"`);
+}
+
+/**
+ * Replaces a page's common head content with the head-common.html content.
+ * @param {string} htmlContent - The page HTML.
+ * @param {string} headCommonContent - The (trimmed) head-common.html content.
+ * @param {string} htmlFile - Page path relative to the site root.
+ * @returns {string|null} The updated page HTML, or null if the page has no placeholder comment.
+ */
+function injectIntoPage(htmlContent, headCommonContent, htmlFile) {
+    // Pattern to match: from the placeholder comment to just before Open Graph tags
+    // This includes the comment, all common meta tags, links, and scripts
+    const placeholderPattern = /(<!-- Common head content injected by build script -->\s*)([\s\S]*?)(\s*<!-- Page-Specific Open Graph)/;
+
+    if (!placeholderPattern.test(htmlContent)) {
+        return null;
+    }
+
+    const depth = htmlFile.split(/[\\/]/).length - 1;
+    const adjustedHeadContent = applyPageLocale(adjustPathsForDepth(headCommonContent, depth), htmlFile);
+
+    // Replace the content between placeholder and Open Graph with head-common.html content
+    // Ensure proper spacing: newline after injected content, then indented comment
+    return htmlContent.replace(
+        placeholderPattern,
+        (match, p1, p2, p3) => {
+            // Ensure adjustedHeadContent ends with a newline
+            const normalizedContent = adjustedHeadContent.endsWith('\n')
+                ? adjustedHeadContent
+                : adjustedHeadContent + '\n';
+            // p3 starts with whitespace (\s*) which may include newline, so we normalize it
+            const normalizedP3 = p3.replace(/^\s+/, '\n    ');
+            return `${p1}${normalizedContent}${normalizedP3}`;
+        }
+    );
+}
+
 /**
  * Injects common head content into HTML files.
  * @param {boolean} dryRun - If true, preview changes without writing files.
+ * @param {string} [projectRoot] - Site root to update (defaults to the project root).
  * @returns {boolean} True if all files were processed successfully, false otherwise.
  */
-function injectHeadCommon(dryRun = false) {
-    const projectRoot = path.join(__dirname, '..');
+function injectHeadCommon(dryRun = false, projectRoot = path.join(__dirname, '..')) {
+    // HTML files to process (auto-discovered)
+    const htmlFiles = getHTMLFiles(projectRoot);
     const headCommonPath = path.join(projectRoot, 'components', 'head-common.html');
 
     // Validate head-common.html exists
@@ -147,7 +399,7 @@ function injectHeadCommon(dryRun = false) {
     const errors = [];
 
     // Process each HTML file
-    HTML_FILES.forEach(htmlFile => {
+    htmlFiles.forEach(htmlFile => {
         const htmlFilePath = path.join(projectRoot, htmlFile);
         
         try {
@@ -167,36 +419,34 @@ function injectHeadCommon(dryRun = false) {
                 return;
             }
             
-            // Pattern to match: from the placeholder comment to just before Open Graph tags
-            // This includes the comment, all common meta tags, links, and scripts
-            const placeholderPattern = /(<!-- Common head content injected by build script -->\s*)([\s\S]*?)(\s*<!-- Page-Specific Open Graph)/;
-            
+            const injectedContent = injectIntoPage(htmlContent, headCommonContent, htmlFile);
+
             // Check if placeholder exists
-            if (!placeholderPattern.test(htmlContent)) {
+            if (injectedContent === null) {
                 console.warn(`⚠️  Placeholder comment not found in ${htmlFile}. Skipping.`);
                 errors.push(`Missing placeholder comment in ${htmlFile}`);
                 failCount++;
                 return;
             }
-            
-            // Calculate directory depth for path adjustment
-            const depth = htmlFile.split(path.sep).length - 1;
-            const adjustedHeadContent = adjustPathsForDepth(headCommonContent, depth);
-            
-            // Replace the content between placeholder and Open Graph with head-common.html content
-            // Ensure proper spacing: newline after injected content, then indented comment
-            const updatedContent = htmlContent.replace(
-                placeholderPattern,
-                (match, p1, p2, p3) => {
-                    // Ensure adjustedHeadContent ends with a newline
-                    const normalizedContent = adjustedHeadContent.endsWith('\n') 
-                        ? adjustedHeadContent 
-                        : adjustedHeadContent + '\n';
-                    // p3 starts with whitespace (\s*) which may include newline, so we normalize it
-                    const normalizedP3 = p3.replace(/^\s+/, '\n    ');
-                    return `${p1}${normalizedContent}${normalizedP3}`;
-                }
-            );
+
+            // Title, description, canonical and social tags from data/pages/
+            const { metadata, errors: metadataErrors, warnings } = loadPageMetadata(htmlFile);
+            warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+            if (metadataErrors.length > 0) {
+                metadataErrors.forEach(error => console.error(`❌ ${error}`));
+                errors.push(...metadataErrors);
+                failCount++;
+                return;
+            }
+
+            const updatedContent = applyPageMetadata(injectedContent, htmlFile, metadata);
+            if (updatedContent === null) {
+                const errorMsg = `Missing <!-- Page-Specific Meta Tags --> or <!-- Page-Specific Open Graph / Facebook --> in ${htmlFile}`;
+                console.error(`❌ ${errorMsg}`);
+                errors.push(errorMsg);
+                failCount++;
+                return;
+            }
 
             // Verify replacement occurred
             if (updatedContent === htmlContent) {
@@ -220,6 +470,17 @@ function injectHeadCommon(dryRun = false) {
             failCount++;
         }
     });
+
+    // Metadata files whose page was moved or deleted
+    const pageMetadataFiles = new Set(htmlFiles.map(getPageMetadataFile));
+    listPageMetadataFiles()
+        .filter(metadataFile => !pageMetadataFiles.has(metadataFile))
+        .forEach(metadataFile => {
+            const errorMsg = `${metadataFile} has no matching page`;
+            console.error(`❌ ${errorMsg}`);
+            errors.push(errorMsg);
+            failCount++;
+        });
     
     // Summary
     console.log('\n' + '='.repeat(50));
@@ -229,7 +490,7 @@ function injectHeadCommon(dryRun = false) {
         console.log('✅ INJECTION SUMMARY');
     }
     console.log('='.repeat(50));
-    console.log(`Processed: ${HTML_FILES.length} files`);
+    console.log(`Processed: ${htmlFiles.length} files`);
     console.log(`Successful: ${successCount}`);
     console.log(`Failed: ${failCount}`);
     
@@ -240,7 +501,7 @@ function injectHeadCommon(dryRun = false) {
     
     if (dryRun) {
         console.log('\n💡 Run without --dry-run to apply changes');
-    } else if (successCount === HTML_FILES.length) {
+    } else if (successCount === htmlFiles.length) {
         console.log('\n✅ Head common content injection complete');
     } else {
         console.log('\n⚠️  Some files were not updated. Please review errors above.');
@@ -258,5 +519,13 @@ if (require.main === module) {
     process.exit(success ? 0 : 1);
 }
 
-module.exports = { injectHeadCommon };
+module.exports = {
+    injectHeadCommon,
+    injectIntoPage,
+    loadPageMetadata,
+    applyPageMetadata,
+    getExpectedURL,
+    getHTMLFiles,
+    adjustPathsForDepth
+};
 
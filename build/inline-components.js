@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+/**
+ * Component Inliner
+ *
+ * Usage: node build/inline-components.js [--dry-run]
+ * This script writes the nav, footer, CTA and project card partials straight into
+ * each page's placeholder elements, so pages render without fetching components
+ * at runtime. AppConfig.components and AppConfig.projectCards (js/config.js) are
+ * the source of truth for what goes where. A cards container with a data-industry
+ * attribute only gets the project cards tagged with that industry; when none are,
+ * the section around it is hidden.
+ *
+ * Any element can also include a partial from AppConfig.componentLoader.directory by
+ * name, in a page or inside another partial, with props for the partial's {{prop}}
+ * markers (HTML-escaped):
+ *
+ *   <div data-component="book-consultation" data-props='{"label":"Book Consultation"}'></div>
+ *
+ * These are expanded recursively, the same way js/lib/components.js loads them at
+ * runtime. A partial that includes itself, a missing partial and a marker without a
+ * prop fail the page.
+ *
+ * Inlined content is wrapped in marker comments and the placeholder is tagged with
+ * data-inlined="true", so the script can be re-run safely and loadComponent()
+ * knows to skip the fetch. Each page's <body> gets data-components-version, a hash
+ * of the partials, which js/lib/components.js adds to its sessionStorage keys so
+ * partials cached before a deploy aren't used after it.
+ *
+ * Partials inlined into a translated page (es/...) are translated from the locale's
+ * components.json and link to translated pages, and every page's language switcher
+ * gets that page's language links (see build/localize-pages.js).
+ *
+ * Options:
+ *   --dry-run    Preview changes without writing files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadBrowserModule } = require('./load-browser-module');
+const AppConfig = loadBrowserModule('js/config.js');
+const { getHTMLFiles, adjustPathsForDepth } = require('./inject-head-common');
+const { localizeComponent } = require('./localize-pages');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const INLINED_ATTRIBUTE = 'data-inlined="true"';
+const COMPONENTS_DIR = 'components';
+
+// A data-component placeholder, empty or previously inlined (its markers use the component name).
+// Quoted attribute values may contain '>' (e.g. in data-props).
+// Groups: 1 = indentation, 2 = opening tag, 3 = component name
+const COMPONENT_PLACEHOLDER_PATTERN = /([ \t]*)(<div\b(?:[^>"']|"[^"]*"|'[^']*')*?\sdata-component="([a-z0-9-]+)"(?:[^>"']|"[^"]*"|'[^']*')*>)(?:\s*<!-- Inlined components start: \3 -->[\s\S]*?<!-- Inlined components end: \3 -->|(?:\s*<!--[\s\S]*?-->)*)\s*<\/div>/g;
+
+// A {{prop}} marker in a partial
+const TEMPLATE_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapes a string for use inside a regular expression.
+ * @param {string} value - The string to escape.
+ * @returns {string} The escaped string.
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Reads a component partial from disk.
+ * @param {string} componentPath - Component path as written in AppConfig (e.g. '/components/nav.html').
+ * @param {string} rootDir - Site root directory.
+ * @returns {string} The trimmed partial HTML.
+ * @throws {Error} Throws if the partial does not exist.
+ */
+function readComponent(componentPath, rootDir) {
+    const filePath = path.join(rootDir, componentPath.replace(/^\//, ''));
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Component not found: ${componentPath}`);
+    }
+    return fs.readFileSync(filePath, 'utf8').trim();
+}
+
+/**
+ * Hashes every partial in components/.
+ * @param {string} rootDir - Site root directory.
+ * @returns {string} The first 10 hex characters of the SHA-256 hash of their names and contents.
+ */
+function getComponentsVersion(rootDir) {
+    const hash = crypto.createHash('sha256');
+    fs.readdirSync(path.join(rootDir, COMPONENTS_DIR))
+        .filter(file => file.endsWith('.html'))
+        .sort()
+        .forEach(file => hash.update(file).update(fs.readFileSync(path.join(rootDir, COMPONENTS_DIR, file))));
+    return hash.digest('hex').slice(0, 10);
+}
+
+/**
+ * Sets the components version on a page's <body>.
+ * @param {string} htmlContent - The page HTML.
+ * @param {string} version - Version from getComponentsVersion().
+ * @returns {string} The updated page HTML.
+ */
+function setComponentsVersion(htmlContent, version) {
+    return htmlContent.replace(/<body\b([^>]*)>/, (match, attributes) =>
+        `<body${attributes.replace(/\sdata-components-version="[^"]*"/, '')} data-components-version="${version}">`);
+}
+
+/**
+ * Indents every non-empty line of a block of HTML.
+ * @param {string} html - The HTML to indent.
+ * @param {string} indent - The whitespace to prefix each line with.
+ * @returns {string} The indented HTML.
+ */
+function indentLines(html, indent) {
+    return html
+        .split('\n')
+        .map(line => (line.trim() ? indent + line : ''))
+        .join('\n');
+}
+
+/**
+ * Reads an attribute value from an opening tag.
+ * @param {string} tag - The opening tag HTML.
+ * @param {string} name - Attribute name.
+ * @returns {string|null} The attribute value (double- or single-quoted, entities left as written),
+ *   or null if the tag doesn't have it.
+ */
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${escapeRegExp(name)}=(?:"([^"]*)"|'([^']*)')`));
+    if (!match) {
+        return null;
+    }
+    return match[1] !== undefined ? match[1] : match[2];
+}
+
+/**
+ * Reads the props of a data-component placeholder.
+ * @param {string} openingTag - The placeholder's opening tag.
+ * @returns {Object.<string, *>} The props (empty without a data-props attribute).
+ * @throws {Error} Throws if data-props isn't a JSON object.
+ */
+function parseProps(openingTag) {
+    const value = getAttribute(openingTag, 'data-props');
+    if (!value) {
+        return {};
+    }
+
+    const json = value
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+    let props;
+    try {
+        props = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`Invalid data-props in ${openingTag}: ${error.message}`);
+    }
+    if (!props || typeof props !== 'object' || Array.isArray(props)) {
+        throw new Error(`data-props must be a JSON object in ${openingTag}`);
+    }
+    return props;
+}
+
+/**
+ * Fills a partial's {{prop}} markers with HTML-escaped prop values.
+ * @param {string} html - The partial HTML.
+ * @param {Object.<string, *>} props - Prop values by name.
+ * @param {string} componentName - Component name (for errors).
+ * @returns {string} The rendered HTML.
+ * @throws {Error} Throws if a marker has no prop.
+ */
+function renderTemplate(html, props, componentName) {
+    return html.replace(TEMPLATE_PATTERN, (marker, name) => {
+        if (!Object.prototype.hasOwnProperty.call(props, name)) {
+            throw new Error(`Component "${componentName}" has no value for ${marker}`);
+        }
+        return String(props[name]).replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+    });
+}
+
+/**
+ * Checks whether a project card belongs to an industry.
+ * Cards list their industry slugs (space-separated) in data-industries.
+ * @param {string} cardHTML - The project card HTML.
+ * @param {string|null} industry - Industry slug to filter by, or null to keep every card.
+ * @returns {boolean} True if the card should be shown for the industry.
+ */
+function cardMatchesIndustry(cardHTML, industry) {
+    if (!industry) {
+        return true;
+    }
+    const articleTag = (cardHTML.match(/<article\b[^>]*>/) || [''])[0];
+    return (getAttribute(articleTag, 'data-industries') || '').split(/\s+/).includes(industry);
+}
+
+/**
+ * Builds a pattern matching a placeholder element and its current content.
+ * Matches either a previously inlined block (between markers) or an empty
+ * placeholder that contains nothing but whitespace and comments.
+ * @param {string} attributePattern - Regex source matching the placeholder's identifying attribute.
+ * @param {string} key - Marker key for the placeholder.
+ * @returns {RegExp} Pattern with groups: 1 = indentation, 2 = opening tag, 3 = closing indentation.
+ */
+function getPlaceholderPattern(attributePattern, key) {
+    const start = escapeRegExp(`<!-- Inlined components start: ${key} -->`);
+    const end = escapeRegExp(`<!-- Inlined components end: ${key} -->`);
+    const openingTag = `<div\\b[^>]*${attributePattern}[^>]*>`;
+    const emptyContent = '(?:\\s*<!--[\\s\\S]*?-->)*';
+    const inlinedContent = `\\s*${start}[\\s\\S]*?${end}`;
+
+    return new RegExp(`([ \\t]*)(${openingTag})(?:${inlinedContent}|${emptyContent})(\\s*)</div>`);
+}
+
+/**
+ * Builds an inlined placeholder: its opening tag (tagged as inlined) and the
+ * component HTML between marker comments.
+ * @param {string} indent - The placeholder's indentation.
+ * @param {string} openingTag - The placeholder's opening tag.
+ * @param {string} key - Marker key for the placeholder.
+ * @param {string} componentHTML - The HTML to inline.
+ * @returns {string} The placeholder HTML.
+ */
+function renderPlaceholder(indent, openingTag, key, componentHTML) {
+    const taggedOpening = openingTag.includes('data-inlined=')
+        ? openingTag
+        : openingTag.replace(/>$/, ` ${INLINED_ATTRIBUTE}>`);
+    const innerIndent = indent + '    ';
+
+    return [
+        `${indent}${taggedOpening}`,
+        `${innerIndent}<!-- Inlined components start: ${key} -->`,
+        indentLines(componentHTML, innerIndent),
+        `${innerIndent}<!-- Inlined components end: ${key} -->`,
+        `${indent}</div>`
+    ].join('\n');
+}
+
+/**
+ * Expands every data-component placeholder in a block of HTML, recursively.
+ * @param {string} html - The HTML (a page or a partial).
+ * @param {string} rootDir - Site root the partials are read from.
+ * @param {string[]} ancestry - Names of the components the HTML is nested in, outermost first.
+ * @param {function(string): string} [render] - Applied to each expanded component before it is inlined.
+ * @returns {string} The HTML with its placeholders inlined.
+ * @throws {Error} Throws if a partial is missing, includes itself or lacks a prop.
+ */
+function expandComponentPlaceholders(html, rootDir, ancestry, render = componentHTML => componentHTML) {
+    return html.replace(COMPONENT_PLACEHOLDER_PATTERN, (match, indent, openingTag, name) => {
+        if (ancestry.includes(name)) {
+            throw new Error(`Component includes itself: ${[...ancestry, name].join(' > ')}`);
+        }
+
+        const componentPath = `${AppConfig.componentLoader.directory}${name}.html`;
+        const componentHTML = renderTemplate(readComponent(componentPath, rootDir), parseProps(openingTag), name);
+        const expanded = expandComponentPlaceholders(componentHTML, rootDir, [...ancestry, name]);
+        return renderPlaceholder(indent, openingTag, name, render(expanded));
+    });
+}
+
+/**
+ * Reads a component partial with its data-component placeholders expanded.
+ * @param {string} componentPath - Component path as written in AppConfig (e.g. '/components/nav.html').
+ * @param {string} rootDir - Site root directory.
+ * @returns {string} The expanded partial HTML.
+ */
+function readExpandedComponent(componentPath, rootDir) {
+    const name = path.basename(componentPath, '.html');
+    return expandComponentPlaceholders(readComponent(componentPath, rootDir), rootDir, [name]);
+}
+
+/**
+ * Hides or shows the <section> around a position in a page.
+ * @param {string} htmlContent - The page HTML.
+ * @param {number} index - Position inside the section.
+ * @param {boolean} hidden - Whether the section should have the hidden attribute.
+ * @returns {string} The updated page HTML (unchanged if the position isn't in a section).
+ */
+function setSectionHidden(htmlContent, index, hidden) {
+    const start = htmlContent.lastIndexOf('<section', index);
+    if (start === -1 || htmlContent.lastIndexOf('</section>', index) > start) {
+        return htmlContent;
+    }
+    const end = htmlContent.indexOf('>', start) + 1;
+    const openingTag = htmlContent.slice(start, end);
+    const updatedTag = hidden
+        ? openingTag.replace(/(?:\shidden\b)?>$/, ' hidden>')
+        : openingTag.replace(/\shidden(?=[\s>])/, '');
+    return htmlContent.slice(0, start) + updatedTag + htmlContent.slice(end);
+}
+
+/**
+ * Inlines component HTML into a placeholder element.
+ * @param {string} htmlContent - The page HTML.
+ * @param {RegExp} pattern - Placeholder pattern from getPlaceholderPattern().
+ * @param {string} key - Marker key for the placeholder.
+ * @param {string} componentHTML - The HTML to inline.
+ * @returns {string|null} The updated page HTML, or null if the placeholder was not found.
+ */
+function inlineIntoPlaceholder(htmlContent, pattern, key, componentHTML) {
+    if (!pattern.test(htmlContent)) {
+        return null;
+    }
+
+    return htmlContent.replace(pattern, (match, indent, openingTag) => renderPlaceholder(indent, openingTag, key, componentHTML));
+}
+
+/**
+ * Inlines all configured components into a single page.
+ * @param {string} htmlContent - The page HTML.
+ * @param {string} htmlFile - Page path relative to the site root (for its locale and relative asset paths).
+ * @param {string} [rootDir] - Site root the partials are read from (defaults to the project root).
+ * @returns {{content: string, inlined: string[]}} Updated HTML and the keys that were inlined.
+ */
+function inlinePageComponents(htmlContent, htmlFile, rootDir = PROJECT_ROOT) {
+    const inlined = [];
+    const depth = htmlFile.split(/[\\/]/).length - 1;
+    const renderComponent = componentHTML => adjustPathsForDepth(localizeComponent(componentHTML, htmlFile), depth);
+
+    // data-component placeholders written in the page. The ones inside standard
+    // components are expanded again just below, with the rest of their component.
+    let content = expandComponentPlaceholders(htmlContent, rootDir, [], renderComponent);
+
+    // Standard components keyed by placeholder ID
+    Object.entries(AppConfig.components).forEach(([elementId, componentPath]) => {
+        const pattern = getPlaceholderPattern(`\\bid="${escapeRegExp(elementId)}"`, elementId);
+        const componentHTML = renderComponent(readExpandedComponent(componentPath, rootDir));
+        const updated = inlineIntoPlaceholder(content, pattern, elementId, componentHTML);
+        if (updated !== null) {
+            content = updated;
+            inlined.push(elementId);
+        }
+    });
+
+    // Project cards, concatenated in config order into the cards container
+    // and filtered by the container's data-industry attribute (if any)
+    const listSelector = AppConfig.selectors.projectCardsList;
+    const listClass = listSelector.replace(/^\./, '');
+    const listPattern = getPlaceholderPattern(`\\bclass="[^"]*\\b${escapeRegExp(listClass)}\\b[^"]*"`, listSelector);
+    const listMatch = content.match(listPattern);
+    const industry = listMatch ? getAttribute(listMatch[2], 'data-industry') : null;
+    const cards = AppConfig.projectCards
+        .map(cardPath => readExpandedComponent(cardPath, rootDir))
+        .filter(cardHTML => cardMatchesIndustry(cardHTML, industry))
+        .map(renderComponent);
+    const updated = inlineIntoPlaceholder(content, listPattern, listSelector, cards.join('\n\n'));
+    if (updated !== null) {
+        // An industry without projects yet gets no empty "Featured Projects" section
+        content = setSectionHidden(updated, listMatch.index, cards.length === 0);
+        inlined.push(listSelector);
+    }
+
+    content = setComponentsVersion(content, getComponentsVersion(rootDir));
+    return { content, inlined };
+}
+
+/**
+ * Inlines components into every page.
+ * @param {boolean} dryRun - If true, preview changes without writing files.
+ * @param {string} [rootDir] - Site root to update (defaults to the project root).
+ * @returns {boolean} True if all pages were processed successfully, false otherwise.
+ */
+function inlineComponents(dryRun = false, rootDir = PROJECT_ROOT) {
+    const htmlFiles = getHTMLFiles(rootDir);
+    let successCount = 0;
+    const errors = [];
+
+    if (dryRun) {
+        console.log('🔍 DRY RUN MODE - No files will be modified\n');
+    }
+
+    htmlFiles.forEach(htmlFile => {
+        const htmlFilePath = path.join(rootDir, htmlFile);
+
+        try {
+            const htmlContent = fs.readFileSync(htmlFilePath, 'utf8');
+            const { content, inlined } = inlinePageComponents(htmlContent, htmlFile, rootDir);
+
+            if (inlined.length === 0) {
+                console.warn(`⚠️  No component placeholders found in ${htmlFile}`);
+            } else if (dryRun) {
+                console.log(`🔍 Would inline ${inlined.join(', ')} into ${htmlFile}`);
+            } else {
+                fs.writeFileSync(htmlFilePath, content, 'utf8');
+                console.log(`✅ Inlined ${inlined.join(', ')} into ${htmlFile}`);
+            }
+
+            successCount++;
+        } catch (error) {
+            const errorMsg = `Error processing ${htmlFile}: ${error.message}`;
+            console.error(`❌ ${errorMsg}`);
+            errors.push(errorMsg);
+        }
+    });
+
+    // Summary
+    console.log('\n' + '='.repeat(50));
+    console.log(dryRun ? '🔍 DRY RUN SUMMARY' : '✅ INLINING SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Processed: ${htmlFiles.length} files`);
+    console.log(`Successful: ${successCount}`);
+    console.log(`Failed: ${errors.length}`);
+
+    if (errors.length > 0) {
+        console.log('\nErrors:');
+        errors.forEach(error => console.log(`  - ${error}`));
+    }
+
+    return errors.length === 0;
+}
+
+// Run the inliner if this script is executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+
+    const success = inlineComponents(dryRun);
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = { inlineComponents, inlinePageComponents };
@@ -0,0 +1,46 @@
+/**
+ * Browser Module Loader
+ *
+ * The scripts in js/ are ES modules for the browser. A few of them are plain data or
+ * maths the build needs too (AppConfig in js/config.js, the js/locales/ strings, the
+ * solar calculator), so build scripts load them with loadBrowserModule() instead of
+ * require(): Node before 20.19 can't require() an ES module, and one that was
+ * required can't be loaded again when it changes, which the dev server relies on.
+ *
+ * Only self-contained modules are supported: no imports, and a single
+ * `export default <name>;` statement. The file is read again on every call.
+ *
+ * @example
+ * const AppConfig = loadBrowserModule('js/config.js');
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_EXPORT_PATTERN = /^export default ([\w$]+);$/m;
+
+/**
+ * Loads the default export of a self-contained ES module in js/.
+ * @param {string} relativePath - Module path relative to the project root (e.g. 'js/config.js').
+ * @returns {*} The module's default export.
+ * @throws {Error} Throws if the file is missing, has no `export default <name>;` statement,
+ *   or has other imports or exports.
+ */
+function loadBrowserModule(relativePath) {
+    const filePath = path.join(PROJECT_ROOT, relativePath);
+    const source = fs.readFileSync(filePath, 'utf8');
+
+    const script = source.replace(DEFAULT_EXPORT_PATTERN, 'module.exports = $1;');
+    if (script === source || /^\s*(?:import|export)\b/m.test(script)) {
+        throw new Error(`${relativePath} must have a single "export default <name>;" statement and no other imports or exports`);
+    }
+
+    // Wrapped like a CommonJS module, so its top-level declarations stay private
+    const module = { exports: undefined };
+    vm.runInThisContext(`(function (module) {${script}\n})`, { filename: filePath })(module);
+    return module.exports;
+}
+
+module.exports = { loadBrowserModule };
@@ -0,0 +1,610 @@
+#!/usr/bin/env node
+/**
+ * Page Localizer
+ *
+ * Usage: node build/localize-pages.js [--dry-run] [--missing]
+ * This script generates the translated copy of every page for each locale after the
+ * first in AppConfig.locales (js/config.js): es/index.html from index.html,
+ * es/industries/homes.html from industries/homes.html, and so on. Only pages with a
+ * catalogue are translated, and the language switcher and hreflang alternates only
+ * offer the translations that exist.
+ *
+ * Catalogues live in data/locales/<code>/ and map English text to its translation:
+ * - components.json covers the partials in components/ (and project cards)
+ * - pages/<page>.json covers a page's own text (pages/industries/homes.json)
+ * Text nodes and the alt, title, placeholder and aria-label attributes are looked up
+ * with their whitespace collapsed. Text without a translation stays in English and
+ * is reported; run with --missing to list it. Page titles and descriptions come from
+ * data/pages/<code>/, like every other page's metadata.
+ *
+ * In a translated page, links to pages that have a translation point at it, relative
+ * asset paths are adjusted for the extra directory level and <html lang> is set. The
+ * script also writes <code>/manifest.json with the locale's language and start URL,
+ * and keeps the lang of manifest.json in step with the default locale.
+ *
+ * JavaScript strings are not translated here: js/locales/<code>.js replaces them at
+ * runtime. This script only checks that it covers every entry of AppConfig.messages
+ * and is listed in js/lib/locale.js.
+ *
+ * Options:
+ *   --dry-run    Preview changes without writing files
+ *   --missing    List every string that has no translation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadBrowserModule } = require('./load-browser-module');
+const AppConfig = loadBrowserModule('js/config.js');
+const { escapeHTML } = require('./render-projects');
+const { writeIfChanged } = require('./write-if-changed');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const LOCALES_DIR = path.join('data', 'locales');
+const COMPONENTS_CATALOGUE = 'components.json';
+const PAGE_CATALOGUES_DIR = 'pages';
+const MANIFEST_FILE = 'manifest.json';
+// Maps each locale code to the import() of its js/locales/ strings
+const LOCALE_LOADERS_FILE = 'js/lib/locale.js';
+
+// Attributes whose values are visible or read out, and so translated
+const TRANSLATED_ATTRIBUTES = ['alt', 'title', 'placeholder', 'aria-label'];
+// Attributes holding URLs, which move down a level in a translated page
+const URL_ATTRIBUTES = ['href', 'src', 'srcset', 'poster'];
+
+// Text that is never translated: no letters at all, or an email address
+const UNTRANSLATABLE_TEXT = /^(?:[^\p{L}]*|\S+@\S+\.\S+)$/u;
+// URLs that are not relative paths (root-absolute, fragment, scheme or protocol-relative)
+const NON_RELATIVE_URL = /^(?:\/|#|[a-z][a-z0-9+.-]*:)/i;
+
+// Content blocks written by build/inline-components.js (key in group 1)
+const INLINED_BLOCK_PATTERN = /<!-- Inlined components start: ([^ ]+) -->[\s\S]*?<!-- Inlined components end: \1 -->/g;
+const LANGUAGE_SWITCHER_PATTERN = /^([ \t]*)(<ul class="language-switcher"[^>]*>)[\s\S]*?<\/ul>/m;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', copy: '\u00a9' };
+
+/**
+ * Gets the default locale (the language of the source pages).
+ * @returns {Locale} The first entry of AppConfig.locales.
+ */
+function getDefaultLocale() {
+    return AppConfig.locales[0];
+}
+
+/**
+ * Gets the locales that pages are translated into.
+ * @returns {Locale[]} Every locale except the default.
+ */
+function getTranslatedLocales() {
+    return AppConfig.locales.slice(1);
+}
+
+/**
+ * Converts a page path to forward slashes.
+ * @param {string} htmlFile - Page path relative to the site root.
+ * @returns {string} The path with / separators.
+ */
+function toPosix(htmlFile) {
+    return htmlFile.split(path.sep).join('/');
+}
+
+/**
+ * Finds the locale a page is written in, from its directory.
+ * @param {string} htmlFile - Page path relative to the site root (e.g. 'es/industries/homes.html').
+ * @returns {Locale} The page's locale.
+ */
+function getPageLocale(htmlFile) {
+    const topDir = toPosix(htmlFile).split('/')[0];
+    return getTranslatedLocales().find(locale => locale.code === topDir) || getDefaultLocale();
+}
+
+/**
+ * Gets the source page a page was translated from.
+ * @param {string} htmlFile - Page path relative to the site root.
+ * @returns {string} The default-locale page path (/ separators); the page itself if it is one.
+ */
+function getSourcePage(htmlFile) {
+    const urlPath = toPosix(htmlFile);
+    const locale = getPageLocale(urlPath);
+    return locale === getDefaultLocale() ? urlPath : urlPath.slice(locale.code.length + 1);
+}
+
+/**
+ * Gets the path of a source page in a locale.
+ * @param {string} sourcePage - Default-locale page path.
+ * @param {Locale} locale - The locale.
+ * @returns {string} The page path in that locale (/ separators).
+ */
+function getLocalizedPage(sourcePage, locale) {
+    const urlPath = toPosix(sourcePage);
+    return locale === getDefaultLocale() ? urlPath : `${locale.code}/${urlPath}`;
+}
+
+/**
+ * Converts a page path to the root-absolute URL path it is served from.
+ * @param {string} page - Page path relative to the site root.
+ * @returns {string} The URL path ('/' for index.html, '/es/' for es/index.html).
+ */
+function toURLPath(page) {
+    return `/${toPosix(page).replace(/(^|\/)index\.html$/, '$1')}`;
+}
+
+/**
+ * Gets the catalogue file of a source page in a locale.
+ * @param {string} sourcePage - Default-locale page path.
+ * @param {Locale} locale - The locale.
+ * @returns {string} Path relative to the project root (e.g. 'data/locales/es/pages/index.json').
+ */
+function getPageCatalogueFile(sourcePage, locale) {
+    return path.join(LOCALES_DIR, locale.code, PAGE_CATALOGUES_DIR, toPosix(sourcePage).replace(/\.html$/, '.json'));
+}
+
+/**
+ * Checks whether a source page is translated into a locale.
+ * Every page is available in the default locale.
+ * @param {string} sourcePage - Default-locale page path.
+ * @param {Locale} locale - The locale.
+ * @returns {boolean} True if the page has a catalogue for the locale.
+ */
+function hasTranslation(sourcePage, locale) {
+    return locale === getDefaultLocale() ||
+        fs.existsSync(path.join(PROJECT_ROOT, getPageCatalogueFile(sourcePage, locale)));
+}
+
+/**
+ * Lists the source pages translated into a locale.
+ * @param {Locale} locale - The locale.
+ * @param {string} [dir] - Directory to list, relative to the locale's pages/ catalogue directory.
+ * @returns {string[]} Default-locale page paths (/ separators), sorted.
+ */
+function getTranslatedPages(locale, dir = '') {
+    const dirPath = path.join(PROJECT_ROOT, LOCALES_DIR, locale.code, PAGE_CATALOGUES_DIR, dir);
+    if (!fs.existsSync(dirPath)) {
+        return [];
+    }
+    return fs.readdirSync(dirPath, { withFileTypes: true }).flatMap(entry => {
+        const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            return getTranslatedPages(locale, relativePath);
+        }
+        return entry.name.endsWith('.json') ? [relativePath.replace(/\.json$/, '.html')] : [];
+    }).sort();
+}
+
+/**
+ * Lists every language version of a page, for hreflang links and the language switcher.
+ * @param {string} htmlFile - Page path relative to the site root (any locale).
+ * @returns {{locale: Locale, page: string}[]} One entry per locale the page exists in,
+ *   in AppConfig.locales order; empty if the page has no translations.
+ */
+function getPageAlternates(htmlFile) {
+    const sourcePage = getSourcePage(htmlFile);
+    const alternates = AppConfig.locales
+        .filter(locale => hasTranslation(sourcePage, locale))
+        .map(locale => ({ locale, page: getLocalizedPage(sourcePage, locale) }));
+    return alternates.length > 1 ? alternates : [];
+}
+
+/**
+ * Loads a catalogue file.
+ * @param {string} catalogueFile - Path relative to the project root.
+ * @returns {Object.<string, string>} English text mapped to its translation ({} if the file doesn't exist).
+ * @throws {Error} Throws if the file is not valid JSON or has a non-string translation.
+ */
+function loadCatalogue(catalogueFile) {
+    const filePath = path.join(PROJECT_ROOT, catalogueFile);
+    if (!fs.existsSync(filePath)) {
+        return {};
+    }
+
+    let catalogue;
+    try {
+        catalogue = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${catalogueFile}: invalid JSON (${error.message})`);
+    }
+    Object.entries(catalogue).forEach(([source, translation]) => {
+        if (typeof translation !== 'string' || translation.trim() === '') {
+            throw new Error(`${catalogueFile}: translation of "${source}" must be a non-empty string`);
+        }
+    });
+    return catalogue;
+}
+
+/**
+ * Decodes the HTML entities in a text node or attribute value.
+ * @param {string} html - Text as written in HTML.
+ * @returns {string} Plain text.
+ */
+function decodeEntities(html) {
+    return html.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(codePoint);
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Looks up the translation of a piece of text.
+ * @param {string} text - Plain text (whitespace is collapsed before the lookup).
+ * @param {Object.<string, string>[]} catalogues - Catalogues to search, in order.
+ * @returns {string|null} The translation, or null if no catalogue has one.
+ */
+function translateText(text, catalogues) {
+    const key = text.replace(/\s+/g, ' ').trim();
+    const catalogue = catalogues.find(entries => Object.prototype.hasOwnProperty.call(entries, key));
+    return catalogue ? catalogue[key] : null;
+}
+
+/**
+ * Translates a text node or attribute value as written in HTML.
+ * @param {string} html - The text as written in HTML.
+ * @param {Object.<string, string>[]} catalogues - Catalogues to search, in order.
+ * @param {function(string): void} onMissing - Called with text that has no translation.
+ * @returns {string|null} The escaped translation, or null to keep the original.
+ */
+function translateHTMLText(html, catalogues, onMissing) {
+    const text = decodeEntities(html).replace(/\s+/g, ' ').trim();
+    if (UNTRANSLATABLE_TEXT.test(text)) {
+        return null;
+    }
+
+    const translation = translateText(text, catalogues);
+    if (translation === null) {
+        onMissing(text);
+        return null;
+    }
+    return escapeHTML(translation);
+}
+
+/**
+ * Translates the text nodes and translatable attributes of an HTML fragment.
+ * Scripts, styles, comments and closing tags are left alone.
+ * @param {string} html - The HTML fragment.
+ * @param {Object.<string, string>[]} catalogues - Catalogues to search, in order.
+ * @param {function(string): void} onMissing - Called with each text that has no translation.
+ * @returns {string} The translated HTML.
+ */
+function translateHTML(html, catalogues, onMissing) {
+    const tokenPattern = /(<!--[\s\S]*?-->|<script\b[\s\S]*?<\/script>|<style\b[\s\S]*?<\/style>|<[/!][^>]*>)|(<[a-zA-Z][^>]*>)|([^<]+)/g;
+    const attributePattern = new RegExp(`(\\s(?:${TRANSLATED_ATTRIBUTES.join('|')})=")([^"]*)(")`, 'g');
+
+    return html.replace(tokenPattern, (match, skipped, tag, text) => {
+        if (skipped) {
+            return skipped;
+        }
+        if (tag) {
+            return tag.replace(attributePattern, (attribute, before, value, after) => {
+                const translation = translateHTMLText(value, catalogues, onMissing);
+                return translation === null ? attribute : `${before}${translation}${after}`;
+            });
+        }
+
+        const translation = translateHTMLText(text, catalogues, onMissing);
+        if (translation === null) {
+            return text;
+        }
+        const [, leading, trailing] = text.match(/^(\s*)[\s\S]*?(\s*)$/);
+        return `${leading}${translation}${trailing}`;
+    });
+}
+
+/**
+ * Points root-absolute links (<a> and <link>, such as prefetches) to pages at the
+ * locale's version of each page, when it has one.
+ * @param {string} html - The HTML fragment.
+ * @param {Locale} locale - The fragment's locale.
+ * @returns {string} The HTML with localized links.
+ */
+function localizeLinks(html, locale) {
+    if (locale === getDefaultLocale()) {
+        return html;
+    }
+
+    return html.replace(/(<(?:a|link)\b[^>]*\shref=")(\/(?!\/)[^"#?]*)([^"]*")/g, (match, before, urlPath, after) => {
+        const page = urlPath.endsWith('/') ? `${urlPath.slice(1)}index.html` : urlPath.slice(1);
+        if (!page.endsWith('.html') || !hasTranslation(page, locale)) {
+            return match;
+        }
+        return `${before}${toURLPath(getLocalizedPage(page, locale))}${after}`;
+    });
+}
+
+/**
+ * Moves a relative URL down a number of directory levels.
+ * @param {string} url - The URL.
+ * @param {number} levels - Directory levels to add.
+ * @returns {string} The adjusted URL (unchanged if it is not relative).
+ */
+function rebaseURL(url, levels) {
+    return url && !NON_RELATIVE_URL.test(url) ? '../'.repeat(levels) + url : url;
+}
+
+/**
+ * Moves every relative URL in a page down a number of directory levels, for a copy of
+ * the page that lives deeper in the site.
+ * @param {string} html - The page HTML.
+ * @param {number} levels - Directory levels to add.
+ * @param {function(string): boolean} [keep] - Returns true for URLs to leave as they are.
+ * @returns {string} The HTML with adjusted URLs.
+ */
+function rebaseRelativeURLs(html, levels, keep = () => false) {
+    const rebase = url => (keep(url) ? url : rebaseURL(url, levels));
+    const attributePattern = new RegExp(`(\\s(${URL_ATTRIBUTES.join('|')})=")([^"]*)(")`, 'g');
+
+    return html.replace(/<[a-zA-Z][^>]*>/g, tag => tag.replace(attributePattern, (match, before, name, value, after) => {
+        const rebased = name === 'srcset'
+            ? value.replace(/(^|,\s*)([^\s,]+)/g, (candidate, separator, url) => separator + rebase(url))
+            : rebase(value);
+        return `${before}${rebased}${after}`;
+    }));
+}
+
+/**
+ * Writes a page's language links into the language switcher (the <ul class="language-switcher">
+ * in components/nav.html): one link per other locale, to this page's version in that locale,
+ * or to the locale's home page when this page isn't translated.
+ * @param {string} html - HTML containing the switcher.
+ * @param {string} htmlFile - Page path relative to the site root.
+ * @returns {string} The HTML with the page's language links (unchanged if there is no switcher).
+ */
+function renderLanguageSwitcher(html, htmlFile) {
+    const pageLocale = getPageLocale(htmlFile);
+    const sourcePage = getSourcePage(htmlFile);
+
+    return html.replace(LANGUAGE_SWITCHER_PATTERN, (match, indent, openingTag) => {
+        const links = AppConfig.locales
+            .filter(locale => locale !== pageLocale)
+            .map(locale => {
+                const page = hasTranslation(sourcePage, locale) ? sourcePage : 'index.html';
+                const href = toURLPath(getLocalizedPage(page, locale));
+                return `${indent}    <li><a href="${href}" hreflang="${locale.lang}" lang="${locale.lang}">` +
+                    `<i class="fas fa-globe" aria-hidden="true"></i> <span class="language-switcher-name">${escapeHTML(locale.name)}</span></a></li>`;
+            });
+        return [`${indent}${openingTag}`, ...links, `${indent}</ul>`].join('\n');
+    });
+}
+
+/**
+ * Empties the language switcher, so the language names (each written in its own
+ * language) are not looked up; renderLanguageSwitcher() writes them again.
+ * @param {string} html - HTML that may contain the switcher.
+ * @returns {string} The HTML with an empty switcher.
+ */
+function clearLanguageSwitcher(html) {
+    return html.replace(LANGUAGE_SWITCHER_PATTERN, (match, indent, openingTag) => `${indent}${openingTag}</ul>`);
+}
+
+/**
+ * Creates a collector for text without a translation, grouped by catalogue file.
+ * @returns {{add: function(string, string): void, entries: Map<string, Set<string>>}} The collector.
+ */
+function createMissingCollector() {
+    const entries = new Map();
+    return {
+        entries,
+        add(catalogueFile, text) {
+            if (!entries.has(catalogueFile)) {
+                entries.set(catalogueFile, new Set());
+            }
+            entries.get(catalogueFile).add(text);
+        }
+    };
+}
+
+/**
+ * Localizes a partial for the page it is inlined into: translated text and links for
+ * a translated page, and the page's language links in the switcher for every page.
+ * @param {string} html - The partial HTML.
+ * @param {string} htmlFile - Page path relative to the site root.
+ * @param {function(string): void} [onMissing] - Called with text that has no translation.
+ * @returns {string} The localized partial.
+ */
+function localizeComponent(html, htmlFile, onMissing = () => {}) {
+    const locale = getPageLocale(htmlFile);
+    let content = html;
+
+    if (locale !== getDefaultLocale()) {
+        const catalogue = loadCatalogue(path.join(LOCALES_DIR, locale.code, COMPONENTS_CATALOGUE));
+        content = localizeLinks(translateHTML(clearLanguageSwitcher(content), [catalogue], onMissing), locale);
+    }
+    return renderLanguageSwitcher(content, htmlFile);
+}
+
+/**
+ * Translates a source page into a locale.
+ * Inlined partials are translated from components.json; the rest of the body from the
+ * page's catalogue, falling back to components.json for shared text such as industry
+ * names. The <head> is left to build/inject-head-common.js.
+ * @param {string} htmlContent - The source page HTML.
+ * @param {string} sourcePage - Default-locale page path.
+ * @param {Locale} locale - The locale to translate into.
+ * @param {{add: function(string, string): void}} missing - Collects text without a translation.
+ * @returns {string} The translated page HTML.
+ */
+function localizePage(htmlContent, sourcePage, locale, missing) {
+    const componentsFile = path.join(LOCALES_DIR, locale.code, COMPONENTS_CATALOGUE);
+    const pageFile = getPageCatalogueFile(sourcePage, locale);
+    const componentsCatalogue = loadCatalogue(componentsFile);
+    const pageCatalogue = loadCatalogue(pageFile);
+    const htmlFile = getLocalizedPage(sourcePage, locale);
+
+    const translateBody = body => {
+        const parts = [];
+        let lastIndex = 0;
+        body.replace(INLINED_BLOCK_PATTERN, (block, key, offset) => {
+            parts.push(translateHTML(body.slice(lastIndex, offset), [pageCatalogue, componentsCatalogue], text => missing.add(pageFile, text)));
+            parts.push(translateHTML(block, [componentsCatalogue], text => missing.add(componentsFile, text)));
+            lastIndex = offset + block.length;
+            return block;
+        });
+        parts.push(translateHTML(body.slice(lastIndex), [pageCatalogue, componentsCatalogue], text => missing.add(pageFile, text)));
+        return parts.join('');
+    };
+
+    // Relative links to pages that are translated too already point at the translation
+    const isTranslatedPage = url => {
+        const linkedPage = path.posix.join(path.posix.dirname(sourcePage), url.split(/[?#]/)[0]);
+        return linkedPage.endsWith('.html') && hasTranslation(linkedPage, locale);
+    };
+    const rebased = clearLanguageSwitcher(rebaseRelativeURLs(htmlContent, 1, isTranslatedPage));
+    const bodyStart = rebased.search(/<body\b/);
+    const head = rebased.slice(0, bodyStart).replace(/<html\b[^>]*>/, `<html lang="${locale.lang}">`);
+    const body = translateBody(rebased.slice(bodyStart));
+
+    return renderLanguageSwitcher(localizeLinks(head + body, locale), htmlFile);
+}
+
+/**
+ * Builds a locale's web app manifest from manifest.json.
+ * The description is translated from components.json.
+ * @param {Object} manifest - The parsed manifest.json.
+ * @param {Locale} locale - The locale.
+ * @param {{add: function(string, string): void}} missing - Collects text without a translation.
+ * @returns {Object} The locale's manifest, for <code>/manifest.json.
+ */
+function localizeManifest(manifest, locale, missing) {
+    const componentsFile = path.join(LOCALES_DIR, locale.code, COMPONENTS_CATALOGUE);
+    const description = translateText(manifest.description, [loadCatalogue(componentsFile)]);
+    if (description === null) {
+        missing.add(componentsFile, manifest.description);
+    }
+
+    return {
+        ...manifest,
+        description: description || manifest.description,
+        start_url: `/${locale.code}/`,
+        icons: manifest.icons.map(icon => ({ ...icon, src: rebaseURL(icon.src, 1) })),
+        lang: locale.lang
+    };
+}
+
+/**
+ * Checks that a locale's JavaScript strings cover every message in AppConfig.messages,
+ * and that js/lib/locale.js can load them.
+ * @param {Locale} locale - The locale.
+ * @returns {string[]} Warnings for missing strings (or a missing js/locales file or loader).
+ */
+function checkLocaleStrings(locale) {
+    const stringsFile = path.join('js', 'locales', `${locale.code}.js`);
+    const stringsPath = path.join(PROJECT_ROOT, stringsFile);
+    if (!fs.existsSync(stringsPath)) {
+        return [`${stringsFile} not found - scripts will show English text on /${locale.code}/ pages`];
+    }
+
+    const strings = loadBrowserModule(stringsFile);
+    const { quoteFormErrors, calculatorSummary, ...messages } = AppConfig.messages;
+    const translated = strings.messages || {};
+    const loaderWarnings = fs.readFileSync(path.join(PROJECT_ROOT, LOCALE_LOADERS_FILE), 'utf8').includes(`'../locales/${locale.code}.js'`)
+        ? []
+        : [`${LOCALE_LOADERS_FILE} has no LocaleModules entry for ${locale.code} - scripts will show English text on /${locale.code}/ pages`];
+    return loaderWarnings.concat([
+        ...Object.keys(messages).filter(key => !translated[key]).map(key => `messages.${key}`),
+        ...Object.keys(quoteFormErrors).filter(key => !(translated.quoteFormErrors || {})[key]).map(key => `messages.quoteFormErrors.${key}`),
+        ...Object.keys(calculatorSummary).filter(key => !(translated.calculatorSummary || {})[key]).map(key => `messages.calculatorSummary.${key}`),
+        ...Object.keys(AppConfig.carousel.labels).filter(key => !(strings.carouselLabels || {})[key]).map(key => `carouselLabels.${key}`),
+        ...Object.keys(AppConfig.faq.labels).filter(key => !(strings.faqLabels || {})[key]).map(key => `faqLabels.${key}`),
+        ...AppConfig.industries.filter(industry => !(strings.industries || {})[industry.slug]).map(industry => `industries.${industry.slug}`)
+    ].map(key => `${stringsFile}: no translation for ${key}`));
+}
+
+/**
+ * Generates the translated pages and manifests of every locale.
+ * @param {boolean} [dryRun] - If true, preview changes without writing files.
+ * @param {string} [rootDir] - Site root to read source pages from and write into (defaults to the project root).
+ * @param {boolean} [listMissing] - If true, list every string without a translation.
+ * @returns {boolean} True if every page was translated, false on errors.
+ */
+function localizePages(dryRun = false, rootDir = PROJECT_ROOT, listMissing = false) {
+    const errors = [];
+    const missing = createMissingCollector();
+    let pageCount = 0;
+
+    if (dryRun) {
+        console.log('🔍 DRY RUN MODE - No files will be modified\n');
+    }
+
+    try {
+        const manifestPath = path.join(rootDir, MANIFEST_FILE);
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        if (manifest.lang !== getDefaultLocale().lang) {
+            manifest.lang = getDefaultLocale().lang;
+            writeIfChanged(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, dryRun);
+        }
+
+        getTranslatedLocales().forEach(locale => {
+            checkLocaleStrings(locale).forEach(warning => console.warn(`⚠️  ${warning}`));
+
+            const localeManifest = localizeManifest(manifest, locale, missing);
+            writeIfChanged(path.join(rootDir, locale.code, MANIFEST_FILE), `${JSON.stringify(localeManifest, null, 2)}\n`, dryRun);
+
+            getTranslatedPages(locale).forEach(sourcePage => {
+                const sourcePath = path.join(rootDir, sourcePage);
+                if (!fs.existsSync(sourcePath)) {
+                    errors.push(`${getPageCatalogueFile(sourcePage, locale)} has no matching page ${sourcePage}`);
+                    return;
+                }
+
+                try {
+                    const translated = localizePage(fs.readFileSync(sourcePath, 'utf8'), sourcePage, locale, missing);
+                    writeIfChanged(path.join(rootDir, getLocalizedPage(sourcePage, locale)), translated, dryRun);
+                    pageCount++;
+                } catch (error) {
+                    errors.push(`Error translating ${sourcePage} into ${locale.code}: ${error.message}`);
+                }
+            });
+        });
+    } catch (error) {
+        errors.push(error.message);
+    }
+
+    missing.entries.forEach((texts, catalogueFile) => {
+        console.warn(`⚠️  ${catalogueFile}: ${texts.size} string(s) without a translation (shown in English)`);
+        if (listMissing) {
+            texts.forEach(text => console.warn(`     ${JSON.stringify(text)}`));
+        }
+    });
+    if (missing.entries.size > 0 && !listMissing) {
+        console.log('💡 Run `node build/localize-pages.js --missing` to list them');
+    }
+
+    if (errors.length > 0) {
+        console.error('❌ Localization failed:');
+        errors.forEach(error => console.error(`  - ${error}`));
+        return false;
+    }
+
+    if (dryRun) {
+        console.log(`🔍 Checked ${pageCount} translated page(s)`);
+        console.log('\n💡 Run without --dry-run to apply changes');
+    } else {
+        console.log(`✅ ${pageCount} translated page(s) up to date`);
+    }
+    return true;
+}
+
+// Run the localizer if this script is executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const listMissing = args.includes('--missing');
+
+    const success = localizePages(dryRun, PROJECT_ROOT, listMissing);
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = {
+    localizePages,
+    localizeComponent,
+    getPageLocale,
+    getSourcePage,
+    getLocalizedPage,
+    getPageAlternates,
+    getDefaultLocale,
+    toURLPath,
+    translateText,
+    loadCatalogue,
+    LOCALES_DIR,
+    COMPONENTS_CATALOGUE
+};
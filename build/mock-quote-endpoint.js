@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Mock Quote Request Endpoint
+ *
+ * Usage: node build/mock-quote-endpoint.js [--port=8787] [--host=127.0.0.1] [--fail]
+ * This script starts a local HTTP server that accepts the quote form's JSON POSTs,
+ * so the form can be tested without a real backend. Point the form at it by setting
+ * AppConfig.quoteForm.endpoint to 'http://localhost:8787/api/quote' in js/config.js.
+ * The dev server allows the origin in each page's CSP connect-src on its own; run
+ * `npm run build:csp` to allow it in the committed pages.
+ *
+ * Each request is checked for the required fields and logged to the console.
+ * The server only listens on the loopback interface unless --host says otherwise.
+ * Stop the server with Ctrl+C.
+ *
+ * Options:
+ *   --port=N       Port to listen on (default: 8787)
+ *   --host=ADDR    Address to listen on (default: 127.0.0.1; 0.0.0.0 for every interface)
+ *   --fail         Respond to every request with a 500 error (to test the error message)
+ */
+
+const http = require('http');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+const ENDPOINT_PATH = '/api/quote';
+const REQUIRED_FIELDS = ['name', 'email', 'industry', 'message'];
+// Reject bodies larger than this (the form's maxlength limits add up to well under it)
+const MAX_BODY_BYTES = 16 * 1024;
+
+/**
+ * Sends a JSON response with CORS headers (the site is served from another origin).
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - HTTP status code.
+ * @param {Object} [body] - Response body.
+ * @returns {void}
+ */
+function sendJSON(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Accept'
+    });
+    res.end(body ? JSON.stringify(body) : undefined);
+}
+
+/**
+ * Handles a single request to the mock endpoint.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {boolean} fail - Whether to fail every request.
+ * @returns {void}
+ */
+function handleRequest(req, res, fail) {
+    if (req.method === 'OPTIONS') {
+        sendJSON(res, 204);
+        return;
+    }
+    if (req.url !== ENDPOINT_PATH || req.method !== 'POST') {
+        sendJSON(res, 404, { ok: false, error: `Only POST ${ENDPOINT_PATH} is supported` });
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+            sendJSON(res, 413, { ok: false, error: 'Request body too large' });
+            req.destroy();
+        }
+    });
+    req.on('end', () => {
+        if (res.writableEnded) {
+            return;
+        }
+        if (fail) {
+            console.log('💥 Failing request (--fail)');
+            sendJSON(res, 500, { ok: false, error: 'Simulated failure' });
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch (error) {
+            sendJSON(res, 400, { ok: false, error: `Invalid JSON: ${error.message}` });
+            return;
+        }
+
+        const missing = REQUIRED_FIELDS.filter(field => !data[field]);
+        if (missing.length > 0) {
+            console.log(`❌ Rejected request missing: ${missing.join(', ')}`);
+            sendJSON(res, 422, { ok: false, error: `Missing fields: ${missing.join(', ')}` });
+            return;
+        }
+
+        console.log(`✅ Quote request received at ${new Date().toISOString()}`);
+        console.log(JSON.stringify(data, null, 2));
+        sendJSON(res, 200, { ok: true });
+    });
+}
+
+// Run the server if this script is executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const portArg = args.find(arg => arg.startsWith('--port='));
+    const port = portArg ? parseInt(portArg.split('=')[1], 10) : DEFAULT_PORT;
+    const hostArg = args.find(arg => arg.startsWith('--host='));
+    const host = hostArg ? hostArg.split('=')[1] : DEFAULT_HOST;
+    const fail = args.includes('--fail');
+
+    http.createServer((req, res) => handleRequest(req, res, fail)).listen(port, host, () => {
+        const displayHost = host === DEFAULT_HOST ? 'localhost' : host;
+        console.log(`📮 Mock quote endpoint listening on http://${displayHost}:${port}${ENDPOINT_PATH}`);
+        console.log('   Press Ctrl+C to stop\n');
+    });
+}
+
+module.exports = { handleRequest };
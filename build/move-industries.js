@@ -5,14 +5,11 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadBrowserModule } = require('./load-browser-module');
+const AppConfig = loadBrowserModule('js/config.js');
 
-const industryFiles = [
-  'emergency-response.html',
-  'homes.html',
-  'job-sites.html',
-  'military-defense.html',
-  'remote-businesses.html'
-];
+// Industry page file names come from the industry registry
+const industryFiles = AppConfig.industries.map(industry => path.basename(industry.path));
 
 const projectRoot = path.join(__dirname, '..');
 const industriesDir = path.join(projectRoot, 'industries');
@@ -0,0 +1,646 @@
+#!/usr/bin/env node
+/**
+ * CSS Bundling, Minification and Critical CSS
+ *
+ * Usage: node build/optimize-css.js [--dry-run]
+ * This script optimizes the stylesheets of a built site in dist/:
+ * - every stylesheet a page links (css/styles.css) is bundled with the files it
+ *   @imports into one file, and the imported files are removed
+ * - rules whose selectors match nothing in any page, partial or script in js/ are
+ *   dropped (selectors are matched by their class, id, attribute and element names,
+ *   ignoring pseudo-classes); CSS_SAFELIST keeps classes that are only ever built at
+ *   runtime, and @keyframes no remaining rule uses are dropped too
+ * - the bundle is minified
+ * - each page gets the rules that match its above-the-fold markup (everything before
+ *   the second <section> in <main>: the nav and the banner) inlined in a <style> block,
+ *   and its stylesheet link is deferred with media="print" until js/deferred-styles.js
+ *   applies it, so the first paint waits for no CSS request. That script is a classic
+ *   one with no dependencies, so the styles don't depend on js/main.js loading. A
+ *   <noscript> link keeps the page styled without JavaScript.
+ *
+ * A before/after size report (raw and gzipped) is printed.
+ *
+ * The source tree keeps its separate files and @imports for development, so this
+ * step only runs as part of `npm run build`, before the link check and asset
+ * fingerprinting. build/generate-csp.js hashes the inlined <style> blocks afterwards.
+ *
+ * Options:
+ *   --dry-run    Print the size report without changing any file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { getHTMLFiles } = require('./inject-head-common');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DIST_DIR = path.join(PROJECT_ROOT, 'dist');
+const COMPONENTS_DIR = 'components';
+const JS_DIR = 'js';
+
+// Classes added by scripts from names no file spells out in full
+const CSS_SAFELIST = ['fade-in', 'scrolled', 'active-slide', 'component-error'];
+
+// At-rules whose blocks hold rules that are purged like top-level ones
+const NESTED_AT_RULES = ['media', 'supports', 'layer', 'container'];
+
+// Attribute that marks a deferred stylesheet link; DEFERRED_STYLES_SCRIPT sets media to its value
+const DEFERRED_MEDIA_ATTRIBUTE = 'data-deferred-media';
+// Classic script linked after the deferred stylesheets, relative to the site root
+const DEFERRED_STYLES_SCRIPT = 'js/deferred-styles.js';
+
+const STRING_PATTERN = /("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')/;
+const CSS_URL_PATTERN = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^"')\s]+))\s*\)/g;
+const EXTERNAL_URL = /^([a-z][a-z0-9+.-]*:|\/\/|\/|#)/i;
+
+/**
+ * A parsed stylesheet node.
+ * @typedef {Object} CSSNode
+ * @property {'rule'|'at'} type - Style rule or at-rule.
+ * @property {string} prelude - Selector list, or the at-rule up to its block.
+ * @property {string|null} [body] - Declarations (rules and at-rules like @font-face).
+ * @property {CSSNode[]} [children] - Nested rules (@media, @keyframes, ...).
+ */
+
+/**
+ * Applies a transform to the parts of CSS text outside string literals.
+ * @param {string} text - CSS text.
+ * @param {function(string): string} transform - Transform for each unquoted part.
+ * @returns {string} The transformed text.
+ */
+function mapOutsideStrings(text, transform) {
+    return text.split(STRING_PATTERN).map((part, index) => (index % 2 === 1 ? part : transform(part))).join('');
+}
+
+/**
+ * Finds the next character of a set outside strings and parentheses.
+ * @param {string} text - CSS text.
+ * @param {number} start - Index to search from.
+ * @param {string} chars - Characters to look for.
+ * @returns {number} The index, or -1 if there is none.
+ */
+function findTopLevel(text, start, chars) {
+    let quote = null;
+    let parens = 0;
+    for (let index = start; index < text.length; index++) {
+        const char = text[index];
+        if (quote) {
+            if (char === '\\') {
+                index++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '(') {
+            parens++;
+        } else if (char === ')') {
+            parens = Math.max(0, parens - 1);
+        } else if (parens === 0 && chars.includes(char)) {
+            return index;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Finds the brace that closes a block.
+ * @param {string} text - CSS text.
+ * @param {number} open - Index of the opening brace.
+ * @returns {number} Index of the closing brace.
+ * @throws {Error} Throws if the block is never closed.
+ */
+function findClosingBrace(text, open) {
+    let depth = 0;
+    let index = open;
+    while (index !== -1) {
+        if (text[index] === '{') {
+            depth++;
+        } else if (--depth === 0) {
+            return index;
+        }
+        index = findTopLevel(text, index + 1, '{}');
+    }
+    throw new Error(`Unclosed block: ${text.slice(Math.max(0, open - 40), open + 1).trim()}`);
+}
+
+/**
+ * Parses a stylesheet into rules and at-rules.
+ * @param {string} css - The stylesheet.
+ * @returns {CSSNode[]} Top-level nodes.
+ * @throws {Error} Throws if a block is never closed.
+ */
+function parseCSS(css) {
+    const text = css.replace(/("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')|\/\*[\s\S]*?\*\//g, (match, string) => string || '');
+    const nodes = [];
+    let index = 0;
+
+    while (index < text.length) {
+        const next = findTopLevel(text, index, '{;');
+        if (next === -1) {
+            break;
+        }
+        const prelude = text.slice(index, next).trim();
+        if (text[next] === ';') {
+            if (prelude) {
+                nodes.push({ type: 'at', prelude, body: null });
+            }
+            index = next + 1;
+            continue;
+        }
+
+        const close = findClosingBrace(text, next);
+        const body = text.slice(next + 1, close);
+        if (prelude.startsWith('@')) {
+            const name = prelude.slice(1).split(/[\s({]/)[0].toLowerCase();
+            // @keyframes blocks hold keyframe rules; @font-face and @page hold declarations
+            const nested = NESTED_AT_RULES.includes(name) || name.endsWith('keyframes');
+            nodes.push(nested ? { type: 'at', prelude, children: parseCSS(body) } : { type: 'at', prelude, body });
+        } else {
+            nodes.push({ type: 'rule', prelude, body });
+        }
+        index = close + 1;
+    }
+
+    return nodes;
+}
+
+/**
+ * Gets the name of a @keyframes rule.
+ * @param {CSSNode} node - A node.
+ * @returns {string|null} The animation name, or null if the node is not @keyframes.
+ */
+function getKeyframesName(node) {
+    const match = node.type === 'at' && node.prelude.match(/^@(?:-[a-z]+-)?keyframes\s+(\S+)/i);
+    return match ? match[1].replace(/^["']|["']$/g, '') : null;
+}
+
+/**
+ * Splits a selector list at its top-level commas.
+ * @param {string} selectorList - Selector list.
+ * @returns {string[]} Selectors.
+ */
+function splitSelectors(selectorList) {
+    const selectors = [];
+    let start = 0;
+    let comma = findTopLevel(selectorList, 0, ',');
+    while (comma !== -1) {
+        selectors.push(selectorList.slice(start, comma).trim());
+        start = comma + 1;
+        comma = findTopLevel(selectorList, start, ',');
+    }
+    selectors.push(selectorList.slice(start).trim());
+    return selectors.filter(Boolean);
+}
+
+/**
+ * Removes pseudo-classes and pseudo-elements (with their arguments) from a selector.
+ * @param {string} selector - Selector without string literals.
+ * @returns {string} The selector without them.
+ */
+function removePseudos(selector) {
+    let result = '';
+    let index = 0;
+    while (index < selector.length) {
+        if (selector[index] !== ':') {
+            result += selector[index++];
+            continue;
+        }
+        index += selector[index + 1] === ':' ? 2 : 1;
+        while (index < selector.length && /[\w-]/.test(selector[index])) {
+            index++;
+        }
+        if (selector[index] === '(') {
+            let depth = 0;
+            do {
+                if (selector[index] === '(') {
+                    depth++;
+                } else if (selector[index] === ')') {
+                    depth--;
+                }
+                index++;
+            } while (index < selector.length && depth > 0);
+        }
+    }
+    return result;
+}
+
+/**
+ * Gets the names a selector needs to match: classes, ids, attributes and elements.
+ * @param {string} selector - A single selector.
+ * @returns {{classes: string[], ids: string[], attributes: string[], tags: string[]}} The names.
+ */
+function getSelectorNames(selector) {
+    let simple = removePseudos(selector.replace(new RegExp(STRING_PATTERN.source, 'g'), '""'));
+    const collect = (pattern) => {
+        const names = [];
+        simple = simple.replace(pattern, (match, name) => {
+            names.push(name);
+            return ' ';
+        });
+        return names;
+    };
+
+    const attributes = collect(/\[\s*([\w-]+)[^\]]*\]/g);
+    const classes = collect(/\.((?:\\.|[\w-])+)/g).map(name => name.replace(/\\/g, ''));
+    const ids = collect(/#([\w-]+)/g);
+    const tags = (simple.match(/[a-zA-Z][\w-]*/g) || []).map(tag => tag.toLowerCase());
+    return { classes, ids, attributes, tags };
+}
+
+/**
+ * Collects the names markup uses.
+ * @param {string} htmlContent - HTML.
+ * @param {Object.<string, Set<string>>} [names] - Sets to add to.
+ * @returns {{classes: Set<string>, ids: Set<string>, attributes: Set<string>, tags: Set<string>}} The names.
+ */
+function collectMarkupNames(htmlContent, names = createNameSets()) {
+    const tagPattern = /<([a-zA-Z][\w-]*)\b([^>]*)>/g;
+    const attributePattern = /([\w:-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let tagMatch;
+
+    while ((tagMatch = tagPattern.exec(htmlContent.replace(/<!--[\s\S]*?-->/g, ''))) !== null) {
+        names.tags.add(tagMatch[1].toLowerCase());
+        let attributeMatch;
+        while ((attributeMatch = attributePattern.exec(tagMatch[2])) !== null) {
+            const name = attributeMatch[1].toLowerCase();
+            const value = attributeMatch[2] || attributeMatch[3] || attributeMatch[4] || '';
+            names.attributes.add(name);
+            if (name === 'class') {
+                value.split(/\s+/).filter(Boolean).forEach(className => names.classes.add(className));
+            } else if (name === 'id') {
+                names.ids.add(value);
+            }
+        }
+    }
+
+    return names;
+}
+
+/**
+ * Creates empty name sets.
+ * @returns {{classes: Set<string>, ids: Set<string>, attributes: Set<string>, tags: Set<string>}} The sets.
+ */
+function createNameSets() {
+    return { classes: new Set(), ids: new Set(), attributes: new Set(), tags: new Set() };
+}
+
+/**
+ * Collects every name the site can use: markup in pages and partials, every word in
+ * the scripts (class names, ids and elements they create or query) and CSS_SAFELIST.
+ * @param {string} rootDir - Site root directory.
+ * @param {string[]} pages - Page paths relative to rootDir.
+ * @returns {{classes: Set<string>, ids: Set<string>, attributes: Set<string>, tags: Set<string>}} The names.
+ */
+function collectSiteNames(rootDir, pages) {
+    const names = createNameSets();
+    const listDir = (dir, extension) => {
+        const dirPath = path.join(rootDir, dir);
+        if (!fs.existsSync(dirPath)) {
+            return [];
+        }
+        return fs.readdirSync(dirPath, { withFileTypes: true }).flatMap(entry => {
+            const relativePath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                return listDir(relativePath, extension);
+            }
+            return entry.name.endsWith(extension) ? [relativePath] : [];
+        });
+    };
+
+    [...pages, ...listDir(COMPONENTS_DIR, '.html')].forEach(file => {
+        collectMarkupNames(fs.readFileSync(path.join(rootDir, file), 'utf8'), names);
+    });
+    listDir(JS_DIR, '.js').forEach(file => {
+        const words = fs.readFileSync(path.join(rootDir, file), 'utf8').match(/[\w-]+/g) || [];
+        words.forEach(word => Object.values(names).forEach(set => set.add(word)));
+    });
+    CSS_SAFELIST.forEach(className => names.classes.add(className));
+
+    return names;
+}
+
+/**
+ * Checks whether a selector can match with the given names.
+ * Selectors with no names at all (:root, *, ::selection) always match.
+ * @param {string} selector - A single selector.
+ * @param {{classes: Set<string>, ids: Set<string>, attributes: Set<string>, tags: Set<string>}} names - Used names.
+ * @returns {boolean} True if every name in the selector is used.
+ */
+function isSelectorUsed(selector, names) {
+    const needed = getSelectorNames(selector);
+    return needed.classes.every(name => names.classes.has(name)) &&
+        needed.ids.every(name => names.ids.has(name)) &&
+        needed.attributes.every(name => names.attributes.has(name.toLowerCase())) &&
+        needed.tags.every(name => names.tags.has(name));
+}
+
+/**
+ * Drops the selectors, rules and @keyframes that can't match.
+ * @param {CSSNode[]} nodes - Parsed stylesheet.
+ * @param {{classes: Set<string>, ids: Set<string>, attributes: Set<string>, tags: Set<string>}} names - Used names.
+ * @returns {{nodes: CSSNode[], removed: number}} The remaining nodes and the number of rules removed.
+ */
+function purgeCSS(nodes, names) {
+    let removed = 0;
+
+    const purgeRules = list => list.flatMap(node => {
+        if (node.type === 'rule') {
+            const selectors = splitSelectors(node.prelude).filter(selector => isSelectorUsed(selector, names));
+            if (selectors.length === 0) {
+                removed++;
+                return [];
+            }
+            return [{ ...node, prelude: selectors.join(', ') }];
+        }
+        if (node.children && !getKeyframesName(node)) {
+            const children = purgeRules(node.children);
+            return children.length > 0 ? [{ ...node, children }] : [];
+        }
+        return [node];
+    });
+
+    const purged = purgeRules(nodes);
+
+    // Keyframes are kept only if a remaining declaration names them
+    const declarations = [];
+    const collectDeclarations = list => list.forEach(node => {
+        if (node.body) {
+            declarations.push(node.body);
+        } else if (node.children && !getKeyframesName(node)) {
+            collectDeclarations(node.children);
+        }
+    });
+    collectDeclarations(purged);
+    const declarationText = declarations.join(';');
+    const dropUnusedKeyframes = list => list.flatMap(node => {
+        const name = getKeyframesName(node);
+        if (name) {
+            const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            if (!new RegExp(`(^|[^\\w-])${escaped}([^\\w-]|$)`).test(declarationText)) {
+                removed++;
+                return [];
+            }
+            return [node];
+        }
+        return node.children ? [{ ...node, children: dropUnusedKeyframes(node.children) }] : [node];
+    });
+
+    return { nodes: dropUnusedKeyframes(purged), removed };
+}
+
+/**
+ * Minifies a declaration block.
+ * @param {string} body - Declarations.
+ * @returns {string} The minified declarations.
+ */
+function minifyDeclarations(body) {
+    return mapOutsideStrings(body, part => part
+        .replace(/\s+/g, ' ')
+        .replace(/\s*([;:,])\s*/g, '$1')
+        .replace(/\s*!important/g, '!important'))
+        .trim()
+        .replace(/;+$/, '');
+}
+
+/**
+ * Serializes nodes as minified CSS.
+ * @param {CSSNode[]} nodes - Parsed stylesheet.
+ * @returns {string} Minified CSS.
+ */
+function serializeCSS(nodes) {
+    return nodes.map(node => {
+        if (node.type === 'rule') {
+            const selector = mapOutsideStrings(node.prelude, part => part
+                .replace(/\s+/g, ' ')
+                .replace(/\s*([,>~+])\s*/g, '$1')).trim();
+            const body = minifyDeclarations(node.body);
+            return body ? `${selector}{${body}}` : '';
+        }
+        const prelude = mapOutsideStrings(node.prelude, part => part
+            .replace(/\s+/g, ' ')
+            .replace(/\s*([,:])\s*/g, '$1')
+            .replace(/\(\s+/g, '(')
+            .replace(/\s+\)/g, ')')).trim();
+        if (node.children) {
+            const children = serializeCSS(node.children);
+            return children ? `${prelude}{${children}}` : '';
+        }
+        return node.body === null ? `${prelude};` : `${prelude}{${minifyDeclarations(node.body)}}`;
+    }).join('');
+}
+
+/**
+ * Rewrites the relative url() references of CSS for a new location.
+ * @param {string} css - CSS text.
+ * @param {string} fromDir - Directory the references resolve against now, relative to the site root.
+ * @param {string} toDir - Directory they must resolve against, relative to the site root.
+ * @returns {string} The CSS with rebased references.
+ */
+function rebaseURLs(css, fromDir, toDir) {
+    return css.replace(CSS_URL_PATTERN, (match, doubleQuoted, singleQuoted, unquoted) => {
+        const url = doubleQuoted !== undefined ? doubleQuoted : (singleQuoted !== undefined ? singleQuoted : unquoted);
+        if (EXTERNAL_URL.test(url)) {
+            return match;
+        }
+        const rebased = path.posix.relative(toDir, path.posix.join(fromDir, url)) || '.';
+        // Quoted, so build/fingerprint-assets.js finds the reference inside an HTML page too
+        return rebased.includes('\'') ? `url("${rebased}")` : `url('${rebased}')`;
+    });
+}
+
+/**
+ * Resolves a stylesheet's @imports into one stylesheet.
+ * Imports of other origins stay at the top; an import with a media query is wrapped in @media.
+ * @param {string} file - Stylesheet path relative to the site root (/ separators).
+ * @param {string} rootDir - Site root directory.
+ * @param {Set<string>} imported - Collects every file that was inlined.
+ * @param {string[]} [stack] - Files being bundled, to detect import cycles.
+ * @returns {{css: string, externalImports: string[]}} The bundled CSS and the remaining @import rules.
+ * @throws {Error} Throws if a file is missing or imports are circular.
+ */
+function bundleStylesheet(file, rootDir, imported, stack = []) {
+    if (stack.includes(file)) {
+        throw new Error(`Circular @import: ${[...stack, file].join(' -> ')}`);
+    }
+    const filePath = path.join(rootDir, file);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Stylesheet not found: ${file}${stack.length ? ` (imported by ${stack[stack.length - 1]})` : ''}`);
+    }
+
+    const dir = path.posix.dirname(file);
+    const externalImports = [];
+    const css = fs.readFileSync(filePath, 'utf8').replace(
+        /@import\s+(?:url\(\s*)?(["']?)([^"')\s;]+)\1\s*\)?\s*([^;]*);/g,
+        (statement, quote, url, media) => {
+            if (EXTERNAL_URL.test(url)) {
+                externalImports.push(statement);
+                return '';
+            }
+            const importedFile = path.posix.join(dir, url);
+            imported.add(importedFile);
+            const result = bundleStylesheet(importedFile, rootDir, imported, [...stack, file]);
+            externalImports.push(...result.externalImports);
+            const content = rebaseURLs(result.css, path.posix.dirname(importedFile), dir);
+            return media.trim() ? `@media ${media.trim()}{${content}}` : content;
+        });
+
+    return { css, externalImports };
+}
+
+/**
+ * Gets the markup above the fold: everything before the second <section> in <main>
+ * (or before </main>), which is the nav and the page banner.
+ * @param {string} htmlContent - Page HTML.
+ * @returns {string} The above-the-fold markup.
+ */
+function getAboveTheFold(htmlContent) {
+    const mainStart = htmlContent.search(/<main\b/);
+    if (mainStart === -1) {
+        return htmlContent;
+    }
+    const sectionPattern = /<section\b/g;
+    sectionPattern.lastIndex = mainStart;
+    sectionPattern.exec(htmlContent);
+    const second = sectionPattern.exec(htmlContent);
+    const mainEnd = htmlContent.indexOf('</main>', mainStart);
+    const end = second && (mainEnd === -1 || second.index < mainEnd) ? second.index : mainEnd;
+    return end === -1 ? htmlContent : htmlContent.slice(0, end);
+}
+
+/**
+ * Inlines a page's critical CSS and defers its bundle link.
+ * A page that was already optimized has its <style> block (and script tag) replaced.
+ * @param {string} htmlContent - Page HTML.
+ * @param {string} bundleHref - The bundle's href as the page writes it.
+ * @param {string} criticalCSS - Critical CSS, with url()s relative to the page.
+ * @param {string|null} scriptSrc - DEFERRED_STYLES_SCRIPT relative to the page, or null
+ *   if the page already links it for another stylesheet.
+ * @returns {string|null} The updated page, or null if it doesn't link the bundle.
+ */
+function deferStylesheet(htmlContent, bundleHref, criticalCSS, scriptSrc) {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const linkPattern = new RegExp(
+        `^([ \\t]*)(?:<style data-critical>[^<]*</style>\\n[ \\t]*)?<link rel="stylesheet" href="${escape(bundleHref)}"[^>]*>` +
+        `(?:\\n[ \\t]*<noscript>.*</noscript>)?(?:\\n[ \\t]*<script src="(?:\\.\\./)*${escape(DEFERRED_STYLES_SCRIPT)}" defer></script>)?$`, 'm');
+    if (!linkPattern.test(htmlContent)) {
+        return null;
+    }
+    return htmlContent.replace(linkPattern, (match, indent) => [
+        `${indent}<style data-critical>${criticalCSS}</style>`,
+        `${indent}<link rel="stylesheet" href="${bundleHref}" media="print" ${DEFERRED_MEDIA_ATTRIBUTE}="all">`,
+        `${indent}<noscript><link rel="stylesheet" href="${bundleHref}"></noscript>`,
+        ...(scriptSrc ? [`${indent}<script src="${scriptSrc}" defer></script>`] : [])
+    ].join('\n'));
+}
+
+/**
+ * Formats a byte count with its gzipped size.
+ * @param {string} css - CSS text.
+ * @returns {string} e.g. '45.6 KB (9.8 KB gzipped)'.
+ */
+function formatSize(css) {
+    const kb = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+    return `${kb(Buffer.byteLength(css))} (${kb(zlib.gzipSync(css).length)} gzipped)`;
+}
+
+/**
+ * Bundles, purges and minifies the stylesheets of a built site and inlines each
+ * page's critical CSS.
+ * @param {boolean} [dryRun] - If true, print the size report without changing any file.
+ * @param {string} [rootDir] - Site root to optimize (defaults to dist/).
+ * @returns {boolean} True on success, false on errors.
+ */
+function optimizeCSS(dryRun = false, rootDir = DIST_DIR) {
+    const label = path.relative(PROJECT_ROOT, rootDir) || '.';
+    if (!fs.existsSync(rootDir)) {
+        console.error(`❌ ${label}/ not found. Run \`npm run build\` first.`);
+        return false;
+    }
+
+    try {
+        if (dryRun) {
+            console.log(`🔍 DRY RUN MODE - ${label}/ will not be modified\n`);
+        }
+
+        const pages = getHTMLFiles(rootDir);
+        const siteNames = collectSiteNames(rootDir, pages);
+
+        // The local stylesheets pages link, as site-relative paths
+        const pageLinks = pages.map(page => {
+            const htmlContent = fs.readFileSync(path.join(rootDir, page), 'utf8');
+            const pageDir = path.posix.dirname(page.split(path.sep).join('/'));
+            const links = [];
+            const linkPattern = /<link rel="stylesheet" href="([^"]+)"/g;
+            let match;
+            while ((match = linkPattern.exec(htmlContent)) !== null) {
+                // The <noscript> fallback of an already deferred link names the same file
+                if (!EXTERNAL_URL.test(match[1]) && !links.some(link => link.href === match[1])) {
+                    links.push({ href: match[1], file: path.posix.join(pageDir, match[1]) });
+                }
+            }
+            return { page, pageDir, htmlContent, links };
+        });
+        const entries = [...new Set(pageLinks.flatMap(({ links }) => links.map(link => link.file)))].sort();
+
+        const imported = new Set();
+        const bundles = new Map();
+        entries.forEach(entry => {
+            const files = new Set();
+            const { css, externalImports } = bundleStylesheet(entry, rootDir, files);
+            files.forEach(file => imported.add(file));
+            const sourceCSS = [entry, ...files].map(file => fs.readFileSync(path.join(rootDir, file), 'utf8')).join('\n');
+            const { nodes, removed } = purgeCSS(parseCSS(css), siteNames);
+            const bundle = externalImports.join('') + serializeCSS(nodes);
+            bundles.set(entry, { nodes, bundle, removed });
+
+            console.log(`🎨 ${entry} + ${files.size} import(s)`);
+            console.log(`   Before: ${formatSize(sourceCSS)}`);
+            console.log(`   After:  ${formatSize(bundle)} - ${removed} unused rule(s) removed, -${Math.round((1 - Buffer.byteLength(bundle) / Buffer.byteLength(sourceCSS)) * 100)}%`);
+        });
+
+        const criticalSizes = [];
+        const updatedPages = pageLinks.map(({ page, pageDir, htmlContent, links }) => {
+            const aboveTheFold = collectMarkupNames(getAboveTheFold(htmlContent));
+            const scriptSrc = path.posix.relative(pageDir, DEFERRED_STYLES_SCRIPT);
+            let updated = htmlContent;
+            links.filter(link => bundles.has(link.file)).forEach((link, index) => {
+                const { nodes: critical } = purgeCSS(bundles.get(link.file).nodes, aboveTheFold);
+                const criticalCSS = rebaseURLs(serializeCSS(critical), path.posix.dirname(link.file), pageDir);
+                criticalSizes.push(Buffer.byteLength(criticalCSS));
+                updated = deferStylesheet(updated, link.href, criticalCSS, index === 0 ? scriptSrc : null) || updated;
+            });
+            return { page, htmlContent: updated };
+        });
+        if (criticalSizes.length > 0) {
+            const kb = bytes => (bytes / 1024).toFixed(1);
+            console.log(`\n⚡ Critical CSS inlined into ${criticalSizes.length} page(s): ${kb(Math.min(...criticalSizes))}-${kb(Math.max(...criticalSizes))} KB each`);
+        }
+
+        if (!dryRun) {
+            bundles.forEach(({ bundle }, entry) => fs.writeFileSync(path.join(rootDir, entry), bundle, 'utf8'));
+            imported.forEach(file => {
+                if (!bundles.has(file)) {
+                    fs.rmSync(path.join(rootDir, file), { force: true });
+                }
+            });
+            updatedPages.forEach(({ page, htmlContent }) => fs.writeFileSync(path.join(rootDir, page), htmlContent, 'utf8'));
+            console.log(`\n✅ Optimized ${label}/ CSS: ${bundles.size} bundle(s), ${imported.size} imported file(s) removed`);
+        }
+        return true;
+    } catch (error) {
+        console.error('❌ Error optimizing CSS:', error.message);
+        return false;
+    }
+}
+
+// Run the optimization if this script is executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+
+    const success = optimizeCSS(dryRun);
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = { optimizeCSS, parseCSS, purgeCSS, serializeCSS, getAboveTheFold };
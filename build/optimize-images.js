@@ -2,20 +2,39 @@
 /**
  * Image Optimization Script
  *
- * Usage: node build/optimize-images.js [--webp-only] [--compress-only]
+ * Usage: node build/optimize-images.js [--webp-only] [--compress-only] [--avif] [--widths=480,960]
  * 
  * This script optimizes images by:
  * - Compressing JPG/PNG images to reduce file sizes
  * - Creating WebP versions for modern browsers
+ * - Creating responsive WebP (and optionally AVIF) variants at several widths,
+ *   e.g. assets/van-480w.webp, listed with their dimensions in assets/image-manifest.json
  * - Preserving original images as fallbacks
  *
+ * Re-runs are incremental. Each step's output (compressed image, WebP, variants) is
+ * kept in .cache/images/ (git-ignored, so it survives between builds) with the content
+ * hash of its input and the settings in .cache/images/metadata.json. When both match,
+ * the cached files are copied back instead of processing the image again, so a build
+ * that starts from a fresh copy of the originals still only processes changed images.
+ *
+ * The build runs it on dist/, and so does this script on its own: compressed images
+ * and responsive variants are never written to the source tree. The exception is
+ * --webp-only, which writes just the WebP version of each image next to its original
+ * in the source assets/, since those are committed; it skips images whose WebP is
+ * newer than the original and doesn't use the cache.
+ *
  * Options:
- *   --webp-only      Only generate WebP versions (skip compression)
+ *   --webp-only      Only generate the WebP version of each image in the source tree
+ *                    (no compression, responsive variants or manifest)
  *   --compress-only  Only compress images (skip WebP generation)
+ *   --avif           Also generate AVIF responsive variants
+ *   --widths=LIST    Comma-separated responsive widths (default: RESPONSIVE_WIDTHS)
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { ASSET_MANIFEST_FILE } = require('./fingerprint-assets');
 
 // Check if sharp is available
 let sharp;
@@ -27,12 +46,18 @@ try {
     process.exit(1);
 }
 
-const ASSETS_DIR = path.join(__dirname, '..', 'assets');
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DIST_DIR = path.join(PROJECT_ROOT, 'dist');
+const ASSETS_DIR = 'assets'; // Relative to the site root
 const MAX_WIDTH = 1920; // Max width for images (full HD)
 const QUALITY_JPG = 85; // JPG quality (0-100)
 const QUALITY_PNG = 90; // PNG quality (0-100)
 const QUALITY_WEBP = 85; // WebP quality (0-100)
-const METADATA_FILE = path.join(ASSETS_DIR, '.compression-metadata.json');
+const QUALITY_AVIF = 60; // AVIF quality (0-100)
+const RESPONSIVE_WIDTHS = [480, 960, 1440, 1920]; // Widths for responsive srcset variants
+const CACHE_DIR = path.join(PROJECT_ROOT, '.cache', 'images'); // Kept between builds
+const METADATA_FILE = 'metadata.json'; // In the cache directory
+const MANIFEST_FILE = 'image-manifest.json'; // In the assets directory
 
 // Image files to process
 const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
@@ -40,28 +65,31 @@ const SKIP_FILES = ['favicon.ico', 'favicon.png']; // Skip favicons (already opt
 
 /**
  * Gets all image files in the assets directory
+ * @param {string} assetsDir - Absolute path of the assets directory
  * @returns {string[]} Array of image file paths
  */
-function getImageFiles() {
-    const files = fs.readdirSync(ASSETS_DIR);
+function getImageFiles(assetsDir) {
+    const files = fs.readdirSync(assetsDir);
     return files
         .filter(file => {
             const ext = path.extname(file).toLowerCase();
             return IMAGE_EXTENSIONS.includes(ext) && !SKIP_FILES.includes(file);
         })
-        .map(file => path.join(ASSETS_DIR, file));
+        .map(file => path.join(assetsDir, file));
 }
 
 /**
  * Loads compression metadata from file
+ * @param {string} cacheDir - Absolute path of the cache directory
  * @returns {Object} Metadata object with file paths as keys
  */
-function loadMetadata() {
-    if (!fs.existsSync(METADATA_FILE)) {
+function loadMetadata(cacheDir) {
+    const metadataPath = path.join(cacheDir, METADATA_FILE);
+    if (!fs.existsSync(metadataPath)) {
         return {};
     }
     try {
-        const content = fs.readFileSync(METADATA_FILE, 'utf8');
+        const content = fs.readFileSync(metadataPath, 'utf8');
         return JSON.parse(content);
     } catch (error) {
         console.warn(`Warning: Could not read metadata file: ${error.message}`);
@@ -72,50 +100,117 @@ function loadMetadata() {
 /**
  * Saves compression metadata to file
  * @param {Object} metadata - Metadata object to save
+ * @param {string} cacheDir - Absolute path of the cache directory
  */
-function saveMetadata(metadata) {
+function saveMetadata(metadata, cacheDir) {
     try {
-        fs.writeFileSync(METADATA_FILE, JSON.stringify(metadata, null, 2), 'utf8');
+        fs.mkdirSync(cacheDir, { recursive: true });
+        fs.writeFileSync(path.join(cacheDir, METADATA_FILE), JSON.stringify(metadata, null, 2), 'utf8');
     } catch (error) {
         console.warn(`Warning: Could not write metadata file: ${error.message}`);
     }
 }
 
+/**
+ * Computes the SHA-256 hash of a file's content
+ * @param {string} filePath - Path to the file
+ * @returns {string} Hex digest
+ */
+function hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Copies a step's cached output back into the assets directory if its input and settings match
+ * @param {Object} [stored] - Metadata entry from a previous run
+ * @param {Object} expected - Input hash and settings of this run
+ * @param {string} assetsDir - Absolute path of the assets directory
+ * @param {string} cacheDir - Absolute path of the cache directory
+ * @returns {boolean} True if every output file was restored
+ */
+function restoreFromCache(stored, expected, assetsDir, cacheDir) {
+    if (!stored || !Array.isArray(stored.files) || !Object.keys(expected).every(key => stored[key] === expected[key])) {
+        return false;
+    }
+    if (!stored.files.every(file => fs.existsSync(path.join(cacheDir, file)))) {
+        return false;
+    }
+    stored.files.forEach(file => fs.copyFileSync(path.join(cacheDir, file), path.join(assetsDir, file)));
+    return true;
+}
+
+/**
+ * Copies a step's output into the cache and records it in the metadata
+ * @param {Object} metadata - Metadata object to update
+ * @param {string} key - Metadata key of the step
+ * @param {Object} expected - Input hash and settings the output was made with
+ * @param {string[]} files - Output file names in the assets directory
+ * @param {string} assetsDir - Absolute path of the assets directory
+ * @param {string} cacheDir - Absolute path of the cache directory
+ * @param {Object} [extra] - Other data to keep with the entry
+ */
+function storeInCache(metadata, key, expected, files, assetsDir, cacheDir, extra = {}) {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    files.forEach(file => fs.copyFileSync(path.join(assetsDir, file), path.join(cacheDir, file)));
+    metadata[key] = { ...expected, ...extra, files };
+}
+
+/**
+ * Drops the cache entries of images that no longer exist and the cached files no entry uses
+ * @param {Object} metadata - Metadata object to update
+ * @param {string[]} imageFiles - Paths of the images being processed
+ * @param {string} cacheDir - Absolute path of the cache directory
+ */
+function pruneCache(metadata, imageFiles, cacheDir) {
+    const imageNames = new Set(imageFiles.map(file => path.basename(file)));
+    Object.keys(metadata).forEach(key => {
+        if (!imageNames.has(key.replace(/^(webp|responsive):/, ''))) {
+            delete metadata[key];
+        }
+    });
+
+    const usedFiles = new Set([METADATA_FILE, ...Object.values(metadata).flatMap(entry => entry.files || [])]);
+    if (fs.existsSync(cacheDir)) {
+        fs.readdirSync(cacheDir)
+            .filter(file => !usedFiles.has(file))
+            .forEach(file => fs.rmSync(path.join(cacheDir, file), { force: true }));
+    }
+}
+
 /**
  * Compresses an image file
  * @param {string} inputPath - Path to input image
  * @param {boolean} dryRun - If true, don't write files
  * @param {Object} compressionMetadata - Metadata object to check/update
+ * @param {string|null} [cacheDir] - Cache directory to reuse and store the result in (null for none)
  * @returns {Promise<{originalSize: number, newSize: number, saved: number, percent: number, skipped: boolean}>}
  */
-async function compressImage(inputPath, dryRun = false, compressionMetadata = {}) {
+async function compressImage(inputPath, dryRun = false, compressionMetadata = {}, cacheDir = null) {
     const ext = path.extname(inputPath).toLowerCase();
     const isPNG = ext === '.png';
-    const relativePath = path.relative(ASSETS_DIR, inputPath);
+    const assetsDir = path.dirname(inputPath);
+    // Images sit directly in the assets directory, so their file name is the metadata key
+    const relativePath = path.basename(inputPath);
     
     try {
-        const originalStats = fs.statSync(inputPath);
-        const originalSize = originalStats.size;
-        const mtime = originalStats.mtime.getTime();
+        const originalSize = fs.statSync(inputPath).size;
+        const cacheEntry = {
+            hash: hashFile(inputPath),
+            maxWidth: MAX_WIDTH,
+            qualityJpg: QUALITY_JPG,
+            qualityPng: QUALITY_PNG
+        };
         
-        // Check if compression can be skipped
-        if (!dryRun && compressionMetadata[relativePath]) {
-            const stored = compressionMetadata[relativePath];
-            const settingsMatch = 
-                stored.maxWidth === MAX_WIDTH &&
-                stored.qualityJpg === QUALITY_JPG &&
-                stored.qualityPng === QUALITY_PNG &&
-                stored.mtime === mtime;
-            
-            if (settingsMatch) {
-                return {
-                    originalSize,
-                    newSize: originalSize,
-                    saved: 0,
-                    percent: 0,
-                    skipped: true
-                };
-            }
+        // Reuse the compressed image of an unchanged original
+        if (!dryRun && cacheDir && restoreFromCache(compressionMetadata[relativePath], cacheEntry, assetsDir, cacheDir)) {
+            const newSize = fs.statSync(inputPath).size;
+            return {
+                originalSize,
+                newSize,
+                saved: originalSize - newSize,
+                percent: parseFloat(((originalSize - newSize) / originalSize * 100).toFixed(1)),
+                skipped: true
+            };
         }
         
         const image = sharp(inputPath);
@@ -153,13 +248,9 @@ async function compressImage(inputPath, dryRun = false, compressionMetadata = {}
             fs.renameSync(tempPath, inputPath);
             newSize = fs.statSync(inputPath).size;
             
-            // Update metadata
-            compressionMetadata[relativePath] = {
-                mtime: fs.statSync(inputPath).mtime.getTime(),
-                maxWidth: MAX_WIDTH,
-                qualityJpg: QUALITY_JPG,
-                qualityPng: QUALITY_PNG
-            };
+            if (cacheDir) {
+                storeInCache(compressionMetadata, relativePath, cacheEntry, [relativePath], assetsDir, cacheDir);
+            }
         } else {
             // For dry run, estimate size from buffer
             const buffer = await processedImage.toBuffer();
@@ -182,16 +273,31 @@ async function compressImage(inputPath, dryRun = false, compressionMetadata = {}
 
 /**
  * Creates a WebP version of an image
+ * Without a cache directory, an existing WebP newer than the image is kept.
  * @param {string} inputPath - Path to input image
  * @param {boolean} dryRun - If true, don't write files
+ * @param {Object} [compressionMetadata] - Metadata object to check/update
+ * @param {string|null} [cacheDir] - Cache directory to reuse and store the result in (null for none)
  * @returns {Promise<{webpPath: string, size: number}>}
  */
-async function createWebP(inputPath, dryRun = false) {
-    const ext = path.extname(inputPath).toLowerCase();
+async function createWebP(inputPath, dryRun = false, compressionMetadata = {}, cacheDir = null) {
     const webpPath = inputPath.replace(/\.(jpg|jpeg|png)$/i, '.webp');
+    const assetsDir = path.dirname(inputPath);
+    const metadataKey = `webp:${path.basename(inputPath)}`;
+    const cacheEntry = cacheDir && !dryRun
+        ? { hash: hashFile(inputPath), maxWidth: MAX_WIDTH, qualityWebp: QUALITY_WEBP }
+        : null;
+    
+    if (cacheEntry && restoreFromCache(compressionMetadata[metadataKey], cacheEntry, assetsDir, cacheDir)) {
+        return {
+            webpPath,
+            size: fs.statSync(webpPath).size,
+            skipped: true
+        };
+    }
     
     // Skip if WebP already exists and is newer
-    if (!dryRun && fs.existsSync(webpPath)) {
+    if (!cacheEntry && !dryRun && fs.existsSync(webpPath)) {
         const inputStats = fs.statSync(inputPath);
         const webpStats = fs.statSync(webpPath);
         if (webpStats.mtime >= inputStats.mtime) {
@@ -224,6 +330,9 @@ async function createWebP(inputPath, dryRun = false) {
         if (!dryRun) {
             fs.writeFileSync(webpPath, webpBuffer);
         }
+        if (cacheEntry) {
+            storeInCache(compressionMetadata, metadataKey, cacheEntry, [path.basename(webpPath)], assetsDir, cacheDir);
+        }
         
         return {
             webpPath,
@@ -235,6 +344,124 @@ async function createWebP(inputPath, dryRun = false) {
     }
 }
 
+/**
+ * Saves the responsive image manifest to file
+ * @param {Object} manifest - Manifest object to save
+ * @param {string} assetsDir - Absolute path of the assets directory
+ */
+function saveManifest(manifest, assetsDir) {
+    try {
+        fs.writeFileSync(path.join(assetsDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+    } catch (error) {
+        console.warn(`Warning: Could not write manifest file: ${error.message}`);
+    }
+}
+
+/**
+ * Gets the path of a responsive variant
+ * @param {string} inputPath - Path to the source image
+ * @param {number} width - Variant width in pixels
+ * @param {string} format - Output format ('webp' or 'avif')
+ * @returns {string} Variant path (e.g. assets/van-480w.webp)
+ */
+function getVariantPath(inputPath, width, format) {
+    return inputPath.replace(/\.(jpg|jpeg|png)$/i, `-${width}w.${format}`);
+}
+
+/**
+ * Picks the variant widths for an image, never upscaling.
+ * Images narrower than the largest configured width also get a variant at their own width,
+ * so the sharpest candidate in the srcset is the full-resolution image.
+ * @param {number} sourceWidth - Width of the source image
+ * @param {number[]} widths - Configured responsive widths
+ * @returns {number[]} Widths to generate
+ */
+function getVariantWidths(sourceWidth, widths) {
+    const fitting = widths.filter(width => width <= sourceWidth);
+    if (sourceWidth < Math.max(...widths) && !fitting.includes(sourceWidth)) {
+        fitting.push(Math.min(sourceWidth, MAX_WIDTH));
+    }
+    return fitting;
+}
+
+/**
+ * Creates responsive WebP (and optionally AVIF) variants of an image
+ * @param {string} inputPath - Path to input image
+ * @param {Object} options - Variant options
+ * @param {number[]} options.widths - Widths to generate
+ * @param {boolean} options.avif - Also generate AVIF variants
+ * @param {boolean} dryRun - If true, don't write files
+ * @param {Object} compressionMetadata - Metadata object to check/update
+ * @param {string|null} [cacheDir] - Cache directory to reuse and store the variants in (null for none)
+ * @returns {Promise<{entry: Object, count: number, size: number, skipped: boolean}>}
+ */
+async function createResponsiveVariants(inputPath, options, dryRun = false, compressionMetadata = {}, cacheDir = null) {
+    const assetsDir = path.dirname(inputPath);
+    const relativePath = path.relative(assetsDir, inputPath);
+    const metadataKey = `responsive:${relativePath}`;
+    const formats = options.avif ? ['webp', 'avif'] : ['webp'];
+    const cacheEntry = cacheDir && !dryRun
+        ? {
+            hash: hashFile(inputPath),
+            widths: options.widths.join(','),
+            formats: formats.join(','),
+            qualityWebp: QUALITY_WEBP,
+            qualityAvif: QUALITY_AVIF
+        }
+        : null;
+
+    // Reuse the variants (and their manifest entry) of an unchanged image
+    const stored = compressionMetadata[metadataKey];
+    if (cacheEntry && restoreFromCache(stored, cacheEntry, assetsDir, cacheDir)) {
+        return { entry: stored.entry, count: 0, size: 0, skipped: true };
+    }
+
+    try {
+        const metadata = await sharp(inputPath).metadata();
+        const entry = {
+            width: metadata.width,
+            height: metadata.height,
+            variants: {}
+        };
+        let count = 0;
+        let size = 0;
+
+        for (const format of formats) {
+            entry.variants[format] = [];
+
+            for (const width of getVariantWidths(metadata.width, options.widths)) {
+                const variantPath = getVariantPath(inputPath, width, format);
+                const resized = sharp(inputPath).resize(width, null, { withoutEnlargement: true, fit: 'inside' });
+                const buffer = await (format === 'avif'
+                    ? resized.avif({ quality: QUALITY_AVIF })
+                    : resized.webp({ quality: QUALITY_WEBP })
+                ).toBuffer();
+
+                if (!dryRun) {
+                    fs.writeFileSync(variantPath, buffer);
+                }
+
+                entry.variants[format].push({
+                    file: path.relative(assetsDir, variantPath),
+                    width,
+                    height: Math.round(metadata.height * (width / metadata.width))
+                });
+                count++;
+                size += buffer.length;
+            }
+        }
+
+        if (cacheEntry) {
+            const files = formats.flatMap(format => entry.variants[format].map(variant => variant.file));
+            storeInCache(compressionMetadata, metadataKey, cacheEntry, files, assetsDir, cacheDir, { entry });
+        }
+
+        return { entry, count, size, skipped: false };
+    } catch (error) {
+        throw new Error(`Failed to create responsive variants for ${path.basename(inputPath)}: ${error.message}`);
+    }
+}
+
 /**
  * Formats file size for display
  * @param {number} bytes - Size in bytes
@@ -248,30 +475,58 @@ function formatSize(bytes) {
 
 /**
  * Main optimization function
- * @param {boolean} webpOnly - Only generate WebP versions
+ * @param {boolean} webpOnly - Only generate WebP versions (no variants or manifest)
  * @param {boolean} compressOnly - Only compress images
  * @param {boolean} dryRun - Preview changes without writing
+ * @param {Object} [responsiveOptions] - Responsive variant options
+ * @param {number[]} [responsiveOptions.widths] - Widths to generate (defaults to RESPONSIVE_WIDTHS)
+ * @param {boolean} [responsiveOptions.avif] - Also generate AVIF variants
+ * @param {string} [rootDir] - Site root whose assets/ is optimized (defaults to dist/)
+ * @param {string|null} [cacheDir] - Cache kept between runs (defaults to .cache/images/; null for none)
+ * @returns {Promise<boolean>} True if every image was processed, false if any failed
  */
-async function optimizeImages(webpOnly = false, compressOnly = false, dryRun = false) {
-    const imageFiles = getImageFiles();
+async function optimizeImages(webpOnly = false, compressOnly = false, dryRun = false, responsiveOptions = {}, rootDir = DIST_DIR, cacheDir = CACHE_DIR) {
+    const variantOptions = {
+        widths: responsiveOptions.widths || RESPONSIVE_WIDTHS,
+        avif: Boolean(responsiveOptions.avif)
+    };
+    const createVariants = !webpOnly && !compressOnly;
+
+    const label = path.relative(PROJECT_ROOT, rootDir) || '.';
+    const assetsDir = path.join(rootDir, ASSETS_DIR);
+    if (!fs.existsSync(assetsDir)) {
+        console.error(`❌ ${label}/${ASSETS_DIR}/ not found. Run \`npm run build\` first.`);
+        return false;
+    }
+    // The build optimizes images before fingerprinting; a finished dist/ has hashed names
+    if (fs.existsSync(path.join(rootDir, ASSET_MANIFEST_FILE))) {
+        console.error(`❌ ${label}/ is already fingerprinted (${ASSET_MANIFEST_FILE} exists). Run \`npm run build\` to rebuild it.`);
+        return false;
+    }
+
+    const imageFiles = getImageFiles(assetsDir);
     
     if (imageFiles.length === 0) {
         console.log('No images found to optimize.');
-        return;
+        return true;
     }
     
     if (dryRun) {
         console.log('🔍 DRY RUN MODE - No files will be modified\n');
     }
     
-    // Load compression metadata
-    const compressionMetadata = dryRun ? {} : loadMetadata();
+    // Dry runs neither read nor write the cache
+    const activeCacheDir = dryRun ? null : cacheDir;
+    const compressionMetadata = activeCacheDir ? loadMetadata(activeCacheDir) : {};
+    const manifest = {};
     
     console.log(`Found ${imageFiles.length} image(s) to process...\n`);
     
     let totalOriginalSize = 0;
     let totalNewSize = 0;
     let totalWebPSize = 0;
+    let totalVariantSize = 0;
+    let totalVariantCount = 0;
     let skippedCount = 0;
     const results = [];
     
@@ -282,14 +537,15 @@ async function optimizeImages(webpOnly = false, compressOnly = false, dryRun = f
         try {
             let compressionResult = null;
             let webpResult = null;
+            let variantResult = null;
             
             // Compress image
             if (!webpOnly) {
-                compressionResult = await compressImage(imagePath, dryRun, compressionMetadata);
+                compressionResult = await compressImage(imagePath, dryRun, compressionMetadata, activeCacheDir);
                 totalOriginalSize += compressionResult.originalSize;
                 totalNewSize += compressionResult.newSize;
                 if (compressionResult.skipped) {
-                    console.log(`  Compressed: Already optimized (${formatSize(compressionResult.originalSize)})`);
+                    console.log(`  Compressed: From cache, ${formatSize(compressionResult.originalSize)} → ${formatSize(compressionResult.newSize)}`);
                     skippedCount++;
                 } else {
                     console.log(`  Compressed: ${formatSize(compressionResult.originalSize)} → ${formatSize(compressionResult.newSize)} (saved ${compressionResult.percent}%)`);
@@ -298,19 +554,33 @@ async function optimizeImages(webpOnly = false, compressOnly = false, dryRun = f
             
             // Create WebP version
             if (!compressOnly) {
-                webpResult = await createWebP(imagePath, dryRun);
+                webpResult = await createWebP(imagePath, dryRun, compressionMetadata, activeCacheDir);
                 if (webpResult.skipped) {
-                    console.log(`  WebP: Already exists (${formatSize(webpResult.size)})`);
+                    console.log(`  WebP: Up to date (${formatSize(webpResult.size)})`);
                 } else {
                     totalWebPSize += webpResult.size;
                     console.log(`  WebP: Created ${formatSize(webpResult.size)}`);
                 }
             }
+
+            // Create responsive variants
+            if (createVariants) {
+                variantResult = await createResponsiveVariants(imagePath, variantOptions, dryRun, compressionMetadata, activeCacheDir);
+                manifest[path.relative(assetsDir, imagePath)] = variantResult.entry;
+                if (variantResult.skipped) {
+                    console.log('  Responsive: Already up to date');
+                } else {
+                    totalVariantSize += variantResult.size;
+                    totalVariantCount += variantResult.count;
+                    console.log(`  Responsive: Created ${variantResult.count} variant(s) (${formatSize(variantResult.size)})`);
+                }
+            }
             
             results.push({
                 file: fileName,
                 compression: compressionResult,
-                webp: webpResult
+                webp: webpResult,
+                variants: variantResult
             });
         } catch (error) {
             console.error(`  ❌ Error: ${error.message}`);
@@ -323,9 +593,13 @@ async function optimizeImages(webpOnly = false, compressOnly = false, dryRun = f
         console.log('');
     }
     
-    // Save compression metadata
-    if (!dryRun && !webpOnly) {
-        saveMetadata(compressionMetadata);
+    // Save compression metadata and the responsive manifest
+    if (activeCacheDir) {
+        pruneCache(compressionMetadata, imageFiles, activeCacheDir);
+        saveMetadata(compressionMetadata, activeCacheDir);
+    }
+    if (!dryRun && createVariants) {
+        saveManifest(manifest, assetsDir);
     }
     
     // Summary
@@ -338,7 +612,7 @@ async function optimizeImages(webpOnly = false, compressOnly = false, dryRun = f
     console.log('='.repeat(60));
     console.log(`Processed: ${imageFiles.length} image(s)`);
     if (skippedCount > 0) {
-        console.log(`Skipped (already optimized): ${skippedCount} image(s)`);
+        console.log(`Reused from cache: ${skippedCount} image(s)`);
     }
     
     if (!webpOnly) {
@@ -356,13 +630,21 @@ async function optimizeImages(webpOnly = false, compressOnly = false, dryRun = f
         console.log(`\nWebP Files:`);
         console.log(`  Total size: ${formatSize(totalWebPSize)}`);
     }
+    if (createVariants) {
+        console.log(`\nResponsive Variants (${variantOptions.widths.join('/')}w${variantOptions.avif ? ', WebP + AVIF' : ', WebP'}):`);
+        console.log(`  Created: ${totalVariantCount} file(s), ${formatSize(totalVariantSize)}`);
+    }
     
     if (dryRun) {
         console.log('\n💡 Run without --dry-run to apply optimizations');
     } else {
         console.log('\n✅ Image optimization complete!');
-        console.log('💡 Remember to update HTML files to use WebP with fallbacks.');
+        if (createVariants) {
+            console.log(`💡 Run \`node build/responsive-images.js\` on ${label}/ to update <picture> srcsets from the manifest.`);
+        }
     }
+
+    return results.every(result => !result.error);
 }
 
 // Parse command line arguments
@@ -371,12 +653,22 @@ if (require.main === module) {
     const webpOnly = args.includes('--webp-only');
     const compressOnly = args.includes('--compress-only');
     const dryRun = args.includes('--dry-run');
+    const avif = args.includes('--avif');
+    const widthsArg = args.find(arg => arg.startsWith('--widths='));
+    const widths = widthsArg
+        ? widthsArg.slice('--widths='.length).split(',').map(Number).filter(width => width > 0).sort((a, b) => a - b)
+        : undefined;
     
-    optimizeImages(webpOnly, compressOnly, dryRun).catch(error => {
+    // Only the WebP versions are committed; everything else is build output
+    const rootDir = webpOnly ? PROJECT_ROOT : DIST_DIR;
+
+    optimizeImages(webpOnly, compressOnly, dryRun, { widths, avif }, rootDir, webpOnly ? null : CACHE_DIR).then(success => {
+        process.exit(success ? 0 : 1);
+    }).catch(error => {
         console.error('❌ Fatal error:', error.message);
         process.exit(1);
     });
 }
 
-module.exports = { optimizeImages, compressImage, createWebP };
+module.exports = { optimizeImages, compressImage, createWebP, createResponsiveVariants };
 
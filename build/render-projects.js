@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+/**
+ * Project Card Renderer
+ *
+ * Usage: node build/render-projects.js [--dry-run]
+ * This script renders the project data files in data/projects/*.json into the
+ * project card partials (components/project-<slug>.html) that are loaded into the
+ * .project-showcase carousel. The partials are generated - edit the JSON instead.
+ * Each photo is wrapped in a button that opens it in the lightbox (components/lightbox.html).
+ *
+ * Every project is validated before anything is written. The build fails if a
+ * required field is missing (title, location, description, highlights, image alt
+ * text or dimensions), if an image or industry tag does not exist, or if
+ * AppConfig.projectCards and data/projects/ are out of sync.
+ *
+ * Options:
+ *   --dry-run    Validate and preview changes without writing files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadBrowserModule } = require('./load-browser-module');
+const AppConfig = loadBrowserModule('js/config.js');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const PROJECTS_DIR = path.join(PROJECT_ROOT, 'data', 'projects');
+
+// Number of "Image coming soon" figures rendered for projects without photos
+const PLACEHOLDER_IMAGE_COUNT = 3;
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * @param {string} value - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Gets the partial path a project renders to.
+ * @param {string} slug - Project slug (data file name without extension).
+ * @returns {string} Partial path as listed in AppConfig.projectCards.
+ */
+function getPartialPath(slug) {
+    return `components/project-${slug}.html`;
+}
+
+/**
+ * Gets the element ID of a project card (the fragment its structured data URL points to).
+ * @param {string} slug - Project slug.
+ * @returns {string} The card's id attribute.
+ */
+function getCardId(slug) {
+    return `project-${slug}`;
+}
+
+/**
+ * Loads every project data file.
+ * @returns {{slug: string, data: Object}[]} Projects sorted by slug.
+ * @throws {Error} Throws if a data file is not valid JSON.
+ */
+function loadProjects() {
+    return fs.readdirSync(PROJECTS_DIR)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => {
+            const slug = path.basename(file, '.json');
+            try {
+                return { slug, data: JSON.parse(fs.readFileSync(path.join(PROJECTS_DIR, file), 'utf8')) };
+            } catch (error) {
+                throw new Error(`data/projects/${file}: invalid JSON (${error.message})`);
+            }
+        });
+}
+
+/**
+ * Checks whether a value is a non-empty string.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a non-empty string.
+ */
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Validates a project's data.
+ * @param {string} slug - Project slug.
+ * @param {Object} data - Project data.
+ * @returns {string[]} Validation errors (empty if valid).
+ */
+function validateProject(slug, data) {
+    const errors = [];
+    const prefix = `data/projects/${slug}.json`;
+    const industrySlugs = new Set((AppConfig.industries || []).map(industry => industry.slug));
+
+    ['title', 'location', 'description'].forEach(field => {
+        if (!isNonEmptyString(data[field])) {
+            errors.push(`${prefix}: missing "${field}"`);
+        }
+    });
+
+    if (!Array.isArray(data.industries) || data.industries.length === 0) {
+        errors.push(`${prefix}: "industries" must list at least one industry slug`);
+    } else {
+        data.industries
+            .filter(industry => !industrySlugs.has(industry))
+            .forEach(industry => errors.push(`${prefix}: unknown industry "${industry}"`));
+    }
+
+    if (!Array.isArray(data.highlights) || data.highlights.length === 0) {
+        errors.push(`${prefix}: "highlights" must have at least one entry`);
+    } else {
+        data.highlights.forEach((highlight, index) => {
+            if (!isNonEmptyString(highlight.icon)) {
+                errors.push(`${prefix}: highlights[${index}] missing "icon" (Font Awesome name, e.g. "sun")`);
+            }
+            if (!isNonEmptyString(highlight.text)) {
+                errors.push(`${prefix}: highlights[${index}] missing "text"`);
+            }
+        });
+    }
+
+    if (!Array.isArray(data.images)) {
+        errors.push(`${prefix}: "images" must be an array (empty for placeholders)`);
+    } else {
+        data.images.forEach((image, index) => {
+            if (!isNonEmptyString(image.src)) {
+                errors.push(`${prefix}: images[${index}] missing "src"`);
+            } else if (!fs.existsSync(path.join(PROJECT_ROOT, image.src))) {
+                errors.push(`${prefix}: images[${index}] not found: ${image.src}`);
+            }
+            if (!isNonEmptyString(image.alt)) {
+                errors.push(`${prefix}: images[${index}] missing "alt" text`);
+            }
+            ['width', 'height'].forEach(dimension => {
+                if (!Number.isInteger(image[dimension]) || image[dimension] <= 0) {
+                    errors.push(`${prefix}: images[${index}] missing or invalid "${dimension}"`);
+                }
+            });
+            if (image.caption !== undefined && !isNonEmptyString(image.caption)) {
+                errors.push(`${prefix}: images[${index}] "caption" must be non-empty text (or left out)`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Checks that AppConfig.projectCards lists exactly the rendered partials.
+ * @param {string[]} slugs - Project slugs from data/projects/.
+ * @returns {string[]} Validation errors (empty if in sync).
+ */
+function validateProjectCardsConfig(slugs) {
+    const errors = [];
+    const expected = new Set(slugs.map(getPartialPath));
+    const configured = new Set(AppConfig.projectCards);
+
+    expected.forEach(partial => {
+        if (!configured.has(partial)) {
+            errors.push(`${partial} is not listed in AppConfig.projectCards`);
+        }
+    });
+    configured.forEach(partial => {
+        if (!expected.has(partial)) {
+            errors.push(`AppConfig.projectCards lists ${partial} but there is no matching data/projects/*.json`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Renders the image figures for a project.
+ * The optional caption becomes a <figcaption>, which the lightbox shows instead of the alt text.
+ * @param {Object[]} images - Project images.
+ * @returns {string[]} Rendered lines.
+ */
+function renderImages(images) {
+    if (images.length === 0) {
+        return Array.from({ length: PLACEHOLDER_IMAGE_COUNT }, () => [
+            '        <figure class="project-image-placeholder">',
+            '            <span class="placeholder-text">Image coming soon</span>',
+            '        </figure>'
+        ].join('\n'));
+    }
+
+    return images.map(image => {
+        const webp = image.src.replace(/\.(jpg|jpeg|png)$/i, '.webp');
+        return [
+            '        <figure class="project-image">',
+            '            <button type="button" class="project-image-open" aria-haspopup="dialog">',
+            '                <picture>',
+            `                    <source srcset="${escapeHTML(webp)}" type="image/webp">`,
+            `                    <img src="${escapeHTML(image.src)}" alt="${escapeHTML(image.alt)}" loading="lazy" width="${image.width}" height="${image.height}">`,
+            '                </picture>',
+            '            </button>',
+            ...(image.caption ? [`            <figcaption>${escapeHTML(image.caption)}</figcaption>`] : []),
+            '        </figure>'
+        ].join('\n');
+    });
+}
+
+/**
+ * Renders a project card partial.
+ * @param {string} slug - Project slug.
+ * @param {Object} data - Validated project data.
+ * @returns {string} The partial HTML.
+ */
+function renderProject(slug, data) {
+    const highlights = data.highlights.map(highlight => [
+        '        <li class="highlight-item">',
+        `            <span class="icon-sm" aria-hidden="true"><i class="fas fa-${escapeHTML(highlight.icon)}"></i></span>`,
+        `            <span>${escapeHTML(highlight.text)}</span>`,
+        '        </li>'
+    ].join('\n'));
+
+    return [
+        `<!-- Project Card: ${escapeHTML(data.title)} -->`,
+        `<!-- Generated from data/projects/${slug}.json by build/render-projects.js - do not edit -->`,
+        `<article class="project-showcase" id="${getCardId(slug)}" data-industries="${escapeHTML(data.industries.join(' '))}" itemscope itemtype="https://schema.org/CreativeWork">`,
+        '    <header class="project-location">',
+        `        <span class="location-name">${escapeHTML(data.location)}</span>`,
+        '    </header>',
+        `    <h3 itemprop="name">${escapeHTML(data.title)}</h3>`,
+        '',
+        '    <div class="project-images">',
+        ...renderImages(data.images),
+        '    </div>',
+        '',
+        '    <ul class="project-highlights" role="list">',
+        ...highlights,
+        '    </ul>',
+        '',
+        `    <p itemprop="description">${escapeHTML(data.description)}</p>`,
+        '</article>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Validates all projects and renders their partials.
+ * Project data is always read from data/projects/ in the source tree.
+ * @param {boolean} dryRun - If true, validate and preview without writing files.
+ * @param {string} [rootDir] - Site root to write the partials into (defaults to the project root).
+ * @returns {boolean} True on success, false on validation or processing errors.
+ */
+function renderProjects(dryRun = false, rootDir = PROJECT_ROOT) {
+    let projects;
+    try {
+        projects = loadProjects();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return false;
+    }
+
+    const errors = [
+        ...projects.flatMap(({ slug, data }) => validateProject(slug, data)),
+        ...validateProjectCardsConfig(projects.map(({ slug }) => slug))
+    ];
+    if (errors.length > 0) {
+        console.error('❌ Project validation failed:');
+        errors.forEach(error => console.error(`  - ${error}`));
+        return false;
+    }
+
+    if (dryRun) {
+        console.log('🔍 DRY RUN MODE - No files will be modified\n');
+    }
+
+    projects.forEach(({ slug, data }) => {
+        const partialPath = path.join(rootDir, getPartialPath(slug));
+        const partial = path.relative(PROJECT_ROOT, partialPath);
+        const rendered = renderProject(slug, data);
+        const current = fs.existsSync(partialPath) ? fs.readFileSync(partialPath, 'utf8') : null;
+
+        if (current === rendered) {
+            console.log(`✓  ${partial} is up to date`);
+        } else if (dryRun) {
+            console.log(`🔍 Would render ${partial}`);
+        } else {
+            fs.writeFileSync(partialPath, rendered, 'utf8');
+            console.log(`✅ Rendered ${partial}`);
+        }
+    });
+
+    console.log(`\n✅ ${projects.length} project(s) validated`);
+    return true;
+}
+
+// Run the renderer if this script is executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+
+    const success = renderProjects(dryRun);
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = { renderProjects, validateProject, loadProjects, getPartialPath, getCardId, escapeHTML };
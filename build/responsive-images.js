@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * Responsive Picture Markup Updater
+ *
+ * Usage: node build/responsive-images.js [--dry-run]
+ * This script rewrites <picture> elements in pages and partials to use the responsive
+ * variants listed in assets/image-manifest.json (generated by optimize-images.js).
+ * Each picture gets one <source> per format with a full srcset/sizes, and its <img>
+ * gets the source image's real width/height. The original JPG/PNG stays as the <img> fallback.
+ *
+ * The `sizes` value is chosen from the class of the element wrapping the <picture>
+ * (see SIZES_BY_CONTAINER_CLASS), or from a data-sizes attribute on the <picture> itself.
+ * Re-running the script regenerates the same markup.
+ *
+ * The variants only exist in dist/, so this script updates dist/ when run on its own,
+ * after `node build/optimize-images.js`. The source pages keep one WebP per picture.
+ *
+ * Options:
+ *   --dry-run    Preview changes without writing files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getHTMLFiles } = require('./inject-head-common');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DIST_DIR = path.join(PROJECT_ROOT, 'dist');
+// Paths relative to the site root
+const COMPONENTS_DIR = 'components';
+const MANIFEST_FILE = path.join('assets', 'image-manifest.json');
+
+// Preferred format order for <source> elements (best compression first)
+const FORMAT_TYPES = [
+    { format: 'avif', type: 'image/avif' },
+    { format: 'webp', type: 'image/webp' }
+];
+
+// `sizes` per wrapping element class, matching the layouts in css/
+const SIZES_BY_CONTAINER_CLASS = {
+    'project-image-open': '(max-width: 768px) 100vw, 30vw',
+    'overview-image': '(max-width: 768px) 100vw, 40vw',
+    'nav-logo': '140px',
+    'footer-proudly': '48px'
+};
+const DEFAULT_SIZES = '100vw';
+
+/**
+ * Loads the responsive image manifest.
+ * @param {string} rootDir - Site root directory.
+ * @returns {Object|null} The manifest, or null if it has not been generated yet.
+ */
+function loadManifest(rootDir) {
+    const manifestPath = path.join(rootDir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Determines the sizes attribute for a picture.
+ * @param {string} pictureTag - The opening <picture> tag.
+ * @param {string} precedingHTML - HTML before the picture (used to find the wrapping element).
+ * @returns {string} The sizes value.
+ */
+function getSizes(pictureTag, precedingHTML) {
+    const explicit = pictureTag.match(/\bdata-sizes="([^"]*)"/);
+    if (explicit) {
+        return explicit[1];
+    }
+
+    const openingTags = precedingHTML.match(/<[a-zA-Z][^>]*>/g) || [];
+    const wrapper = openingTags[openingTags.length - 1] || '';
+    const classMatch = wrapper.match(/\bclass="([^"]*)"/);
+    if (classMatch) {
+        const className = classMatch[1].split(/\s+/).find(name => SIZES_BY_CONTAINER_CLASS[name]);
+        if (className) {
+            return SIZES_BY_CONTAINER_CLASS[className];
+        }
+    }
+    return DEFAULT_SIZES;
+}
+
+/**
+ * Sets (or adds) an attribute on a tag.
+ * @param {string} tag - The tag HTML.
+ * @param {string} name - Attribute name.
+ * @param {string|number} value - Attribute value.
+ * @returns {string} The updated tag.
+ */
+function setAttribute(tag, name, value) {
+    const pattern = new RegExp(`\\b${name}="[^"]*"`);
+    if (pattern.test(tag)) {
+        return tag.replace(pattern, `${name}="${value}"`);
+    }
+    return tag.replace(/\s*\/?>$/, match => ` ${name}="${value}"${match}`);
+}
+
+/**
+ * Rewrites a single <picture> element from its manifest entry.
+ * @param {string} pictureHTML - The full <picture>...</picture> HTML.
+ * @param {string} sizes - The sizes attribute value.
+ * @param {Object} manifest - The image manifest.
+ * @returns {string|null} Rewritten picture HTML, or null if the image is not in the manifest.
+ */
+function rewritePicture(pictureHTML, sizes, manifest) {
+    const imgTag = (pictureHTML.match(/<img\b[^>]*>/) || [])[0];
+    const src = imgTag && (imgTag.match(/\bsrc="([^"]*)"/) || [])[1];
+    if (!src || /^(https?:)?\/\//.test(src)) {
+        return null;
+    }
+
+    const fileName = decodeURI(src.split('/').pop());
+    const entry = manifest[fileName];
+    if (!entry) {
+        return null;
+    }
+
+    // Keep the same directory prefix as the <img> (assets/, ../assets/ or /assets/)
+    const prefix = src.slice(0, src.length - src.split('/').pop().length);
+    const indent = (pictureHTML.match(/\n([ \t]*)<(source|img)\b/) || [])[1] || '';
+
+    const sources = FORMAT_TYPES
+        .filter(({ format }) => entry.variants[format] && entry.variants[format].length > 0)
+        .map(({ format, type }) => {
+            const srcset = entry.variants[format]
+                .map(variant => `${prefix}${encodeURI(variant.file)} ${variant.width}w`)
+                .join(', ');
+            return `${indent}<source type="${type}" srcset="${srcset}" sizes="${sizes}">`;
+        });
+
+    let updatedImg = setAttribute(imgTag, 'width', entry.width);
+    updatedImg = setAttribute(updatedImg, 'height', entry.height);
+
+    // Drop the existing <source> lines, then insert the generated ones before the <img>
+    const withoutSources = pictureHTML.replace(/\n[ \t]*<source\b[^>]*>/g, '');
+    return withoutSources.replace(/([ \t]*)<img\b[^>]*>/, () => `${sources.join('\n')}\n${indent}${updatedImg}`);
+}
+
+/**
+ * Rewrites every <picture> in an HTML document.
+ * @param {string} htmlContent - The HTML document.
+ * @param {Object} manifest - The image manifest.
+ * @returns {{content: string, count: number}} Updated HTML and number of pictures rewritten.
+ */
+function rewritePictures(htmlContent, manifest) {
+    let count = 0;
+    const content = htmlContent.replace(/(<picture\b[^>]*>)[\s\S]*?<\/picture>/g, (pictureHTML, pictureTag, offset) => {
+        const sizes = getSizes(pictureTag, htmlContent.slice(Math.max(0, offset - 500), offset));
+        const rewritten = rewritePicture(pictureHTML, sizes, manifest);
+        if (rewritten === null) {
+            return pictureHTML;
+        }
+        count++;
+        return rewritten;
+    });
+    return { content, count };
+}
+
+/**
+ * Updates <picture> markup in all pages and partials.
+ * @param {boolean} dryRun - If true, preview changes without writing files.
+ * @param {string} [rootDir] - Site root to update (defaults to dist/).
+ * @returns {boolean} True on success, false otherwise.
+ */
+function updateResponsiveImages(dryRun = false, rootDir = DIST_DIR) {
+    const manifest = loadManifest(rootDir);
+    if (!manifest) {
+        const label = path.relative(PROJECT_ROOT, rootDir) || '.';
+        console.error(`❌ ${label}/${MANIFEST_FILE} not found. Run \`npm run optimize-images\` first.`);
+        return false;
+    }
+
+    if (dryRun) {
+        console.log('🔍 DRY RUN MODE - No files will be modified\n');
+    }
+
+    const partials = fs.readdirSync(path.join(rootDir, COMPONENTS_DIR))
+        .filter(file => file.endsWith('.html'))
+        .map(file => path.join(COMPONENTS_DIR, file));
+    const files = [...getHTMLFiles(rootDir), ...partials];
+    let errorCount = 0;
+
+    files.forEach(file => {
+        const filePath = path.join(rootDir, file);
+        try {
+            const original = fs.readFileSync(filePath, 'utf8');
+            const { content, count } = rewritePictures(original, manifest);
+
+            if (count === 0 || content === original) {
+                return;
+            }
+            if (dryRun) {
+                console.log(`🔍 Would update ${count} picture(s) in ${file}`);
+            } else {
+                fs.writeFileSync(filePath, content, 'utf8');
+                console.log(`✅ Updated ${count} picture(s) in ${file}`);
+            }
+        } catch (error) {
+            console.error(`❌ Error processing ${file}: ${error.message}`);
+            errorCount++;
+        }
+    });
+
+    console.log(`\n✅ Responsive image markup up to date (${files.length} files checked)`);
+    return errorCount === 0;
+}
+
+// Run the update if this script is executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+
+    const success = updateResponsiveImages(dryRun);
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = { updateResponsiveImages, rewritePictures };
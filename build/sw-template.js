@@ -0,0 +1,178 @@
+// ============================================================================
+// Copper Tech Service Worker
+// ============================================================================
+// Template for sw.js. build/generate-service-worker.js fills in CACHE_VERSION and
+// PRECACHE_MANIFEST and writes the result to sw.js - edit this file, not sw.js.
+//
+// Strategies:
+// - Pages: network first, falling back to the cached page, then to the offline page
+// - Components: stale-while-revalidate (cached copy now, refreshed in the background)
+// - Images: cache first; ones that weren't precached (such as the responsive variant
+//   the browser picked) are cached the first time they are fetched
+// - Everything else same-origin: precache first, then network
+//
+// Each build changes CACHE_VERSION, which makes browsers install the new worker.
+// It only downloads files whose revision changed, takes over immediately and
+// deletes the previous build's caches.
+
+const CACHE_VERSION = '__CACHE_VERSION__';
+const PRECACHE_MANIFEST = [] /* __PRECACHE_MANIFEST__ */;
+
+const CACHE_PREFIX = 'copper-tech-';
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${CACHE_VERSION}`;
+const RUNTIME_CACHE_NAME = `${CACHE_PREFIX}runtime-${CACHE_VERSION}`;
+const OFFLINE_URL = '/offline.html';
+const COMPONENTS_PATH = '/components/';
+// Response header recording which revision of a file a precached response holds
+const REVISION_HEADER = 'X-Precache-Revision';
+
+/**
+ * Finds the precache of the previously installed build, if any.
+ * @returns {Promise<Cache|null>} The previous precache.
+ */
+async function getPreviousPrecache() {
+    const names = await caches.keys();
+    const previous = names.find(name => name.startsWith(`${CACHE_PREFIX}precache-`) && name !== PRECACHE_NAME);
+    return previous ? caches.open(previous) : null;
+}
+
+/**
+ * Caches one precache entry, reusing the previous build's copy when the revision is unchanged.
+ * @param {Cache} cache - The new precache.
+ * @param {Cache|null} previous - The previous build's precache.
+ * @param {{url: string, revision: string}} entry - Precache manifest entry.
+ * @returns {Promise<void>}
+ * @throws {Error} Throws if the file cannot be downloaded.
+ */
+async function precacheEntry(cache, previous, { url, revision }) {
+    const cached = previous ? await previous.match(url) : null;
+    if (cached && cached.headers.get(REVISION_HEADER) === revision) {
+        await cache.put(url, cached);
+        return;
+    }
+
+    const response = await fetch(new Request(url, { cache: 'reload' }));
+    if (!response.ok) {
+        throw new Error(`Failed to precache ${url}: HTTP ${response.status}`);
+    }
+
+    // Rebuild the response so it carries the revision (and no redirect flag)
+    const headers = new Headers(response.headers);
+    headers.set(REVISION_HEADER, revision);
+    const body = await response.blob();
+    await cache.put(url, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE_NAME);
+        const previous = await getPreviousPrecache();
+        await Promise.all(PRECACHE_MANIFEST.map(entry => precacheEntry(cache, previous, entry)));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== PRECACHE_NAME && name !== RUNTIME_CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Looks a request up in this build's caches (runtime first, so refreshed components win).
+ * @param {Request|string} request - The request.
+ * @param {Object} [options] - Cache match options.
+ * @returns {Promise<Response|undefined>} The cached response.
+ */
+async function matchCached(request, options) {
+    const runtime = await caches.open(RUNTIME_CACHE_NAME);
+    const precache = await caches.open(PRECACHE_NAME);
+    return (await runtime.match(request, options)) || precache.match(request, options);
+}
+
+/**
+ * Network first for page navigations, falling back to the cached page or the offline page.
+ * Translated pages (/es/...) fall back to their locale's offline page when it is cached.
+ * @param {Request} request - The navigation request.
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cached = await matchCached(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        const localeDir = new URL(request.url).pathname.split('/')[1];
+        return (localeDir && await matchCached(`/${localeDir}${OFFLINE_URL}`)) || matchCached(OFFLINE_URL);
+    }
+}
+
+/**
+ * Stale-while-revalidate: answers from the cache and refreshes it from the network.
+ * @param {FetchEvent} event - The fetch event (kept alive until the refresh finishes).
+ * @returns {Promise<Response>}
+ */
+async function handleComponent(event) {
+    const cached = await matchCached(event.request);
+    const refresh = fetch(event.request).then(async (response) => {
+        if (response.ok) {
+            const runtime = await caches.open(RUNTIME_CACHE_NAME);
+            await runtime.put(event.request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Cache first for precached assets, network for anything else.
+ * Images fetched from the network are added to the runtime cache, so they are
+ * available offline afterwards.
+ * @param {Request} request - The request.
+ * @returns {Promise<Response>}
+ */
+async function handleAsset(request) {
+    const cached = await matchCached(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok && request.destination === 'image') {
+        const runtime = await caches.open(RUNTIME_CACHE_NAME);
+        await runtime.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    // Leave cross-origin requests (such as the quote and analytics endpoints) to the browser
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (url.pathname.startsWith(COMPONENTS_PATH)) {
+        event.respondWith(handleComponent(event));
+    } else {
+        event.respondWith(handleAsset(request));
+    }
+});
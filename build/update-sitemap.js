@@ -1,45 +1,228 @@
 #!/usr/bin/env node
 /**
- * Sitemap Last Modified Date Updater
+ * Sitemap Generator
  *
- * Usage: node update-sitemap.js
- * This script updates the lastmod dates in sitemap.xml to today's date
+ * Usage: node build/update-sitemap.js [--dry-run]
+ * This script builds sitemap.xml from the HTML pages on disk. Each page's
+ * canonical URL is used as its <loc>, and <lastmod> comes from the page's
+ * last git commit (or its file mtime when it has uncommitted changes).
+ * Pages with translations list every language version as xhtml:link
+ * alternates (plus x-default), matching the hreflang links in their <head>.
+ * Translated pages (es/...) follow the rules and exclusions of the page they
+ * were translated from.
+ *
+ * The build fails if a page has no canonical link, if its canonical URL
+ * does not match the page's location on disk, or if the industry registry
+ * (AppConfig.industries) does not cover exactly the pages in industries/.
+ *
+ * Options:
+ *   --dry-run    Print the generated sitemap without writing sitemap.xml
  */
 
 const fs = require('fs');
 const path = require('path');
+const { execFileSync } = require('child_process');
+const { getHTMLFiles, getExpectedURL } = require('./inject-head-common');
+const { checkIndustryRegistry } = require('./generate-industries');
+const { getSourcePage, getPageAlternates } = require('./localize-pages');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const SITEMAP_FILE = 'sitemap.xml';
+
+/**
+ * Priority and change frequency per path pattern.
+ * Patterns are matched against the source page path relative to the project root
+ * (forward slashes, without the locale directory); the first matching rule wins.
+ */
+const SITEMAP_RULES = [
+    { pattern: /^index\.html$/, changefreq: 'monthly', priority: '1.0' },
+    { pattern: /^industries\//, changefreq: 'monthly', priority: '0.8' }
+];
+const DEFAULT_RULE = { changefreq: 'monthly', priority: '0.5' };
 
-function updateSitemapDates() {
-    const sitemapPath = path.join(__dirname, '..', 'sitemap.xml');
+// Pages that are never listed (matched like SITEMAP_RULES)
+const SITEMAP_EXCLUDE = [
+    /^offline\.html$/ // Served by the service worker when the network is down
+];
 
-    // Get today's date in YYYY-MM-DD format
-    const today = new Date().toISOString().split('T')[0];
+/**
+ * Extracts the canonical URL from a page.
+ * @param {string} htmlContent - The page HTML.
+ * @returns {string|null} The canonical href, or null if the page has none.
+ */
+function getCanonicalURL(htmlContent) {
+    const linkTag = htmlContent.match(/<link\b[^>]*\brel=["']canonical["'][^>]*>/i);
+    if (!linkTag) {
+        return null;
+    }
+    const href = linkTag[0].match(/\bhref=["']([^"']*)["']/i);
+    return href ? href[1] : null;
+}
 
+/**
+ * Gets the last modified date for a page.
+ * Uses the date of the last git commit that touched the file, falling back to the
+ * file mtime when the file is untracked, has uncommitted changes, or git is unavailable.
+ * @param {string} filePath - Absolute path to the file.
+ * @returns {string} Date in YYYY-MM-DD format.
+ */
+function getLastModified(filePath) {
     try {
-        // Read the sitemap file
-        let sitemapContent = fs.readFileSync(sitemapPath, 'utf8');
+        const gitOptions = { cwd: PROJECT_ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] };
+        const status = execFileSync('git', ['status', '--porcelain', '--', filePath], gitOptions).trim();
+        const commitDate = execFileSync('git', ['log', '-1', '--format=%cs', '--', filePath], gitOptions).trim();
 
-        // Replace all lastmod dates with today's date
-        sitemapContent = sitemapContent.replace(
-            /<lastmod>\d{4}-\d{2}-\d{2}<\/lastmod>/g,
-            `<lastmod>${today}</lastmod>`
-        );
+        if (!status && commitDate) {
+            return commitDate;
+        }
+    } catch (error) {
+        // Not a git checkout (or git not installed) - fall through to mtime
+    }
 
-        // Write the updated content back
-        fs.writeFileSync(sitemapPath, sitemapContent, 'utf8');
+    return fs.statSync(filePath).mtime.toISOString().split('T')[0];
+}
+
+/**
+ * Finds the sitemap rule for a page.
+ * @param {string} htmlFile - Page path relative to the project root.
+ * @returns {{changefreq: string, priority: string}} The matching rule.
+ */
+function getSitemapRule(htmlFile) {
+    const sourcePage = getSourcePage(htmlFile);
+    return SITEMAP_RULES.find(rule => rule.pattern.test(sourcePage)) || DEFAULT_RULE;
+}
+
+/**
+ * Checks whether a page is excluded from the sitemap.
+ * @param {string} htmlFile - Page path relative to the project root.
+ * @returns {boolean} True if the page matches SITEMAP_EXCLUDE.
+ */
+function isExcluded(htmlFile) {
+    const sourcePage = getSourcePage(htmlFile);
+    return SITEMAP_EXCLUDE.some(pattern => pattern.test(sourcePage));
+}
 
-        console.log(`✅ Sitemap lastmod dates updated to ${today}`);
-        console.log('📄 Updated sitemap.xml');
+/**
+ * Collects sitemap entries for every page on disk.
+ * @param {string} rootDir - Site root directory.
+ * @returns {{entries: Object[], errors: string[]}} Sitemap entries and validation errors.
+ */
+function collectSitemapEntries(rootDir) {
+    const entries = [];
+    const errors = checkIndustryRegistry(rootDir);
+
+    getHTMLFiles(rootDir).forEach(htmlFile => {
+        if (isExcluded(htmlFile)) {
+            return;
+        }
+
+        const filePath = path.join(rootDir, htmlFile);
+        // Dates come from the source page (dist/ copies are untracked and always new)
+        const sourcePath = path.join(PROJECT_ROOT, htmlFile);
+        const htmlContent = fs.readFileSync(filePath, 'utf8');
+        const canonical = getCanonicalURL(htmlContent);
+        const expected = getExpectedURL(htmlFile);
+
+        if (!canonical) {
+            errors.push(`${htmlFile}: missing <link rel="canonical">`);
+            return;
+        }
+        if (canonical !== expected) {
+            errors.push(`${htmlFile}: canonical ${canonical} does not match expected ${expected}`);
+            return;
+        }
+
+        const rule = getSitemapRule(htmlFile);
+        const alternates = getPageAlternates(htmlFile)
+            .map(alternate => ({ hreflang: alternate.locale.lang, href: getExpectedURL(alternate.page) }));
+        if (alternates.length > 0) {
+            alternates.push({ hreflang: 'x-default', href: alternates[0].href });
+        }
+        entries.push({
+            loc: canonical,
+            lastmod: getLastModified(fs.existsSync(sourcePath) ? sourcePath : filePath),
+            changefreq: rule.changefreq,
+            priority: rule.priority,
+            alternates
+        });
+    });
+
+    // Highest priority first, then alphabetical for a stable order
+    entries.sort((a, b) => (b.priority - a.priority) || a.loc.localeCompare(b.loc));
+
+    return { entries, errors };
+}
+
+/**
+ * Renders sitemap entries as sitemap XML.
+ * @param {Object[]} entries - Sitemap entries.
+ * @returns {string} The sitemap XML document.
+ */
+function renderSitemap(entries) {
+    const urls = entries.map(entry => [
+        '  <url>',
+        `    <loc>${entry.loc}</loc>`,
+        ...entry.alternates.map(alternate =>
+            `    <xhtml:link rel="alternate" hreflang="${alternate.hreflang}" href="${alternate.href}"/>`),
+        `    <lastmod>${entry.lastmod}</lastmod>`,
+        `    <changefreq>${entry.changefreq}</changefreq>`,
+        `    <priority>${entry.priority}</priority>`,
+        '  </url>'
+    ].join('\n'));
 
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Generates sitemap.xml from the pages on disk.
+ * @param {boolean} dryRun - If true, print the sitemap instead of writing it.
+ * @param {string} [rootDir] - Site root to read pages from and write sitemap.xml into
+ *   (defaults to the project root).
+ * @returns {boolean} True if the sitemap was generated, false on validation errors.
+ */
+function updateSitemap(dryRun = false, rootDir = PROJECT_ROOT) {
+    try {
+        const sitemapPath = path.join(rootDir, SITEMAP_FILE);
+        const { entries, errors } = collectSitemapEntries(rootDir);
+
+        if (errors.length > 0) {
+            console.error('❌ Sitemap validation failed:');
+            errors.forEach(error => console.error(`  - ${error}`));
+            return false;
+        }
+
+        const sitemapContent = renderSitemap(entries);
+
+        if (dryRun) {
+            console.log('🔍 DRY RUN MODE - sitemap.xml will not be modified\n');
+            console.log(sitemapContent);
+            return true;
+        }
+
+        fs.writeFileSync(sitemapPath, sitemapContent, 'utf8');
+
+        console.log(`✅ Sitemap generated with ${entries.length} page(s)`);
+        console.log(`📄 Updated ${path.relative(PROJECT_ROOT, sitemapPath)}`);
+        return true;
     } catch (error) {
-        console.error('❌ Error updating sitemap:', error.message);
-        process.exit(1);
+        console.error('❌ Error generating sitemap:', error.message);
+        return false;
     }
 }
 
 // Run the update if this script is executed directly
 if (require.main === module) {
-    updateSitemapDates();
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+
+    const success = updateSitemap(dryRun);
+    process.exit(success ? 0 : 1);
 }
 
-module.exports = { updateSitemapDates };
+module.exports = { updateSitemap, getCanonicalURL, getExpectedURL };
@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+/**
+ * Font and Icon Vendoring
+ *
+ * Usage: node build/vendor-fonts.js [--dry-run]
+ * This script self-hosts the site's fonts and icons so no page loads anything from
+ * Google Fonts or cdnjs:
+ * - Space Grotesk is copied from @fontsource/space-grotesk into assets/fonts/, one
+ *   woff2 file per weight the CSS uses (plus 400 and 700 for body text and bold), with
+ *   its @font-face rules in css/fonts.css
+ * - Every Font Awesome icon class used by a page, a partial or a script in js/
+ *   (fa-sun, fa-battery-full, ...) is looked up in @fortawesome/free-solid-svg-icons
+ *   and written to css/icons.css as an SVG mask, so the existing
+ *   <i class="fas fa-sun"></i> markup keeps working with only those icons
+ * - The third-party stylesheet, preconnect and dns-prefetch links are removed from
+ *   components/head-common.html
+ *
+ * The outputs are committed, so the packages are only needed to regenerate them.
+ * An icon name Font Awesome doesn't have, or a regular/brands icon (only solid icons
+ * are bundled), fails the build. Class names built at runtime (`fa-${name}`) can't be
+ * found by the scan; write the full class name in the script instead.
+ *
+ * build/generate-csp.js picks up the change on its next run: with the links gone,
+ * the third-party origins drop out of every page's policy, and the icon masks add
+ * data: to img-src.
+ *
+ * Options:
+ *   --dry-run    List the weights and icons that would be vendored without writing files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getHTMLFiles } = require('./inject-head-common');
+const { writeIfChanged } = require('./write-if-changed');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const COMPONENTS_DIR = 'components';
+const HEAD_COMMON_FILE = path.join(COMPONENTS_DIR, 'head-common.html');
+const CSS_DIR = 'css';
+const JS_DIR = 'js';
+const FONTS_DIR = 'assets/fonts';
+const FONTS_CSS = 'css/fonts.css';
+const ICONS_CSS = 'css/icons.css';
+
+const FONT_PACKAGE = '@fontsource/space-grotesk';
+const FONT_FAMILY = 'Space Grotesk';
+// The latin subset covers English and Spanish (U+0000-00FF)
+const FONT_SUBSET = 'latin';
+// Weights always vendored: normal text and <strong>/<b>/headings without a font-weight
+const DEFAULT_FONT_WEIGHTS = [400, 700];
+const FONT_LICENSE_FILE = 'OFL.txt';
+
+const ICON_PACKAGE = '@fortawesome/free-solid-svg-icons';
+// Style classes whose icons are bundled
+const ICON_STYLE_CLASSES = ['fas', 'fa-solid'];
+// Style classes of icon sets that aren't installed
+const UNSUPPORTED_STYLE_CLASSES = ['far', 'fab', 'fa-regular', 'fa-brands', 'fa-light', 'fa-thin', 'fa-duotone'];
+// fa-* classes that size or animate an icon rather than name one
+const ICON_MODIFIER_CLASS = /^fa-(fw|xs|sm|lg|xl|2xs|2xl|[1-9]0?x|spin|spin-pulse|pulse|beat|fade|beat-fade|bounce|flip|shake|border|inverse|li|ul|pull-left|pull-right|rotate-\d+|flip-(horizontal|vertical|both)|stack|stack-1x|stack-2x)$/;
+// Font Awesome solid icons are 512 units tall
+const ICON_HEIGHT = 512;
+
+// Origins the vendored fonts and icons replace
+const THIRD_PARTY_ORIGINS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+
+/**
+ * Resolves a file in an installed package, with a hint when the package is missing.
+ * Packages are resolved here rather than required at the top so the other build
+ * scripts can load this one without them installed.
+ * @param {string} request - Package name or a path inside it (e.g. '@fontsource/space-grotesk/package.json').
+ * @returns {string} Absolute path of the file.
+ * @throws {Error} Throws if the package is not installed.
+ */
+function resolvePackage(request) {
+    try {
+        return require.resolve(request);
+    } catch (error) {
+        throw new Error(`Cannot find ${request} (run npm install): ${error.message}`);
+    }
+}
+
+/**
+ * Lists files under a directory.
+ * @param {string} rootDir - Site root directory.
+ * @param {string} dir - Directory to list, relative to rootDir.
+ * @param {RegExp} pattern - File name pattern.
+ * @returns {string[]} Matching file paths relative to rootDir, sorted.
+ */
+function listFiles(rootDir, dir, pattern) {
+    const dirPath = path.join(rootDir, dir);
+    if (!fs.existsSync(dirPath)) {
+        return [];
+    }
+    return fs.readdirSync(dirPath, { withFileTypes: true }).flatMap(entry => {
+        const relativePath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return listFiles(rootDir, relativePath, pattern);
+        }
+        return pattern.test(entry.name) ? [relativePath] : [];
+    }).sort();
+}
+
+/**
+ * Finds the font weights the stylesheets use.
+ * The generated css/fonts.css and css/icons.css are skipped.
+ * @param {string} rootDir - Site root directory.
+ * @returns {number[]} Numeric weights, sorted.
+ */
+function collectFontWeights(rootDir) {
+    const weights = new Set(DEFAULT_FONT_WEIGHTS);
+    listFiles(rootDir, CSS_DIR, /\.css$/)
+        .filter(file => ![FONTS_CSS, ICONS_CSS].includes(file.split(path.sep).join('/')))
+        .forEach(file => {
+            const css = fs.readFileSync(path.join(rootDir, file), 'utf8');
+            const weightPattern = /font-weight\s*:\s*(\d{3})\b/g;
+            let match;
+            while ((match = weightPattern.exec(css)) !== null) {
+                weights.add(Number(match[1]));
+            }
+        });
+    return [...weights].sort((a, b) => a - b);
+}
+
+/**
+ * Finds the icon classes used by pages, partials and scripts.
+ * @param {string} rootDir - Site root directory.
+ * @returns {{icons: Map<string, string[]>, unsupported: string[]}} Icon names (without
+ *   the fa- prefix) and the files using each, plus files using an icon style that isn't bundled.
+ */
+function collectIcons(rootDir) {
+    const files = [
+        ...getHTMLFiles(rootDir),
+        ...listFiles(rootDir, COMPONENTS_DIR, /\.html$/),
+        ...listFiles(rootDir, JS_DIR, /\.js$/)
+    ];
+    const icons = new Map();
+    const unsupported = [];
+
+    files.forEach(file => {
+        const content = fs.readFileSync(path.join(rootDir, file), 'utf8');
+        const classPattern = /(?:^|[^\w-])((?:fa[srb]|fa-[a-z0-9]+(?:-[a-z0-9]+)*))(?![\w-])/g;
+        let match;
+        while ((match = classPattern.exec(content)) !== null) {
+            const className = match[1];
+            if (UNSUPPORTED_STYLE_CLASSES.includes(className)) {
+                unsupported.push(`${file}: ${className}`);
+            } else if (!ICON_STYLE_CLASSES.includes(className) && !ICON_MODIFIER_CLASS.test(className)
+                && className.startsWith('fa-')) {
+                const name = className.slice('fa-'.length);
+                icons.set(name, [...(icons.get(name) || []), file].filter((item, index, list) => list.indexOf(item) === index));
+            }
+        }
+    });
+
+    return { icons: new Map([...icons.entries()].sort(([a], [b]) => a.localeCompare(b))), unsupported };
+}
+
+/**
+ * Looks up a solid icon by name or by one of its Font Awesome 5 aliases.
+ * @param {Object} iconPackage - The @fortawesome/free-solid-svg-icons module.
+ * @param {string} name - Icon name without the fa- prefix (e.g. 'shield-alt').
+ * @returns {{width: number, height: number, path: string}|null} The icon, or null if there is none.
+ */
+function findIcon(iconPackage, name) {
+    const exportName = `fa${name.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}`;
+    const definition = iconPackage[exportName];
+    if (!definition || definition.prefix !== 'fas') {
+        return null;
+    }
+    const [width, height, , , svgPath] = definition.icon;
+    return { width, height, path: Array.isArray(svgPath) ? svgPath.join(' ') : svgPath };
+}
+
+/**
+ * Renders css/fonts.css.
+ * @param {number[]} weights - Font weights to declare.
+ * @returns {string} The stylesheet.
+ */
+function renderFontCSS(weights) {
+    const rules = weights.map(weight => [
+        '@font-face {',
+        `    font-family: '${FONT_FAMILY}';`,
+        '    font-style: normal;',
+        '    font-display: swap;',
+        `    font-weight: ${weight};`,
+        `    src: url('../${FONTS_DIR}/${getFontFile(weight)}') format('woff2');`,
+        '}'
+    ].join('\n'));
+
+    return [
+        '/* ==========================================================================',
+        `   Self-hosted ${FONT_FAMILY} - generated by build/vendor-fonts.js, do not edit`,
+        `   SIL Open Font License 1.1, see ${FONTS_DIR}/${FONT_LICENSE_FILE}`,
+        '   ========================================================================== */',
+        '',
+        rules.join('\n\n'),
+        ''
+    ].join('\n');
+}
+
+/**
+ * Renders css/icons.css: each icon is an SVG mask over currentColor, so it takes the
+ * text color and scales with font-size like the icon font did.
+ * @param {Map<string, {width: number, height: number, path: string}>} icons - Icons by name.
+ * @param {string} version - Font Awesome version.
+ * @returns {string} The stylesheet.
+ */
+function renderIconCSS(icons, version) {
+    const selector = ICON_STYLE_CLASSES.map(className => `.${className}`).join(',\n');
+    const hiddenSelector = ICON_STYLE_CLASSES.map(className => `.${className}[hidden]`).join(',\n');
+    const rules = [...icons.entries()].map(([name, icon]) => {
+        const svg = `<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 ${icon.width} ${icon.height}'><path d='${icon.path}'/></svg>`;
+        // Only the characters a data URI can't hold as-is are escaped, keeping the file small
+        const dataURI = `data:image/svg+xml,${svg.replace(/[%#<>"]/g, char => encodeURIComponent(char))}`;
+        const width = Number((icon.width / ICON_HEIGHT).toFixed(4));
+        return [
+            `.fa-${name} {`,
+            `    --fa-icon: url("${dataURI}");`,
+            `    width: ${width}em;`,
+            '}'
+        ].join('\n');
+    });
+
+    return [
+        '/* ==========================================================================',
+        '   Font Awesome icon subset - generated by build/vendor-fonts.js, do not edit',
+        `   Font Awesome Free ${version} by @fontawesome - https://fontawesome.com`,
+        '   License - https://fontawesome.com/license/free (Icons: CC BY 4.0)',
+        '   ========================================================================== */',
+        '',
+        `${selector} {`,
+        '    display: inline-block;',
+        '    width: 1em;',
+        '    height: 1em;',
+        '    vertical-align: -0.125em;',
+        '    background-color: currentColor;',
+        '    -webkit-mask: var(--fa-icon) center / contain no-repeat;',
+        '    mask: var(--fa-icon) center / contain no-repeat;',
+        '}',
+        '',
+        `${hiddenSelector} {`,
+        '    display: none;',
+        '}',
+        '',
+        rules.join('\n\n'),
+        ''
+    ].join('\n');
+}
+
+/**
+ * Gets the vendored file name of a font weight.
+ * @param {number} weight - Font weight.
+ * @returns {string} File name in assets/fonts/.
+ */
+function getFontFile(weight) {
+    return `space-grotesk-${FONT_SUBSET}-${weight}-normal.woff2`;
+}
+
+/**
+ * Removes the <link> tags that point at the third-party font and icon origins.
+ * @param {string} headContent - The head-common.html content.
+ * @returns {string} The content without those links.
+ */
+function removeThirdPartyLinks(headContent) {
+    const origins = THIRD_PARTY_ORIGINS.map(origin => origin.replace(/\./g, '\\.')).join('|');
+    const linkPattern = new RegExp(`^[ \\t]*<link\\b[^>]*href="(?:https?:)?//(?:${origins})[/"][^>]*>\\n`, 'gm');
+    return headContent.replace(linkPattern, '');
+}
+
+/**
+ * Vendors the fonts and the icon subset.
+ * @param {boolean} [dryRun] - If true, list what would be vendored without writing files.
+ * @param {string} [rootDir] - Site root to update (defaults to the project root).
+ * @returns {boolean} True if every icon was found and the files were written, false otherwise.
+ */
+function vendorFonts(dryRun = false, rootDir = PROJECT_ROOT) {
+    try {
+        if (dryRun) {
+            console.log('🔍 DRY RUN MODE - No files will be modified\n');
+        }
+
+        const iconPackage = require(resolvePackage(ICON_PACKAGE));
+        const iconVersion = require(resolvePackage(`${ICON_PACKAGE}/package.json`)).version;
+        const fontDir = path.dirname(resolvePackage(`${FONT_PACKAGE}/package.json`));
+
+        const { icons: usedIcons, unsupported } = collectIcons(rootDir);
+        const errors = unsupported.map(usage => `${usage} (only solid icons are bundled, use fas)`);
+        const icons = new Map();
+        usedIcons.forEach((files, name) => {
+            const icon = findIcon(iconPackage, name);
+            if (icon) {
+                icons.set(name, icon);
+            } else {
+                errors.push(`fa-${name} is not a Font Awesome ${iconVersion} solid icon (used in ${files.join(', ')})`);
+            }
+        });
+        if (errors.length > 0) {
+            errors.forEach(error => console.error(`❌ ${error}`));
+            console.log('💡 Icon names are listed at https://fontawesome.com/search?o=r&m=free&s=solid');
+            return false;
+        }
+
+        const weights = collectFontWeights(rootDir);
+        console.log(`🔤 ${FONT_FAMILY} weights: ${weights.join(', ')}`);
+        console.log(`🎨 ${icons.size} icon(s): ${[...icons.keys()].join(', ')}\n`);
+
+        weights.forEach(weight => {
+            const source = path.join(fontDir, 'files', getFontFile(weight));
+            if (!fs.existsSync(source)) {
+                throw new Error(`${FONT_PACKAGE} has no ${FONT_SUBSET} ${weight} weight (${path.basename(source)})`);
+            }
+            writeIfChanged(path.join(rootDir, FONTS_DIR, getFontFile(weight)), fs.readFileSync(source), dryRun);
+        });
+        writeIfChanged(path.join(rootDir, FONTS_DIR, FONT_LICENSE_FILE), fs.readFileSync(path.join(fontDir, 'LICENSE')), dryRun);
+
+        // Weights the CSS no longer uses
+        const fontFiles = weights.map(getFontFile);
+        listFiles(rootDir, FONTS_DIR, /\.woff2$/)
+            .filter(file => !fontFiles.includes(path.basename(file)))
+            .forEach(file => {
+                if (dryRun) {
+                    console.log(`🔍 Would remove ${file}`);
+                } else {
+                    fs.rmSync(path.join(rootDir, file));
+                    console.log(`🗑️  Removed ${file}`);
+                }
+            });
+
+        writeIfChanged(path.join(rootDir, FONTS_CSS), renderFontCSS(weights), dryRun);
+        writeIfChanged(path.join(rootDir, ICONS_CSS), renderIconCSS(icons, iconVersion), dryRun);
+
+        const headCommonPath = path.join(rootDir, HEAD_COMMON_FILE);
+        writeIfChanged(headCommonPath, removeThirdPartyLinks(fs.readFileSync(headCommonPath, 'utf8')), dryRun);
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error vendoring fonts and icons:', error.message);
+        return false;
+    }
+}
+
+// Run the vendoring if this script is executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+
+    const success = vendorFonts(dryRun);
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = { vendorFonts, collectIcons, collectFontWeights };
@@ -0,0 +1,43 @@
+/**
+ * Write If Changed
+ *
+ * Build scripts that regenerate committed files (pages, partials, fonts, _headers)
+ * write them with writeIfChanged(), so an unchanged file keeps its timestamp, the dev
+ * server doesn't see a change, and --dry-run reports what a run would touch.
+ *
+ * @example
+ * writeIfChanged(path.join(PROJECT_ROOT, '_headers'), renderHeaders(results), dryRun);
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+/**
+ * Writes a file if its content changed, creating its directory if needed.
+ * @param {string} filePath - Absolute path of the file.
+ * @param {string|Buffer} content - New content (strings are written as UTF-8).
+ * @param {boolean} dryRun - If true, only report what would change.
+ * @returns {boolean} True if the file was (or, in dry-run mode, would be) written.
+ */
+function writeIfChanged(filePath, content, dryRun) {
+    const label = path.relative(PROJECT_ROOT, filePath);
+    const current = fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+    if (current !== null && current.equals(Buffer.from(content))) {
+        console.log(`✓  ${label} is up to date`);
+        return false;
+    }
+
+    const action = current === null ? 'create' : 'update';
+    if (dryRun) {
+        console.log(`🔍 Would ${action} ${label}`);
+    } else {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+        console.log(`✅ ${action === 'create' ? 'Created' : 'Updated'} ${label}`);
+    }
+    return true;
+}
+
+module.exports = { writeIfChanged };
@@ -0,0 +1,490 @@
+// ============================================================================
+// Accessible Carousel
+// ============================================================================
+
+/**
+ * Self-contained carousel following the WAI-ARIA carousel pattern.
+ * Page-specific setup (which cards to show, labels from AppConfig) lives in
+ * js/features/project-carousel.js.
+ *
+ * The carousel moves between positions rather than single slides: a position shows
+ * as many whole slides as fit between the track's padding, so cards of any width and
+ * several cards per view on wide screens work. Positions and offsets are measured
+ * from the slides' layout and measured again whenever the viewport is resized.
+ *
+ * @typedef {Object} CarouselOptions
+ * @property {HTMLElement} root - The carousel region (gets aria-roledescription="carousel").
+ * @property {HTMLElement} viewport - Clips the track; receives swipes, clicks and keys.
+ * @property {HTMLElement} track - Moved with translateX; contains the slides.
+ * @property {HTMLElement} [pagination] - Container for the generated pagination buttons.
+ * @property {string} [slideSelector='.project-showcase'] - Selects the slides inside the track.
+ * @property {boolean} [loop=false] - Wrap from the last position to the first and back.
+ * @property {boolean} [autoplay=false] - Advance automatically (never starts under prefers-reduced-motion).
+ * @property {number} [autoplayInterval=6000] - Milliseconds between automatic advances.
+ * @property {number} [swipeThreshold=50] - Minimum horizontal pointer movement, in pixels, for a swipe.
+ * @property {Object.<string, string>} [labels] - Slide, pagination and play/pause labels
+ *   ({index} and {total} are replaced).
+ * @property {function(string): void} [announce] - Called with the first visible slide's label
+ *   after the visitor changes position (not on autoplay).
+ * @property {function(number, number, boolean): void} [onChange] - Called with the new position,
+ *   the first visible slide's index (both 0-based) and whether the visitor moved it, whenever
+ *   the position changes.
+ *
+ * @typedef {Object} CarouselInstance
+ * @property {function(number): void} goTo - Shows a position (0-based).
+ * @property {function(): void} next - Shows the next position.
+ * @property {function(): void} prev - Shows the previous position.
+ * @property {function(): void} refresh - Measures the slides again (e.g. after a font or layout change).
+ * @property {function(): void} destroy - Removes listeners and generated markup so the carousel can be created again.
+ *
+ * @example
+ * const carousel = Carousel.create({
+ *     root: document.querySelector('.carousel-container'),
+ *     viewport: document.querySelector('.carousel-slides'),
+ *     track: document.querySelector('.project-cards-list'),
+ *     pagination: document.querySelector('.carousel-pagination'),
+ *     loop: true
+ * });
+ * // After the cards change:
+ * carousel.destroy();
+ */
+const Carousel = {
+    /**
+     * Default options, overridden by the options passed to create().
+     * @type {Object}
+     */
+    defaults: {
+        slideSelector: '.project-showcase',
+        loop: false,
+        autoplay: false,
+        autoplayInterval: 6000,
+        swipeThreshold: 50,
+        labels: {
+            slide: '{index} of {total}',
+            pagination: 'Go to slide {index}',
+            play: 'Start slide rotation',
+            pause: 'Stop slide rotation'
+        }
+    },
+
+    /**
+     * CSS class names added by the carousel.
+     * @type {Object.<string, string>}
+     */
+    classes: {
+        activeSlide: 'active-slide',
+        paginationDot: 'carousel-pagination-dot',
+        activeDot: 'active',
+        rotationControl: 'carousel-rotation-control'
+    },
+
+    /**
+     * Fills in a label template.
+     * @param {string} template - Label with {index} and {total} placeholders.
+     * @param {number} index - 1-based index.
+     * @param {number} total - Total count.
+     * @returns {string} The label.
+     */
+    formatLabel(template, index, total) {
+        return template.replace('{index}', index).replace('{total}', total);
+    },
+
+    /**
+     * Creates a carousel.
+     * @param {CarouselOptions} options - Elements and settings.
+     * @returns {CarouselInstance|null} The carousel, or null if an element is missing or there are no slides.
+     */
+    create(options) {
+        const settings = {
+            ...Carousel.defaults,
+            ...options,
+            labels: { ...Carousel.defaults.labels, ...(options.labels || {}) }
+        };
+        const { root, viewport, track, pagination, labels } = settings;
+        const { classes } = Carousel;
+
+        if (!root || !viewport || !track) {
+            console.warn('Carousel elements not found');
+            return null;
+        }
+
+        const slides = Array.from(track.querySelectorAll(settings.slideSelector));
+        if (slides.length === 0) {
+            return null;
+        }
+
+        // Every listener is registered with this signal so destroy() can remove them at once
+        const listeners = new AbortController();
+        const { signal } = listeners;
+        const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+        /** Track offset of each position, in pixels */
+        let offsets = [];
+        /** Slide indexes shown at each position */
+        let positionSlides = [];
+        let current = 0;
+        let autoplayTimer = null;
+        let resizeObserver = null;
+        let resizeFrame = null;
+        let rotationControl = null;
+        let pointerStart = null;
+        let suppressClick = false;
+
+        /** Why autoplay is paused: 'hover', 'focus', 'hidden', 'motion' or 'user' */
+        const pausedBy = new Set(reducedMotion.matches ? ['motion'] : []);
+
+        /**
+         * Works out the positions from the current layout.
+         * Slides that fit in the view together share a position; the last position is
+         * clamped so the track never scrolls past its last slide.
+         * @returns {void}
+         */
+        function measure() {
+            const trackStyle = getComputedStyle(track);
+            const paddingLeft = parseFloat(trackStyle.paddingLeft) || 0;
+            const paddingRight = parseFloat(trackStyle.paddingRight) || 0;
+            const viewWidth = viewport.clientWidth - paddingLeft - paddingRight;
+            const maxOffset = Math.max(0, track.scrollWidth - viewport.clientWidth);
+
+            offsets = [];
+            slides.forEach(slide => {
+                const offset = Math.min(Math.max(0, slide.offsetLeft - paddingLeft), maxOffset);
+                if (offsets.length === 0 || offset > offsets[offsets.length - 1] + 1) {
+                    offsets.push(offset);
+                }
+            });
+
+            positionSlides = offsets.map(offset => {
+                const visible = slides
+                    .map((slide, index) => ({ slide, index }))
+                    .filter(({ slide }) => slide.offsetLeft >= offset + paddingLeft - 2
+                        && slide.offsetLeft + slide.offsetWidth <= offset + paddingLeft + viewWidth + 2)
+                    .map(({ index }) => index);
+                // A slide wider than the view still gets its own position
+                return visible.length > 0 ? visible : [slides.findIndex(slide => slide.offsetLeft - paddingLeft >= offset)];
+            });
+        }
+
+        /**
+         * Finds the position that shows a slide.
+         * @param {number} slideIndex - Slide index (0-based).
+         * @returns {number} Position index.
+         */
+        function getPositionOfSlide(slideIndex) {
+            const position = positionSlides.findIndex(indexes => indexes.includes(slideIndex));
+            return position === -1 ? 0 : position;
+        }
+
+        /**
+         * Moves the track to the current position and updates slide, pagination and inert state.
+         * @returns {void}
+         */
+        function render() {
+            track.style.transform = `translateX(${-offsets[current]}px)`;
+
+            const visible = positionSlides[current];
+            slides.forEach((slide, index) => {
+                const isVisible = visible.includes(index);
+                slide.classList.toggle(classes.activeSlide, isVisible);
+                // Off-screen slides can't be focused or reached by assistive technology
+                slide.inert = !isVisible;
+            });
+
+            if (pagination) {
+                pagination.querySelectorAll(`.${classes.paginationDot}`).forEach((dot, index) => {
+                    const isCurrent = index === current;
+                    dot.classList.toggle(classes.activeDot, isCurrent);
+                    if (isCurrent) {
+                        dot.setAttribute('aria-current', 'true');
+                    } else {
+                        dot.removeAttribute('aria-current');
+                    }
+                });
+            }
+        }
+
+        /**
+         * Creates one pagination button per position, or hides pagination (and the
+         * play/pause button) if everything fits.
+         * @returns {void}
+         */
+        function renderPagination() {
+            if (rotationControl) {
+                rotationControl.hidden = offsets.length <= 1;
+            }
+            if (!pagination) {
+                return;
+            }
+
+            pagination.replaceChildren();
+            pagination.hidden = offsets.length <= 1;
+            offsets.forEach((offset, position) => {
+                const dot = document.createElement('button');
+                dot.type = 'button';
+                dot.className = classes.paginationDot;
+                dot.setAttribute('aria-label', Carousel.formatLabel(labels.pagination, positionSlides[position][0] + 1, slides.length));
+                dot.addEventListener('click', () => goTo(position, true), { signal });
+                pagination.appendChild(dot);
+            });
+        }
+
+        /**
+         * Shows a position.
+         * @param {number} position - Position index (0-based); out-of-range values are ignored.
+         * @param {boolean} [byVisitor=false] - True when the visitor asked for it (announces the slide).
+         * @returns {void}
+         */
+        function goTo(position, byVisitor = false) {
+            if (position < 0 || position >= offsets.length) {
+                return;
+            }
+
+            const previous = current;
+            current = position;
+            render();
+            scheduleAutoplay();
+
+            if (byVisitor && typeof settings.announce === 'function') {
+                settings.announce(Carousel.formatLabel(labels.slide, positionSlides[current][0] + 1, slides.length));
+            }
+            if (current !== previous && typeof settings.onChange === 'function') {
+                settings.onChange(current, positionSlides[current][0], byVisitor);
+            }
+        }
+
+        /**
+         * Shows the next position, wrapping to the first if looping.
+         * @param {boolean} [byVisitor=true] - False for autoplay.
+         * @returns {void}
+         */
+        function next(byVisitor = true) {
+            if (current < offsets.length - 1) {
+                goTo(current + 1, byVisitor);
+            } else if (settings.loop || !byVisitor) {
+                goTo(0, byVisitor);
+            }
+        }
+
+        /**
+         * Shows the previous position, wrapping to the last if looping.
+         * @returns {void}
+         */
+        function prev() {
+            if (current > 0) {
+                goTo(current - 1, true);
+            } else if (settings.loop) {
+                goTo(offsets.length - 1, true);
+            }
+        }
+
+        /**
+         * (Re)starts the autoplay timer unless autoplay is off, paused or pointless.
+         * @returns {void}
+         */
+        function scheduleAutoplay() {
+            clearTimeout(autoplayTimer);
+            autoplayTimer = null;
+            if (settings.autoplay && pausedBy.size === 0 && offsets.length > 1) {
+                autoplayTimer = setTimeout(() => next(false), settings.autoplayInterval);
+            }
+        }
+
+        /**
+         * Adds or removes a reason for pausing autoplay.
+         * @param {string} reason - Pause reason.
+         * @param {boolean} paused - True to pause for this reason, false to lift it.
+         * @returns {void}
+         */
+        function setPaused(reason, paused) {
+            if (paused) {
+                pausedBy.add(reason);
+            } else {
+                pausedBy.delete(reason);
+            }
+            scheduleAutoplay();
+        }
+
+        /**
+         * Updates the play/pause button for the visitor's choice.
+         * @returns {void}
+         */
+        function renderRotationControl() {
+            const stopped = pausedBy.has('user') || pausedBy.has('motion');
+            rotationControl.setAttribute('aria-label', stopped ? labels.play : labels.pause);
+            rotationControl.innerHTML = `<i class="fas ${stopped ? 'fa-play' : 'fa-pause'}" aria-hidden="true"></i>`;
+        }
+
+        /**
+         * Adds the play/pause button first in the carousel, as the pattern requires for autoplay.
+         * @returns {void}
+         */
+        function createRotationControl() {
+            rotationControl = document.createElement('button');
+            rotationControl.type = 'button';
+            rotationControl.className = classes.rotationControl;
+            rotationControl.addEventListener('click', () => {
+                const stopped = pausedBy.has('user') || pausedBy.has('motion');
+                pausedBy.delete('motion');
+                setPaused('user', !stopped);
+                renderRotationControl();
+            }, { signal });
+            root.prepend(rotationControl);
+            renderRotationControl();
+        }
+
+        /**
+         * Measures again and keeps the first visible slide in view.
+         * @returns {void}
+         */
+        function refresh() {
+            const firstVisible = positionSlides.length > 0 ? positionSlides[current][0] : 0;
+            measure();
+            renderPagination();
+            current = getPositionOfSlide(firstVisible);
+            render();
+            scheduleAutoplay();
+        }
+
+        // Pointer swipes (mouse, touch and pen)
+        viewport.addEventListener('pointerdown', (e) => {
+            if (e.isPrimary && e.button === 0) {
+                pointerStart = { x: e.clientX, y: e.clientY, id: e.pointerId };
+            }
+        }, { signal });
+        viewport.addEventListener('pointerup', (e) => {
+            if (!pointerStart || e.pointerId !== pointerStart.id) {
+                return;
+            }
+            const diffX = e.clientX - pointerStart.x;
+            const diffY = e.clientY - pointerStart.y;
+            pointerStart = null;
+
+            if (Math.abs(diffX) > settings.swipeThreshold && Math.abs(diffX) > Math.abs(diffY)) {
+                // Ignore the click that follows a mouse drag; touch swipes don't fire one
+                suppressClick = true;
+                setTimeout(() => {
+                    suppressClick = false;
+                }, 0);
+                if (diffX < 0) {
+                    next();
+                } else {
+                    prev();
+                }
+            }
+        }, { signal });
+        viewport.addEventListener('pointercancel', () => {
+            pointerStart = null;
+        }, { signal });
+        // Dragging an image would take over the pointer
+        viewport.addEventListener('dragstart', (e) => e.preventDefault(), { signal });
+
+        // Clicking a partly visible slide brings it into view. Inert slides don't receive
+        // the click, so the slide is found from the pointer position instead.
+        viewport.addEventListener('click', (e) => {
+            if (suppressClick) {
+                e.preventDefault();
+                e.stopPropagation();
+                return;
+            }
+            const slideIndex = slides.findIndex(slide => {
+                const rect = slide.getBoundingClientRect();
+                return e.clientX >= rect.left && e.clientX <= rect.right;
+            });
+            if (slideIndex !== -1 && !positionSlides[current].includes(slideIndex)) {
+                goTo(getPositionOfSlide(slideIndex), true);
+            }
+        }, { capture: true, signal });
+
+        // Keyboard navigation while focus is inside the carousel
+        root.addEventListener('keydown', (e) => {
+            if (e.target.matches('input, select, textarea')) {
+                return;
+            }
+            if (e.key === 'ArrowLeft') {
+                prev();
+            } else if (e.key === 'ArrowRight') {
+                next();
+            } else if (e.key === 'Home' && e.target.classList.contains(classes.paginationDot)) {
+                e.preventDefault();
+                goTo(0, true);
+            } else if (e.key === 'End' && e.target.classList.contains(classes.paginationDot)) {
+                e.preventDefault();
+                goTo(offsets.length - 1, true);
+            }
+        }, { signal });
+
+        // Autoplay pauses while the carousel is hovered or focused, or the tab is hidden
+        root.addEventListener('pointerenter', () => setPaused('hover', true), { signal });
+        root.addEventListener('pointerleave', () => setPaused('hover', false), { signal });
+        root.addEventListener('focusin', () => setPaused('focus', true), { signal });
+        root.addEventListener('focusout', (e) => {
+            if (!root.contains(e.relatedTarget)) {
+                setPaused('focus', false);
+            }
+        }, { signal });
+        document.addEventListener('visibilitychange', () => setPaused('hidden', document.hidden), { signal });
+        reducedMotion.addEventListener('change', () => {
+            setPaused('motion', reducedMotion.matches);
+            if (rotationControl) {
+                renderRotationControl();
+            }
+        }, { signal });
+
+        // Re-measure on resize; slide widths come from viewport units and breakpoints
+        const handleResize = () => {
+            cancelAnimationFrame(resizeFrame);
+            resizeFrame = requestAnimationFrame(refresh);
+        };
+        if (typeof ResizeObserver !== 'undefined') {
+            resizeObserver = new ResizeObserver(handleResize);
+            resizeObserver.observe(viewport);
+        } else {
+            window.addEventListener('resize', handleResize, { passive: true, signal });
+        }
+
+        root.setAttribute('aria-roledescription', 'carousel');
+        slides.forEach((slide, index) => {
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', 'slide');
+            slide.setAttribute('aria-label', Carousel.formatLabel(labels.slide, index + 1, slides.length));
+        });
+
+        if (settings.autoplay) {
+            createRotationControl();
+        }
+        measure();
+        renderPagination();
+        goTo(0);
+
+        return {
+            goTo: position => goTo(position, true),
+            next,
+            prev: () => prev(),
+            refresh,
+            destroy() {
+                listeners.abort();
+                if (resizeObserver) {
+                    resizeObserver.disconnect();
+                }
+                cancelAnimationFrame(resizeFrame);
+                clearTimeout(autoplayTimer);
+                if (rotationControl) {
+                    rotationControl.remove();
+                }
+                if (pagination) {
+                    pagination.replaceChildren();
+                    pagination.hidden = false;
+                }
+                track.style.transform = '';
+                root.removeAttribute('aria-roledescription');
+                slides.forEach(slide => {
+                    slide.classList.remove(classes.activeSlide);
+                    slide.inert = false;
+                    ['role', 'aria-roledescription', 'aria-label'].forEach(name => slide.removeAttribute(name));
+                });
+            }
+        };
+    }
+};
+
+export default Carousel;
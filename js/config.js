@@ -7,15 +7,73 @@
  * Centralizes component paths, project cards, container selectors, and error messages.
  *
  * @typedef {Object} AppConfig
+ * @property {string} siteUrl - Public site origin (no trailing slash).
  * @property {Object.<string, string>} components - Component paths mapped to their placeholder element IDs.
  *   Keys are element IDs (e.g., 'nav-placeholder'), values are relative file paths.
  * @property {string[]} projectCards - Array of project card file paths to be loaded dynamically.
  *   Files are loaded in order and inserted into the project cards container.
+ * @property {Object} componentLoader - Runtime component loading settings (see js/lib/components.js).
+ * @property {string} componentLoader.directory - Where <div data-component="name"> placeholders load name.html from.
+ * @property {number} componentLoader.timeout - Milliseconds before a component request is abandoned.
+ * @property {number} componentLoader.retries - Extra attempts after a failed request (timeouts, network and server errors).
+ * @property {number} componentLoader.retryDelay - Milliseconds before the first retry; doubled for each one after.
+ * @property {string} componentLoader.cacheKeyPrefix - sessionStorage key prefix for cached components
+ *   (followed by the page's components version, so a deploy doesn't serve old partials).
  * @property {Object.<string, string>} selectors - CSS selectors for container elements.
  * @property {string} selectors.projectCardsList - CSS selector for the project cards list container.
- * @property {Object.<string, string>} messages - User-facing error messages.
+ * @property {Object.<string, string>} messages - User-facing status and error messages.
  * @property {string} messages.componentLoadError - Error message displayed when a component fails to load.
  * @property {string} messages.projectCardLoadError - Error message displayed when a project card fails to load.
+ * @property {string} messages.componentRetry - Label of the Retry button shown with a component load error.
+ * @property {string} messages.quoteFormSuccess - Status message displayed after a quote request was sent.
+ * @property {string} messages.quoteFormDraft - Status message displayed after opening an email draft of the quote request.
+ * @property {string} messages.quoteFormError - Status message displayed when a quote request could not be sent.
+ * @property {string} messages.solarCalculatorHandOff - Announcement after calculator results were added to the quote form.
+ * @property {string} messages.faqSearchResults - Announced match count while filtering FAQs ({count} and {total} are replaced).
+ * @property {string} messages.faqSearchNoResults - Shown and announced when no FAQ matches the filter.
+ * @property {string} messages.faqSearchCleared - Announced when the FAQ filter is emptied ({total} is replaced).
+ * @property {string} messages.analyticsConsentSaved - Announced after the visitor answers the analytics consent banner.
+ * @property {string} messages.menuOpened - Announced when the menu overlay opens.
+ * @property {string} messages.menuClosed - Announced when the menu overlay closes.
+ * @property {string} messages.industryMenuOpened - Announced when a heading opens the industry menu.
+ * @property {string} messages.faqExpanded - Announced when a FAQ answer opens ({question} is replaced).
+ * @property {string} messages.faqCollapsed - Announced when a FAQ answer closes.
+ * @property {string} messages.lightboxPhoto - Announced when the lightbox moves to another photo ({index}, {total} and {alt} are replaced).
+ * @property {string} messages.calculatorLoadAdded - Announced when a calculator load row is added.
+ * @property {string} messages.calculatorLoadRemoved - Announced when a calculator load row is removed.
+ * @property {string} messages.calculatorResults - Announced calculator recommendation ({battery}, {solar} and {inverter} are replaced).
+ * @property {string} messages.quoteFormInvalidField - Announced when one quote form field is invalid ({error} is its error).
+ * @property {string} messages.quoteFormInvalidFields - Announced when several quote form fields are invalid ({count}, and {error} for the first).
+ * @property {string} messages.quoteFormEmailSubject - Subject of the quote request email draft ({name} is replaced).
+ * @property {Object.<string, string>} messages.quoteFormErrors - Inline quote form validation errors, keyed by rule.
+ * @property {Object.<string, string>} messages.calculatorSummary - Lines of the estimate the calculator adds to the quote request message.
+ * @property {Object} quoteForm - Quote request form settings (see js/features/quote-form.js).
+ * @property {string} quoteForm.endpoint - URL the form POSTs JSON to. Empty to open an email draft instead.
+ *   Its origin is added to the CSP connect-src by build/generate-csp.js.
+ * @property {string} quoteForm.fallbackEmail - Address used for the email draft when no endpoint is set.
+ * @property {number} quoteForm.minSubmitSeconds - Submissions faster than this after the form loads are treated as spam.
+ * @property {Object} solarCalculator - Solar calculator presets (maths in js/solar-calculator.js).
+ * @property {{name: string, sunHours: number}[]} solarCalculator.locations - Location presets with average peak sun hours.
+ * @property {number} solarCalculator.defaultAutonomyDays - Initial days of battery autonomy.
+ * @property {Object[]} solarCalculator.defaultLoads - Example loads shown when the calculator first loads.
+ * @property {Object} analytics - Analytics event settings (see js/lib/analytics.js).
+ * @property {boolean} analytics.enabled - Show the consent banner and record events once the visitor agrees.
+ * @property {string} analytics.adapter - Name of the adapter in AnalyticsAdapters that receives events.
+ * @property {string} analytics.endpoint - URL the 'beacon' adapter sends events to. Empty to use the 'console' adapter instead.
+ *   Its origin is added to the CSP connect-src by build/generate-csp.js.
+ * @property {string} analytics.consentStorageKey - localStorage key that remembers the visitor's choice.
+ * @property {Object} carousel - Project carousel options passed to Carousel.create() (see js/carousel.js).
+ * @property {boolean} carousel.loop - Wrap from the last project to the first and back.
+ * @property {boolean} carousel.autoplay - Advance automatically (pauses on hover and focus, never starts under prefers-reduced-motion).
+ * @property {number} carousel.autoplayInterval - Milliseconds between automatic advances.
+ * @property {Object.<string, string>} carousel.labels - Slide, pagination and play/pause labels.
+ * @property {Object} faq - FAQ accordion settings (see js/features/accordions.js).
+ * @property {boolean} faq.allowMultipleOpen - Keep other answers open when one is expanded.
+ * @property {number} faq.searchDelay - Milliseconds to wait after typing before filtering.
+ * @property {Object.<string, string>} faq.labels - Text for the filter box and expand/collapse-all controls.
+ * @property {Locale[]} locales - Languages the site is published in; the first is the default (see build/localize-pages.js).
+ * @property {Industry[]} industries - Industry registry. Single source for the nav menu list, the rotating
+ *   industry heading, sitemap coverage and each industry page's BreadcrumbList (see build/generate-industries.js).
  *
  * @example
  * // Access component paths
@@ -27,7 +85,33 @@
  * // Get error message
  * const errorMsg = AppConfig.messages.componentLoadError;
  */
+
+/**
+ * An industry served by Copper Tech, with its own page under industries/.
+ *
+ * @typedef {Object} Industry
+ * @property {string} slug - URL-safe identifier (matches the page file name).
+ * @property {string} name - Display name used in the menu, rotating heading and breadcrumbs.
+ * @property {string} path - Root-absolute path to the industry page.
+ * @property {string} description - Short description of the industry offering.
+ * @property {string} heroImage - Banner image path relative to the project root.
+ */
+
+/**
+ * A language the site is published in.
+ *
+ * @typedef {Object} Locale
+ * @property {string} code - Short code, used as the URL prefix (/es/) and the catalogue directory (data/locales/es/).
+ * @property {string} lang - BCP 47 language tag for <html lang>, hreflang and the web app manifest.
+ * @property {string} name - Language name in that language, shown in the language switcher.
+ */
 const AppConfig = {
+    /**
+     * Public site origin, used for canonical URLs and structured data.
+     * @type {string}
+     */
+    siteUrl: 'https://coppertech.us',
+
     /**
      * Component paths mapped to their placeholder element IDs.
      * Using absolute paths so they work from any directory level.
@@ -36,7 +120,11 @@ const AppConfig = {
     components: {
         'nav-placeholder': '/components/nav.html',
         'footer-placeholder': '/components/footer.html',
-        'cta-placeholder': '/components/cta.html'
+        'cta-placeholder': '/components/cta.html',
+        'quote-form-placeholder': '/components/quote-form.html',
+        'solar-calculator-placeholder': '/components/solar-calculator.html',
+        'lightbox-placeholder': '/components/lightbox.html',
+        'consent-banner-placeholder': '/components/consent-banner.html'
     },
 
     /**
@@ -49,6 +137,21 @@ const AppConfig = {
         'components/project-camper-van.html'
     ],
 
+    /**
+     * Runtime component loading (pages built with build/inline-components.js already
+     * contain their components and skip it).
+     * @type {Object}
+     */
+    componentLoader: {
+        /** <div data-component="cta"> loads cta.html from here */
+        directory: '/components/',
+        timeout: 8000,
+        /** Retries wait retryDelay, then twice as long each time */
+        retries: 2,
+        retryDelay: 500,
+        cacheKeyPrefix: 'coppertech-component:'
+    },
+
     /**
      * Container selectors for dynamically loaded content.
      * @type {Object.<string, string>}
@@ -59,29 +162,232 @@ const AppConfig = {
     },
 
     /**
-     * User-facing error messages for component loading failures.
+     * User-facing messages for component loading and the quote form.
      * @type {Object.<string, string>}
      */
     messages: {
         /** Error message displayed when a standard component fails to load */
         componentLoadError: 'Component failed to load. Please refresh the page.',
         /** Error message displayed when a project card fails to load */
-        projectCardLoadError: 'Failed to load project card. Some projects may not be displayed.'
+        projectCardLoadError: 'Failed to load project card. Some projects may not be displayed.',
+        /** Button shown with a component load error that loads the component again */
+        componentRetry: 'Retry',
+        /** Shown after a quote request was sent */
+        quoteFormSuccess: 'Thanks! Your request has been sent. We will be in touch shortly.',
+        /** Shown after opening an email draft (no endpoint configured) */
+        quoteFormDraft: 'Your email app has opened with your request. Send the email to reach us.',
+        /** Shown when the quote request could not be sent */
+        quoteFormError: 'Sorry, your request could not be sent. Please email us at info@coppertech.us.',
+        /** Announced after the calculator results were copied into the quote form */
+        solarCalculatorHandOff: 'Your system estimate was added to the quote request message.',
+        /** Announced while filtering FAQs ({count} and {total} are replaced) */
+        faqSearchResults: '{count} of {total} questions match',
+        /** Shown and announced when no FAQ matches the filter */
+        faqSearchNoResults: 'No questions match your search.',
+        /** Announced when the FAQ filter is emptied ({total} is replaced) */
+        faqSearchCleared: 'Showing all {total} questions',
+        /** Announced after the visitor answers the analytics consent banner */
+        analyticsConsentSaved: 'Your analytics choice has been saved.',
+        menuOpened: 'Menu opened',
+        menuClosed: 'Menu closed',
+        industryMenuOpened: 'Navigation menu opened',
+        /** {question} is the question text */
+        faqExpanded: '{question} expanded',
+        faqCollapsed: 'Accordion closed',
+        /** {alt} is the photo's alternative text */
+        lightboxPhoto: 'Photo {index} of {total}: {alt}',
+        calculatorLoadAdded: 'Load added',
+        calculatorLoadRemoved: 'Load removed',
+        calculatorResults: 'Recommended system: {battery} kilowatt hours of battery, {solar} watts of solar and a {inverter} watt inverter',
+        /** Announced when the quote form is submitted with errors ({error} is the first field's error) */
+        quoteFormInvalidField: '1 field needs attention. {error}',
+        quoteFormInvalidFields: '{count} fields need attention. {error}',
+        /** Subject of the email draft opened when no endpoint is set */
+        quoteFormEmailSubject: 'Quote request from {name}',
+        /** Inline quote form validation errors */
+        quoteFormErrors: {
+            nameMissing: 'Please enter your name.',
+            emailMissing: 'Please enter your email address.',
+            emailInvalid: 'Please enter a valid email address, like name@example.com.',
+            phoneInvalid: 'Please enter a valid phone number, or leave it blank.',
+            industryMissing: 'Please select an industry.',
+            messageMissing: 'Please tell us a little about your project.'
+        },
+        /** Lines of the estimate the calculator adds to the quote request message (see SolarCalculator.formatSummary()) */
+        calculatorSummary: {
+            title: 'System sizing estimate',
+            load: '- {name}: {watts} W for {hours} h/day',
+            loadWithQuantity: '- {quantity} x {name}: {watts} W for {hours} h/day',
+            unnamedLoad: 'Load',
+            /** Used with a location preset; sunHours without one */
+            location: 'Location: {location} ({sunHours} sun hours)',
+            sunHours: 'Location: {sunHours} sun hours',
+            autonomyDays: 'Days of autonomy: {days}',
+            dailyEnergy: 'Daily energy: {energy} kWh',
+            battery: 'Battery: {battery} kWh',
+            solar: 'Solar array: {solar} W',
+            inverter: 'Inverter: {inverter} W'
+        }
+    },
+
+    /**
+     * Quote request form settings.
+     * For local testing, run `npm run mock:quote` and set endpoint to 'http://localhost:8787/api/quote'.
+     * @type {Object}
+     */
+    quoteForm: {
+        /** URL the form POSTs JSON to (empty = open an email draft instead) */
+        endpoint: '',
+        /** Address used for the email draft when no endpoint is set */
+        fallbackEmail: 'info@coppertech.us',
+        /** Minimum seconds between the form loading and being submitted (faster = bot) */
+        minSubmitSeconds: 3
+    },
+
+    /**
+     * Solar calculator presets.
+     * Sun hours are approximate annual averages of peak sun hours per day.
+     * @type {Object}
+     */
+    solarCalculator: {
+        locations: [
+            { name: 'Alaska', sunHours: 2.5 },
+            { name: 'Arizona / New Mexico', sunHours: 6.5 },
+            { name: 'California', sunHours: 5.5 },
+            { name: 'Colorado / Utah', sunHours: 5.5 },
+            { name: 'Florida', sunHours: 5.0 },
+            { name: 'Hawaii', sunHours: 5.5 },
+            { name: 'Michigan / Great Lakes', sunHours: 4.0 },
+            { name: 'Northeast', sunHours: 4.0 },
+            { name: 'Pacific Northwest', sunHours: 3.5 },
+            { name: 'Texas', sunHours: 5.0 }
+        ],
+        defaultAutonomyDays: 2,
+        /** Example loads shown when the calculator first loads */
+        defaultLoads: [
+            { name: 'LED lighting', watts: 60, hours: 5, quantity: 1 },
+            { name: 'Refrigerator', watts: 150, hours: 8, quantity: 1 }
+        ]
+    },
+
+    /**
+     * Analytics events. Nothing is recorded until the visitor accepts the consent banner,
+     * and no third-party script is loaded.
+     * @type {Object}
+     */
+    analytics: {
+        enabled: true,
+        /** 'beacon' sends events to the endpoint, 'console' logs them; register others with registerAnalyticsAdapter() */
+        adapter: 'beacon',
+        /** URL events are POSTed to with navigator.sendBeacon() (empty = log them with the 'console' adapter) */
+        endpoint: '',
+        consentStorageKey: 'coppertech-analytics-consent'
+    },
+
+    /**
+     * Project carousel options (see Carousel.defaults in js/carousel.js for the rest).
+     * @type {Object}
+     */
+    carousel: {
+        loop: true,
+        autoplay: false,
+        /** Milliseconds between automatic advances when autoplay is on */
+        autoplayInterval: 6000,
+        /** {index} is the first visible project's number, {total} the number of projects */
+        labels: {
+            slide: 'Project {index} of {total}',
+            pagination: 'Go to project {index}',
+            play: 'Start rotating projects',
+            pause: 'Stop rotating projects'
+        }
+    },
+
+    /**
+     * FAQ accordion settings.
+     * Each .accordion-item needs a stable id (e.g. 'faq-battery-lifespan') so answers can be linked to.
+     * @type {Object}
+     */
+    faq: {
+        /** false = opening an answer closes the others; expand all still opens every answer */
+        allowMultipleOpen: false,
+        /** Milliseconds to wait after the last keystroke before filtering */
+        searchDelay: 200,
+        labels: {
+            search: 'Search questions',
+            searchPlaceholder: 'Search questions and answers',
+            expandAll: 'Expand all',
+            collapseAll: 'Collapse all'
+        }
     },
 
+    /**
+     * Languages the site is published in. The first is the default: its pages are the
+     * source pages. Every other locale gets a copy of each page that has a catalogue in
+     * data/locales/<code>/pages/, under /<code>/, and its JavaScript strings from
+     * js/locales/<code>.js (see build/localize-pages.js).
+     * @type {Locale[]}
+     */
+    locales: [
+        { code: 'en', lang: 'en-US', name: 'English' },
+        { code: 'es', lang: 'es-US', name: 'Español' }
+    ],
+
+    /**
+     * Industry registry, in menu and rotation order.
+     * To add an industry: create its page in industries/, add an entry here, then run `npm run build`.
+     * @type {Industry[]}
+     */
+    industries: [
+        {
+            slug: 'military-defense',
+            name: 'Military & Defense',
+            path: '/industries/military-defense.html',
+            description: 'Secure, resilient power and connectivity for mission-critical operations.',
+            heroImage: 'assets/military+defense.jpg'
+        },
+        {
+            slug: 'remote-businesses',
+            name: 'Remote Businesses',
+            path: '/industries/remote-businesses.html',
+            description: 'Off-grid energy for farms, logging, mining, and heavy industry.',
+            heroImage: 'assets/logging-office.jpg'
+        },
+        {
+            slug: 'homes',
+            name: 'Residential Homes',
+            path: '/industries/homes.html',
+            description: 'Off-grid and grid-tied solar solutions for homes.',
+            heroImage: 'assets/off-grid-home-2.jpg'
+        },
+        {
+            slug: 'commercial-buildings',
+            name: 'Commercial Buildings',
+            path: '/industries/commercial-buildings.html',
+            description: 'Large-scale solar and battery solutions for commercial buildings.',
+            heroImage: 'assets/library-solar.jpg'
+        },
+        {
+            slug: 'emergency-response',
+            name: 'Emergency Response',
+            path: '/industries/emergency-response.html',
+            description: 'Mobile power stations for crisis operations.',
+            heroImage: 'assets/emergency-response.jpg'
+        },
+        {
+            slug: 'job-sites',
+            name: 'Job Sites',
+            path: '/industries/job-sites.html',
+            description: 'Quiet mobile power for construction projects.',
+            heroImage: 'assets/mobile-power.jpg'
+        }
+    ],
+
     /**
      * Configuration for the rotating industry heading feature.
+     * Industry names are taken from the `industries` registry.
      * @type {Object}
      */
     rotatingIndustry: {
-        /** Array of industry names to rotate through */
-        industries: [
-            'Military & Defense',
-            'Remote Businesses',
-            'Residential Homes',
-            'Emergency Response',
-            'Job Sites'
-        ],
         /** Rotation interval in milliseconds */
         rotationInterval: 3500,
         /** Initial delay before first rotation in milliseconds */
@@ -95,4 +401,5 @@ const AppConfig = {
     }
 };
 
-
+// Build scripts load it with build/load-browser-module.js
+export default AppConfig;
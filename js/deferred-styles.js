@@ -0,0 +1,21 @@
+// ============================================================================
+// Deferred Stylesheets
+// ============================================================================
+// Applies the stylesheets build/optimize-css.js deferred. The build inlines each
+// page's critical CSS and links the full stylesheet with media="print", which
+// browsers download without blocking the first paint; switching to the real media
+// applies it. The build links this file next to the stylesheet as a classic script
+// with no imports, written in ES5, so the full styles still load when js/main.js
+// fails, is blocked or is not supported.
+
+(function () {
+    'use strict';
+
+    var DEFERRED_MEDIA_ATTRIBUTE = 'data-deferred-media';
+    var links = document.querySelectorAll('link[' + DEFERRED_MEDIA_ATTRIBUTE + ']');
+
+    for (var i = 0; i < links.length; i++) {
+        links[i].media = links[i].getAttribute(DEFERRED_MEDIA_ATTRIBUTE);
+        links[i].removeAttribute(DEFERRED_MEDIA_ATTRIBUTE);
+    }
+}());
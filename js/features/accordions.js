@@ -0,0 +1,304 @@
+// ============================================================================
+// FAQ Accordions
+// ============================================================================
+
+import AppConfig from '../config.js';
+import Constants from '../lib/constants.js';
+import { announceToScreenReader } from '../lib/accessibility.js';
+import { AnalyticsEvents, trackEvent } from '../lib/analytics.js';
+import { formatMessage, getNavHeight } from '../lib/utils.js';
+
+/**
+ * Listeners registered by init(), removed by destroy().
+ * @type {AbortController|null}
+ */
+let listeners = null;
+
+/**
+ * Toolbars and "no results" messages added by init(), removed by destroy().
+ * @type {HTMLElement[]}
+ */
+const generatedElements = [];
+
+/**
+ * Opens or closes one FAQ accordion item.
+ * @param {HTMLElement} button - The item's .accordion-button.
+ * @param {boolean} expanded - True to open the answer, false to close it.
+ * @returns {boolean} False if the button's aria-controls target is missing.
+ */
+function setAccordionExpanded(button, expanded) {
+    const contentId = button.getAttribute('aria-controls');
+    const content = document.getElementById(contentId);
+
+    if (!content) {
+        console.warn(`Accordion content not found: ${contentId}`);
+        return false;
+    }
+
+    button.setAttribute('aria-expanded', String(expanded));
+    content.setAttribute('aria-hidden', String(!expanded));
+    return true;
+}
+
+/**
+ * Points the URL hash at an open FAQ item, or clears it when that item closes.
+ * Uses replaceState so toggling answers doesn't fill the back button history.
+ * @param {HTMLElement} item - The .accordion-item.
+ * @param {boolean} expanded - Whether the item was opened.
+ * @returns {void}
+ */
+function updateAccordionHash(item, expanded) {
+    if (!item.id) {
+        return;
+    }
+
+    if (expanded) {
+        history.replaceState(null, '', `#${item.id}`);
+    } else if (window.location.hash === `#${item.id}`) {
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+}
+
+/**
+ * Opens the FAQ item named by the URL hash (e.g. #faq-battery-lifespan) and scrolls to it.
+ * Clears a search filter that would hide it.
+ * @returns {void}
+ */
+function openAccordionFromHash() {
+    try {
+        const hash = decodeURIComponent(window.location.hash.slice(1));
+        const item = hash ? document.getElementById(hash) : null;
+        if (!item || !item.classList.contains('accordion-item')) {
+            return;
+        }
+
+        const container = item.closest('.faq-accordions');
+        const searchInput = container?.querySelector('.faq-search');
+        if (searchInput && searchInput.value) {
+            searchInput.value = '';
+            filterAccordions(container, '');
+        }
+
+        const button = item.querySelector('.accordion-button');
+        if (!button) {
+            return;
+        }
+        if (!AppConfig.faq.allowMultipleOpen && container) {
+            container.querySelectorAll('.accordion-button[aria-expanded="true"]').forEach(otherButton => {
+                if (otherButton !== button) {
+                    setAccordionExpanded(otherButton, false);
+                }
+            });
+        }
+        const wasExpanded = button.getAttribute('aria-expanded') === 'true';
+        if (setAccordionExpanded(button, true) && !wasExpanded) {
+            trackEvent(AnalyticsEvents.FAQ_EXPAND, { id: item.id, source: 'link' });
+        }
+
+        window.scrollTo({
+            top: item.getBoundingClientRect().top + window.scrollY - getNavHeight(),
+            behavior: 'smooth'
+        });
+        button.focus({ preventScroll: true });
+    } catch (error) {
+        console.error('Error opening FAQ from URL hash:', error);
+    }
+}
+
+/**
+ * Shows only the FAQ items whose question or answer contains every word of the query.
+ * @param {HTMLElement} container - The .faq-accordions container.
+ * @param {string} query - Search text (empty shows every item).
+ * @returns {{count: number, total: number}} Matching and total item counts.
+ */
+function filterAccordions(container, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const items = container.querySelectorAll('.accordion-item');
+    let count = 0;
+
+    items.forEach(item => {
+        const text = item.textContent.toLowerCase();
+        const matches = terms.every(term => text.includes(term));
+        item.hidden = !matches;
+        if (matches) {
+            count++;
+        }
+    });
+
+    const noResults = container.querySelector('.faq-no-results');
+    if (noResults) {
+        noResults.hidden = count > 0;
+    }
+
+    return { count, total: items.length };
+}
+
+/**
+ * Adds the search box and expand/collapse-all controls above a FAQ container.
+ * They are created here rather than in the page markup because they need JavaScript to work.
+ * @param {HTMLElement} container - The .faq-accordions container.
+ * @param {number} index - Position of the container on the page (keeps the input ID unique).
+ * @param {AbortSignal} signal - Removes the toolbar's listeners when aborted.
+ * @returns {void}
+ */
+function createAccordionToolbar(container, index, signal) {
+    const { labels, searchDelay } = AppConfig.faq;
+    const { faqSearchResults, faqSearchNoResults, faqSearchCleared } = AppConfig.messages;
+    const searchId = `faq-search-${index + 1}`;
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'faq-toolbar';
+
+    const searchLabel = document.createElement('label');
+    searchLabel.className = Constants.SR_ONLY_CLASS;
+    searchLabel.htmlFor = searchId;
+    searchLabel.textContent = labels.search;
+
+    const searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.id = searchId;
+    searchInput.className = 'faq-search';
+    searchInput.placeholder = labels.searchPlaceholder;
+    searchInput.autocomplete = 'off';
+
+    const actions = document.createElement('div');
+    actions.className = 'faq-toolbar-actions';
+    [[labels.expandAll, true], [labels.collapseAll, false]].forEach(([label, expanded]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'faq-toggle-all';
+        button.textContent = label;
+        button.addEventListener('click', () => {
+            // Only the items the current search shows
+            container.querySelectorAll('.accordion-item:not([hidden]) .accordion-button')
+                .forEach(accordionButton => setAccordionExpanded(accordionButton, expanded));
+            announceToScreenReader(label);
+        }, { signal });
+        actions.appendChild(button);
+    });
+
+    toolbar.append(searchLabel, searchInput, actions);
+    container.prepend(toolbar);
+    generatedElements.push(toolbar);
+
+    const noResults = document.createElement('p');
+    noResults.className = 'faq-no-results';
+    noResults.textContent = faqSearchNoResults;
+    noResults.hidden = true;
+    container.appendChild(noResults);
+    generatedElements.push(noResults);
+
+    let searchTimeout;
+    signal.addEventListener('abort', () => clearTimeout(searchTimeout));
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => {
+            try {
+                const query = searchInput.value.trim();
+                const { count, total } = filterAccordions(container, query);
+                if (!query) {
+                    announceToScreenReader(formatMessage(faqSearchCleared, { total }));
+                } else if (count === 0) {
+                    announceToScreenReader(faqSearchNoResults);
+                } else {
+                    announceToScreenReader(formatMessage(faqSearchResults, { count, total }));
+                }
+            } catch (error) {
+                console.error('Error filtering FAQs:', error);
+            }
+        }, searchDelay);
+    }, { signal });
+}
+
+/**
+ * Initializes FAQ accordion functionality on every .faq-accordions container.
+ * Handles opening/closing accordion items with smooth animations and ARIA attributes,
+ * keeps the URL hash on the open item so answers can be linked to, and adds the
+ * search and expand/collapse-all toolbar. Single or multi-open is set by AppConfig.faq.
+ * @returns {void}
+ */
+export function init() {
+    try {
+        const containers = document.querySelectorAll('.faq-accordions');
+
+        if (containers.length === 0) {
+            return; // No accordions found
+        }
+
+        listeners = new AbortController();
+        const { signal } = listeners;
+
+        containers.forEach((container, index) => {
+            const accordionButtons = container.querySelectorAll('.accordion-button');
+
+            accordionButtons.forEach(button => {
+                button.addEventListener('click', function() {
+                    try {
+                        const isExpanded = this.getAttribute('aria-expanded') === 'true';
+
+                        if (!setAccordionExpanded(this, !isExpanded)) {
+                            return;
+                        }
+
+                        // Close the other answers in this container unless several may be open
+                        if (!isExpanded && !AppConfig.faq.allowMultipleOpen) {
+                            accordionButtons.forEach(otherButton => {
+                                if (otherButton !== this && otherButton.getAttribute('aria-expanded') === 'true') {
+                                    setAccordionExpanded(otherButton, false);
+                                }
+                            });
+                        }
+
+                        const item = this.closest('.accordion-item');
+                        if (item) {
+                            updateAccordionHash(item, !isExpanded);
+                            if (!isExpanded) {
+                                trackEvent(AnalyticsEvents.FAQ_EXPAND, { id: item.id, source: 'click' });
+                            }
+                        }
+
+                        if (isExpanded) {
+                            announceToScreenReader(AppConfig.messages.faqCollapsed);
+                        } else {
+                            const questionText = this.querySelector('.accordion-question')?.textContent || '';
+                            announceToScreenReader(formatMessage(AppConfig.messages.faqExpanded, { question: questionText }).trim());
+                        }
+                    } catch (error) {
+                        console.error('Error toggling accordion:', error);
+                    }
+                }, { signal });
+
+                // Keyboard support (Enter and Space)
+                button.addEventListener('keydown', function(e) {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        this.click();
+                    }
+                }, { signal });
+            });
+
+            createAccordionToolbar(container, index, signal);
+        });
+
+        // Deep links: open the linked answer on load and when the hash changes
+        openAccordionFromHash();
+        window.addEventListener('hashchange', openAccordionFromHash, { signal });
+    } catch (error) {
+        console.error('Error initializing accordions:', error);
+    }
+}
+
+/**
+ * Removes the handlers and the search toolbars, and shows any items the search hid.
+ * @returns {void}
+ */
+export function destroy() {
+    if (listeners) {
+        listeners.abort();
+        listeners = null;
+    }
+    generatedElements.splice(0).forEach(element => element.remove());
+    document.querySelectorAll('.faq-accordions .accordion-item[hidden]').forEach(item => {
+        item.hidden = false;
+    });
+}
@@ -0,0 +1,53 @@
+// ============================================================================
+// Banner H1 Click Handler (Industry Pages)
+// ============================================================================
+
+import { openMenuOverlay } from './menu-overlay.js';
+
+/**
+ * Listeners registered by init(), removed by destroy().
+ * @type {AbortController|null}
+ */
+let listeners = null;
+
+/**
+ * Initializes click handlers for banner h1 elements on industry pages.
+ * Opens the menu overlay when the h1 is clicked.
+ * @returns {void}
+ */
+export function init() {
+    try {
+        const bannerH1Text = document.querySelector('.banner-h1-text');
+        if (!bannerH1Text) {
+            // Not an industry page, or element doesn't exist
+            return;
+        }
+
+        listeners = new AbortController();
+        const { signal } = listeners;
+
+        // Click handler
+        bannerH1Text.addEventListener('click', () => openMenuOverlay('banner-heading'), { signal });
+
+        // Keyboard support (Enter and Space)
+        bannerH1Text.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                openMenuOverlay('banner-heading');
+            }
+        }, { signal });
+    } catch (error) {
+        console.error('Error initializing banner h1 click handler:', error);
+    }
+}
+
+/**
+ * Removes the click and keyboard handlers.
+ * @returns {void}
+ */
+export function destroy() {
+    if (listeners) {
+        listeners.abort();
+        listeners = null;
+    }
+}
@@ -0,0 +1,22 @@
+// ============================================================================
+// Analytics Consent Banner
+// ============================================================================
+// Shows components/consent-banner.html until the visitor makes a choice. Its buttons,
+// and the footer's "Analytics settings" button, are handled by delegation in
+// js/lib/analytics.js, so there is nothing to remove on destroy().
+
+import { initializeConsentBanner } from '../lib/analytics.js';
+
+/**
+ * Shows or hides the banner and the settings button for the stored choice.
+ * @returns {void}
+ */
+export function init() {
+    initializeConsentBanner();
+}
+
+/**
+ * Nothing to clean up.
+ * @returns {void}
+ */
+export function destroy() {}
@@ -0,0 +1,26 @@
+// ============================================================================
+// Footer Copyright Year
+// ============================================================================
+
+/**
+ * Updates the copyright year in the footer to the current year.
+ * @returns {void}
+ */
+export function init() {
+    try {
+        const yearElement = document.getElementById('copyright-year');
+        if (yearElement) {
+            const currentYear = new Date().getFullYear();
+            yearElement.textContent = currentYear;
+            yearElement.setAttribute('datetime', currentYear);
+        }
+    } catch (error) {
+        console.error('Error updating copyright year:', error);
+    }
+}
+
+/**
+ * Nothing to clean up: the year stays in place.
+ * @returns {void}
+ */
+export function destroy() {}
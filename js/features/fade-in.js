@@ -0,0 +1,96 @@
+// ============================================================================
+// Intersection Observer for Fade-in Animations
+// ============================================================================
+
+import Constants from '../lib/constants.js';
+
+/**
+ * The observer created by init(), disconnected by destroy().
+ * @type {IntersectionObserver|null}
+ */
+let observer = null;
+
+/**
+ * The pending animation frame that checks which elements are already visible.
+ * @type {number|null}
+ */
+let pendingFrame = null;
+
+/**
+ * Initializes an Intersection Observer for fade-in animations.
+ * Elements fade in when they enter the viewport.
+ * Falls back to immediate fade-in for browsers without IntersectionObserver support.
+ * Note: Sections themselves are not animated, only their child elements.
+ * @returns {void}
+ */
+export function init() {
+    try {
+        const elementsToAnimate = document.querySelectorAll(Constants.ANIMATION_ELEMENTS_SELECTOR);
+
+        // Check if IntersectionObserver is supported
+        if (typeof IntersectionObserver === 'undefined') {
+            // Fallback: add fade-in class immediately for browsers without support
+            // Use requestAnimationFrame to ensure DOM is ready
+            pendingFrame = requestAnimationFrame(() => {
+                pendingFrame = null;
+                elementsToAnimate.forEach(element => {
+                    element.classList.add(Constants.FADE_IN_CLASS);
+                });
+            });
+            return;
+        }
+
+        const observerOptions = {
+            threshold: Constants.FADE_IN_THRESHOLD,
+            rootMargin: Constants.FADE_IN_ROOT_MARGIN
+        };
+
+        observer = new IntersectionObserver(function(entries, entryObserver) {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add(Constants.FADE_IN_CLASS);
+                    entryObserver.unobserve(entry.target); // Stop observing once animated
+                }
+            });
+        }, observerOptions);
+
+        if (elementsToAnimate.length > 0) {
+            // Use requestAnimationFrame to ensure DOM is fully rendered before checking viewport
+            pendingFrame = requestAnimationFrame(() => {
+                pendingFrame = null;
+                elementsToAnimate.forEach(element => {
+                    // Check if element is already in viewport - if so, animate immediately
+                    const rect = element.getBoundingClientRect();
+                    const isInViewport = rect.top < window.innerHeight && rect.bottom > 0;
+                    
+                    if (isInViewport) {
+                        // Element is already visible, add fade-in class immediately
+                        element.classList.add(Constants.FADE_IN_CLASS);
+                    } else {
+                        // Element is not yet visible, observe it
+                        observer.observe(element);
+                    }
+                });
+            });
+        }
+
+        // Image lazy loading is handled natively by browsers via loading="lazy" attribute in HTML
+    } catch (error) {
+        console.error('Error initializing fade-in animations:', error);
+    }
+}
+
+/**
+ * Stops watching for elements to animate. Elements that already faded in stay visible.
+ * @returns {void}
+ */
+export function destroy() {
+    if (pendingFrame !== null) {
+        cancelAnimationFrame(pendingFrame);
+        pendingFrame = null;
+    }
+    if (observer) {
+        observer.disconnect();
+        observer = null;
+    }
+}
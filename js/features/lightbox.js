@@ -0,0 +1,269 @@
+// ============================================================================
+// Project Photo Lightbox
+// ============================================================================
+
+import AppConfig from '../config.js';
+import Constants from '../lib/constants.js';
+import { announceToScreenReader, createFocusTrap } from '../lib/accessibility.js';
+import { formatMessage } from '../lib/utils.js';
+
+/**
+ * Listeners registered by init(), removed by destroy().
+ * @type {AbortController|null}
+ */
+let listeners = null;
+
+/**
+ * Parses a srcset attribute into its candidates.
+ * @param {string} srcset - The srcset value.
+ * @returns {{url: string, width: number}[]} Candidates; width is 0 without a `w` descriptor.
+ */
+function parseSrcset(srcset) {
+    return srcset.split(',')
+        .map(candidate => candidate.trim())
+        .filter(Boolean)
+        .map(candidate => {
+            const [url, descriptor = ''] = candidate.split(/\s+/);
+            return { url, width: parseInt(descriptor, 10) || 0 };
+        });
+}
+
+/**
+ * Finds the full-resolution URL of a project photo.
+ * Uses the <source> the browser picked for the thumbnail, so the lightbox gets the
+ * same format (AVIF or WebP), and takes its widest candidate. Falls back to the
+ * <img> src, the original photo, if the thumbnail hasn't loaded yet.
+ * @param {HTMLImageElement} img - The thumbnail image.
+ * @returns {string} The URL to show in the lightbox.
+ */
+function getFullSizeImageURL(img) {
+    const picture = img.closest('picture');
+    if (picture && img.currentSrc) {
+        for (const source of picture.querySelectorAll('source[srcset]')) {
+            const candidates = parseSrcset(source.getAttribute('srcset'));
+            const isCurrent = candidates.some(({ url }) => new URL(url, document.baseURI).href === img.currentSrc);
+            if (isCurrent) {
+                return candidates.reduce((widest, candidate) => (candidate.width > widest.width ? candidate : widest)).url;
+            }
+        }
+    }
+    return img.getAttribute('src');
+}
+
+/**
+ * Initializes the project photo lightbox (components/lightbox.html).
+ * Any .project-image-open button opens its photo at full size; the arrows, swipes and
+ * arrow keys move through the other photos in the same project card. Focus is trapped
+ * in the lightbox while it is open and returned to the photo when it closes.
+ * @returns {void}
+ */
+export function init() {
+    try {
+        const lightbox = document.getElementById(Constants.LIGHTBOX_ID);
+        if (!lightbox) {
+            return;
+        }
+
+        listeners = new AbortController();
+        const { signal } = listeners;
+
+        const image = lightbox.querySelector('.lightbox-image');
+        const caption = lightbox.querySelector('.lightbox-caption');
+        const counter = lightbox.querySelector('.lightbox-counter');
+        const closeButton = lightbox.querySelector('.lightbox-close');
+        const prevButton = lightbox.querySelector('.lightbox-prev');
+        const nextButton = lightbox.querySelector('.lightbox-next');
+
+        if (!image || !caption || !closeButton || !prevButton || !nextButton) {
+            console.warn('Lightbox elements not found, skipping lightbox initialization');
+            return;
+        }
+
+        let photos = [];
+        let currentIndex = 0;
+        let trapFocus = () => {};
+        let previousActiveElement = null;
+        let pointerStartX = null;
+        let suppressClick = false;
+
+        /**
+         * Shows one of the open card's photos, wrapping around at either end.
+         * @param {number} index - Photo index (0-based).
+         * @returns {void}
+         */
+        function showPhoto(index) {
+            currentIndex = (index + photos.length) % photos.length;
+            const photo = photos[currentIndex];
+            const figcaption = photo.closest('figure')?.querySelector('figcaption');
+            const captionText = figcaption ? figcaption.textContent.trim() : photo.alt;
+
+            lightbox.classList.add(Constants.LOADING_CLASS);
+            image.src = getFullSizeImageURL(photo);
+            image.alt = photo.alt;
+            image.setAttribute('width', photo.getAttribute('width'));
+            image.setAttribute('height', photo.getAttribute('height'));
+
+            caption.textContent = captionText;
+            caption.hidden = !captionText;
+            // Screen readers already read the alt text for the image
+            if (captionText === photo.alt) {
+                caption.setAttribute('aria-hidden', 'true');
+            } else {
+                caption.removeAttribute('aria-hidden');
+            }
+
+            if (counter) {
+                counter.textContent = photos.length > 1 ? `${currentIndex + 1} / ${photos.length}` : '';
+            }
+        }
+
+        /**
+         * Shows the next or previous photo and announces it.
+         * @param {number} step - 1 for the next photo, -1 for the previous one.
+         * @returns {void}
+         */
+        function movePhoto(step) {
+            if (photos.length < 2) {
+                return;
+            }
+            showPhoto(currentIndex + step);
+            announceToScreenReader(formatMessage(AppConfig.messages.lightboxPhoto, {
+                index: currentIndex + 1,
+                total: photos.length,
+                alt: photos[currentIndex].alt
+            }));
+        }
+
+        /**
+         * Opens the lightbox on a photo.
+         * @param {HTMLElement} trigger - The .project-image-open button that was activated.
+         * @returns {void}
+         */
+        function openLightbox(trigger) {
+            try {
+                const card = trigger.closest('.project-images');
+                const photo = trigger.querySelector('img');
+                if (!card || !photo) {
+                    return;
+                }
+
+                photos = Array.from(card.querySelectorAll('.project-image-open img'));
+                const hasSeveral = photos.length > 1;
+                prevButton.hidden = !hasSeveral;
+                nextButton.hidden = !hasSeveral;
+                trapFocus = createFocusTrap(lightbox, hasSeveral ? [closeButton, prevButton, nextButton] : [closeButton], Constants.ACTIVE_CLASS);
+
+                // The trigger rather than document.activeElement: some browsers don't focus clicked buttons
+                previousActiveElement = trigger;
+                showPhoto(photos.indexOf(photo));
+                lightbox.hidden = false;
+                lightbox.classList.add(Constants.ACTIVE_CLASS);
+                document.body.style.overflow = 'hidden';
+                closeButton.focus();
+            } catch (error) {
+                console.error('Error opening lightbox:', error);
+            }
+        }
+
+        /**
+         * Closes the lightbox and returns focus to the photo that opened it.
+         * @returns {void}
+         */
+        function closeLightbox() {
+            try {
+                lightbox.classList.remove(Constants.ACTIVE_CLASS);
+                lightbox.hidden = true;
+                document.body.style.overflow = '';
+                image.removeAttribute('src');
+
+                if (previousActiveElement) {
+                    previousActiveElement.focus();
+                    previousActiveElement = null;
+                }
+            } catch (error) {
+                console.error('Error closing lightbox:', error);
+            }
+        }
+
+        // Project cards can be re-rendered, so listen on the document rather than each button
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('.project-image-open');
+            if (trigger) {
+                openLightbox(trigger);
+            }
+        }, { signal });
+
+        closeButton.addEventListener('click', closeLightbox, { signal });
+        prevButton.addEventListener('click', () => movePhoto(-1), { signal });
+        nextButton.addEventListener('click', () => movePhoto(1), { signal });
+
+        // Clicking the backdrop (not the photo or a button) closes the lightbox
+        lightbox.addEventListener('click', (e) => {
+            if (suppressClick) {
+                suppressClick = false;
+                return;
+            }
+            if (e.target === lightbox) {
+                closeLightbox();
+            }
+        }, { signal });
+
+        lightbox.addEventListener('keydown', (e) => {
+            if (e.key === Constants.KEY_ESCAPE) {
+                closeLightbox();
+            } else if (e.key === 'ArrowLeft') {
+                movePhoto(-1);
+            } else if (e.key === 'ArrowRight') {
+                movePhoto(1);
+            } else if (e.key === Constants.KEY_TAB) {
+                trapFocus(e);
+            }
+        }, { signal });
+
+        // Swipes (mouse, touch and pen)
+        lightbox.addEventListener('pointerdown', (e) => {
+            pointerStartX = e.isPrimary ? e.clientX : null;
+        }, { signal });
+        lightbox.addEventListener('pointerup', (e) => {
+            if (pointerStartX === null) {
+                return;
+            }
+            const diffX = e.clientX - pointerStartX;
+            pointerStartX = null;
+            if (Math.abs(diffX) > Constants.SWIPE_THRESHOLD) {
+                // A mouse drag that ends on the backdrop must not close the lightbox
+                suppressClick = true;
+                setTimeout(() => {
+                    suppressClick = false;
+                }, 0);
+                movePhoto(diffX < 0 ? 1 : -1);
+            }
+        }, { signal });
+        lightbox.addEventListener('pointercancel', () => {
+            pointerStartX = null;
+        }, { signal });
+        image.addEventListener('dragstart', (e) => e.preventDefault(), { signal });
+
+        image.addEventListener('load', () => lightbox.classList.remove(Constants.LOADING_CLASS), { signal });
+        image.addEventListener('error', () => lightbox.classList.remove(Constants.LOADING_CLASS), { signal });
+    } catch (error) {
+        console.error('Error initializing lightbox:', error);
+    }
+}
+
+/**
+ * Closes the lightbox if it is open and removes the handlers.
+ * @returns {void}
+ */
+export function destroy() {
+    const lightbox = document.getElementById(Constants.LIGHTBOX_ID);
+    if (lightbox && lightbox.classList.contains(Constants.ACTIVE_CLASS)) {
+        lightbox.classList.remove(Constants.ACTIVE_CLASS);
+        lightbox.hidden = true;
+        document.body.style.overflow = '';
+    }
+    if (listeners) {
+        listeners.abort();
+        listeners = null;
+    }
+}
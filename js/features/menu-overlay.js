@@ -0,0 +1,170 @@
+// ============================================================================
+// Full-Screen Menu Overlay Toggle with Focus Trap
+// ============================================================================
+
+import AppConfig from '../config.js';
+import Constants from '../lib/constants.js';
+import { announceToScreenReader, createFocusTrap } from '../lib/accessibility.js';
+import { AnalyticsEvents, trackEvent } from '../lib/analytics.js';
+
+/**
+ * Listeners registered by init(), removed by destroy().
+ * @type {AbortController|null}
+ */
+let listeners = null;
+
+/**
+ * Closes the menu without announcing it, set by init() for destroy().
+ * @type {function(): void|null}
+ */
+let resetMenu = null;
+
+/**
+ * Opens the menu overlay by triggering the menu button click.
+ * Shared by the features that open the menu from page content.
+ * @param {string} source - What opened the menu, for analytics (e.g. 'rotating-heading').
+ * @returns {void}
+ */
+export function openMenuOverlay(source) {
+    const menuBtn = document.querySelector(Constants.MENU_BUTTON_SELECTOR);
+    if (menuBtn) {
+        menuBtn.click();
+        announceToScreenReader(AppConfig.messages.industryMenuOpened);
+        trackEvent(AnalyticsEvents.MENU_OPEN, { source });
+    }
+}
+
+/**
+ * Initializes the full-screen menu overlay with keyboard navigation and focus trap.
+ * Handles opening/closing the menu, focus management, and ARIA attributes.
+ * Implements accessibility features including focus trapping and screen reader announcements.
+ * @returns {void}
+ */
+export function init() {
+    try {
+        const menuBtn = document.querySelector(Constants.MENU_BUTTON_SELECTOR);
+        const menuOverlay = document.getElementById(Constants.MENU_OVERLAY_ID);
+        if (!menuBtn || !menuOverlay) {
+            return;
+        }
+
+    const menuLinks = menuOverlay.querySelectorAll('a');
+    const firstFocusable = menuLinks[0];
+    const trapFocus = createFocusTrap(menuOverlay, menuLinks, Constants.ACTIVE_CLASS);
+    let previousActiveElement = null;
+    listeners = new AbortController();
+    const { signal } = listeners;
+
+    /**
+     * Opens the menu overlay and sets up focus trap.
+     * Updates ARIA attributes, prevents body scrolling, and announces to screen readers.
+     * @returns {void}
+     */
+    function openMenu() {
+        try {
+            menuOverlay.classList.add(Constants.ACTIVE_CLASS);
+            menuBtn.classList.add(Constants.ACTIVE_CLASS);
+            menuBtn.setAttribute('aria-expanded', 'true');
+            document.body.style.overflow = 'hidden';
+
+            // Store the previously focused element
+            previousActiveElement = document.activeElement;
+
+            // Focus first menu item
+            if (firstFocusable) {
+                firstFocusable.focus();
+            }
+
+            // Add focus trap
+            menuOverlay.addEventListener('keydown', trapFocus, { signal });
+            
+            // Announce menu opening
+            announceToScreenReader(AppConfig.messages.menuOpened);
+        } catch (error) {
+            console.error('Error opening menu:', error);
+        }
+    }
+
+    /**
+     * Restores the closed state: ARIA attributes, body scrolling and the focus trap.
+     * @returns {void}
+     */
+    function resetMenuState() {
+        menuOverlay.classList.remove(Constants.ACTIVE_CLASS);
+        menuBtn.classList.remove(Constants.ACTIVE_CLASS);
+        menuBtn.setAttribute('aria-expanded', 'false');
+        document.body.style.overflow = 'auto';
+
+        // Remove focus trap
+        menuOverlay.removeEventListener('keydown', trapFocus);
+    }
+
+    /**
+     * Closes the menu overlay and restores normal page behavior.
+     * Removes focus trap, restores body scrolling, returns focus to trigger element, and announces to screen readers.
+     * @returns {void}
+     */
+    function closeMenu() {
+        try {
+            resetMenuState();
+            
+            // Return focus to the button that opened the menu
+            if (previousActiveElement) {
+                previousActiveElement.focus();
+                previousActiveElement = null;
+            }
+            
+            // Announce menu closing
+            announceToScreenReader(AppConfig.messages.menuClosed);
+        } catch (error) {
+            console.error('Error closing menu:', error);
+        }
+    }
+
+    resetMenu = () => {
+        if (menuOverlay.classList.contains(Constants.ACTIVE_CLASS)) {
+            resetMenuState();
+        }
+    };
+
+    menuBtn.addEventListener('click', function() {
+        const isActive = menuOverlay.classList.contains(Constants.ACTIVE_CLASS);
+        if (isActive) {
+            closeMenu();
+        } else {
+            openMenu();
+        }
+    }, { signal });
+
+    // Close menu when clicking on overlay (but not on content)
+    menuOverlay.addEventListener('click', function(e) {
+        if (e.target === menuOverlay) {
+            closeMenu();
+        }
+    }, { signal });
+
+    // Close menu on Escape key
+    document.addEventListener('keydown', function(e) {
+        if (e.key === Constants.KEY_ESCAPE && menuOverlay.classList.contains(Constants.ACTIVE_CLASS)) {
+            closeMenu();
+        }
+    }, { signal });
+    } catch (error) {
+        console.error('Error initializing menu overlay:', error);
+    }
+}
+
+/**
+ * Closes the menu if it is open and removes the handlers.
+ * @returns {void}
+ */
+export function destroy() {
+    if (resetMenu) {
+        resetMenu();
+        resetMenu = null;
+    }
+    if (listeners) {
+        listeners.abort();
+        listeners = null;
+    }
+}
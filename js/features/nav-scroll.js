@@ -0,0 +1,50 @@
+// ============================================================================
+// Navigation Background Change on Scroll
+// ============================================================================
+
+import Constants from '../lib/constants.js';
+
+/**
+ * Listeners registered by init(), removed by destroy().
+ * @type {AbortController|null}
+ */
+let listeners = null;
+
+/**
+ * Initializes navigation background change on scroll.
+ * Adds a 'scrolled' class to the navigation container when the user scrolls past 100px.
+ * Uses passive event listener for better scroll performance.
+ * @returns {void}
+ */
+export function init() {
+    try {
+        const navContainer = document.querySelector(Constants.NAV_CONTAINER_SELECTOR);
+        if (!navContainer) {
+            return; // Navigation container not found
+        }
+
+        listeners = new AbortController();
+        window.addEventListener('scroll', function() {
+            const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+
+            if (scrollTop > Constants.SCROLL_THRESHOLD) {
+                navContainer.classList.add(Constants.SCROLLED_CLASS);
+            } else {
+                navContainer.classList.remove(Constants.SCROLLED_CLASS);
+            }
+        }, { passive: true, signal: listeners.signal });
+    } catch (error) {
+        console.error('Error initializing navigation scroll:', error);
+    }
+}
+
+/**
+ * Removes the scroll handler.
+ * @returns {void}
+ */
+export function destroy() {
+    if (listeners) {
+        listeners.abort();
+        listeners = null;
+    }
+}
@@ -0,0 +1,152 @@
+// ============================================================================
+// Project Carousel
+// ============================================================================
+
+import AppConfig from '../config.js';
+import Carousel from '../carousel.js';
+import { announceToScreenReader } from '../lib/accessibility.js';
+import { AnalyticsEvents, trackEvent } from '../lib/analytics.js';
+
+/**
+ * The project carousel on this page (see js/carousel.js), kept so it can be
+ * destroyed and created again when the cards change.
+ * @type {CarouselInstance|null}
+ */
+let projectCarousel = null;
+
+/**
+ * The pending animation frame that creates the carousel.
+ * @type {number|null}
+ */
+let pendingFrame = null;
+
+/**
+ * Cards and sections hidden by init(), shown again by destroy().
+ * @type {HTMLElement[]}
+ */
+let hiddenElements = [];
+
+/** The project cards the carousel shows (filtered-out cards are hidden) */
+const VISIBLE_CARD_SELECTOR = '.project-showcase:not([hidden])';
+
+/**
+ * Hides an element until destroy() runs.
+ * @param {HTMLElement} element - The element.
+ * @returns {void}
+ */
+function hideElement(element) {
+    if (!element.hidden) {
+        element.hidden = true;
+        hiddenElements.push(element);
+    }
+}
+
+/**
+ * Hides project cards that don't match the container's industry filter.
+ * The filter is an industry slug in the container's data-industry attribute;
+ * each card lists its industries (space-separated slugs) in data-industries.
+ * Containers without a filter keep every card.
+ * @param {HTMLElement} projectCardsList - The project cards container.
+ * @returns {void}
+ * @example
+ * // <div class="project-cards-list" data-industry="military-defense">
+ * filterProjectCards(document.querySelector('.project-cards-list'));
+ */
+function filterProjectCards(projectCardsList) {
+    const industry = projectCardsList.dataset.industry;
+    if (!industry) {
+        return;
+    }
+
+    projectCardsList.querySelectorAll('.project-showcase').forEach(card => {
+        const cardIndustries = (card.dataset.industries || '').split(/\s+/);
+        if (!cardIndustries.includes(industry)) {
+            hideElement(card);
+        }
+    });
+}
+
+/**
+ * Creates the project cards carousel.
+ * Cards are first filtered by the container's data-industry attribute; if no cards
+ * remain, the enclosing section is hidden instead. Looping, autoplay and labels
+ * come from AppConfig.carousel.
+ * @returns {void}
+ */
+function createCarousel() {
+    try {
+        const carouselContainer = document.querySelector('.carousel-container');
+        const carouselSlides = document.querySelector('.carousel-slides');
+        const projectCardsList = document.querySelector(AppConfig.selectors.projectCardsList);
+        const paginationContainer = document.querySelector('.carousel-pagination');
+
+        // Check if all required elements exist
+        if (!carouselContainer || !carouselSlides || !projectCardsList || !paginationContainer) {
+            console.warn('Carousel elements not found, skipping carousel initialization');
+            return;
+        }
+
+        filterProjectCards(projectCardsList);
+
+        // Hide the whole projects section when there is nothing to show
+        // (e.g. an industry page without any projects yet; built pages already hide it)
+        if (projectCardsList.querySelectorAll(VISIBLE_CARD_SELECTOR).length === 0) {
+            const section = projectCardsList.closest('section');
+            if (section) {
+                hideElement(section);
+            }
+            return;
+        }
+
+        projectCarousel = Carousel.create({
+            ...AppConfig.carousel,
+            root: carouselContainer,
+            viewport: carouselSlides,
+            track: projectCardsList,
+            pagination: paginationContainer,
+            slideSelector: VISIBLE_CARD_SELECTOR,
+            announce: announceToScreenReader,
+            onChange: (position, slideIndex, byVisitor) => {
+                // Autoplay advances aren't visitor interest
+                if (byVisitor) {
+                    const slide = projectCardsList.querySelectorAll(VISIBLE_CARD_SELECTOR)[slideIndex];
+                    trackEvent(AnalyticsEvents.CAROUSEL_SLIDE, { position: position + 1, project: slide?.id || '' });
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error initializing carousel:', error);
+    }
+}
+
+/**
+ * Initializes the project cards carousel.
+ * Waits a frame so the project cards are laid out before slides are measured.
+ * @returns {void}
+ */
+export function init() {
+    pendingFrame = requestAnimationFrame(() => {
+        pendingFrame = null;
+        createCarousel();
+    });
+}
+
+/**
+ * Destroys the carousel (its controls, listeners and autoplay timer) and shows
+ * the cards and section init() hid.
+ * @returns {void}
+ */
+export function destroy() {
+    if (pendingFrame !== null) {
+        cancelAnimationFrame(pendingFrame);
+        pendingFrame = null;
+    }
+    if (projectCarousel) {
+        projectCarousel.destroy();
+        projectCarousel = null;
+    }
+    hiddenElements.forEach(element => {
+        element.hidden = false;
+    });
+    hiddenElements = [];
+}
@@ -0,0 +1,220 @@
+// ============================================================================
+// Quote Request Form
+// ============================================================================
+
+import AppConfig from '../config.js';
+import { announceToScreenReader } from '../lib/accessibility.js';
+import { formatMessage } from '../lib/utils.js';
+
+/**
+ * Listeners registered by init(), removed by destroy().
+ * @type {AbortController|null}
+ */
+let listeners = null;
+
+/**
+ * Validation rules for the quote form, keyed by field name.
+ * Each rule returns an error message from AppConfig.messages.quoteFormErrors, or an
+ * empty string if the value is valid.
+ * @type {Object.<string, function(string): string>}
+ */
+const QuoteFormValidators = {
+    name: (value) => (value ? '' : AppConfig.messages.quoteFormErrors.nameMissing),
+    email: (value) => {
+        if (!value) {
+            return AppConfig.messages.quoteFormErrors.emailMissing;
+        }
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? '' : AppConfig.messages.quoteFormErrors.emailInvalid;
+    },
+    phone: (value) => {
+        if (!value) {
+            return '';
+        }
+        const digits = value.replace(/\D/g, '');
+        return /^[+()\d\s.-]+$/.test(value) && digits.length >= 7 ? '' : AppConfig.messages.quoteFormErrors.phoneInvalid;
+    },
+    industry: (value) => (value ? '' : AppConfig.messages.quoteFormErrors.industryMissing),
+    message: (value) => (value ? '' : AppConfig.messages.quoteFormErrors.messageMissing)
+};
+
+/**
+ * Returns a quote form field's validation error.
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} field - The form field.
+ * @returns {string} The error message, or an empty string if the field is valid (or has no validation rule).
+ */
+function getQuoteFieldError(field) {
+    const validator = QuoteFormValidators[field.name];
+    return validator ? validator(field.value.trim()) : '';
+}
+
+/**
+ * Validates a single quote form field and shows or clears its inline error.
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} field - The form field.
+ * @returns {boolean} True if the field is valid (or has no validation rule).
+ */
+export function validateQuoteField(field) {
+    if (!QuoteFormValidators[field.name]) {
+        return true;
+    }
+
+    const message = getQuoteFieldError(field);
+    const errorElement = document.getElementById(`${field.id}-error`);
+
+    field.setAttribute('aria-invalid', message ? 'true' : 'false');
+    if (errorElement) {
+        errorElement.textContent = message;
+        errorElement.hidden = !message;
+    }
+    return !message;
+}
+
+/**
+ * Collects the quote form values (excluding the honeypot).
+ * @param {HTMLFormElement} form - The quote form.
+ * @returns {Object.<string, string>} Trimmed field values keyed by field name.
+ */
+function getQuoteFormData(form) {
+    const data = {};
+    new FormData(form).forEach((value, key) => {
+        if (key !== 'website') {
+            data[key] = String(value).trim();
+        }
+    });
+    return data;
+}
+
+/**
+ * Sends a quote request.
+ * POSTs the data as JSON to AppConfig.quoteForm.endpoint; if no endpoint is configured,
+ * opens an email draft to AppConfig.quoteForm.fallbackEmail instead.
+ * @param {Object.<string, string>} data - The quote request fields.
+ * @returns {Promise<boolean>} Resolves true when the endpoint accepted the request, false when an email draft was opened.
+ * @throws {Error} Throws if the endpoint responds with an error status.
+ */
+async function submitQuoteRequest(data) {
+    const { endpoint, fallbackEmail } = AppConfig.quoteForm;
+
+    if (!endpoint) {
+        const body = Object.entries(data)
+            .filter(([, value]) => value)
+            .map(([key, value]) => `${key}: ${value}`)
+            .join('\n');
+        const subject = formatMessage(AppConfig.messages.quoteFormEmailSubject, { name: data.name });
+        window.location.href = `mailto:${fallbackEmail}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+        return false;
+    }
+
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({ ...data, page: window.location.pathname })
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    return true;
+}
+
+/**
+ * Initializes the quote request form: inline validation, spam protection and submission.
+ * Validation errors are shown next to each field and announced to screen readers.
+ * Submissions that fill in the honeypot field, or that arrive faster than
+ * AppConfig.quoteForm.minSubmitSeconds after the form loaded, are dropped silently.
+ * @returns {void}
+ */
+export function init() {
+    try {
+        const form = document.getElementById('quote-form');
+        if (!form) {
+            return;
+        }
+
+        listeners = new AbortController();
+        const { signal } = listeners;
+
+        const loadedAt = Date.now();
+        const fields = Array.from(form.querySelectorAll('input, select, textarea'))
+            .filter(field => QuoteFormValidators[field.name]);
+        const submitButton = form.querySelector('button[type="submit"]');
+        const statusElement = form.querySelector('.form-status');
+        const honeypot = form.querySelector('input[name="website"]');
+
+        /**
+         * Shows a status message below the form and announces it.
+         * @param {string} message - The message to show.
+         * @param {boolean} isError - Whether the message reports a failure.
+         * @returns {void}
+         */
+        function showStatus(message, isError) {
+            if (statusElement) {
+                statusElement.textContent = message;
+                statusElement.classList.toggle('form-status--error', isError);
+                statusElement.hidden = false;
+            }
+            announceToScreenReader(message);
+        }
+
+        // Validate fields as they are completed, and re-validate while correcting errors
+        fields.forEach(field => {
+            field.addEventListener('blur', () => validateQuoteField(field), { signal });
+            field.addEventListener('input', () => {
+                if (field.getAttribute('aria-invalid') === 'true') {
+                    validateQuoteField(field);
+                }
+            }, { signal });
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const invalidFields = fields.filter(field => !validateQuoteField(field));
+            if (invalidFields.length > 0) {
+                invalidFields[0].focus();
+                const { quoteFormInvalidField, quoteFormInvalidFields } = AppConfig.messages;
+                announceToScreenReader(formatMessage(invalidFields.length === 1 ? quoteFormInvalidField : quoteFormInvalidFields, {
+                    count: invalidFields.length,
+                    error: getQuoteFieldError(invalidFields[0])
+                }));
+                return;
+            }
+
+            const elapsedSeconds = (Date.now() - loadedAt) / 1000;
+            if ((honeypot && honeypot.value) || elapsedSeconds < AppConfig.quoteForm.minSubmitSeconds) {
+                // Likely a bot - pretend it worked so it doesn't retry
+                form.reset();
+                showStatus(AppConfig.messages.quoteFormSuccess, false);
+                return;
+            }
+
+            if (submitButton) {
+                submitButton.disabled = true;
+            }
+            try {
+                const sent = await submitQuoteRequest(getQuoteFormData(form));
+                form.reset();
+                showStatus(sent ? AppConfig.messages.quoteFormSuccess : AppConfig.messages.quoteFormDraft, false);
+            } catch (error) {
+                console.error('Error submitting quote request:', error);
+                showStatus(AppConfig.messages.quoteFormError, true);
+            } finally {
+                if (submitButton) {
+                    submitButton.disabled = false;
+                }
+            }
+        }, { signal });
+    } catch (error) {
+        console.error('Error initializing quote form:', error);
+    }
+}
+
+/**
+ * Removes the validation and submit handlers.
+ * @returns {void}
+ */
+export function destroy() {
+    if (listeners) {
+        listeners.abort();
+        listeners = null;
+    }
+}
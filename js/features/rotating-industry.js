@@ -0,0 +1,228 @@
+// ============================================================================
+// Rotating Industry Heading
+// ============================================================================
+
+import AppConfig from '../config.js';
+import { openMenuOverlay } from './menu-overlay.js';
+
+/**
+ * Listeners registered by init(), removed by destroy().
+ * @type {AbortController|null}
+ */
+let listeners = null;
+
+/**
+ * Clears the rotation timers, set by init() for destroy().
+ * @type {function(): void|null}
+ */
+let stopRotation = null;
+
+/**
+ * Initializes the rotating industry heading with hand-drawn underline.
+ * Rotates through industry names and opens menu overlay on click.
+ * @returns {void}
+ */
+export function init() {
+    try {
+        const rotatingText = document.getElementById('rotating-industry-text');
+        if (!rotatingText) {
+            console.warn('Rotating industry text element not found');
+            return;
+        }
+        
+        const rotatingWord = rotatingText.querySelector('.rotating-industry-word-text');
+        const rotatingWordContainer = rotatingText.querySelector('.rotating-industry-word');
+        if (!rotatingWord || !rotatingWordContainer) {
+            console.warn('Rotating industry word element not found');
+            return;
+        }
+
+        // Ensure config exists, fallback to default timings if not
+        if (!AppConfig || !AppConfig.rotatingIndustry) {
+            console.error('AppConfig.rotatingIndustry not found. Using defaults.');
+        }
+        const config = AppConfig?.rotatingIndustry || {
+            rotationInterval: 3500,
+            initialDelay: 2000,
+            fadeDuration: 300,
+            underlineDuration: 600,
+            resumeDelay: 2000
+        };
+        const { rotationInterval, initialDelay, fadeDuration, underlineDuration, resumeDelay } = config;
+
+        // Industry names come from the single industry registry
+        const industries = (AppConfig?.industries || []).map(industry => industry.name);
+
+        // Validate config values
+        if (!industries || industries.length === 0) {
+            console.error('No industries configured for rotation');
+            return;
+        }
+        if (!rotationInterval || !initialDelay || !fadeDuration) {
+            console.error('Invalid rotation timing configuration');
+            return;
+        }
+
+        let currentIndex = 0;
+        let rotationTimer = null;
+        let initialTimeout = null;
+        let resumeTimeout = null;
+        let isPaused = false;
+
+        /**
+         * Restarts the underline animation by forcing a reflow.
+         * @param {HTMLElement} underline - The underline SVG element
+         * @returns {void}
+         */
+        function restartUnderlineAnimation(underline) {
+            underline.style.animation = 'none';
+            void underline.offsetWidth; // Trigger reflow
+            underline.style.animation = `underlineDraw ${underlineDuration}ms ease-out`;
+        }
+
+        /**
+         * Updates the rotating text with fade animation.
+         * @returns {void}
+         */
+        function updateRotatingText() {
+            if (isPaused) return;
+
+            rotatingWord.classList.add('fade-out');
+            
+            setTimeout(() => {
+                currentIndex = (currentIndex + 1) % industries.length;
+                rotatingWord.textContent = industries[currentIndex];
+                
+                const underline = rotatingWordContainer.querySelector('.hand-drawn-underline');
+                if (underline) {
+                    restartUnderlineAnimation(underline);
+                }
+                
+                rotatingWord.classList.remove('fade-out');
+                rotatingWord.classList.add('fade-in');
+                
+                setTimeout(() => {
+                    rotatingWord.classList.remove('fade-in');
+                }, fadeDuration);
+            }, fadeDuration);
+        }
+
+        /**
+         * Handles menu interaction: pauses rotation, opens menu, resumes after delay.
+         * @returns {void}
+         */
+        function handleMenuInteraction() {
+            pauseRotation();
+            openMenuOverlay('rotating-heading');
+            clearTimeout(resumeTimeout);
+            resumeTimeout = setTimeout(resumeRotation, resumeDelay);
+        }
+
+        /**
+         * Starts the rotation timer.
+         * @param {number|null} delay - Delay before first rotation (null uses initialDelay)
+         * @returns {void}
+         */
+        function startRotation(delay = null) {
+            // Clear any existing timers
+            if (rotationTimer) {
+                clearInterval(rotationTimer);
+                rotationTimer = null;
+            }
+            if (initialTimeout) {
+                clearTimeout(initialTimeout);
+                initialTimeout = null;
+            }
+            
+            // Only start if not paused
+            if (isPaused) {
+                return;
+            }
+            
+            // Use provided delay or default to initialDelay
+            const firstDelay = delay !== null ? delay : initialDelay;
+            
+            // First rotation after delay, then continue with regular interval
+            initialTimeout = setTimeout(() => {
+                initialTimeout = null;
+                if (!isPaused) {
+                    updateRotatingText();
+                    rotationTimer = setInterval(updateRotatingText, rotationInterval);
+                }
+            }, firstDelay);
+        }
+
+        /**
+         * Pauses rotation when user interacts with the element.
+         * @returns {void}
+         */
+        function pauseRotation() {
+            isPaused = true;
+            if (rotationTimer) {
+                clearInterval(rotationTimer);
+                rotationTimer = null;
+            }
+            if (initialTimeout) {
+                clearTimeout(initialTimeout);
+                initialTimeout = null;
+            }
+        }
+
+        /**
+         * Resumes rotation after user interaction.
+         * @returns {void}
+         */
+        function resumeRotation() {
+            if (isPaused) {
+                isPaused = false;
+                startRotation();
+            }
+        }
+
+        listeners = new AbortController();
+        const { signal } = listeners;
+
+        // Click handler
+        rotatingText.addEventListener('click', handleMenuInteraction, { signal });
+
+        // Keyboard support (Enter and Space)
+        rotatingText.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                handleMenuInteraction();
+            }
+        }, { signal });
+
+        // Pause/resume on hover/focus
+        rotatingText.addEventListener('mouseenter', pauseRotation, { signal });
+        rotatingText.addEventListener('focus', pauseRotation, { signal });
+        rotatingText.addEventListener('mouseleave', resumeRotation, { signal });
+        rotatingText.addEventListener('blur', resumeRotation, { signal });
+
+        stopRotation = () => {
+            clearTimeout(resumeTimeout);
+            pauseRotation();
+        };
+
+        // Ensure we're not paused when starting and explicitly start rotation
+        isPaused = false;
+        startRotation(initialDelay);
+    } catch (error) {
+        console.error('Error initializing rotating industry:', error);
+    }
+}
+
+/**
+ * Stops the rotation and removes the handlers.
+ * @returns {void}
+ */
+export function destroy() {
+    if (stopRotation) {
+        stopRotation();
+        stopRotation = null;
+    }
+    if (listeners) {
+        listeners.abort();
+        listeners = null;
+    }
+}
@@ -0,0 +1,70 @@
+// ============================================================================
+// Smooth Scrolling for Navigation Links
+// ============================================================================
+
+import Constants from '../lib/constants.js';
+import { getNavHeight } from '../lib/utils.js';
+
+/**
+ * Listeners registered by init(), removed by destroy().
+ * @type {AbortController|null}
+ */
+let listeners = null;
+
+/**
+ * Initializes smooth scrolling behavior for CTA buttons that link to page sections.
+ * Calculates the correct scroll position accounting for fixed navigation height.
+ * @returns {void}
+ */
+export function init() {
+    try {
+        const ctaButtons = document.querySelectorAll(Constants.CTA_BUTTON_SELECTOR);
+
+        if (ctaButtons.length === 0) {
+            return; // No buttons to handle
+        }
+
+        listeners = new AbortController();
+        ctaButtons.forEach(button => {
+            button.addEventListener('click', function(e) {
+                try {
+                    e.preventDefault();
+
+                    const targetId = this.getAttribute('href');
+                    if (!targetId) {
+                        console.warn('CTA button has no href attribute');
+                        return;
+                    }
+
+                    const targetSection = document.querySelector(targetId);
+                    if (!targetSection) {
+                        console.warn(`Target section not found: ${targetId}`);
+                        return;
+                    }
+
+                    const targetPosition = targetSection.offsetTop - getNavHeight();
+
+                    window.scrollTo({
+                        top: targetPosition,
+                        behavior: 'smooth'
+                    });
+                } catch (error) {
+                    console.error('Error during smooth scroll:', error);
+                }
+            }, { signal: listeners.signal });
+        });
+    } catch (error) {
+        console.error('Error initializing smooth scrolling:', error);
+    }
+}
+
+/**
+ * Removes the click handlers.
+ * @returns {void}
+ */
+export function destroy() {
+    if (listeners) {
+        listeners.abort();
+        listeners = null;
+    }
+}
@@ -0,0 +1,263 @@
+// ============================================================================
+// Solar Calculator
+// ============================================================================
+
+import AppConfig from '../config.js';
+import SolarCalculator from '../solar-calculator.js';
+import { announceToScreenReader } from '../lib/accessibility.js';
+import { formatMessage } from '../lib/utils.js';
+import { validateQuoteField } from './quote-form.js';
+
+/**
+ * Listeners registered by init(), removed by destroy().
+ * @type {AbortController|null}
+ */
+let listeners = null;
+
+/**
+ * Line that opens and closes the estimate in the quote request message, so it can be
+ * found and replaced whatever language it was written in.
+ */
+const SUMMARY_FENCE = '----------';
+
+/** An estimate added earlier (between two fence lines) and the blank lines after it */
+const SUMMARY_PATTERN = /^-{10}\n[\s\S]*?\n-{10}$\n*/m;
+
+/**
+ * Location options and load rows added to the page, removed by destroy().
+ * @type {HTMLElement[]}
+ */
+const generatedElements = [];
+
+/**
+ * Initializes the solar calculator widget.
+ * Manages the load rows, location presets and live results; the sizing maths comes
+ * from SolarCalculator (js/solar-calculator.js). The hand-off button copies the
+ * estimate into the quote form's message field.
+ * @returns {void}
+ */
+export function init() {
+    try {
+        const calculator = document.getElementById('solar-calculator');
+        if (!calculator) {
+            return;
+        }
+
+        const settings = AppConfig.solarCalculator;
+        const rowsContainer = calculator.querySelector('.calculator-load-rows');
+        const rowTemplate = document.getElementById('calculator-load-row-template');
+        const addButton = calculator.querySelector('.calculator-add-load');
+        const locationSelect = document.getElementById('calculator-location');
+        const sunHoursInput = document.getElementById('calculator-sun-hours');
+        const autonomyInput = document.getElementById('calculator-autonomy');
+        const handOffButton = calculator.querySelector('.calculator-hand-off');
+        const outputs = {
+            dailyEnergy: document.getElementById('calculator-daily-energy'),
+            battery: document.getElementById('calculator-battery'),
+            solar: document.getElementById('calculator-solar'),
+            inverter: document.getElementById('calculator-inverter')
+        };
+
+        if (!rowsContainer || !rowTemplate || !locationSelect || !sunHoursInput || !autonomyInput) {
+            console.warn('Solar calculator elements not found, skipping calculator initialization');
+            return;
+        }
+
+        // Latest valid calculation, used by the quote form hand-off
+        let latest = null;
+        listeners = new AbortController();
+        const { signal } = listeners;
+
+        /**
+         * Adds a load row to the table.
+         * @param {Object} [load] - Initial values (name, watts, hours, quantity).
+         * @returns {HTMLTableRowElement} The new row.
+         */
+        function addLoadRow(load = {}) {
+            const row = rowTemplate.content.firstElementChild.cloneNode(true);
+            row.querySelector('[name="load-name"]').value = load.name || '';
+            row.querySelector('[name="load-watts"]').value = load.watts || '';
+            row.querySelector('[name="load-hours"]').value = load.hours || '';
+            row.querySelector('[name="load-quantity"]').value = load.quantity || 1;
+            rowsContainer.appendChild(row);
+            generatedElements.push(row);
+            return row;
+        }
+
+        /**
+         * Reads the loads from the table, flagging rows with invalid numbers.
+         * Rows with no watts or hours entered yet are skipped without an error.
+         * @returns {Object[]} The loads.
+         */
+        function readLoads() {
+            return Array.from(rowsContainer.querySelectorAll('.calculator-load-row')).map(row => {
+                const wattsInput = row.querySelector('[name="load-watts"]');
+                const hoursInput = row.querySelector('[name="load-hours"]');
+                const load = {
+                    name: row.querySelector('[name="load-name"]').value.trim(),
+                    watts: parseFloat(wattsInput.value),
+                    hours: parseFloat(hoursInput.value),
+                    quantity: parseInt(row.querySelector('[name="load-quantity"]').value, 10) || 1
+                };
+                const isEmpty = wattsInput.value === '' && hoursInput.value === '';
+                const isInvalid = !isEmpty && !SolarCalculator.isValidLoad(load);
+                row.querySelectorAll('input').forEach(input => input.setAttribute('aria-invalid', isInvalid ? 'true' : 'false'));
+                return load;
+            });
+        }
+
+        /**
+         * Recalculates and displays the recommended system.
+         * @returns {void}
+         */
+        function update() {
+            const input = {
+                loads: readLoads(),
+                sunHours: parseFloat(sunHoursInput.value),
+                autonomyDays: parseFloat(autonomyInput.value)
+            };
+
+            let result;
+            try {
+                result = SolarCalculator.calculateSystemSize(input);
+                sunHoursInput.setAttribute('aria-invalid', 'false');
+                autonomyInput.setAttribute('aria-invalid', 'false');
+            } catch (error) {
+                // Out-of-range site values: flag the inputs and keep the last results
+                sunHoursInput.setAttribute('aria-invalid', String(!(input.sunHours > 0)));
+                autonomyInput.setAttribute('aria-invalid', String(!(input.autonomyDays >= 0)));
+                latest = null;
+                if (handOffButton) {
+                    handOffButton.disabled = true;
+                }
+                return;
+            }
+
+            const selected = locationSelect.options[locationSelect.selectedIndex];
+            latest = { input, result, locationName: locationSelect.value === 'custom' ? '' : selected.textContent };
+
+            const values = {
+                dailyEnergy: `${(result.dailyWh / 1000).toFixed(2)} kWh`,
+                battery: `${result.batteryKWh.toFixed(1)} kWh`,
+                solar: `${result.solarWatts.toLocaleString()} W`,
+                inverter: `${result.inverterWatts.toLocaleString()} W`
+            };
+            Object.entries(values).forEach(([key, text]) => {
+                if (outputs[key]) {
+                    outputs[key].textContent = text;
+                }
+            });
+            if (handOffButton) {
+                handOffButton.disabled = result.dailyWh === 0;
+            }
+        }
+
+        /**
+         * Announces the current results (on committed changes, not on every keystroke).
+         * @returns {void}
+         */
+        function announceResults() {
+            if (latest && latest.result.dailyWh > 0) {
+                const { batteryKWh, solarWatts, inverterWatts } = latest.result;
+                announceToScreenReader(formatMessage(AppConfig.messages.calculatorResults, {
+                    battery: batteryKWh,
+                    solar: solarWatts,
+                    inverter: inverterWatts
+                }));
+            }
+        }
+
+        // Location presets, inserted before the "Custom" option
+        const customOption = locationSelect.querySelector('option[value="custom"]');
+        settings.locations.forEach(location => {
+            const option = document.createElement('option');
+            option.value = String(location.sunHours);
+            option.textContent = location.name;
+            locationSelect.insertBefore(option, customOption);
+            generatedElements.push(option);
+        });
+        locationSelect.value = 'custom';
+        autonomyInput.value = settings.defaultAutonomyDays;
+        settings.defaultLoads.forEach(load => addLoadRow(load));
+
+        locationSelect.addEventListener('change', () => {
+            if (locationSelect.value !== 'custom') {
+                sunHoursInput.value = locationSelect.value;
+            }
+            update();
+            announceResults();
+        }, { signal });
+
+        // Typing a sun hours value switches the location to "Custom"
+        sunHoursInput.addEventListener('input', () => {
+            if (locationSelect.value !== 'custom' && sunHoursInput.value !== locationSelect.value) {
+                locationSelect.value = 'custom';
+            }
+            update();
+        }, { signal });
+        autonomyInput.addEventListener('input', update, { signal });
+        rowsContainer.addEventListener('input', update, { signal });
+        [sunHoursInput, autonomyInput, rowsContainer].forEach(element => element.addEventListener('change', announceResults, { signal }));
+
+        if (addButton) {
+            addButton.addEventListener('click', () => {
+                const row = addLoadRow();
+                row.querySelector('[name="load-name"]').focus();
+                announceToScreenReader(AppConfig.messages.calculatorLoadAdded);
+            }, { signal });
+        }
+
+        rowsContainer.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.calculator-remove-load');
+            if (!removeButton) {
+                return;
+            }
+            removeButton.closest('.calculator-load-row').remove();
+            update();
+            if (addButton) {
+                addButton.focus();
+            }
+            announceToScreenReader(AppConfig.messages.calculatorLoadRemoved);
+            announceResults();
+        }, { signal });
+
+        if (handOffButton) {
+            handOffButton.addEventListener('click', () => {
+                const message = document.getElementById('quote-message');
+                if (!latest || !message) {
+                    return;
+                }
+
+                // Replace any estimate added earlier, keep whatever the visitor wrote
+                const summary = [
+                    SUMMARY_FENCE,
+                    SolarCalculator.formatSummary(latest.input, latest.result, latest.locationName, AppConfig.messages.calculatorSummary),
+                    SUMMARY_FENCE
+                ].join('\n');
+                const existing = message.value.replace(SUMMARY_PATTERN, '').trim();
+                message.value = existing ? `${summary}\n\n${existing}` : summary;
+                validateQuoteField(message);
+
+                message.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                message.focus({ preventScroll: true });
+                announceToScreenReader(AppConfig.messages.solarCalculatorHandOff);
+            }, { signal });
+        }
+
+        update();
+    } catch (error) {
+        console.error('Error initializing solar calculator:', error);
+    }
+}
+
+/**
+ * Removes the handlers, location presets and load rows.
+ * @returns {void}
+ */
+export function destroy() {
+    if (listeners) {
+        listeners.abort();
+        listeners = null;
+    }
+    generatedElements.splice(0).forEach(element => element.remove());
+}
@@ -0,0 +1,104 @@
+// ============================================================================
+// Accessibility
+// ============================================================================
+// Screen reader announcements and the focus trap shared by the menu overlay and
+// the lightbox.
+
+import Constants from './constants.js';
+
+/**
+ * Creates or retrieves an ARIA live region element for screen reader announcements.
+ * The live region is hidden visually but accessible to assistive technologies.
+ * @returns {HTMLElement} The ARIA live region element.
+ */
+function createAriaLiveRegion() {
+    try {
+        let liveRegion = document.getElementById(Constants.ARIA_LIVE_REGION_ID);
+        
+        if (!liveRegion) {
+            liveRegion = document.createElement('div');
+            liveRegion.id = Constants.ARIA_LIVE_REGION_ID;
+            liveRegion.setAttribute('role', 'status');
+            liveRegion.setAttribute('aria-live', 'polite');
+            liveRegion.setAttribute('aria-atomic', 'true');
+            liveRegion.className = Constants.SR_ONLY_CLASS;
+            document.body.appendChild(liveRegion);
+        }
+        
+        return liveRegion;
+    } catch (error) {
+        console.error('Error creating ARIA live region:', error);
+        // Return a dummy element to prevent crashes
+        return document.createElement('div');
+    }
+}
+
+/**
+ * Announces a message to screen readers using an ARIA live region.
+ * The message is automatically cleared after 1 second to prevent stale announcements.
+ * @param {string} message - The message to announce to screen reader users.
+ * @returns {void}
+ * @example
+ * announceToScreenReader(AppConfig.messages.menuOpened);
+ */
+export function announceToScreenReader(message) {
+    try {
+        if (!message || typeof message !== 'string') {
+            console.warn('Invalid message provided to announceToScreenReader');
+            return;
+        }
+
+        const liveRegion = createAriaLiveRegion();
+        liveRegion.textContent = message;
+        
+        // Clear after announcement is read (screen readers typically read within 1-2 seconds)
+        setTimeout(() => {
+            try {
+                liveRegion.textContent = '';
+            } catch (error) {
+                console.error('Error clearing ARIA live region:', error);
+            }
+        }, Constants.SCREEN_READER_CLEAR_DELAY);
+    } catch (error) {
+        console.error('Error announcing to screen reader:', error);
+    }
+}
+
+/**
+ * Creates a reusable focus trap function for modal/overlay components.
+ * Prevents keyboard focus from escaping the container when active.
+ * @param {HTMLElement} container - The container element to trap focus within
+ * @param {NodeList|Array} focusableElements - Array or NodeList of focusable elements within the container
+ * @param {string} activeClass - Class name that indicates the container is active/visible
+ * @returns {Function} The trapFocus function to be used as an event listener
+ */
+export function createFocusTrap(container, focusableElements, activeClass) {
+    if (!container || !focusableElements || focusableElements.length === 0) {
+        return () => {};
+    }
+
+    const firstFocusable = focusableElements[0];
+    const lastFocusable = focusableElements[focusableElements.length - 1];
+
+    return function trapFocus(e) {
+        if (!container.classList.contains(activeClass)) {
+            return;
+        }
+
+        if (e.key === 'Tab') {
+            if (e.shiftKey) {
+                // Shift + Tab
+                if (document.activeElement === firstFocusable) {
+                    e.preventDefault();
+                    lastFocusable.focus();
+                }
+            } else {
+                // Tab
+                if (document.activeElement === lastFocusable) {
+                    e.preventDefault();
+                    firstFocusable.focus();
+                }
+            }
+        }
+    };
+}
@@ -0,0 +1,277 @@
+// ============================================================================
+// Analytics
+// ============================================================================
+
+import AppConfig from '../config.js';
+import { announceToScreenReader } from './accessibility.js';
+
+/**
+ * Analytics event names, emitted by the handlers that already exist for each feature.
+ * @type {Object.<string, string>}
+ */
+export const AnalyticsEvents = {
+    /** A "Book Consultation" or other .cta-button link was clicked */
+    CTA_CLICK: 'cta_click',
+    /** The industry menu was opened from the rotating or banner heading */
+    MENU_OPEN: 'menu_open',
+    /** The visitor moved the project carousel */
+    CAROUSEL_SLIDE: 'carousel_slide',
+    /** A FAQ answer was expanded by a click or a deep link */
+    FAQ_EXPAND: 'faq_expand',
+    /** An industry page was viewed */
+    INDUSTRY_VIEW: 'industry_view'
+};
+
+/**
+ * Analytics adapters, keyed by name. AppConfig.analytics.adapter picks the one that
+ * receives events; add others with registerAnalyticsAdapter().
+ * @type {Object.<string, function(AnalyticsEvent): void>}
+ */
+const AnalyticsAdapters = {
+    /**
+     * Logs each event to the console. Used instead of 'beacon' while no endpoint is
+     * configured, so events can be checked in development.
+     * @param {AnalyticsEvent} event - The event.
+     * @returns {void}
+     */
+    console(event) {
+        console.info('[analytics]', event.name, event.properties, event.page);
+    },
+
+    /**
+     * Sends each event to AppConfig.analytics.endpoint with sendBeacon (which survives
+     * navigation).
+     * @param {AnalyticsEvent} event - The event.
+     * @returns {void}
+     */
+    beacon(event) {
+        const { endpoint } = AppConfig.analytics;
+        const body = JSON.stringify(event);
+        if (!navigator.sendBeacon || !navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+            fetch(endpoint, { method: 'POST', body, headers: { 'Content-Type': 'application/json' }, keepalive: true })
+                .catch(error => console.warn('Analytics event could not be sent:', error));
+        }
+    }
+};
+
+/**
+ * An analytics event. Only what the site itself knows is included: no identifiers,
+ * cookies or fingerprinting.
+ * @typedef {Object} AnalyticsEvent
+ * @property {string} name - One of AnalyticsEvents.
+ * @property {Object.<string, string|number>} properties - Event details.
+ * @property {string} page - Path of the page the event happened on.
+ * @property {string} timestamp - ISO 8601 time of the event.
+ */
+
+/**
+ * Maximum events held in memory while the visitor hasn't answered the consent banner.
+ * @type {number}
+ */
+const ANALYTICS_QUEUE_LIMIT = 50;
+
+/**
+ * Analytics state: the consent choice and events waiting for it.
+ * @type {{consent: (string|null), queue: AnalyticsEvent[]}}
+ */
+const analyticsState = {
+    consent: null,
+    queue: []
+};
+
+/**
+ * Returns a page path without its locale prefix, so translated pages match the
+ * registry paths of their English pages.
+ * @param {string} pathname - Page path (e.g. '/es/industries/homes.html').
+ * @returns {string} The path in the default locale (e.g. '/industries/homes.html').
+ */
+function stripLocalePrefix(pathname) {
+    const locale = AppConfig.locales.slice(1).find(entry => pathname.startsWith(`/${entry.code}/`));
+    return locale ? pathname.slice(locale.code.length + 1) : pathname;
+}
+
+/**
+ * Adds (or replaces) an analytics adapter.
+ * @param {string} name - Adapter name, as used in AppConfig.analytics.adapter.
+ * @param {function(AnalyticsEvent): void} adapter - Receives each event after consent.
+ * @returns {void}
+ * @example
+ * registerAnalyticsAdapter('plausible', event => window.plausible(event.name, { props: event.properties }));
+ */
+export function registerAnalyticsAdapter(name, adapter) {
+    if (typeof adapter !== 'function') {
+        console.warn(`Analytics adapter "${name}" must be a function`);
+        return;
+    }
+    AnalyticsAdapters[name] = adapter;
+}
+
+/**
+ * Returns the name of the adapter that receives events: the configured one, or
+ * 'console' when it is 'beacon' and no endpoint is set.
+ * @returns {string} Adapter name.
+ */
+function getAdapterName() {
+    const { adapter, endpoint } = AppConfig.analytics;
+    return adapter === 'beacon' && !endpoint ? 'console' : adapter;
+}
+
+/**
+ * Passes an event to the configured adapter.
+ * @param {AnalyticsEvent} event - The event.
+ * @returns {void}
+ */
+function sendAnalyticsEvent(event) {
+    const adapterName = getAdapterName();
+    const adapter = AnalyticsAdapters[adapterName];
+    if (!adapter) {
+        console.warn(`Unknown analytics adapter: ${adapterName}`);
+        return;
+    }
+    try {
+        adapter(event);
+    } catch (error) {
+        console.error('Error in analytics adapter:', error);
+    }
+}
+
+/**
+ * Emits a named analytics event.
+ * Sent straight away with consent, held in memory until the visitor answers the banner,
+ * and dropped if they declined or analytics is disabled.
+ * @param {string} name - One of AnalyticsEvents.
+ * @param {Object.<string, string|number>} [properties] - Event details.
+ * @returns {void}
+ * @example
+ * trackEvent(AnalyticsEvents.FAQ_EXPAND, { id: 'faq-battery-lifespan' });
+ */
+export function trackEvent(name, properties = {}) {
+    try {
+        if (!AppConfig.analytics.enabled || analyticsState.consent === 'denied') {
+            return;
+        }
+
+        const event = {
+            name,
+            properties,
+            page: window.location.pathname,
+            timestamp: new Date().toISOString()
+        };
+
+        if (analyticsState.consent === 'granted') {
+            sendAnalyticsEvent(event);
+        } else if (analyticsState.queue.length < ANALYTICS_QUEUE_LIMIT) {
+            analyticsState.queue.push(event);
+        }
+    } catch (error) {
+        console.error('Error tracking analytics event:', error);
+    }
+}
+
+/**
+ * Reads the visitor's stored consent choice.
+ * A Global Privacy Control signal counts as declining.
+ * @returns {string|null} 'granted', 'denied', or null if the visitor hasn't chosen yet.
+ */
+function getStoredConsent() {
+    if (navigator.globalPrivacyControl === true) {
+        return 'denied';
+    }
+    try {
+        const choice = localStorage.getItem(AppConfig.analytics.consentStorageKey);
+        return choice === 'granted' || choice === 'denied' ? choice : null;
+    } catch (error) {
+        // Storage can be blocked (e.g. some private browsing modes); ask again next visit
+        return null;
+    }
+}
+
+/**
+ * Records the visitor's consent choice, then sends or drops the queued events.
+ * @param {string} choice - 'granted' or 'denied'.
+ * @returns {void}
+ */
+function setAnalyticsConsent(choice) {
+    analyticsState.consent = choice;
+    try {
+        localStorage.setItem(AppConfig.analytics.consentStorageKey, choice);
+    } catch (error) {
+        console.warn('Could not save the analytics choice:', error);
+    }
+
+    const queued = analyticsState.queue.splice(0);
+    if (choice === 'granted') {
+        queued.forEach(sendAnalyticsEvent);
+    }
+}
+
+/**
+ * Shows the consent banner (components/consent-banner.html) if the visitor hasn't
+ * made a choice yet, and hides the footer's "Analytics settings" button when analytics
+ * is disabled. Run by js/features/consent-banner.js on pages with either of them.
+ * @returns {void}
+ */
+export function initializeConsentBanner() {
+    document.querySelectorAll('[data-consent-settings]').forEach(button => {
+        button.hidden = !AppConfig.analytics.enabled;
+    });
+
+    const banner = document.querySelector('.consent-banner');
+    if (banner && AppConfig.analytics.enabled) {
+        banner.hidden = analyticsState.consent !== null;
+    }
+}
+
+/**
+ * Initializes analytics: loads the consent choice and records CTA clicks and industry
+ * page views. Other events are emitted by their features; the banner is shown by
+ * js/features/consent-banner.js once this has run.
+ * The banner buttons and the footer's "Analytics settings" button are handled by
+ * delegation, so components swapped in later keep working.
+ * @returns {void}
+ */
+export function initializeAnalytics() {
+    try {
+        if (!AppConfig.analytics.enabled) {
+            return;
+        }
+        analyticsState.consent = getStoredConsent();
+
+        document.addEventListener('click', (e) => {
+            const consentButton = e.target.closest('[data-consent]');
+            if (consentButton) {
+                setAnalyticsConsent(consentButton.dataset.consent);
+                consentButton.closest('.consent-banner').hidden = true;
+                announceToScreenReader(AppConfig.messages.analyticsConsentSaved);
+                return;
+            }
+
+            // Reopen the banner so the visitor can change their mind
+            if (e.target.closest('[data-consent-settings]')) {
+                const banner = document.querySelector('.consent-banner');
+                if (banner) {
+                    banner.hidden = false;
+                    banner.querySelector('[data-consent]')?.focus();
+                }
+                return;
+            }
+
+            const cta = e.target.closest('a.cta-button');
+            if (cta) {
+                trackEvent(AnalyticsEvents.CTA_CLICK, {
+                    label: cta.textContent.trim(),
+                    href: cta.getAttribute('href'),
+                    location: cta.closest('[id$="-placeholder"]')?.id || cta.closest('section[id]')?.id || ''
+                });
+            }
+        });
+
+        const pagePath = stripLocalePrefix(window.location.pathname);
+        const industry = AppConfig.industries.find(entry => entry.path === pagePath);
+        if (industry) {
+            trackEvent(AnalyticsEvents.INDUSTRY_VIEW, { industry: industry.slug });
+        }
+    } catch (error) {
+        console.error('Error initializing analytics:', error);
+    }
+}
@@ -0,0 +1,481 @@
+// ============================================================================
+// Component Loading
+// ============================================================================
+// Fills the component placeholders of a page that wasn't built with
+// build/inline-components.js (the source tree without the dev server).
+//
+// Besides the placeholders in AppConfig.components, any element can include a
+// partial from AppConfig.componentLoader.directory by name, with props that fill
+// the partial's {{prop}} markers (values are HTML-escaped):
+//
+//     <div data-component="book-consultation" data-props='{"label":"Book Consultation"}'></div>
+//
+// Partials can include other partials the same way; a partial that ends up
+// including itself is reported as a load error.
+
+import AppConfig from '../config.js';
+import Constants from './constants.js';
+import { initializeFeatures } from './features.js';
+
+/** Component names are file names without .html, e.g. book-consultation */
+const COMPONENT_NAME_PATTERN = /^[a-z0-9-]+$/;
+
+/** A {{prop}} marker in a partial */
+const TEMPLATE_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Requests for each component path: fetched, in flight, or read from sessionStorage.
+ * A failed request is removed so the next load tries again.
+ * @type {Map<string, Promise<string>>}
+ */
+const componentCache = new Map();
+
+/**
+ * Gets the sessionStorage key prefix for this build's partials.
+ * Built pages carry a hash of the partials on <body>, so a deploy that changes a
+ * partial also changes its key.
+ * @returns {string} e.g. 'coppertech-component:1a2b3c4d5e:'.
+ */
+function getCacheKeyPrefix() {
+    const version = document.body.getAttribute(Constants.COMPONENTS_VERSION_ATTRIBUTE) || '';
+    return `${AppConfig.componentLoader.cacheKeyPrefix}${version}:`;
+}
+
+/**
+ * Removes the sessionStorage entries of other builds' partials.
+ * @param {boolean} [all] - Remove this build's entries too.
+ * @returns {void}
+ */
+function removeStoredComponents(all = false) {
+    try {
+        const { cacheKeyPrefix } = AppConfig.componentLoader;
+        const currentPrefix = getCacheKeyPrefix();
+        for (let index = sessionStorage.length - 1; index >= 0; index--) {
+            const key = sessionStorage.key(index);
+            if (key && key.startsWith(cacheKeyPrefix) && (all || !key.startsWith(currentPrefix))) {
+                sessionStorage.removeItem(key);
+            }
+        }
+    } catch (error) {
+        // Storage blocked: nothing was stored
+    }
+}
+
+/**
+ * Reads a component saved in sessionStorage by an earlier page of this visit.
+ * @param {string} componentPath - Path of the component file.
+ * @returns {string|null} The HTML, or null if it isn't saved (or storage is blocked).
+ */
+function readStoredComponent(componentPath) {
+    try {
+        return sessionStorage.getItem(getCacheKeyPrefix() + componentPath);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Saves a component in sessionStorage for the rest of this visit.
+ * @param {string} componentPath - Path of the component file.
+ * @param {string} html - The component HTML.
+ * @returns {void}
+ */
+function storeComponent(componentPath, html) {
+    try {
+        sessionStorage.setItem(getCacheKeyPrefix() + componentPath, html);
+    } catch (error) {
+        // Storage blocked or full: the in-memory copy still serves this page
+    }
+}
+
+/**
+ * Empties the in-memory and sessionStorage component caches, e.g. after a partial was edited.
+ * @returns {void}
+ */
+export function clearComponentCache() {
+    componentCache.clear();
+    removeStoredComponents(true);
+}
+
+/**
+ * Fetches a file once, giving up after AppConfig.componentLoader.timeout.
+ * @param {string} componentPath - Path of the component file.
+ * @returns {Promise<string>} The response text.
+ * @throws {Error} Throws on a network error, a timeout or a non-OK status (set as error.status).
+ */
+async function fetchWithTimeout(componentPath) {
+    const { timeout } = AppConfig.componentLoader;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(componentPath, { signal: controller.signal });
+
+        if (!response.ok) {
+            const error = new Error(`Failed to fetch ${componentPath}: HTTP ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return await response.text();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`Timed out fetching ${componentPath} after ${timeout}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Fetches a file, retrying timeouts, network errors and server errors with exponential backoff.
+ * Client errors (e.g. a 404) are not retried.
+ * @param {string} componentPath - Path of the component file.
+ * @returns {Promise<string>} The response text.
+ * @throws {Error} Throws the last error once every attempt failed.
+ */
+async function fetchWithRetry(componentPath) {
+    const { retries, retryDelay } = AppConfig.componentLoader;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fetchWithTimeout(componentPath);
+        } catch (error) {
+            const retryable = !error.status || error.status >= 500;
+            if (!retryable || attempt >= retries) {
+                throw error;
+            }
+            const delay = retryDelay * 2 ** attempt;
+            console.warn(`${error.message}, retrying in ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Fetches HTML content from a file, from the component caches when possible.
+ * Concurrent loads of the same file share one request.
+ * @param {string} componentPath - Relative path to the HTML component file (e.g., 'components/nav.html').
+ * @returns {Promise<string>} The HTML content as a string.
+ * @throws {Error} Throws an error if the path is invalid or every attempt to fetch it failed.
+ * @example
+ * const html = await fetchHTML('components/nav.html');
+ */
+async function fetchHTML(componentPath) {
+    if (!componentPath || typeof componentPath !== 'string') {
+        throw new Error('Invalid component path provided');
+    }
+
+    if (!componentCache.has(componentPath)) {
+        const storedHTML = readStoredComponent(componentPath);
+        const request = storedHTML !== null
+            ? Promise.resolve(storedHTML)
+            : fetchWithRetry(componentPath).then(html => {
+                storeComponent(componentPath, html);
+                return html;
+            });
+        componentCache.set(componentPath, request);
+        request.catch(() => componentCache.delete(componentPath));
+    }
+
+    return componentCache.get(componentPath);
+}
+
+/**
+ * Gets a component's name from its file path.
+ * @param {string} componentPath - Path of the component file (e.g. '/components/nav.html').
+ * @returns {string} The file name without .html (e.g. 'nav').
+ */
+function getComponentName(componentPath) {
+    return componentPath.split('/').pop().replace(/\.html$/, '');
+}
+
+/**
+ * Reads the props of a data-component placeholder.
+ * @param {HTMLElement} element - The placeholder element.
+ * @returns {Object.<string, *>} The props (empty without a data-props attribute).
+ * @throws {Error} Throws if data-props isn't a JSON object.
+ */
+function readProps(element) {
+    const json = element.getAttribute(Constants.COMPONENT_PROPS_ATTRIBUTE);
+    if (!json) {
+        return {};
+    }
+
+    const props = JSON.parse(json);
+    if (!props || typeof props !== 'object' || Array.isArray(props)) {
+        throw new Error(`${Constants.COMPONENT_PROPS_ATTRIBUTE} must be a JSON object`);
+    }
+    return props;
+}
+
+/**
+ * Fills a partial's {{prop}} markers with HTML-escaped prop values.
+ * A marker without a prop is left empty (build/inline-components.js fails the build instead).
+ * @param {string} html - The partial HTML.
+ * @param {Object.<string, *>} props - Prop values by name.
+ * @param {string} componentName - Component name (for the warning).
+ * @returns {string} The rendered HTML.
+ */
+function renderTemplate(html, props, componentName) {
+    return html.replace(TEMPLATE_PATTERN, (marker, name) => {
+        if (!Object.prototype.hasOwnProperty.call(props, name)) {
+            console.warn(`Component "${componentName}" has no value for ${marker}`);
+            return '';
+        }
+        return String(props[name]).replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+    });
+}
+
+/**
+ * Validates component loading parameters and handles common errors.
+ * @param {string} paramName - Name of the parameter being validated (for error messages).
+ * @param {*} paramValue - The parameter value to validate.
+ * @param {string} paramType - Expected type (e.g., 'string').
+ * @returns {boolean} True if valid, false otherwise.
+ */
+function validateComponentParam(paramName, paramValue, paramType = 'string') {
+    if (!paramValue || typeof paramValue !== paramType) {
+        console.error(`Invalid ${paramName} provided`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Handles component loading errors by displaying fallback content with a Retry button.
+ * The button calls retry() with the message, which the retried load replaces with the
+ * component (or a new message); once that succeeds, the features in the target element
+ * are initialized again.
+ * @param {HTMLElement} targetElement - The element to insert error content into.
+ * @param {string} errorMessage - User-facing error message to display.
+ * @param {string} insertMethod - Method to insert error ('innerHTML' replaces the content, anything else inserts it at position).
+ * @param {string} position - Position for insertAdjacentElement (e.g., 'beforeend').
+ * @param {function(HTMLElement): Promise<boolean>} [retry] - Loads the component again in place of
+ *   the message it receives; no button without it.
+ * @returns {HTMLElement|null} The error message element, or null without a target element.
+ */
+function handleComponentLoadError(targetElement, errorMessage, insertMethod = 'innerHTML', position = 'beforeend', retry = null) {
+    if (!targetElement) {
+        return null;
+    }
+
+    const errorElement = document.createElement('div');
+    errorElement.className = Constants.COMPONENT_ERROR_CLASS;
+    errorElement.setAttribute('role', 'alert');
+    errorElement.setAttribute('aria-live', 'polite');
+    errorElement.append(document.createTextNode(errorMessage));
+
+    if (retry) {
+        const retryButton = document.createElement('button');
+        retryButton.type = 'button';
+        retryButton.className = Constants.COMPONENT_RETRY_CLASS;
+        retryButton.textContent = AppConfig.messages.componentRetry;
+        retryButton.addEventListener('click', async () => {
+            retryButton.disabled = true;
+            if (await retry(errorElement)) {
+                await initializeFeatures(targetElement);
+            }
+        }, { once: true });
+        errorElement.append(' ', retryButton);
+    }
+
+    try {
+        if (insertMethod === 'innerHTML') {
+            targetElement.replaceChildren(errorElement);
+        } else {
+            targetElement.insertAdjacentElement(position, errorElement);
+        }
+    } catch (error) {
+        console.error('Error inserting error message:', error);
+    }
+    return errorElement;
+}
+
+/**
+ * Checks whether a placeholder was already filled at build time by build/inline-components.js.
+ * @param {HTMLElement} element - The placeholder element.
+ * @returns {boolean} True if the component markup is already in the page.
+ */
+export function isComponentInlined(element) {
+    return element.getAttribute(Constants.INLINED_ATTRIBUTE) === 'true';
+}
+
+/**
+ * Loads a data-component placeholder and, in turn, the placeholders in its partial.
+ * If loading fails, displays the error message (with a Retry button) in the placeholder.
+ * @param {HTMLElement} element - The placeholder element.
+ * @param {string[]} ancestry - Names of the components it is nested in, outermost first.
+ * @returns {Promise<boolean>} True if the component loaded, false otherwise.
+ */
+async function loadNamedComponent(element, ancestry) {
+    const name = element.getAttribute(Constants.COMPONENT_ATTRIBUTE);
+
+    try {
+        if (!COMPONENT_NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid component name "${name}"`);
+        }
+        if (ancestry.includes(name)) {
+            throw new Error(`Component includes itself: ${[...ancestry, name].join(' > ')}`);
+        }
+
+        const html = await fetchHTML(`${AppConfig.componentLoader.directory}${name}.html`);
+        element.innerHTML = renderTemplate(html, readProps(element), name);
+        await loadNestedComponents(element, [...ancestry, name]);
+        return true;
+    } catch (error) {
+        console.error(`Failed to load component "${name}":`, error);
+        handleComponentLoadError(element, AppConfig.messages.componentLoadError, 'innerHTML', 'beforeend',
+            () => loadNamedComponent(element, ancestry));
+        return false;
+    }
+}
+
+/**
+ * Loads every data-component placeholder inside an element that isn't inlined yet.
+ * The placeholders are collected before any is loaded, so the ones their partials
+ * add are left to loadNamedComponent().
+ * @param {Document|Element|DocumentFragment} root - Where to look for placeholders.
+ * @param {string[]} ancestry - Names of the components root is nested in, outermost first.
+ * @returns {Promise<void>} Resolves when every placeholder has loaded (or failed to load).
+ */
+async function loadNestedComponents(root, ancestry) {
+    const placeholders = [...root.querySelectorAll(`[${Constants.COMPONENT_ATTRIBUTE}]`)]
+        .filter(element => !isComponentInlined(element));
+    await Promise.allSettled(placeholders.map(element => loadNamedComponent(element, ancestry)));
+}
+
+/**
+ * Loads a component HTML file into a target element by its ID.
+ * Skips the fetch when the placeholder was already inlined at build time.
+ * Placeholders in the component are loaded too.
+ * If loading fails, displays a user-friendly error message in the target element.
+ * @param {string} elementId - The ID of the target DOM element where the component will be inserted.
+ * @param {string} componentPath - Relative path to the component HTML file.
+ * @returns {Promise<boolean>} Returns true if the component loaded successfully, false otherwise
+ *   (including when the page has no placeholder for it).
+ * @example
+ * await loadComponent('nav-placeholder', 'components/nav.html');
+ */
+export async function loadComponent(elementId, componentPath) {
+    // Validate parameters
+    if (!validateComponentParam('element ID', elementId)) {
+        return false;
+    }
+    if (!validateComponentParam('component path', componentPath)) {
+        return false;
+    }
+
+    // Not every page uses every component (e.g. the solar calculator is home page only)
+    const element = document.getElementById(elementId);
+    if (!element) {
+        return false;
+    }
+
+    if (isComponentInlined(element)) {
+        return true;
+    }
+
+    try {
+        const html = await fetchHTML(componentPath);
+        element.innerHTML = html;
+        await loadNestedComponents(element, [getComponentName(componentPath)]);
+        return true;
+    } catch (error) {
+        console.error(`Failed to load component ${componentPath} into element "${elementId}":`, error);
+        handleComponentLoadError(element, AppConfig.messages.componentLoadError, 'innerHTML', 'beforeend',
+            () => loadComponent(elementId, componentPath));
+        return false;
+    }
+}
+
+/**
+ * Loads a project card HTML file and appends it to a container element.
+ * Placeholders in the card are loaded before it is added.
+ * If loading fails, appends an error message to the container; its Retry button loads
+ * the card again in the message's place, so the cards keep their order.
+ * @param {string} containerSelector - CSS selector for the container element (e.g., '.project-cards-list').
+ * @param {string} componentPath - Relative path to the project card HTML file.
+ * @param {Promise<boolean>} [previousCard] - The previous card's load; the card (or its error)
+ *   is only appended after it, so cards keep their order however fast each one downloads.
+ * @param {HTMLElement|null} [replacedElement] - Element the card (or its error) replaces instead
+ *   of being appended, e.g. the error message of a failed load being retried.
+ * @returns {Promise<boolean>} Returns true if the project card loaded successfully, false otherwise.
+ * @example
+ * await loadProjectCard('.project-cards-list', 'components/project-navy-pacific.html');
+ */
+async function loadProjectCard(containerSelector, componentPath, previousCard = Promise.resolve(true), replacedElement = null) {
+    // Validate parameters
+    if (!validateComponentParam('container selector', containerSelector)) {
+        return false;
+    }
+    if (!validateComponentParam('component path', componentPath)) {
+        return false;
+    }
+
+    const container = document.querySelector(containerSelector);
+    if (!container) {
+        console.error(`Container "${containerSelector}" not found`);
+        return false;
+    }
+
+    try {
+        const template = document.createElement('template');
+        template.innerHTML = await fetchHTML(componentPath);
+        await loadNestedComponents(template.content, [getComponentName(componentPath)]);
+        await previousCard;
+        if (replacedElement) {
+            replacedElement.replaceWith(template.content);
+        } else {
+            container.append(template.content);
+        }
+        return true;
+    } catch (error) {
+        console.error(`Failed to load project card ${componentPath} into container "${containerSelector}":`, error);
+        await previousCard;
+        const errorElement = handleComponentLoadError(container, AppConfig.messages.projectCardLoadError, 'insertAdjacentElement', 'beforeend',
+            (failedElement) => loadProjectCard(containerSelector, componentPath, Promise.resolve(true), failedElement));
+        replacedElement?.replaceWith(errorElement);
+        return false;
+    }
+}
+
+/**
+ * Initializes and loads all components defined in AppConfig, and the page's own
+ * data-component placeholders.
+ * Loads standard components (nav, footer, CTA), project cards and placeholders in parallel.
+ * Uses configuration from AppConfig to determine which components to load.
+ * @returns {Promise<void>} Resolves when all components have been loaded (or failed to load).
+ * @throws {Error} May throw an error if Promise.all fails, though individual component failures are handled gracefully.
+ */
+export async function initializeComponents() {
+    removeStoredComponents();
+
+    // Placeholders written in the page itself (collected first, before components add their own)
+    const componentPromises = [loadNestedComponents(document, [])];
+
+    // Load all standard components in parallel
+    componentPromises.push(...Object.entries(AppConfig.components).map(
+        ([elementId, componentPath]) => loadComponent(elementId, componentPath)
+    ));
+
+    // Load individual project cards into the container, downloaded in parallel and
+    // added in AppConfig.projectCards order
+    // (skipped when the cards were already inlined at build time)
+    const projectCardsList = document.querySelector(AppConfig.selectors.projectCardsList);
+    if (projectCardsList && !isComponentInlined(projectCardsList)) {
+        let previousCard = Promise.resolve(true);
+        const projectCardPromises = AppConfig.projectCards.map((componentPath) => {
+            previousCard = loadProjectCard(AppConfig.selectors.projectCardsList, componentPath, previousCard);
+            return previousCard;
+        });
+        componentPromises.push(...projectCardPromises);
+    }
+
+    // Wait for all components to load (individual failures are handled gracefully)
+    // Promise.allSettled never rejects, so no try-catch needed
+    await Promise.allSettled(componentPromises);
+}
@@ -0,0 +1,76 @@
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Configuration constants for various features.
+ * @type {Object}
+ */
+const Constants = {
+    /** Scroll threshold in pixels for navigation background change */
+    SCROLL_THRESHOLD: 100,
+    /** Delay in milliseconds before clearing screen reader announcements */
+    SCREEN_READER_CLEAR_DELAY: 1000,
+    /** Intersection Observer threshold for fade-in animations */
+    FADE_IN_THRESHOLD: 0.1,
+    /** Root margin for fade-in animations (bottom offset) */
+    FADE_IN_ROOT_MARGIN: '0px 0px -50px 0px',
+    /** Root margin for image lazy loading (preload distance) */
+    IMAGE_LAZY_LOAD_MARGIN: '50px 0px',
+    /** Intersection Observer threshold for image lazy loading */
+    IMAGE_LAZY_LOAD_THRESHOLD: 0.01,
+    /** CSS selector for CTA buttons with hash links */
+    CTA_BUTTON_SELECTOR: '.cta-button[href^="#"]',
+    /** CSS selector for navigation container */
+    NAV_CONTAINER_SELECTOR: '.nav-container',
+    /** CSS selector for navigation element */
+    NAV_SELECTOR: '.nav',
+    /** CSS selector for menu button */
+    MENU_BUTTON_SELECTOR: '.menu-btn',
+    /** ID for menu overlay element */
+    MENU_OVERLAY_ID: 'menu-overlay',
+    /** ID for the project photo lightbox (components/lightbox.html) */
+    LIGHTBOX_ID: 'lightbox',
+    /** Minimum horizontal pointer movement in pixels for a swipe */
+    SWIPE_THRESHOLD: 50,
+    /** ID for ARIA live region */
+    ARIA_LIVE_REGION_ID: 'aria-live-region',
+    /** CSS selector for elements to animate (all content elements within sections, but not sections themselves) */
+    ANIMATION_ELEMENTS_SELECTOR: 'section h1, section h2, section h3, section h4, section h5, section h6, section p, section ul, section ol, section li, section div, section article, section header, section footer, section aside',
+    /** CSS selector for all images */
+    IMAGES_SELECTOR: 'img',
+    /** CSS class name for screen reader only content */
+    SR_ONLY_CLASS: 'sr-only',
+    /** CSS class name for component error display */
+    COMPONENT_ERROR_CLASS: 'component-error',
+    /** CSS class name for the Retry button inside a component error */
+    COMPONENT_RETRY_CLASS: 'component-error-retry',
+    /** Attribute set by build/inline-components.js on placeholders that already contain their component */
+    INLINED_ATTRIBUTE: 'data-inlined',
+    /** Attribute naming the component a placeholder includes (a file in AppConfig.componentLoader.directory) */
+    COMPONENT_ATTRIBUTE: 'data-component',
+    /** Attribute holding a placeholder's component props as a JSON object */
+    COMPONENT_PROPS_ATTRIBUTE: 'data-props',
+    /** Attribute set on <body> by build/inline-components.js: a hash of the partials, part of their cache keys */
+    COMPONENTS_VERSION_ATTRIBUTE: 'data-components-version',
+    /** Attribute that opts markup into a feature from js/lib/features.js (space-separated names) */
+    FEATURE_ATTRIBUTE: 'data-feature',
+    /** CSS class name for loaded state */
+    LOADED_CLASS: 'loaded',
+    /** CSS class name while an image is loading */
+    LOADING_CLASS: 'loading',
+    /** CSS class name for scrolled navigation state */
+    SCROLLED_CLASS: 'scrolled',
+    /** CSS class name for active menu state */
+    ACTIVE_CLASS: 'active',
+    /** CSS class name for fade-in animation */
+    FADE_IN_CLASS: 'fade-in',
+    /** Keyboard key for Escape */
+    KEY_ESCAPE: 'Escape',
+    /** Keyboard key for Tab */
+    KEY_TAB: 'Tab',
+    /** Service worker script generated by build/generate-service-worker.js (root scope) */
+    SERVICE_WORKER_PATH: '/sw.js'
+};
+
+export default Constants;
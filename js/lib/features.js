@@ -0,0 +1,131 @@
+// ============================================================================
+// Feature Registry
+// ============================================================================
+// Each feature is an ES module in js/features/ with an init() and a destroy()
+// function. It is only downloaded on pages that have its markup: an element matching
+// its selector, or data-feature="<name>" (several names can be listed, separated by
+// spaces). init() may be called again after destroy(), e.g. when the dev server swaps
+// the component the feature lives in.
+
+import Constants from './constants.js';
+
+/**
+ * A feature module.
+ * @typedef {Object} FeatureModule
+ * @property {function(): (void|Promise<void>)} init - Finds the feature's markup and adds its behaviour.
+ * @property {function(): void} destroy - Removes the listeners, timers and generated markup init() added.
+ */
+
+/**
+ * A registered feature.
+ * @typedef {Object} Feature
+ * @property {string} name - Feature name, as used in data-feature attributes.
+ * @property {string} [selector] - Markup the feature needs; defaults to [data-feature~="<name>"].
+ * @property {function(): Promise<FeatureModule>} load - Imports the module (a literal import()
+ *   path, so the fallback bundle and asset fingerprinting can follow it).
+ */
+
+/**
+ * The features, in the order they are initialized.
+ * @type {Feature[]}
+ */
+const Features = [
+    { name: 'consent-banner', selector: '.consent-banner, [data-consent-settings]', load: () => import('../features/consent-banner.js') },
+    { name: 'smooth-scroll', selector: Constants.CTA_BUTTON_SELECTOR, load: () => import('../features/smooth-scroll.js') },
+    { name: 'nav-scroll', selector: Constants.NAV_CONTAINER_SELECTOR, load: () => import('../features/nav-scroll.js') },
+    { name: 'menu-overlay', selector: `#${Constants.MENU_OVERLAY_ID}`, load: () => import('../features/menu-overlay.js') },
+    { name: 'fade-in', selector: 'section', load: () => import('../features/fade-in.js') },
+    { name: 'rotating-industry', selector: '#rotating-industry-text', load: () => import('../features/rotating-industry.js') },
+    { name: 'banner-heading', selector: '.banner-h1-text', load: () => import('../features/banner-heading.js') },
+    { name: 'project-carousel', selector: '.carousel-slides', load: () => import('../features/project-carousel.js') },
+    { name: 'lightbox', selector: `#${Constants.LIGHTBOX_ID}`, load: () => import('../features/lightbox.js') },
+    { name: 'accordions', selector: '.faq-accordions', load: () => import('../features/accordions.js') },
+    { name: 'quote-form', selector: '#quote-form', load: () => import('../features/quote-form.js') },
+    { name: 'solar-calculator', selector: '#solar-calculator', load: () => import('../features/solar-calculator.js') },
+    { name: 'copyright-year', selector: '#copyright-year', load: () => import('../features/copyright-year.js') }
+];
+
+/**
+ * Initialized feature modules, keyed by feature name.
+ * @type {Map<string, FeatureModule>}
+ */
+const activeFeatures = new Map();
+
+/**
+ * Adds (or replaces) a feature.
+ * @param {Feature} feature - The feature.
+ * @returns {void}
+ * @example
+ * // Also run the accordions on <div data-feature="accordions">...</div>
+ * registerFeature({ name: 'accordions', load: () => import('../features/accordions.js') });
+ */
+export function registerFeature(feature) {
+    if (!feature || !feature.name || typeof feature.load !== 'function') {
+        console.warn('A feature needs a name and a load() function');
+        return;
+    }
+    const index = Features.findIndex(entry => entry.name === feature.name);
+    if (index === -1) {
+        Features.push(feature);
+    } else {
+        Features[index] = feature;
+    }
+}
+
+/**
+ * Checks whether a feature's markup is inside an element (or is the element).
+ * @param {Feature} feature - The feature.
+ * @param {Document|Element} root - Where to look.
+ * @returns {boolean} True if the feature has markup there.
+ */
+function hasMarkup(feature, root) {
+    const selector = feature.selector || `[${Constants.FEATURE_ATTRIBUTE}~="${feature.name}"]`;
+    return (root instanceof Element && root.matches(selector)) || root.querySelector(selector) !== null;
+}
+
+/**
+ * Loads and initializes every feature with markup inside an element.
+ * Modules are downloaded in parallel, then initialized in registry order; a feature
+ * that is already active is destroyed first. One failing feature doesn't stop the rest.
+ * @param {Document|Element} [root] - Where to look for markup (defaults to the whole page).
+ * @returns {Promise<void>} Resolves once every feature found has been initialized (or failed).
+ */
+export async function initializeFeatures(root = document) {
+    const features = Features.filter(feature => hasMarkup(feature, root));
+    const results = await Promise.allSettled(features.map(feature => feature.load()));
+
+    for (const [index, feature] of features.entries()) {
+        const result = results[index];
+        if (result.status === 'rejected') {
+            console.error(`Failed to load feature "${feature.name}":`, result.reason);
+            continue;
+        }
+
+        try {
+            if (activeFeatures.has(feature.name)) {
+                activeFeatures.get(feature.name).destroy();
+            }
+            await result.value.init();
+            activeFeatures.set(feature.name, result.value);
+        } catch (error) {
+            console.error(`Error initializing feature "${feature.name}":`, error);
+        }
+    }
+}
+
+/**
+ * Destroys every active feature with markup inside an element, e.g. before that
+ * element's content is replaced.
+ * @param {Document|Element} [root] - Where to look for markup (defaults to the whole page).
+ * @returns {void}
+ */
+export function destroyFeatures(root = document) {
+    Features.filter(feature => activeFeatures.has(feature.name) && hasMarkup(feature, root)).forEach(feature => {
+        try {
+            activeFeatures.get(feature.name).destroy();
+        } catch (error) {
+            console.error(`Error destroying feature "${feature.name}":`, error);
+        }
+        activeFeatures.delete(feature.name);
+    });
+}
@@ -0,0 +1,68 @@
+// ============================================================================
+// Localization
+// ============================================================================
+
+import AppConfig from '../config.js';
+
+/**
+ * JavaScript strings for one locale, from js/locales/<code>.js. Pages and partials are
+ * translated at build time (build/localize-pages.js); these cover the text scripts write.
+ * @typedef {Object} LocaleStrings
+ * @property {Object.<string, string>} messages - Replaces entries of AppConfig.messages
+ *   (quoteFormErrors and calculatorSummary are merged the same way).
+ * @property {Object.<string, string>} carouselLabels - Replaces entries of AppConfig.carousel.labels.
+ * @property {Object.<string, string>} faqLabels - Replaces entries of AppConfig.faq.labels.
+ * @property {Object.<string, string>} industries - Industry names by registry slug.
+ * @property {Object.<string, string>} calculatorText - Calculator location and example load names, by English name.
+ */
+
+/**
+ * Loads the strings of each translated locale, keyed by locale code.
+ * Written out rather than built from the code, so the fallback bundle and asset
+ * fingerprinting can follow each import(). Add an entry with each new locale in
+ * AppConfig.locales (build/localize-pages.js warns about a missing one).
+ * @type {Object.<string, function(): Promise<{default: LocaleStrings}>>}
+ */
+const LocaleModules = {
+    es: () => import('../locales/es.js')
+};
+
+/**
+ * Applies the page's locale strings to AppConfig before any feature reads them.
+ * The locale is the one whose lang matches <html lang>; pages in the default language
+ * load nothing and keep the English strings in js/config.js.
+ * @returns {Promise<void>} Resolves once the strings are applied (or failed to load).
+ */
+export async function applyLocaleStrings() {
+    const lang = document.documentElement.lang;
+    const locale = AppConfig.locales.find(entry => entry.lang === lang);
+    if (!locale || locale === AppConfig.locales[0]) {
+        return;
+    }
+    if (!LocaleModules[locale.code]) {
+        console.warn(`No strings for locale "${locale.code}", showing English text`);
+        return;
+    }
+
+    try {
+        const { default: LocaleStrings } = await LocaleModules[locale.code]();
+        const { quoteFormErrors, calculatorSummary, ...messages } = LocaleStrings.messages || {};
+        Object.assign(AppConfig.messages, messages);
+        Object.assign(AppConfig.messages.quoteFormErrors, quoteFormErrors);
+        Object.assign(AppConfig.messages.calculatorSummary, calculatorSummary);
+        Object.assign(AppConfig.carousel.labels, LocaleStrings.carouselLabels);
+        Object.assign(AppConfig.faq.labels, LocaleStrings.faqLabels);
+
+        const industries = LocaleStrings.industries || {};
+        AppConfig.industries.forEach(industry => {
+            industry.name = industries[industry.slug] || industry.name;
+        });
+
+        const calculatorText = LocaleStrings.calculatorText || {};
+        [...AppConfig.solarCalculator.locations, ...AppConfig.solarCalculator.defaultLoads].forEach(entry => {
+            entry.name = calculatorText[entry.name] || entry.name;
+        });
+    } catch (error) {
+        console.error('Error applying locale strings:', error);
+    }
+}
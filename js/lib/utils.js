@@ -0,0 +1,26 @@
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+import Constants from './constants.js';
+
+/**
+ * Fills the {name} placeholders of a message from AppConfig.messages.
+ * @param {string} template - The message, e.g. 'Photo {index} of {total}: {alt}'.
+ * @param {Object.<string, string|number>} values - Placeholder values by name.
+ * @returns {string} The message with every known placeholder replaced.
+ * @example
+ * formatMessage(AppConfig.messages.faqSearchResults, { count: 2, total: 4 }); // '2 of 4 questions match'
+ */
+export function formatMessage(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+/**
+ * Gets the height of the fixed navigation, to keep scroll targets from hiding under it.
+ * @returns {number} Height in pixels (0 if the page has no navigation).
+ */
+export function getNavHeight() {
+    const nav = document.querySelector(Constants.NAV_SELECTOR);
+    return nav ? nav.offsetHeight : 0;
+}
@@ -0,0 +1,101 @@
+// ============================================================================
+// Spanish (es) Strings
+// ============================================================================
+// Loaded on /es/ pages only and applied to AppConfig by applyLocaleStrings() in
+// js/lib/locale.js.
+// Text in pages and partials is translated at build time from data/locales/es/.
+// Keep {placeholders} exactly as they are in js/config.js.
+
+/**
+ * Spanish strings, keyed like the AppConfig entries they replace.
+ * @type {LocaleStrings}
+ */
+const LocaleStrings = {
+    messages: {
+        componentLoadError: 'No se pudo cargar esta sección. Actualice la página.',
+        projectCardLoadError: 'No se pudo cargar un proyecto. Es posible que falten algunos.',
+        componentRetry: 'Reintentar',
+        quoteFormSuccess: '¡Gracias! Su solicitud fue enviada. Nos comunicaremos con usted pronto.',
+        quoteFormDraft: 'Se abrió su aplicación de correo con la solicitud. Envíe el correo para comunicarse con nosotros.',
+        quoteFormError: 'Lo sentimos, no se pudo enviar su solicitud. Escríbanos a info@coppertech.us.',
+        solarCalculatorHandOff: 'Se agregó la estimación de su sistema al mensaje de la solicitud de cotización.',
+        faqSearchResults: '{count} de {total} preguntas coinciden',
+        faqSearchNoResults: 'Ninguna pregunta coincide con su búsqueda.',
+        faqSearchCleared: 'Mostrando las {total} preguntas',
+        analyticsConsentSaved: 'Se guardó su elección sobre las estadísticas.',
+        menuOpened: 'Menú abierto',
+        menuClosed: 'Menú cerrado',
+        industryMenuOpened: 'Menú de navegación abierto',
+        faqExpanded: '{question} expandida',
+        faqCollapsed: 'Respuesta cerrada',
+        lightboxPhoto: 'Foto {index} de {total}: {alt}',
+        calculatorLoadAdded: 'Carga agregada',
+        calculatorLoadRemoved: 'Carga eliminada',
+        calculatorResults: 'Sistema recomendado: {battery} kilovatios hora de batería, {solar} vatios de paneles solares y un inversor de {inverter} vatios',
+        quoteFormInvalidField: '1 campo requiere atención. {error}',
+        quoteFormInvalidFields: '{count} campos requieren atención. {error}',
+        quoteFormEmailSubject: 'Solicitud de cotización de {name}',
+        quoteFormErrors: {
+            nameMissing: 'Escriba su nombre.',
+            emailMissing: 'Escriba su correo electrónico.',
+            emailInvalid: 'Escriba un correo electrónico válido, como nombre@ejemplo.com.',
+            phoneInvalid: 'Escriba un número de teléfono válido o deje el campo vacío.',
+            industryMissing: 'Seleccione una industria.',
+            messageMissing: 'Cuéntenos un poco sobre su proyecto.'
+        },
+        calculatorSummary: {
+            title: 'Estimación del tamaño del sistema',
+            load: '- {name}: {watts} W durante {hours} h/día',
+            loadWithQuantity: '- {quantity} x {name}: {watts} W durante {hours} h/día',
+            unnamedLoad: 'Carga',
+            location: 'Ubicación: {location} ({sunHours} horas de sol)',
+            sunHours: 'Ubicación: {sunHours} horas de sol',
+            autonomyDays: 'Días de autonomía: {days}',
+            dailyEnergy: 'Energía diaria: {energy} kWh',
+            battery: 'Batería: {battery} kWh',
+            solar: 'Paneles solares: {solar} W',
+            inverter: 'Inversor: {inverter} W'
+        }
+    },
+
+    carouselLabels: {
+        slide: 'Proyecto {index} de {total}',
+        pagination: 'Ir al proyecto {index}',
+        play: 'Iniciar la rotación de proyectos',
+        pause: 'Detener la rotación de proyectos'
+    },
+
+    faqLabels: {
+        search: 'Buscar preguntas',
+        searchPlaceholder: 'Buscar en preguntas y respuestas',
+        expandAll: 'Expandir todo',
+        collapseAll: 'Contraer todo'
+    },
+
+    industries: {
+        'military-defense': 'Militar y Defensa',
+        'remote-businesses': 'Negocios Remotos',
+        'homes': 'Viviendas',
+        'commercial-buildings': 'Edificios Comerciales',
+        'emergency-response': 'Respuesta a Emergencias',
+        'job-sites': 'Obras de Construcción'
+    },
+
+    calculatorText: {
+        'Alaska': 'Alaska',
+        'Arizona / New Mexico': 'Arizona / Nuevo México',
+        'California': 'California',
+        'Colorado / Utah': 'Colorado / Utah',
+        'Florida': 'Florida',
+        'Hawaii': 'Hawái',
+        'Michigan / Great Lakes': 'Michigan / Grandes Lagos',
+        'Northeast': 'Noreste',
+        'Pacific Northwest': 'Noroeste del Pacífico',
+        'Texas': 'Texas',
+        'LED lighting': 'Iluminación LED',
+        'Refrigerator': 'Refrigerador'
+    }
+};
+
+// Build scripts load it with build/load-browser-module.js
+export default LocaleStrings;
@@ -0,0 +1,85 @@
+// ============================================================================
+// Main Application Logic
+// ============================================================================
+// Entry point, loaded by every page as a module script from components/head-common.html.
+// It only loads what every page needs; the features in js/features/ are imported
+// on the pages that have their markup (see js/lib/features.js). Browsers without
+// module support run dist/js/bundle.js instead, built from this file by
+// build/bundle-scripts.js.
+
+import Constants from './lib/constants.js';
+import { initializeAnalytics } from './lib/analytics.js';
+import { initializeComponents } from './lib/components.js';
+import { initializeFeatures } from './lib/features.js';
+import { applyLocaleStrings } from './lib/locale.js';
+
+// ============================================================================
+// Service Worker
+// ============================================================================
+
+/**
+ * Registers the service worker once the page has finished loading, so precaching
+ * doesn't compete with the page's own requests.
+ * Skipped where service workers aren't available (old browsers, file:// URLs).
+ * @returns {void}
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+        return;
+    }
+
+    const register = () => {
+        // updateViaCache: 'none' checks for a new sw.js on every visit, bypassing the HTTP cache
+        navigator.serviceWorker.register(Constants.SERVICE_WORKER_PATH, { updateViaCache: 'none' })
+            .catch(error => console.warn('Service worker registration failed:', error));
+    };
+
+    if (document.readyState === 'complete') {
+        register();
+    } else {
+        window.addEventListener('load', register, { once: true });
+    }
+}
+
+// ============================================================================
+// Start-up
+// ============================================================================
+
+/**
+ * Loads the page's components, then the features whose markup they contain.
+ * @returns {Promise<void>}
+ */
+async function start() {
+    try {
+        // Translated strings must be in place before components can report errors
+        await applyLocaleStrings();
+
+        await initializeComponents();
+
+        // Add loaded class to body for smooth fade-in
+        if (document.body) {
+            document.body.classList.add(Constants.LOADED_CLASS);
+        }
+
+        // Initialize analytics first so the features can emit events
+        initializeAnalytics();
+
+        // Register the service worker for offline support
+        registerServiceWorker();
+
+        // Only the features with markup on this page are downloaded
+        await initializeFeatures();
+    } catch (error) {
+        console.error('Error during initialization:', error);
+        // Ensure body still gets loaded class even if components fail
+        if (document.body) {
+            document.body.classList.add(Constants.LOADED_CLASS);
+        }
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+} else {
+    start();
+}
@@ -0,0 +1,165 @@
+// ============================================================================
+// Off-Grid Solar & Battery Sizing
+// ============================================================================
+
+/**
+ * Pure sizing maths for the solar calculator widget (no DOM access).
+ * The widget UI lives in js/features/solar-calculator.js.
+ *
+ * @typedef {Object} Load
+ * @property {string} name - Appliance name (e.g. 'Refrigerator').
+ * @property {number} watts - Power draw while running, in watts.
+ * @property {number} hours - Hours of use per day (0-24).
+ * @property {number} [quantity=1] - Number of identical appliances.
+ *
+ * @typedef {Object} SizingInput
+ * @property {Load[]} loads - Appliances to power.
+ * @property {number} sunHours - Peak sun hours per day at the site.
+ * @property {number} autonomyDays - Days the battery must cover without any solar input.
+ *
+ * @typedef {Object} SizingResult
+ * @property {number} dailyWh - Energy used per day, in watt-hours.
+ * @property {number} peakWatts - Draw with every load running at once, in watts.
+ * @property {number} batteryKWh - Recommended nominal battery capacity, in kWh (rounded up to 0.1).
+ * @property {number} solarWatts - Recommended solar array size, in watts (rounded up to 100 W).
+ * @property {number} inverterWatts - Recommended continuous inverter rating, in watts.
+ *
+ * @example
+ * const result = SolarCalculator.calculateSystemSize({
+ *     loads: [{ name: 'LED lighting', watts: 60, hours: 5 }],
+ *     sunHours: 4.5,
+ *     autonomyDays: 2
+ * });
+ * // result.batteryKWh === 0.9, result.solarWatts === 100, result.inverterWatts === 1000
+ */
+const SolarCalculator = {
+    /**
+     * System assumptions used by the sizing formulas.
+     * @type {Object}
+     */
+    assumptions: {
+        /** Usable fraction of battery capacity (LFP chemistry) */
+        depthOfDischarge: 0.8,
+        /** Inverter efficiency (DC battery energy to AC loads) */
+        inverterEfficiency: 0.9,
+        /** Solar derate for heat, dust, wiring and charge controller losses */
+        solarDerate: 0.75,
+        /** Inverter headroom over the peak continuous load (motor start-up, future loads) */
+        inverterHeadroom: 1.25,
+        /** Common inverter ratings in watts; larger systems round up to the next 1,000 W */
+        inverterSizes: [1000, 1500, 2000, 3000, 4000, 5000, 6000, 8000, 10000, 12000, 15000]
+    },
+
+    /**
+     * Checks whether a load has usable numbers.
+     * @param {Load} load - The load to check.
+     * @returns {boolean} True if watts is positive, hours is 0-24 and quantity (if set) is a positive integer.
+     */
+    isValidLoad(load) {
+        const quantity = load.quantity === undefined ? 1 : load.quantity;
+        return Number.isFinite(load.watts) && load.watts > 0 &&
+            Number.isFinite(load.hours) && load.hours >= 0 && load.hours <= 24 &&
+            Number.isInteger(quantity) && quantity > 0;
+    },
+
+    /**
+     * Calculates the daily energy use of a set of loads.
+     * @param {Load[]} loads - Valid loads.
+     * @returns {number} Energy per day in watt-hours.
+     */
+    getDailyEnergy(loads) {
+        return loads.reduce((total, load) => total + load.watts * load.hours * (load.quantity || 1), 0);
+    },
+
+    /**
+     * Calculates the draw with every load running at the same time.
+     * @param {Load[]} loads - Valid loads.
+     * @returns {number} Peak continuous load in watts.
+     */
+    getPeakLoad(loads) {
+        return loads.reduce((total, load) => total + load.watts * (load.quantity || 1), 0);
+    },
+
+    /**
+     * Picks the smallest common inverter rating that covers a load with headroom.
+     * @param {number} peakWatts - Peak continuous load in watts.
+     * @returns {number} Inverter rating in watts (0 if there is no load).
+     */
+    getInverterSize(peakWatts) {
+        if (peakWatts <= 0) {
+            return 0;
+        }
+        const required = peakWatts * this.assumptions.inverterHeadroom;
+        const size = this.assumptions.inverterSizes.find(rating => rating >= required);
+        return size || Math.ceil(required / 1000) * 1000;
+    },
+
+    /**
+     * Sizes a battery bank, solar array and inverter for a set of loads.
+     * Invalid loads (see isValidLoad) are ignored.
+     * @param {SizingInput} input - Loads and site conditions.
+     * @returns {SizingResult} Recommended system size.
+     * @throws {RangeError} Throws if sunHours is not positive or autonomyDays is negative.
+     */
+    calculateSystemSize({ loads, sunHours, autonomyDays }) {
+        if (!Number.isFinite(sunHours) || sunHours <= 0) {
+            throw new RangeError('sunHours must be a positive number');
+        }
+        if (!Number.isFinite(autonomyDays) || autonomyDays < 0) {
+            throw new RangeError('autonomyDays must be zero or more');
+        }
+
+        const { depthOfDischarge, inverterEfficiency, solarDerate } = this.assumptions;
+        const validLoads = (loads || []).filter(load => this.isValidLoad(load));
+        const dailyWh = this.getDailyEnergy(validLoads);
+        const peakWatts = this.getPeakLoad(validLoads);
+
+        // Battery covers the autonomy days (at least one day) from its usable capacity
+        const batteryWh = dailyWh * Math.max(autonomyDays, 1) / (depthOfDischarge * inverterEfficiency);
+        // Solar replaces a full day's energy (plus inverter losses) in the site's sun hours
+        const solarW = dailyWh / inverterEfficiency / (sunHours * solarDerate);
+
+        return {
+            dailyWh: Math.round(dailyWh),
+            peakWatts: Math.round(peakWatts),
+            batteryKWh: Math.ceil(batteryWh / 100) / 10,
+            solarWatts: Math.ceil(solarW / 100) * 100,
+            inverterWatts: this.getInverterSize(peakWatts)
+        };
+    },
+
+    /**
+     * Formats a sizing result as plain text (used to hand results over to the quote form).
+     * @param {SizingInput} input - Loads and site conditions.
+     * @param {SizingResult} result - The calculated system size.
+     * @param {string} locationName - Display name of the selected location ('' for custom sun hours).
+     * @param {Object.<string, string>} lines - Line templates with {placeholders}, in the page's
+     *   language (AppConfig.messages.calculatorSummary).
+     * @returns {string} Multi-line summary.
+     */
+    formatSummary(input, result, locationName, lines) {
+        const fill = (template, values) => template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+        const loads = input.loads
+            .filter(load => this.isValidLoad(load))
+            .map(load => fill(load.quantity > 1 ? lines.loadWithQuantity : lines.load, {
+                quantity: load.quantity,
+                name: load.name || lines.unnamedLoad,
+                watts: load.watts,
+                hours: load.hours
+            }));
+
+        return [
+            lines.title,
+            ...loads,
+            fill(locationName ? lines.location : lines.sunHours, { location: locationName, sunHours: input.sunHours }),
+            fill(lines.autonomyDays, { days: input.autonomyDays }),
+            fill(lines.dailyEnergy, { energy: (result.dailyWh / 1000).toFixed(2) }),
+            fill(lines.battery, { battery: result.batteryKWh }),
+            fill(lines.solar, { solar: result.solarWatts }),
+            fill(lines.inverter, { inverter: result.inverterWatts })
+        ].join('\n');
+    }
+};
+
+// Node can load it with build/load-browser-module.js
+export default SolarCalculator;
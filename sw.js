@@ -0,0 +1,556 @@
+// Generated by build/generate-service-worker.js from build/sw-template.js - do not edit
+// ============================================================================
+// Copper Tech Service Worker
+// ============================================================================
+// Template for sw.js. build/generate-service-worker.js fills in CACHE_VERSION and
+// PRECACHE_MANIFEST and writes the result to sw.js - edit this file, not sw.js.
+//
+// Strategies:
+// - Pages: network first, falling back to the cached page, then to the offline page
+// - Components: stale-while-revalidate (cached copy now, refreshed in the background)
+// - Images: cache first; ones that weren't precached (such as the responsive variant
+//   the browser picked) are cached the first time they are fetched
+// - Everything else same-origin: precache first, then network
+//
+// Each build changes CACHE_VERSION, which makes browsers install the new worker.
+// It only downloads files whose revision changed, takes over immediately and
+// deletes the previous build's caches.
+
+const CACHE_VERSION = '392daf08f2';
+const PRECACHE_MANIFEST = [
+    {
+        "url": "/assets/CT_LOGO.png",
+        "revision": "389842755c"
+    },
+    {
+        "url": "/assets/CT_LOGO.webp",
+        "revision": "218acee321"
+    },
+    {
+        "url": "/assets/bg.webp",
+        "revision": "0f6e131918"
+    },
+    {
+        "url": "/assets/command-trailer.webp",
+        "revision": "8e992f6250"
+    },
+    {
+        "url": "/assets/commercial-solar.webp",
+        "revision": "011e217738"
+    },
+    {
+        "url": "/assets/emergency-response.webp",
+        "revision": "cdb798df69"
+    },
+    {
+        "url": "/assets/farm.webp",
+        "revision": "3110786bce"
+    },
+    {
+        "url": "/assets/favicon.ico",
+        "revision": "27b6ac51e1"
+    },
+    {
+        "url": "/assets/favicon.png",
+        "revision": "e5125b17c0"
+    },
+    {
+        "url": "/assets/fonts/space-grotesk-latin-400-normal.woff2",
+        "revision": "65fd17fcbd"
+    },
+    {
+        "url": "/assets/fonts/space-grotesk-latin-500-normal.woff2",
+        "revision": "1b1a8131d9"
+    },
+    {
+        "url": "/assets/fonts/space-grotesk-latin-600-normal.woff2",
+        "revision": "685bbbf69f"
+    },
+    {
+        "url": "/assets/fonts/space-grotesk-latin-700-normal.woff2",
+        "revision": "35f8aec56c"
+    },
+    {
+        "url": "/assets/grid-tied-home.webp",
+        "revision": "208d5b69d1"
+    },
+    {
+        "url": "/assets/jobsite.webp",
+        "revision": "0f8898a0a0"
+    },
+    {
+        "url": "/assets/library-solar.webp",
+        "revision": "b54940773b"
+    },
+    {
+        "url": "/assets/light-tower.webp",
+        "revision": "d76d807efd"
+    },
+    {
+        "url": "/assets/logging-office.webp",
+        "revision": "a910572084"
+    },
+    {
+        "url": "/assets/milcom1.webp",
+        "revision": "7d858571c2"
+    },
+    {
+        "url": "/assets/military+defense.webp",
+        "revision": "b21c3550e1"
+    },
+    {
+        "url": "/assets/mine-opp.webp",
+        "revision": "500870be5f"
+    },
+    {
+        "url": "/assets/mobile-power.webp",
+        "revision": "bdd25c6b9e"
+    },
+    {
+        "url": "/assets/off-grid-home-2.webp",
+        "revision": "bf62198be3"
+    },
+    {
+        "url": "/assets/off-grid-home.webp",
+        "revision": "7fe68a6d36"
+    },
+    {
+        "url": "/assets/remote_connectivity.webp",
+        "revision": "6ef8b405ff"
+    },
+    {
+        "url": "/assets/starlink-system.webp",
+        "revision": "8eee3fabc7"
+    },
+    {
+        "url": "/assets/usa.webp",
+        "revision": "87e21f8627"
+    },
+    {
+        "url": "/assets/van.webp",
+        "revision": "dca4146f1c"
+    },
+    {
+        "url": "/assets/van_interior.webp",
+        "revision": "eaeb7b325a"
+    },
+    {
+        "url": "/assets/van_solar.webp",
+        "revision": "ec173bf9dc"
+    },
+    {
+        "url": "/assets/winter_solar.webp",
+        "revision": "4ede68eab2"
+    },
+    {
+        "url": "/components/book-consultation.html",
+        "revision": "c0612abc1b"
+    },
+    {
+        "url": "/components/consent-banner.html",
+        "revision": "24fc5cb6f4"
+    },
+    {
+        "url": "/components/cta.html",
+        "revision": "2d58b60033"
+    },
+    {
+        "url": "/components/footer.html",
+        "revision": "6ed2250552"
+    },
+    {
+        "url": "/components/head-common.html",
+        "revision": "85d6b20a68"
+    },
+    {
+        "url": "/components/lightbox.html",
+        "revision": "ca5b5500cd"
+    },
+    {
+        "url": "/components/nav.html",
+        "revision": "752c66bc1c"
+    },
+    {
+        "url": "/components/project-camper-van.html",
+        "revision": "6825366d49"
+    },
+    {
+        "url": "/components/project-navy-pacific.html",
+        "revision": "3938536b04"
+    },
+    {
+        "url": "/components/quote-form.html",
+        "revision": "5eab14464e"
+    },
+    {
+        "url": "/components/solar-calculator.html",
+        "revision": "7710aa0344"
+    },
+    {
+        "url": "/css/base.css",
+        "revision": "fb9fc86bbe"
+    },
+    {
+        "url": "/css/components.css",
+        "revision": "966ca651cf"
+    },
+    {
+        "url": "/css/fonts.css",
+        "revision": "acfd4ab138"
+    },
+    {
+        "url": "/css/icons.css",
+        "revision": "3a2697e00b"
+    },
+    {
+        "url": "/css/layout.css",
+        "revision": "3b8e7038c0"
+    },
+    {
+        "url": "/css/styles.css",
+        "revision": "62c68581d8"
+    },
+    {
+        "url": "/css/utilities.css",
+        "revision": "11d548359e"
+    },
+    {
+        "url": "/es/",
+        "revision": "8529972c08"
+    },
+    {
+        "url": "/es/index.html",
+        "revision": "8529972c08"
+    },
+    {
+        "url": "/es/industries/commercial-buildings.html",
+        "revision": "7ac67f08d9"
+    },
+    {
+        "url": "/es/industries/emergency-response.html",
+        "revision": "97d2ad518f"
+    },
+    {
+        "url": "/es/industries/homes.html",
+        "revision": "e9e3c79713"
+    },
+    {
+        "url": "/es/industries/job-sites.html",
+        "revision": "91dcfc793f"
+    },
+    {
+        "url": "/es/industries/military-defense.html",
+        "revision": "c7803bf5cb"
+    },
+    {
+        "url": "/es/industries/remote-businesses.html",
+        "revision": "308ee1f369"
+    },
+    {
+        "url": "/es/offline.html",
+        "revision": "b64f171915"
+    },
+    {
+        "url": "/",
+        "revision": "aa2720f31c"
+    },
+    {
+        "url": "/index.html",
+        "revision": "aa2720f31c"
+    },
+    {
+        "url": "/industries/commercial-buildings.html",
+        "revision": "6a213966f6"
+    },
+    {
+        "url": "/industries/emergency-response.html",
+        "revision": "724850f7b1"
+    },
+    {
+        "url": "/industries/homes.html",
+        "revision": "51d506f7db"
+    },
+    {
+        "url": "/industries/job-sites.html",
+        "revision": "665183296b"
+    },
+    {
+        "url": "/industries/military-defense.html",
+        "revision": "233a63e242"
+    },
+    {
+        "url": "/industries/remote-businesses.html",
+        "revision": "05aea6de15"
+    },
+    {
+        "url": "/js/carousel.js",
+        "revision": "b36b375d83"
+    },
+    {
+        "url": "/js/config.js",
+        "revision": "e3e7192a6d"
+    },
+    {
+        "url": "/js/deferred-styles.js",
+        "revision": "c381306555"
+    },
+    {
+        "url": "/js/features/accordions.js",
+        "revision": "3a8e219e2e"
+    },
+    {
+        "url": "/js/features/banner-heading.js",
+        "revision": "90fd61e884"
+    },
+    {
+        "url": "/js/features/consent-banner.js",
+        "revision": "e81ab7f2b8"
+    },
+    {
+        "url": "/js/features/copyright-year.js",
+        "revision": "f94720957a"
+    },
+    {
+        "url": "/js/features/fade-in.js",
+        "revision": "35d86d5691"
+    },
+    {
+        "url": "/js/features/lightbox.js",
+        "revision": "eb30a65d89"
+    },
+    {
+        "url": "/js/features/menu-overlay.js",
+        "revision": "ba0ae952ba"
+    },
+    {
+        "url": "/js/features/nav-scroll.js",
+        "revision": "10f9fb9c51"
+    },
+    {
+        "url": "/js/features/project-carousel.js",
+        "revision": "1728526216"
+    },
+    {
+        "url": "/js/features/quote-form.js",
+        "revision": "3c1195c6ea"
+    },
+    {
+        "url": "/js/features/rotating-industry.js",
+        "revision": "a991626477"
+    },
+    {
+        "url": "/js/features/smooth-scroll.js",
+        "revision": "8c7e5b1492"
+    },
+    {
+        "url": "/js/features/solar-calculator.js",
+        "revision": "ac79bfec93"
+    },
+    {
+        "url": "/js/lib/accessibility.js",
+        "revision": "07c5e7aa56"
+    },
+    {
+        "url": "/js/lib/analytics.js",
+        "revision": "14318cedc4"
+    },
+    {
+        "url": "/js/lib/components.js",
+        "revision": "adf25702af"
+    },
+    {
+        "url": "/js/lib/constants.js",
+        "revision": "d03270a1d4"
+    },
+    {
+        "url": "/js/lib/features.js",
+        "revision": "86e45f0661"
+    },
+    {
+        "url": "/js/lib/locale.js",
+        "revision": "3369aab69b"
+    },
+    {
+        "url": "/js/lib/utils.js",
+        "revision": "1fec2c0605"
+    },
+    {
+        "url": "/js/locales/es.js",
+        "revision": "78008646fb"
+    },
+    {
+        "url": "/js/main.js",
+        "revision": "1f53e70eea"
+    },
+    {
+        "url": "/js/solar-calculator.js",
+        "revision": "cc477a56fb"
+    },
+    {
+        "url": "/manifest.json",
+        "revision": "53ccd9f16e"
+    },
+    {
+        "url": "/offline.html",
+        "revision": "c9950a7084"
+    }
+];
+
+const CACHE_PREFIX = 'copper-tech-';
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${CACHE_VERSION}`;
+const RUNTIME_CACHE_NAME = `${CACHE_PREFIX}runtime-${CACHE_VERSION}`;
+const OFFLINE_URL = '/offline.html';
+const COMPONENTS_PATH = '/components/';
+// Response header recording which revision of a file a precached response holds
+const REVISION_HEADER = 'X-Precache-Revision';
+
+/**
+ * Finds the precache of the previously installed build, if any.
+ * @returns {Promise<Cache|null>} The previous precache.
+ */
+async function getPreviousPrecache() {
+    const names = await caches.keys();
+    const previous = names.find(name => name.startsWith(`${CACHE_PREFIX}precache-`) && name !== PRECACHE_NAME);
+    return previous ? caches.open(previous) : null;
+}
+
+/**
+ * Caches one precache entry, reusing the previous build's copy when the revision is unchanged.
+ * @param {Cache} cache - The new precache.
+ * @param {Cache|null} previous - The previous build's precache.
+ * @param {{url: string, revision: string}} entry - Precache manifest entry.
+ * @returns {Promise<void>}
+ * @throws {Error} Throws if the file cannot be downloaded.
+ */
+async function precacheEntry(cache, previous, { url, revision }) {
+    const cached = previous ? await previous.match(url) : null;
+    if (cached && cached.headers.get(REVISION_HEADER) === revision) {
+        await cache.put(url, cached);
+        return;
+    }
+
+    const response = await fetch(new Request(url, { cache: 'reload' }));
+    if (!response.ok) {
+        throw new Error(`Failed to precache ${url}: HTTP ${response.status}`);
+    }
+
+    // Rebuild the response so it carries the revision (and no redirect flag)
+    const headers = new Headers(response.headers);
+    headers.set(REVISION_HEADER, revision);
+    const body = await response.blob();
+    await cache.put(url, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE_NAME);
+        const previous = await getPreviousPrecache();
+        await Promise.all(PRECACHE_MANIFEST.map(entry => precacheEntry(cache, previous, entry)));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== PRECACHE_NAME && name !== RUNTIME_CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Looks a request up in this build's caches (runtime first, so refreshed components win).
+ * @param {Request|string} request - The request.
+ * @param {Object} [options] - Cache match options.
+ * @returns {Promise<Response|undefined>} The cached response.
+ */
+async function matchCached(request, options) {
+    const runtime = await caches.open(RUNTIME_CACHE_NAME);
+    const precache = await caches.open(PRECACHE_NAME);
+    return (await runtime.match(request, options)) || precache.match(request, options);
+}
+
+/**
+ * Network first for page navigations, falling back to the cached page or the offline page.
+ * Translated pages (/es/...) fall back to their locale's offline page when it is cached.
+ * @param {Request} request - The navigation request.
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cached = await matchCached(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        const localeDir = new URL(request.url).pathname.split('/')[1];
+        return (localeDir && await matchCached(`/${localeDir}${OFFLINE_URL}`)) || matchCached(OFFLINE_URL);
+    }
+}
+
+/**
+ * Stale-while-revalidate: answers from the cache and refreshes it from the network.
+ * @param {FetchEvent} event - The fetch event (kept alive until the refresh finishes).
+ * @returns {Promise<Response>}
+ */
+async function handleComponent(event) {
+    const cached = await matchCached(event.request);
+    const refresh = fetch(event.request).then(async (response) => {
+        if (response.ok) {
+            const runtime = await caches.open(RUNTIME_CACHE_NAME);
+            await runtime.put(event.request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Cache first for precached assets, network for anything else.
+ * Images fetched from the network are added to the runtime cache, so they are
+ * available offline afterwards.
+ * @param {Request} request - The request.
+ * @returns {Promise<Response>}
+ */
+async function handleAsset(request) {
+    const cached = await matchCached(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok && request.destination === 'image') {
+        const runtime = await caches.open(RUNTIME_CACHE_NAME);
+        await runtime.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    // Leave cross-origin requests (such as the quote and analytics endpoints) to the browser
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (url.pathname.startsWith(COMPONENTS_PATH)) {
+        event.respondWith(handleComponent(event));
+    } else {
+        event.respondWith(handleAsset(request));
+    }
+});